@@ -22,6 +22,24 @@ let gameTimer = null; // Timer for time limit countdown
 const state = {
     currentScreen: 'menu',
     targetNote: '',
+    // Single Note mode: string index the target must be played on (null = any string), and
+    // whether the note has been found (clicks are ignored until the next question)
+    targetString: null,
+    singleNoteAnswered: false,
+    // Single Note settings: name a string with each note, and the string numbers
+    // (1 = highest) that take turns
+    singleNoteStringTargets: false,
+    singleNoteStrings: [1, 2, 3, 4, 5, 6, 7, 8],
+    // Exact pitch mode: { midi, note, octave } of the pitch to find, and whether it has been
+    // found (clicks are ignored until the next question)
+    targetPitch: null,
+    // Triad voicings mode: { triad, inversion, strings } and the notes placed so far
+    targetVoicing: null,
+    voicingPositions: [],
+    // Scale mode: { root, type, typeName, notes }
+    targetScale: null,
+    // Fret window { start, end } of modes that practise inside one (see usesFretWindow)
+    fretWindow: null,
     score: 0,
     errors: 0,
     foundPositions: [],
@@ -34,6 +52,19 @@ const state = {
     showDebug: false,
     // Rotation enabled: allow rotating the 3D guitar view
     rotationEnabled: false,
+    // Accidentals: spell notes with 'sharps', 'flats' or 'both'
+    accidentals: 'sharps',
+    // Instrument: a key of INSTRUMENT_PROFILES
+    instrument: 'guitar6',
+    // Tuning: a key of the instrument's tunings or 'custom'
+    tuningPreset: 'standard',
+    // Custom tuning: open note and octave per string (high to low), null until edited on the menu
+    customTuning: null,
+    // Neck: number of frets (one of FRET_COUNT_OPTIONS) and a key of SCALE_LENGTHS
+    fretCount: 22,
+    scaleLength: 'gibson',
+    // Open strings: if true, fret 0 positions are targets and answers in every mode
+    includeOpenStrings: false,
     // Triads mode
     targetTriad: null,
     clickedTriadNotes: [],
@@ -45,10 +76,89 @@ const state = {
         major: true,
         minor: true,
         diminished: false,
-        augmented: false
+        augmented: false,
+        maj7: false,
+        dom7: false,
+        m7: false,
+        m7b5: false,
+        dim7: false,
+        sus2: false,
+        sus4: false,
+        add9: false,
+        major6: false
     },
     // Show triad root note: if true, show a random position of the root note on the fretboard
     showTriadRootNote: false,
+    // Chord ear training: { triad, midis, stage } - the chord played, its pitches from the
+    // bass up, and 'quality' while naming it or 'voicing' while finding it on the neck
+    targetChordEar: null,
+    // Chord ear training settings: broken (one note at a time) instead of block chords,
+    // and whether a named chord must then be found on the neck
+    chordEarBroken: false,
+    chordEarFindVoicing: false,
+    // Arpeggio mode: { triad, sequence } with the chord's pitches in the fret window from low
+    // to high, and the index of the next pitch to play
+    targetArpeggio: null,
+    arpeggioStep: 0,
+    // CAGED mode: { triad, shape } of the current question (positions in allPositions)
+    targetCaged: null,
+    // Intervals mode: reference position, interval, direction and the spelled answer, and
+    // whether it has been answered (clicks are ignored until the next question)
+    targetInterval: null,
+    // Ear training mode: { pitch, position, reference, answered } - the pitch to find by ear,
+    // the position it was played from, the named reference position played before it, and
+    // whether it has been found (clicks are ignored until the next question)
+    targetEar: null,
+    // Ear training settings: play a named reference note first, and the strings
+    // (1 = highest) and frets the hidden pitches are taken from
+    earSettings: {
+        referenceFirst: false,
+        strings: { start: 1, end: 6 },
+        frets: { start: 0, end: 12 }
+    },
+    // Progression mode: { key, chords, step, placed } - the key root, the chords to place
+    // ({ numeral, triad }), the index of the current chord and the positions of placed chords
+    targetProgression: null,
+    // Progression settings: which progressions take turns, and a user-defined one
+    progressionSettings: {
+        oneFourFive: true,
+        twoFiveOne: true,
+        fiftiesProgression: true,
+        custom: false
+    },
+    customProgression: 'I V vi IV',
+    // Diatonic harmony quiz: { key, keyType, degree, numeral, stage } - the key, 'major' or
+    // 'minor', the scale degree (0-6) and its numeral, and 'quality' while naming the chord
+    // quality or 'locate' while finding the triad (kept in targetTriad)
+    targetDiatonic: null,
+    // Octave mode: { reference, pitch, positions } - the highlighted position, its pitch and
+    // every unison and octave of it on the neck (found ones in foundPositions)
+    targetOctaves: null,
+    // Fret Column mode: { fret, step, answerTimes } - the fret under test, the string
+    // being asked (top to bottom) and the seconds each answer took
+    targetColumn: null,
+    // Name the Note mode: { string, fret, note } of the highlighted position, and whether
+    // it has been answered (the note pad ignores input until the next question)
+    namePosition: null,
+    // Interval settings: which intervals (keys of INTERVALS) and directions to practice
+    intervalSettings: {
+        m2: true,
+        M2: true,
+        m3: true,
+        M3: true,
+        P4: true,
+        TT: false,
+        P5: true,
+        m6: false,
+        M6: false,
+        m7: false,
+        M7: false,
+        P8: false
+    },
+    intervalDirections: {
+        above: true,
+        below: false
+    },
     // 3D rotation
     rotation: {
         x: 35,
@@ -68,7 +178,19 @@ const state = {
     // First question: track if this is the first question (timer waits for click)
     isFirstQuestion: true,
     // Show solution: track if solution is currently being shown
-    showSolution: false
+    showSolution: false,
+    // Show heatmap: colour the fretboard by logged reaction time and errors
+    showHeatmap: false,
+    // Correct questions in a row (reset by a mistake or the solution), and the best this game
+    streak: 0,
+    bestStreak: 0,
+    // Session format: a key of SESSION_FORMATS (endless games only end on Exit)
+    sessionFormat: 'endless',
+    // Questions completed in the current game, and the end of a sprint (ms timestamp)
+    questionsCompleted: 0,
+    sprintEndsAt: 0,
+    // True once a fixed-length game has ended, until its results are shown
+    sessionFinished: false
 };
 
 /* ========================================
@@ -106,10 +228,35 @@ function saveSettingsToCookies() {
     setCookie('timeLimit', state.timeLimit);
     setCookie('enableDisabledFrets', state.enableDisabledFrets);
     setCookie('disabledFrets', state.disabledFrets);
+    setCookie('accidentals', state.accidentals);
+    setCookie('instrument', state.instrument);
+    setCookie('tuningPreset', state.tuningPreset);
+    setCookie('customTuning', state.customTuning);
+    setCookie('fretCount', state.fretCount);
+    setCookie('scaleLength', state.scaleLength);
+    setCookie('includeOpenStrings', state.includeOpenStrings);
+    setCookie('sessionFormat', state.sessionFormat);
     
     // Save triads settings
     setCookie('triadSettings', state.triadSettings);
     setCookie('showTriadRootNote', state.showTriadRootNote);
+    setCookie('chordEarBroken', state.chordEarBroken);
+    setCookie('chordEarFindVoicing', state.chordEarFindVoicing);
+    
+    // Save interval settings
+    setCookie('intervalSettings', state.intervalSettings);
+    setCookie('intervalDirections', state.intervalDirections);
+    
+    // Save progression settings
+    setCookie('progressionSettings', state.progressionSettings);
+    setCookie('customProgression', state.customProgression);
+    
+    // Save single note settings
+    setCookie('singleNoteStringTargets', state.singleNoteStringTargets);
+    setCookie('singleNoteStrings', state.singleNoteStrings);
+    
+    // Save ear training settings
+    setCookie('earSettings', state.earSettings);
     
     // Save game screen settings
     setCookie('showDebug', state.showDebug);
@@ -153,6 +300,45 @@ function loadSettingsFromCookies() {
     const disabledFrets = getCookie('disabledFrets');
     if (disabledFrets !== null && Array.isArray(disabledFrets)) state.disabledFrets = disabledFrets;
     
+    const accidentals = getCookie('accidentals');
+    if (accidentals !== null && ['sharps', 'flats', 'both'].includes(accidentals)) state.accidentals = accidentals;
+    
+    const sessionFormat = getCookie('sessionFormat');
+    if (sessionFormat !== null && SESSION_FORMATS[sessionFormat]) state.sessionFormat = sessionFormat;
+    
+    const instrument = getCookie('instrument');
+    if (instrument !== null && INSTRUMENT_PROFILES[instrument]) state.instrument = instrument;
+    
+    const tuningPreset = getCookie('tuningPreset');
+    if (tuningPreset !== null && (tuningPreset === 'custom' || getInstrumentProfile().tunings[tuningPreset])) {
+        state.tuningPreset = tuningPreset;
+    }
+    
+    // The tuning editor only writes sharp names and octaves within the instrument's range
+    const customTuning = getCookie('customTuning');
+    const { octaveRange } = getInstrumentProfile();
+    const isValidOpenString = openString => openString !== null && typeof openString === 'object' &&
+        NOTES.includes(openString.note) && Number.isInteger(openString.octave) &&
+        openString.octave >= octaveRange.min && openString.octave <= octaveRange.max;
+    if (customTuning !== null && Array.isArray(customTuning) && customTuning.every(isValidOpenString)) {
+        state.customTuning = customTuning;
+    }
+    
+    // Neck settings default to the instrument's own neck
+    const fretCount = getCookie('fretCount');
+    state.fretCount = fretCount !== null && FRET_COUNT_OPTIONS.includes(fretCount)
+        ? fretCount
+        : getInstrumentProfile().frets;
+    
+    const scaleLength = getCookie('scaleLength');
+    state.scaleLength = scaleLength !== null && SCALE_LENGTHS[scaleLength]
+        ? scaleLength
+        : getInstrumentProfile().scaleLength;
+    applyInstrumentSettings();
+    
+    const includeOpenStrings = getCookie('includeOpenStrings');
+    if (includeOpenStrings !== null) state.includeOpenStrings = includeOpenStrings;
+    
     // Load triads settings
     const triadSettings = getCookie('triadSettings');
     if (triadSettings !== null) {
@@ -162,6 +348,45 @@ function loadSettingsFromCookies() {
     const showTriadRootNote = getCookie('showTriadRootNote');
     if (showTriadRootNote !== null) state.showTriadRootNote = showTriadRootNote;
     
+    const chordEarBroken = getCookie('chordEarBroken');
+    if (chordEarBroken !== null) state.chordEarBroken = chordEarBroken;
+    
+    const chordEarFindVoicing = getCookie('chordEarFindVoicing');
+    if (chordEarFindVoicing !== null) state.chordEarFindVoicing = chordEarFindVoicing;
+    
+    // Load interval settings
+    const intervalSettings = getCookie('intervalSettings');
+    if (intervalSettings !== null) {
+        Object.assign(state.intervalSettings, intervalSettings);
+    }
+    
+    const intervalDirections = getCookie('intervalDirections');
+    if (intervalDirections !== null) {
+        Object.assign(state.intervalDirections, intervalDirections);
+    }
+    
+    // Load progression settings
+    const progressionSettings = getCookie('progressionSettings');
+    if (progressionSettings !== null) {
+        Object.assign(state.progressionSettings, progressionSettings);
+    }
+    
+    const customProgression = getCookie('customProgression');
+    if (customProgression !== null && typeof customProgression === 'string') state.customProgression = customProgression;
+    
+    // Load single note settings
+    const singleNoteStringTargets = getCookie('singleNoteStringTargets');
+    if (singleNoteStringTargets !== null) state.singleNoteStringTargets = singleNoteStringTargets;
+    
+    const singleNoteStrings = getCookie('singleNoteStrings');
+    if (singleNoteStrings !== null && Array.isArray(singleNoteStrings)) state.singleNoteStrings = singleNoteStrings;
+    
+    // Load ear training settings
+    const earSettings = getCookie('earSettings');
+    if (earSettings !== null) {
+        Object.assign(state.earSettings, earSettings);
+    }
+    
     // Load game screen settings
     const showDebug = getCookie('showDebug');
     if (showDebug !== null) state.showDebug = showDebug;
@@ -198,3166 +423,6812 @@ function loadCameraFromCookies() {
 }
 
 /* ========================================
-   MUSIC THEORY CONSTANTS
+   SPACED REPETITION
    ======================================== */
-const NOTES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+// Leitner boxes: every note (pitch class) and string/fret cell starts in box 1. A quick
+// correct answer moves it up a box, a miss sends it back to box 1, and questions are
+// picked with weights that halve for each box, so weak items come up far more often.
+const PRACTICE_BOXES = 5;
+// Correct answers slower than this stay in their box instead of moving up
+const PRACTICE_SLOW_ANSWER_MS = 4000;
+// Kept in localStorage rather than a cookie: the per-cell table outgrows the cookie size limit
+const PRACTICE_STORAGE_KEY = 'practiceMemory';
+
+// { notes: { 'C#': item }, cells: { '2-5': item } } with item = { box, attempts, correct, avgMs }
+let practiceMemory = { notes: {}, cells: {} };
+// The current question's clock: when it was asked, when its current answer was asked (each
+// correct answer starts the next one) and its correct answers so far
+const questionClock = { askedAt: Date.now(), answerAskedAt: Date.now(), answers: 0 };
+
+function loadPracticeMemory() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PRACTICE_STORAGE_KEY));
+        if (saved && saved.notes && saved.cells) practiceMemory = saved;
+    } catch (e) {
+        // Unreadable or unavailable storage - start with an empty memory
+    }
+}
 
-// Triad definitions (root, third, fifth intervals in semitones)
-const TRIAD_TYPES = {
-    major: { name: 'Major', intervals: [0, 4, 7] },
-    minor: { name: 'Minor', intervals: [0, 3, 7] },
-    diminished: { name: 'Diminished', intervals: [0, 3, 6] },
-    augmented: { name: 'Augmented', intervals: [0, 4, 8] }
-};
+function savePracticeMemory() {
+    try {
+        localStorage.setItem(PRACTICE_STORAGE_KEY, JSON.stringify(practiceMemory));
+    } catch (e) {
+        // Storage full or unavailable - keep the memory for this session only
+    }
+}
 
-// String tuning (from high E to low E, top to bottom in display)
-const STRING_TUNING = [
-    { note: 'E', octave: 4, baseFreq: 329.63 },  // High E (String 1)
-    { note: 'B', octave: 3, baseFreq: 246.94 },  // B (String 2)
-    { note: 'G', octave: 3, baseFreq: 196.00 },  // G (String 3)
-    { note: 'D', octave: 3, baseFreq: 146.83 },  // D (String 4)
-    { note: 'A', octave: 2, baseFreq: 110.00 },  // A (String 5)
-    { note: 'E', octave: 2, baseFreq: 82.41 }    // Low E (String 6)
-];
+/**
+ * Start the clock for a new question, once it is set up and shown
+ */
+function startQuestionClock() {
+    questionClock.askedAt = Date.now();
+    questionClock.answerAskedAt = questionClock.askedAt;
+    questionClock.answers = 0;
+}
 
-const NUM_FRETS = 23; // 0-22 (22 frets)
+/**
+ * Time in ms taken so far on the current question
+ */
+function getQuestionMs() {
+    return Date.now() - questionClock.askedAt;
+}
 
-/* ========================================
-   WEB AUDIO API
-   ======================================== */
-let audioContext = null;
+/**
+ * Time in ms taken so far on the current answer
+ */
+function getAnswerMs() {
+    return Date.now() - questionClock.answerAskedAt;
+}
 
-function getAudioContext() {
-    if (!audioContext) {
-        audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    }
-    return audioContext;
+/**
+ * Count a correct answer, on the fretboard or a pad, and time the next answer from now
+ */
+function countCorrectAnswer() {
+    questionClock.answerAskedAt = Date.now();
+    questionClock.answers += 1;
 }
 
-function playGuitarTone(frequency) {
-    const ctx = getAudioContext();
+function getPracticeNoteKey(note) {
+    return NOTES[getPitchClass(note)];
+}
 
-    // Create oscillator with sawtooth wave for rich harmonics
-    const oscillator = ctx.createOscillator();
-    oscillator.type = 'sawtooth';
-    oscillator.frequency.setValueAtTime(frequency, ctx.currentTime);
+function getPracticeCellKey(position) {
+    return `${position.string}-${position.fret}`;
+}
 
-    // Create lowpass filter
-    const filter = ctx.createBiquadFilter();
-    filter.type = 'lowpass';
-    filter.frequency.setValueAtTime(3000, ctx.currentTime);
-    filter.frequency.exponentialRampToValueAtTime(500, ctx.currentTime + 1.5);
+/**
+ * Leitner box of a note or cell (1 = weakest); unseen items count as weak
+ */
+function getPracticeBox(group, key) {
+    const item = practiceMemory[group][key];
+    return item ? item.box : 1;
+}
 
-    // Create gain node for volume envelope
-    const gainNode = ctx.createGain();
-    gainNode.gain.setValueAtTime(0, ctx.currentTime);
-    gainNode.gain.linearRampToValueAtTime(0.4, ctx.currentTime + 0.02); // Quick attack
-    gainNode.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + 1.5); // Long decay
+function getPracticeWeight(group, key) {
+    return Math.pow(2, PRACTICE_BOXES - getPracticeBox(group, key));
+}
 
-    // Connect the nodes
-    oscillator.connect(filter);
-    filter.connect(gainNode);
-    gainNode.connect(ctx.destination);
+/**
+ * Pick an item at random, in proportion to its weight
+ */
+function pickWeighted(items, getWeight) {
+    const weights = items.map(getWeight);
+    let roll = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+    for (let i = 0; i < items.length; i++) {
+        roll -= weights[i];
+        if (roll < 0) return items[i];
+    }
+    return items[items.length - 1];
+}
 
-    // Start and stop
-    oscillator.start(ctx.currentTime);
-    oscillator.stop(ctx.currentTime + 1.5);
+function updatePracticeItem(group, key, isCorrect, responseMs) {
+    const item = practiceMemory[group][key] || { box: 1, attempts: 0, correct: 0, avgMs: responseMs };
+    item.attempts += 1;
+    // Moving average, so the response time follows recent answers
+    item.avgMs = Math.round(item.avgMs * 0.7 + responseMs * 0.3);
+    if (isCorrect) {
+        item.correct += 1;
+        if (responseMs <= PRACTICE_SLOW_ANSWER_MS) {
+            item.box = Math.min(PRACTICE_BOXES, item.box + 1);
+        }
+    } else {
+        item.box = 1;
+    }
+    practiceMemory[group][key] = item;
+}
+
+/**
+ * Record an answer for the note and/or string/fret cell it was about (either can be null),
+ * timed from when the current answer was asked unless a response time is given
+ */
+function recordPracticeAnswer(note, position, isCorrect, responseMs = getAnswerMs()) {
+    if (note) updatePracticeItem('notes', getPracticeNoteKey(note), isCorrect, responseMs);
+    if (position) updatePracticeItem('cells', getPracticeCellKey(position), isCorrect, responseMs);
+    savePracticeMemory();
+    if (!isCorrect && note && currentSession) currentSession.missedNotes.push(getPracticeNoteKey(note));
+}
+
+/**
+ * Pick a pitch class (0-11), weighted toward weak notes
+ */
+function pickPracticePitchClass() {
+    const pitchClasses = NOTES.map((note, pitchClass) => pitchClass);
+    return pickWeighted(pitchClasses, pitchClass => getPracticeWeight('notes', NOTES[pitchClass]));
 }
 
 /* ========================================
-   MUSIC THEORY FUNCTIONS
+   ANSWER LOG & HEATMAP
    ======================================== */
-function getNoteAt(stringIndex, fretIndex) {
-    const stringTuning = STRING_TUNING[stringIndex];
-    const openNoteIndex = NOTES.indexOf(stringTuning.note);
-    const noteIndex = (openNoteIndex + fretIndex) % 12;
-    return NOTES[noteIndex];
+// Every answer on a position, as { string, fret, correct, ms }, newest last
+const ANSWER_LOG_KEY = 'answerLog';
+const ANSWER_LOG_LIMIT = 2000;
+// Answers at or under this time count as fast on the heatmap
+const HEATMAP_FAST_ANSWER_MS = 1000;
+// Opacity of the heatmap colour on the 3D hitboxes
+const HEATMAP_OPACITY = 0.5;
+
+let answerLog = [];
+
+function loadAnswerLog() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(ANSWER_LOG_KEY));
+        if (Array.isArray(saved)) answerLog = saved;
+    } catch (e) {
+        // Unreadable or unavailable storage - start with an empty log
+    }
 }
 
-function getFrequencyAt(stringIndex, fretIndex) {
-    const baseFreq = STRING_TUNING[stringIndex].baseFreq;
-    return baseFreq * Math.pow(2, fretIndex / 12);
+/**
+ * Log an answer on a position with its reaction time. A correct answer is counted on the
+ * question clock, so each part of a multi-note question is timed on its own.
+ */
+function logAnswer(stringIndex, fretIndex, isCorrect) {
+    const entry = {
+        string: stringIndex,
+        fret: fretIndex,
+        correct: isCorrect,
+        ms: getAnswerMs()
+    };
+    answerLog.push(entry);
+    if (currentSession) currentSession.answers.push(entry);
+    if (answerLog.length > ANSWER_LOG_LIMIT) {
+        answerLog = answerLog.slice(-ANSWER_LOG_LIMIT);
+    }
+    try {
+        localStorage.setItem(ANSWER_LOG_KEY, JSON.stringify(answerLog));
+    } catch (e) {
+        // Storage full or unavailable - keep the log for this session only
+    }
+    if (isCorrect) countCorrectAnswer();
 }
 
-function getAllPositions(note) {
-    const positions = [];
-    for (let stringIndex = 0; stringIndex < STRING_TUNING.length; stringIndex++) {
-        // Start from fret 1 (skip open strings)
-        for (let fretIndex = 1; fretIndex < NUM_FRETS; fretIndex++) {
-            // Skip disabled frets
-            if (isFretDisabled(fretIndex)) {
-                continue;
-            }
-            if (getNoteAt(stringIndex, fretIndex) === note) {
-                positions.push({ string: stringIndex, fret: fretIndex });
-            }
+/**
+ * Answers per string/fret cell: { '2-5': { answers, errors, avgMs } }
+ */
+function getHeatmapData() {
+    const cells = {};
+    answerLog.forEach(entry => {
+        const key = getPracticeCellKey(entry);
+        const cell = cells[key] || (cells[key] = { answers: 0, errors: 0, totalMs: 0 });
+        cell.answers += 1;
+        cell.totalMs += entry.ms;
+        if (!entry.correct) cell.errors += 1;
+    });
+    Object.values(cells).forEach(cell => {
+        cell.avgMs = cell.totalMs / cell.answers;
+    });
+    return cells;
+}
+
+/**
+ * Heat of a cell from 0 (fast and accurate) to 1 (slow or error-prone)
+ */
+function getCellHeat(cell) {
+    const errorRate = cell.errors / cell.answers;
+    const slowness = (cell.avgMs - HEATMAP_FAST_ANSWER_MS) / (PRACTICE_SLOW_ANSWER_MS - HEATMAP_FAST_ANSWER_MS);
+    return Math.min(1, 0.6 * errorRate + 0.4 * Math.max(0, Math.min(1, slowness)));
+}
+
+/**
+ * Heatmap colour [r, g, b] of a cell: green through yellow to red
+ */
+function getHeatRGB(cell) {
+    const heat = getCellHeat(cell);
+    const red = heat < 0.5 ? Math.round(510 * heat) : 255;
+    const green = heat < 0.5 ? 230 : Math.round(460 * (1 - heat));
+    return [red, green, 60];
+}
+
+function formatHeatmapCell(cell) {
+    const errorPercent = Math.round(100 * cell.errors / cell.answers);
+    return `${cell.answers} answer${cell.answers > 1 ? 's' : ''}, ${errorPercent}% wrong, ${(cell.avgMs / 1000).toFixed(1)}s average`;
+}
+
+/**
+ * Colour the 3D hitboxes by heat while the heatmap is on, or restore their normal colours
+ */
+function applyHeatmapToZones() {
+    if (!fretZones || fretZones.length === 0) return;
+
+    const heatmap = state.showHeatmap ? getHeatmapData() : {};
+    fretZones.forEach(zone => {
+        const cell = heatmap[getPracticeCellKey({ string: zone.userData.stringIndex, fret: zone.userData.fretIndex })];
+        if (cell) {
+            const [red, green, blue] = getHeatRGB(cell);
+            zone.userData.heatColor = (red << 16) | (green << 8) | blue;
+            zone.userData.originalColor = zone.userData.heatColor;
+        } else {
+            zone.userData.heatColor = null;
+            zone.userData.originalColor = zone.userData.isDisabled ? 0x666666 : zone.userData.fretColor;
+        }
+        // Leave answer feedback and reference highlights alone
+        if (!zone.userData.isFeedback && !zone.userData.isRootNote) {
+            resetZone(zone);
         }
+    });
+}
+
+function toggleHeatmap() {
+    state.showHeatmap = !state.showHeatmap;
+    applyHeatmapToZones();
+    refreshFretboard2D();
+
+    const heatmapBtn = document.getElementById('heatmapBtn');
+    if (heatmapBtn) {
+        heatmapBtn.textContent = state.showHeatmap ? 'Hide Heatmap' : 'Heatmap';
     }
-    return positions;
 }
 
-function getRandomNote() {
-    return NOTES[Math.floor(Math.random() * NOTES.length)];
+/* ========================================
+   SESSION HISTORY
+   ======================================== */
+// Finished games: { mode, settings, startedAt, duration, score, errors, answers }, oldest first
+const SESSION_HISTORY_KEY = 'sessionHistory';
+const SESSION_HISTORY_LIMIT = 200;
+// Sessions need this many answers to count for the best accuracy and reaction time
+const PERSONAL_BEST_MIN_ANSWERS = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let sessionHistory = [];
+// The game being played, saved to the history when the player exits
+let currentSession = null;
+
+function loadSessionHistory() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SESSION_HISTORY_KEY));
+        if (Array.isArray(saved)) sessionHistory = saved;
+    } catch (e) {
+        // Unreadable or unavailable storage - start with an empty history
+    }
 }
 
-function isFretDisabled(fretIndex) {
-    return state.disabledFrets.includes(fretIndex);
+function saveSessionHistory() {
+    try {
+        localStorage.setItem(SESSION_HISTORY_KEY, JSON.stringify(sessionHistory));
+    } catch (e) {
+        // Storage full or unavailable - keep the history for this session only
+    }
 }
 
-function getRandomTriad() {
-    const rootNote = getRandomNote();
+/**
+ * Snapshot of the settings a session was played with: the neck and time limit, plus the
+ * mode's own settings (see settingsKeys in GAME_MODES)
+ */
+function getSessionSettings(gameMode) {
+    const settings = {
+        instrument: state.instrument,
+        tuning: state.tuningPreset,
+        frets: state.fretCount,
+        includeOpenStrings: state.includeOpenStrings,
+        timeLimit: state.enableTimeLimit ? state.timeLimit : 0,
+        disabledFrets: state.enableDisabledFrets ? state.disabledFrets : []
+    };
+    (GAME_MODES[gameMode].settingsKeys || []).forEach(key => {
+        settings[key] = state[key];
+    });
+    return JSON.parse(JSON.stringify(settings));
+}
 
-    // Get only enabled triad types
-    const enabledTypes = Object.keys(state.triadSettings).filter(type => state.triadSettings[type]);
+function startSession(gameMode) {
+    currentSession = {
+        mode: gameMode,
+        settings: getSessionSettings(gameMode),
+        startedAt: Date.now(),
+        answers: [],
+        // { ms, answers } per answered question: its time and its correct answers (at least 1)
+        questionTimes: [],
+        // Questions answered in full (the score is in points, so it can't stand in for them)
+        correctQuestions: 0,
+        missedNotes: []
+    };
+}
 
-    if (enabledTypes.length === 0) {
-        // Fallback to major if nothing is enabled
-        enabledTypes.push('major');
+/**
+ * Record the time of a question answered in full, whether on the fretboard or a pad
+ */
+function recordQuestionTime() {
+    if (!currentSession) return;
+    currentSession.questionTimes.push({
+        ms: getQuestionMs(),
+        answers: Math.max(1, questionClock.answers)
+    });
+}
+
+/**
+ * End the running session and return it. It is saved to the history unless nothing was
+ * answered in it.
+ */
+function endSession() {
+    if (!currentSession) return null;
+
+    const session = currentSession;
+    currentSession = null;
+    session.duration = Date.now() - session.startedAt;
+    session.score = state.score;
+    session.errors = state.errors;
+    session.questions = state.questionsCompleted;
+    session.bestStreak = state.bestStreak;
+    if (session.answers.length === 0 && session.correctQuestions === 0 && session.errors === 0) return session;
+
+    sessionHistory.push(session);
+    if (sessionHistory.length > SESSION_HISTORY_LIMIT) {
+        sessionHistory = sessionHistory.slice(-SESSION_HISTORY_LIMIT);
     }
+    saveSessionHistory();
+    return session;
+}
 
-    const triadType = enabledTypes[Math.floor(Math.random() * enabledTypes.length)];
-    const triadDef = TRIAD_TYPES[triadType];
+/**
+ * Correct questions of a session. Sessions saved before the count scored one point per question.
+ */
+function getCorrectQuestions(session) {
+    return session.correctQuestions !== undefined ? session.correctQuestions : session.score;
+}
+
+/**
+ * Accuracy (0-1) of a session: its logged answers, or correct questions against errors for
+ * modes that answer without the fretboard
+ */
+function getSessionAccuracy(session) {
+    if (session.answers.length > 0) {
+        return session.answers.filter(answer => answer.correct).length / session.answers.length;
+    }
+    const correct = getCorrectQuestions(session);
+    const total = correct + session.errors;
+    return total > 0 ? correct / total : null;
+}
 
-    const rootIndex = NOTES.indexOf(rootNote);
-    const notes = triadDef.intervals.map(interval => {
-        return NOTES[(rootIndex + interval) % 12];
+/**
+ * Average time in ms per correct answer over the answered questions of a list of sessions
+ * (null if none)
+ */
+function getAverageReactionMs(sessions) {
+    let totalMs = 0;
+    let answers = 0;
+    sessions.forEach(session => {
+        if (session.questionTimes) {
+            session.questionTimes.forEach(time => {
+                totalMs += time.ms;
+                answers += time.answers;
+            });
+        } else {
+            // Sessions saved before question timings: their correct fretboard answers
+            session.answers.filter(answer => answer.correct).forEach(answer => {
+                totalMs += answer.ms;
+                answers += 1;
+            });
+        }
     });
+    return answers > 0 ? totalMs / answers : null;
+}
 
+/**
+ * Totals of a group of sessions: count, answers, accuracy, reaction time and time played
+ */
+function summarizeSessions(sessions) {
+    const answers = sessions.flatMap(session => session.answers);
+    const correct = sessions.reduce((sum, session) => sum + getCorrectQuestions(session), 0);
+    const errors = sessions.reduce((sum, session) => sum + session.errors, 0);
+    let accuracy = null;
+    if (answers.length > 0) {
+        accuracy = answers.filter(answer => answer.correct).length / answers.length;
+    } else if (correct + errors > 0) {
+        accuracy = correct / (correct + errors);
+    }
     return {
-        root: rootNote,
-        type: triadType,
-        typeName: triadDef.name,
-        notes: notes
+        sessions: sessions.length,
+        answers: answers.length,
+        accuracy,
+        avgMs: getAverageReactionMs(sessions),
+        duration: sessions.reduce((sum, session) => sum + session.duration, 0)
     };
 }
 
-function selectRandomRootNotePosition(rootNote) {
-    if (!state.showTriadRootNote || !rootNote) {
-        return null;
-    }
-    
-    const rootPositions = getAllPositions(rootNote);
-    if (rootPositions.length > 0) {
-        // Pick a random position
-        return rootPositions[Math.floor(Math.random() * rootPositions.length)];
-    }
-    return null;
+function getStartOfDay(time) {
+    const date = new Date(time);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
 }
 
-function highlightRootNotePosition() {
-    // Clear previous root note highlight
-    if (fretZones && fretZones.length > 0) {
-        fretZones.forEach(zone => {
-            if (zone.userData.isRootNote) {
-                zone.userData.isRootNote = false;
-                zone.material.color.setHex(zone.userData.originalColor);
-                // Only reset opacity if not showing feedback or hovered
-                if (!zone.userData.isFeedback && !zone.userData.isHovered) {
-                    zone.material.opacity = zone.userData.originalOpacity;
-                }
-            }
-        });
+/**
+ * Session totals for the last `count` days or weeks (weeks start on Monday), oldest first
+ */
+function getSessionTrend(period, count) {
+    let periodStart = getStartOfDay(Date.now());
+    if (period === 'week') {
+        const daysSinceMonday = (new Date(periodStart).getDay() + 6) % 7;
+        periodStart -= daysSinceMonday * DAY_MS;
     }
-    
-    // Highlight root note position if enabled
-    if (state.showTriadRootNote && state.triadRootNotePosition && fretZones && fretZones.length > 0) {
-        const rootZone = fretZones.find(z =>
-            z.userData.stringIndex === state.triadRootNotePosition.string &&
-            z.userData.fretIndex === state.triadRootNotePosition.fret
-        );
-        
-        if (rootZone) {
-            rootZone.userData.isRootNote = true;
-            rootZone.material.color.setHex(0x00aaff); // Light blue for root note
-            rootZone.material.opacity = 0.6;
-            rootZone.visible = true;
-            // Store that this is a root note so it stays visible
-            rootZone.userData.originalOpacity = 0.6; // Update original opacity so it stays visible
-        }
+    const periodMs = period === 'week' ? 7 * DAY_MS : DAY_MS;
+
+    const trend = [];
+    for (let i = count - 1; i >= 0; i--) {
+        // Go through getStartOfDay again so daylight saving changes don't shift the buckets
+        const start = getStartOfDay(periodStart - i * periodMs + DAY_MS / 2);
+        const end = getStartOfDay(start + periodMs + DAY_MS / 2);
+        const sessions = sessionHistory.filter(session => session.startedAt >= start && session.startedAt < end);
+        trend.push({ start, ...summarizeSessions(sessions) });
     }
+    return trend;
+}
+
+/**
+ * Personal bests of each mode that has been played: best score, longest streak, best accuracy
+ * and fastest average reaction time (the last two over sessions with enough answers)
+ */
+function getPersonalBests() {
+    const bests = {};
+    sessionHistory.forEach(session => {
+        if (!GAME_MODES[session.mode]) return;
+        const best = bests[session.mode] || (bests[session.mode] = { sessions: 0, score: 0, streak: 0, accuracy: null, avgMs: null });
+        best.sessions += 1;
+        best.score = Math.max(best.score, session.score);
+        best.streak = Math.max(best.streak, session.bestStreak || 0);
+        const answered = session.answers.length || getCorrectQuestions(session) + session.errors;
+        if (answered < PERSONAL_BEST_MIN_ANSWERS) return;
+
+        const accuracy = getSessionAccuracy(session);
+        if (best.accuracy === null || accuracy > best.accuracy) best.accuracy = accuracy;
+        const avgMs = getAverageReactionMs([session]);
+        if (avgMs !== null && (best.avgMs === null || avgMs < best.avgMs)) best.avgMs = avgMs;
+    });
+    return bests;
+}
+
+function formatDuration(ms) {
+    const minutes = Math.floor(ms / 60000);
+    const seconds = Math.round((ms % 60000) / 1000);
+    if (minutes >= 60) return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+}
+
+function formatPercent(ratio) {
+    return ratio === null ? '-' : `${Math.round(ratio * 100)}%`;
+}
+
+function formatSeconds(ms) {
+    return ms === null ? '-' : `${(ms / 1000).toFixed(1)}s`;
 }
 
 /* ========================================
-   UI RENDERING FUNCTIONS
+   SESSION FORMATS
    ======================================== */
-function renderMenu() {
-    const app = document.getElementById('app');
-    app.innerHTML = `
-        <div class="menu-screen">
-            <h1 class="title">Guitar Fretboard Memorizer</h1>
-            <p class="subtitle">Master the neck, one note at a time.</p>
-            <div class="menu-content">
-                <div class="menu-modes">
-                    <div class="mode-cards">
-                        <div class="mode-card" id="singleNoteMode">
-                            <h2>Single Note</h2>
-                            <p>Find random notes on the fretboard and build your muscle memory.</p>
-                        </div>
-                        <div class="mode-card" id="findAllMode">
-                            <h2>Find All Instances</h2>
-                            <p>Locate every position of a specific note across the entire neck.</p>
-                        </div>
-                        <div class="mode-card" id="triadsMode">
-                            <h2>Chord Triads</h2>
-                            <p>Click all three notes of a chord triad to score a point.</p>
-                        </div>
-                    </div>
-                </div>
-                <div class="menu-settings">
-                    <h2 class="settings-title">Settings</h2>
-                    <div class="view-toggle-container">
-                        <label class="view-toggle-label">
-                            <span class="view-toggle-text">View Mode:</span>
-                            <div class="view-toggle-switch">
-                                <input type="checkbox" id="viewModeToggle" ${state.viewMode === '3d' ? 'checked' : ''}>
-                                <span class="toggle-slider">
-                                    <span class="toggle-label-left">2D</span>
-                                    <span class="toggle-label-right">3D</span>
-                                </span>
-                            </div>
-                        </label>
-                    </div>
-                    <div class="view-toggle-container">
-                        <label class="view-toggle-label">
-                            <span class="view-toggle-text">3D Model Quality:</span>
-                            <div class="view-toggle-switch">
-                                <input type="checkbox" id="modelQualityToggle" ${state.modelQuality === 'high' ? 'checked' : ''}>
-                                <span class="toggle-slider">
-                                    <span class="toggle-label-left">Low</span>
-                                    <span class="toggle-label-right">High</span>
-                                </span>
-                            </div>
-                        </label>
-                    </div>
-                    <div class="time-limit-container">
-                        <label class="time-limit-label">
-                            <div class="view-toggle-container" style="width: 100%; justify-content: flex-start;">
-                                <label class="view-toggle-label">
-                                    <span class="view-toggle-text">Time Limit:</span>
-                                    <div class="view-toggle-switch">
-                                        <input type="checkbox" id="enableTimeLimitToggle" ${state.enableTimeLimit ? 'checked' : ''}>
-                                        <span class="toggle-slider">
-                                            <span class="toggle-label-left">Off</span>
-                                            <span class="toggle-label-right">On</span>
-                                        </span>
-                                    </div>
-                                </label>
-                            </div>
-                            <div class="time-limit-control" id="timeLimitControl" style="display: ${state.enableTimeLimit ? 'flex' : 'none'};">
-                                <input type="range" id="timeLimitSlider" min="1" max="10" value="${state.timeLimit > 0 ? state.timeLimit : 1}" step="1">
-                                <span class="time-limit-value" id="timeLimitValue">${state.timeLimit > 0 ? `${state.timeLimit}s` : '1s'}</span>
-                            </div>
-                        </label>
-                    </div>
-                    <div class="disabled-frets-container">
-                        <label class="disabled-frets-label">
-                            <div class="view-toggle-container" style="width: 100%; justify-content: flex-start;">
-                                <label class="view-toggle-label">
-                                    <span class="view-toggle-text">Disable Frets:</span>
-                                    <div class="view-toggle-switch">
-                                        <input type="checkbox" id="enableDisabledFretsToggle" ${state.enableDisabledFrets ? 'checked' : ''}>
-                                        <span class="toggle-slider">
-                                            <span class="toggle-label-left">Off</span>
-                                            <span class="toggle-label-right">On</span>
-                                        </span>
-                                    </div>
-                                </label>
-                            </div>
-                            <div class="disabled-frets-controls" id="disabledFretsControls" style="display: ${state.enableDisabledFrets ? 'flex' : 'none'};">
-                                <div class="disabled-frets-range">
-                                    <label class="range-label">
-                                        <span>From:</span>
-                                        <input type="range" id="disabledFretStart" min="1" max="${NUM_FRETS - 1}" value="${state.disabledFrets.length > 0 ? Math.min(...state.disabledFrets) : 1}" step="1">
-                                        <span class="range-value" id="disabledFretStartValue">${state.disabledFrets.length > 0 ? Math.min(...state.disabledFrets) : 1}</span>
-                                    </label>
-                                    <label class="range-label">
-                                        <span>To:</span>
-                                        <input type="range" id="disabledFretEnd" min="1" max="${NUM_FRETS - 1}" value="${state.disabledFrets.length > 0 ? Math.max(...state.disabledFrets) : 1}" step="1">
-                                        <span class="range-value" id="disabledFretEndValue">${state.disabledFrets.length > 0 ? Math.max(...state.disabledFrets) : 1}</span>
-                                    </label>
-                                </div>
-                            </div>
-                        </label>
-                    </div>
-                </div>
-            </div>
-        </div>
-    `;
+// How a game ends: after a number of questions, when a sprint runs out, or after a number
+// of mistakes. Endless games only end on Exit.
+const SESSION_FORMATS = {
+    endless: { name: 'Endless' },
+    questions: { name: '20 Questions', questions: 20 },
+    sprint: { name: '60-Second Sprint', seconds: 60 },
+    mistakes: { name: 'Until 3 Mistakes', mistakes: 3 }
+};
+// Time the last answer's feedback stays up before the results screen
+const SESSION_END_DELAY = 1200;
 
-    // Setup view mode toggle
-    const viewToggle = document.getElementById('viewModeToggle');
-    viewToggle.addEventListener('change', (e) => {
-        state.viewMode = e.target.checked ? '3d' : '2d';
-        saveSettingsToCookies();
-    });
+let sessionTimer = null; // Interval counting down a sprint
 
-    // Setup model quality toggle
-    const modelQualityToggle = document.getElementById('modelQualityToggle');
-    modelQualityToggle.addEventListener('change', (e) => {
-        state.modelQuality = e.target.checked ? 'high' : 'low';
-        saveSettingsToCookies();
-    });
+function getSessionFormat() {
+    return SESSION_FORMATS[state.sessionFormat] || SESSION_FORMATS.endless;
+}
 
-    // Setup time limit toggle
-    const enableTimeLimitToggle = document.getElementById('enableTimeLimitToggle');
-    if (enableTimeLimitToggle) {
-        enableTimeLimitToggle.addEventListener('change', (e) => {
-            state.enableTimeLimit = e.target.checked;
-            
-            const timeLimitControl = document.getElementById('timeLimitControl');
-            if (timeLimitControl) {
-                timeLimitControl.style.display = state.enableTimeLimit ? 'flex' : 'none';
-            }
-            
-            if (!state.enableTimeLimit) {
-                // If toggle is off, disable time limit
-                state.timeLimit = 0;
-            } else {
-                // If toggle is on, set default time limit if it's 0
-                if (state.timeLimit === 0) {
-                    state.timeLimit = 1;
-                    const timeLimitSlider = document.getElementById('timeLimitSlider');
-                    const timeLimitValue = document.getElementById('timeLimitValue');
-                    if (timeLimitSlider) timeLimitSlider.value = 1;
-                    if (timeLimitValue) timeLimitValue.textContent = '1s';
-                }
-            }
-            saveSettingsToCookies();
-        });
+/**
+ * Count a question as done (answered or timed out) and end a fixed-length game after the last one
+ */
+function completeQuestion() {
+    state.questionsCompleted += 1;
+    updateSessionProgress();
+    const format = getSessionFormat();
+    if (format.questions && state.questionsCompleted >= format.questions) {
+        finishSession();
     }
+}
 
-    // Setup time limit slider
-    const timeLimitSlider = document.getElementById('timeLimitSlider');
-    const timeLimitValue = document.getElementById('timeLimitValue');
-    if (timeLimitSlider && timeLimitValue) {
-        timeLimitSlider.addEventListener('input', (e) => {
-            if (!state.enableTimeLimit) return;
-            
-            const value = parseInt(e.target.value);
-            state.timeLimit = value;
-            timeLimitValue.textContent = `${value}s`;
-            saveSettingsToCookies();
-        });
+function clearSessionTimer() {
+    if (sessionTimer) {
+        clearInterval(sessionTimer);
+        sessionTimer = null;
     }
+}
 
-    // Setup disabled frets toggle
-    const enableDisabledFretsToggle = document.getElementById('enableDisabledFretsToggle');
-    if (enableDisabledFretsToggle) {
-        enableDisabledFretsToggle.addEventListener('change', (e) => {
-            state.enableDisabledFrets = e.target.checked;
-            
-            const disabledFretsControls = document.getElementById('disabledFretsControls');
-            if (disabledFretsControls) {
-                disabledFretsControls.style.display = state.enableDisabledFrets ? 'flex' : 'none';
-            }
-            
-            if (!state.enableDisabledFrets) {
-                // If toggle is off, enable all frets (clear disabled frets)
-                state.disabledFrets = [];
+/**
+ * Reset the question count for a new game, and start the clock of a sprint
+ */
+function startSessionFormat() {
+    clearSessionTimer();
+    state.questionsCompleted = 0;
+    state.sessionFinished = false;
+
+    const format = getSessionFormat();
+    if (format.seconds) {
+        state.sprintEndsAt = Date.now() + format.seconds * 1000;
+        sessionTimer = setInterval(() => {
+            updateSessionProgress();
+            if (Date.now() >= state.sprintEndsAt) {
+                finishSession();
             }
-            saveSettingsToCookies();
-        });
+        }, 1000);
     }
+}
 
-    // Setup disabled frets controls
-    const disabledFretStart = document.getElementById('disabledFretStart');
-    const disabledFretStartValue = document.getElementById('disabledFretStartValue');
-    const disabledFretEnd = document.getElementById('disabledFretEnd');
-    const disabledFretEndValue = document.getElementById('disabledFretEndValue');
-
-    function updateDisabledFrets() {
-        if (!state.enableDisabledFrets) return;
-        
-        if (!disabledFretStart || !disabledFretEnd) return;
-        
-        const start = parseInt(disabledFretStart.value);
-        const end = parseInt(disabledFretEnd.value);
-        const minFret = Math.min(start, end);
-        const maxFret = Math.max(start, end);
-        
-        state.disabledFrets = [];
-        for (let i = minFret; i <= maxFret; i++) {
-            state.disabledFrets.push(i);
-        }
-        
-        if (disabledFretStartValue) disabledFretStartValue.textContent = start;
-        if (disabledFretEndValue) disabledFretEndValue.textContent = end;
-        saveSettingsToCookies();
+/**
+ * Header text for the current game's format (empty for endless games)
+ */
+function getSessionProgressText() {
+    const format = getSessionFormat();
+    if (format.questions) {
+        return `Question ${Math.min(state.questionsCompleted + 1, format.questions)} / ${format.questions}`;
     }
-
-    if (disabledFretStart) {
-        disabledFretStart.addEventListener('input', updateDisabledFrets);
+    if (format.seconds) {
+        return `Sprint: ${Math.max(0, Math.ceil((state.sprintEndsAt - Date.now()) / 1000))}s`;
     }
-    if (disabledFretEnd) {
-        disabledFretEnd.addEventListener('input', updateDisabledFrets);
+    if (format.mistakes) {
+        return `Mistakes: ${state.errors} / ${format.mistakes}`;
     }
-    
-    // Initialize disabled frets display
-    if (state.enableDisabledFrets) {
-        updateDisabledFrets();
+    return '';
+}
+
+function updateSessionProgress() {
+    const progressElement = document.querySelector('.session-progress');
+    if (progressElement) {
+        progressElement.textContent = getSessionProgressText();
     }
+}
 
-    document.getElementById('singleNoteMode').addEventListener('click', startSingleNoteGame);
-    document.getElementById('findAllMode').addEventListener('click', startFindAllGame);
-    document.getElementById('triadsMode').addEventListener('click', startTriadsGame);
+/**
+ * End a fixed-length game: stop the clocks, block further answers and show the results
+ * once the last answer's feedback has been seen
+ */
+function finishSession() {
+    if (state.sessionFinished) return;
+    state.sessionFinished = true;
+    clearTimer();
+    clearSessionTimer();
+
+    const gameScreen = document.querySelector('.game-screen');
+    if (gameScreen) {
+        gameScreen.insertAdjacentHTML('beforeend', '<div class="session-end-overlay"></div>');
+    }
+
+    const gameMode = state.currentScreen;
+    setTimeout(() => {
+        // Skip if the player left the game in the meantime
+        if (state.currentScreen !== gameMode) return;
+        const session = endSession();
+        state.currentScreen = 'sessionResults';
+        state.showSolution = false;
+        cleanupThreeJS();
+        renderSessionResults(session);
+    }, SESSION_END_DELAY);
+}
+
+/**
+ * Results of a finished game: accuracy, reaction times, missed items and a retry button
+ */
+function renderSessionResults(session) {
+    const app = document.getElementById('app');
+    const mode = GAME_MODES[session.mode];
+    const answerTimes = session.questionTimes.map(time => time.ms / time.answers);
+
+    // Missed notes with how often each was missed, and the positions answered wrongly
+    const missedNoteCounts = {};
+    session.missedNotes.forEach(note => {
+        missedNoteCounts[note] = (missedNoteCounts[note] || 0) + 1;
+    });
+    const wrongPositions = [];
+    session.answers.filter(answer => !answer.correct).forEach(answer => {
+        if (!wrongPositions.some(position => position.string === answer.string && position.fret === answer.fret)) {
+            wrongPositions.push(answer);
+        }
+    });
+
+    app.innerHTML = `
+        <div class="menu-screen statistics-screen">
+            <button class="exit-btn" id="exitBtn">← Menu</button>
+            <h1 class="title">Session Complete</h1>
+            <p class="subtitle">${mode.name} - ${getSessionFormat().name}</p>
+            <div class="results-grid">
+                <div class="results-item"><span class="results-value">${session.score}</span><span class="results-label">Score</span></div>
+                <div class="results-item"><span class="results-value">${formatPercent(getSessionAccuracy(session))}</span><span class="results-label">Accuracy</span></div>
+                <div class="results-item"><span class="results-value">${formatSeconds(getAverageReactionMs([session]))}</span><span class="results-label">Average Time</span></div>
+                <div class="results-item"><span class="results-value">${formatSeconds(answerTimes.length > 0 ? Math.min(...answerTimes) : null)}</span><span class="results-label">Best Time</span></div>
+                <div class="results-item"><span class="results-value">${session.bestStreak}</span><span class="results-label">Best Streak</span></div>
+                <div class="results-item"><span class="results-value">${session.questions}</span><span class="results-label">Questions</span></div>
+                <div class="results-item"><span class="results-value">${session.errors}</span><span class="results-label">Errors</span></div>
+                <div class="results-item"><span class="results-value">${formatDuration(session.duration)}</span><span class="results-label">Duration</span></div>
+            </div>
+            <div class="stats-section">
+                <h2 class="stats-heading">Missed</h2>
+                ${Object.keys(missedNoteCounts).length === 0 && wrongPositions.length === 0 ? `
+                    <p class="stats-empty">Nothing missed - well played!</p>
+                ` : `
+                    <div class="results-missed">
+                        ${Object.entries(missedNoteCounts).map(([note, count]) => `
+                            <span class="results-missed-item">${getDisplayNoteName(note)}${count > 1 ? ` ×${count}` : ''}</span>
+                        `).join('')}
+                        ${wrongPositions.map(position => `
+                            <span class="results-missed-item">${formatStringName(position.string)}, fret ${position.fret}</span>
+                        `).join('')}
+                    </div>
+                `}
+            </div>
+            <button class="start-game-btn" id="retryBtn">Retry Same Settings</button>
+        </div>
+    `;
+
+    document.getElementById('exitBtn').addEventListener('click', () => {
+        state.currentScreen = 'menu';
+        renderMenu();
+    });
+
+    document.getElementById('retryBtn').addEventListener('click', () => {
+        mode.start();
+    });
 }
 
 /* ========================================
-   THREE.JS SETUP AND MODEL LOADING
+   SCORING
    ======================================== */
+// A question earns SCORE_MAX_POINTS when its answers take SCORE_FAST_ANSWER_MS or less
+// each, falling to SCORE_MIN_POINTS at SCORE_SLOW_ANSWER_MS, so scores compare across modes
+const SCORE_MAX_POINTS = 100;
+const SCORE_MIN_POINTS = 10;
+const SCORE_FAST_ANSWER_MS = 1000;
+const SCORE_SLOW_ANSWER_MS = 4000;
+// Every STREAK_STEP correct questions in a row raise the multiplier by STREAK_MULTIPLIER_STEP
+const STREAK_STEP = 5;
+const STREAK_MULTIPLIER_STEP = 0.5;
+const MAX_STREAK_MULTIPLIER = 3;
+// Points lost for a mistake (or time-out) and for revealing the solution
+const ERROR_PENALTY = 25;
+const SOLUTION_PENALTY = 50;
 
-// Default camera settings
-const DEFAULT_CAMERA_POSITION = new THREE.Vector3(-2.123, 1.330, 1.006);
-const DEFAULT_CAMERA_TARGET = new THREE.Vector3(-1.522, -0.597, 0.039);
+/**
+ * Reset the streak for a new game
+ */
+function startScoring() {
+    state.streak = 0;
+    state.bestStreak = 0;
+}
 
-function initThreeJS(container) {
-    try {
-        // Create scene
-        scene = new THREE.Scene();
-        scene.background = new THREE.Color(0x1a1a1a);
+function getStreakMultiplier() {
+    return Math.min(MAX_STREAK_MULTIPLIER, 1 + STREAK_MULTIPLIER_STEP * Math.floor(state.streak / STREAK_STEP));
+}
 
-        // Create camera
-        camera = new THREE.PerspectiveCamera(
-            45,
-            container.clientWidth / container.clientHeight,
-            0.1,
-            1000
-        );
-        // Set default camera position
-        camera.position.copy(DEFAULT_CAMERA_POSITION);
-        // Camera will look at controls.target which is set below
-        
-        // Debug: Log initial camera parameters
-        const initialDistance = camera.position.length();
-        
-        // Calculate spherical coordinates for reference
-        const initialSpherical = new THREE.Spherical();
-        initialSpherical.setFromVector3(camera.position);
+/**
+ * Points for the question being scored, from its average time per correct answer
+ */
+function getReactionPoints() {
+    const msPerAnswer = getQuestionMs() / Math.max(1, questionClock.answers);
+    const slowness = (msPerAnswer - SCORE_FAST_ANSWER_MS) / (SCORE_SLOW_ANSWER_MS - SCORE_FAST_ANSWER_MS);
+    return Math.round(SCORE_MAX_POINTS - (SCORE_MAX_POINTS - SCORE_MIN_POINTS) * Math.max(0, Math.min(1, slowness)));
+}
 
-        // Create renderer
-        try {
-            renderer = new THREE.WebGLRenderer({ antialias: true });
-        } catch (e) {
-            // Try without antialias if that was the issue, though unlikely for this specific error
-            try {
-                renderer = new THREE.WebGLRenderer({ antialias: false });
-            } catch (e2) {
-                return false;
-            }
-        }
+/**
+ * Score a completed question: reaction-time points times the streak multiplier. A question
+ * answered with the solution showing earns nothing and ends the streak. Call it once, when
+ * the whole question is done; the steps before that (a string of a fret column, a chord of
+ * a progression, the quality before finding a chord) don't score.
+ */
+function scoreQuestion() {
+    recordQuestionTime();
+    if (currentSession) currentSession.correctQuestions += 1;
+    if (state.showSolution) {
+        state.streak = 0;
+    } else {
+        state.streak += 1;
+        state.bestStreak = Math.max(state.bestStreak, state.streak);
+        state.score += Math.round(getReactionPoints() * getStreakMultiplier());
+    }
+    updateScoreDisplay();
+    updateStreakDisplay();
+    completeQuestion();
+}
 
-        renderer.setSize(container.clientWidth, container.clientHeight);
-        renderer.setPixelRatio(window.devicePixelRatio);
-        renderer.shadowMap.enabled = true;
-        renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-        container.appendChild(renderer.domElement);
+/**
+ * Count a mistake: it costs points and ends the streak, and ends an "until N mistakes"
+ * game on the last one
+ */
+function addError() {
+    state.errors += 1;
+    state.score = Math.max(0, state.score - ERROR_PENALTY);
+    state.streak = 0;
+    updateScoreDisplay();
+    updateErrorsDisplay();
+    updateStreakDisplay();
+    updateSessionProgress();
+    const format = getSessionFormat();
+    if (format.mistakes && state.errors >= format.mistakes) {
+        finishSession();
+    }
+}
 
-        // Add lighting
-        const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
-        scene.add(ambientLight);
+/**
+ * Revealing the solution costs points and ends the streak
+ */
+function penalizeSolution() {
+    state.score = Math.max(0, state.score - SOLUTION_PENALTY);
+    state.streak = 0;
+    updateScoreDisplay();
+    updateStreakDisplay();
+}
 
-        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-        directionalLight.position.set(2, 4, 3);
-        directionalLight.castShadow = true;
-        directionalLight.shadow.mapSize.width = 2048;
-        directionalLight.shadow.mapSize.height = 2048;
-        scene.add(directionalLight);
+function getStreakText() {
+    const multiplier = getStreakMultiplier();
+    return `Streak: ${state.streak}${multiplier > 1 ? ` (×${multiplier})` : ''}`;
+}
 
-        const fillLight = new THREE.DirectionalLight(0x6699ff, 0.3);
-        fillLight.position.set(-2, 2, -3);
-        scene.add(fillLight);
+function updateStreakDisplay() {
+    const streakElement = document.querySelector('.streak');
+    if (streakElement) {
+        streakElement.textContent = getStreakText();
+    }
+}
 
-        // Setup OrbitControls
-        controls = new OrbitControls(camera, renderer.domElement);
-        controls.enableDamping = true;
-        controls.dampingFactor = 0.05;
-        controls.minDistance = 0.1; // Closer zoom for better fret visibility
-        controls.maxDistance = 10; // Further zoom out
-        controls.zoomSpeed = 1.2; // Faster zoom speed
-        // Allow more vertical rotation to see strings when guitar is rotated
-        controls.maxPolarAngle = Math.PI * 0.85; // ~153 degrees - allows looking down more
-        controls.minPolarAngle = Math.PI * 0.15; // ~27 degrees - prevents looking from below
-        controls.target.copy(DEFAULT_CAMERA_TARGET);
-        camera.lookAt(controls.target); // Make sure camera looks at target
-        // Set rotation based on state (default: false, so rotation disabled)
-        controls.enableRotate = state.rotationEnabled;
-        controls.update();
-        
-        // Get current spherical coordinates from controls
-        const controlsSpherical = new THREE.Spherical();
-        controlsSpherical.setFromVector3(
-            camera.position.clone().sub(controls.target)
-        );
-        
-        // Throttle logging to avoid console spam (log max once per second)
-        let lastLogTime = 0;
-        const logThrottle = 1000; // 1 second
-        let movementTimeout = null;
-        
-        // Adjust camera to keep strings visible when rotating the guitar
-        // When viewing from behind (snaren van je af), automatically adjust camera angle
-        controls.addEventListener('change', () => {
-            // Get current camera position relative to target
-            const direction = new THREE.Vector3();
-            direction.subVectors(camera.position, controls.target);
-            const distance = direction.length();
-            
-            // Get spherical coordinates
-            const spherical = new THREE.Spherical();
-            spherical.setFromVector3(direction);
-            
-            // Normalize azimuth to 0-2PI (0 = front, PI = back)
-            let azimuth = spherical.theta;
-            if (azimuth < 0) azimuth += Math.PI * 2;
-            
-            // Store current camera state for easy access
-            window._lastCameraState = {
-                position: { x: camera.position.x, y: camera.position.y, z: camera.position.z },
-                target: { x: controls.target.x, y: controls.target.y, z: controls.target.z },
-                distance: distance,
-                spherical: { radius: spherical.radius, theta: spherical.theta, phi: spherical.phi },
-                azimuth: azimuth,
-                azimuthDegrees: azimuth * 180 / Math.PI,
-                polar: spherical.phi,
-                polarDegrees: spherical.phi * 180 / Math.PI
-            };
-            
-            // Clear existing timeout
-            if (movementTimeout) {
-                clearTimeout(movementTimeout);
+/* ========================================
+   STATISTICS SCREEN
+   ======================================== */
+function renderStatisticsTrend(title, trend, formatLabel) {
+    return `
+        <div class="stats-section">
+            <h2 class="stats-heading">${title}</h2>
+            <div class="stats-trend">
+                ${trend.map(bucket => `
+                    <div class="stats-trend-row ${bucket.sessions === 0 ? 'empty' : ''}">
+                        <span class="stats-trend-label">${formatLabel(new Date(bucket.start))}</span>
+                        <div class="stats-trend-bar"><div style="width: ${Math.round((bucket.accuracy || 0) * 100)}%"></div></div>
+                        <span class="stats-trend-value">${formatPercent(bucket.accuracy)}</span>
+                        <span class="stats-trend-value">${formatSeconds(bucket.avgMs)}</span>
+                        <span class="stats-trend-value">${bucket.sessions > 0 ? formatDuration(bucket.duration) : '-'}</span>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+function renderStatistics() {
+    const app = document.getElementById('app');
+    const overall = summarizeSessions(sessionHistory);
+    const bests = getPersonalBests();
+    const formatDay = date => date.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+    const formatWeek = date => `Week of ${date.toLocaleDateString(undefined, { day: 'numeric', month: 'short' })}`;
+
+    // Accuracy per note comes from the practice memory, which every mode feeds
+    const noteStats = NOTES.map(note => {
+        const item = practiceMemory.notes[note];
+        return item && item.attempts > 0
+            ? { note, cell: { answers: item.attempts, errors: item.attempts - item.correct, avgMs: item.avgMs } }
+            : { note, cell: null };
+    });
+
+    app.innerHTML = `
+        <div class="menu-screen statistics-screen">
+            <button class="exit-btn" id="exitBtn">← Back</button>
+            <h1 class="title">Statistics</h1>
+            <p class="subtitle">${overall.sessions} session${overall.sessions === 1 ? '' : 's'}, ${overall.answers} answers, ${formatDuration(overall.duration)} played</p>
+            ${overall.sessions === 0 ? `
+                <p class="stats-empty">Play a game and exit it to start your history.</p>
+            ` : `
+                <div class="stats-columns">
+                    ${renderStatisticsTrend('Last 14 Days', getSessionTrend('day', 14), formatDay)}
+                    ${renderStatisticsTrend('Last 8 Weeks', getSessionTrend('week', 8), formatWeek)}
+                </div>
+                <div class="stats-section">
+                    <h2 class="stats-heading">Personal Bests</h2>
+                    <table class="stats-table">
+                        <tr><th>Mode</th><th>Sessions</th><th>Best Score</th><th>Best Streak</th><th>Best Accuracy</th><th>Fastest Average</th></tr>
+                        ${Object.entries(bests).map(([mode, best]) => `
+                            <tr>
+                                <td>${GAME_MODES[mode].name}</td>
+                                <td>${best.sessions}</td>
+                                <td>${best.score}</td>
+                                <td>${best.streak}</td>
+                                <td>${formatPercent(best.accuracy)}</td>
+                                <td>${formatSeconds(best.avgMs)}</td>
+                            </tr>
+                        `).join('')}
+                    </table>
+                </div>
+            `}
+            <div class="stats-section">
+                <h2 class="stats-heading">Accuracy per Note</h2>
+                <div class="stats-notes">
+                    ${noteStats.map(({ note, cell }) => `
+                        <div class="stats-note" ${cell ? `style="border-color: rgb(${getHeatRGB(cell).join(', ')})" title="${formatHeatmapCell(cell)}"` : ''}>
+                            <span class="stats-note-name">${getDisplayNoteName(note)}</span>
+                            <span class="stats-note-value">${cell ? formatPercent(1 - cell.errors / cell.answers) : '-'}</span>
+                            <span class="stats-note-time">${cell ? formatSeconds(cell.avgMs) : ''}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.getElementById('exitBtn').addEventListener('click', () => {
+        state.currentScreen = 'menu';
+        renderMenu();
+    });
+}
+
+/* ========================================
+   MUSIC THEORY CONSTANTS
+   ======================================== */
+const NOTES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NOTES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Natural note letters and their pitch classes, used to spell notes by letter
+const NOTE_LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Chord definitions (intervals above the root in semitones), triads first
+// degrees: letter steps above the root letter, so each chord tone gets its own letter
+// tones: chord tone labels shown on the progress chips
+const TRIAD_TYPES = {
+    major: { name: 'Major', intervals: [0, 4, 7], degrees: [0, 2, 4], tones: ['R', '3', '5'] },
+    minor: { name: 'Minor', intervals: [0, 3, 7], degrees: [0, 2, 4], tones: ['R', 'b3', '5'] },
+    diminished: { name: 'Diminished', intervals: [0, 3, 6], degrees: [0, 2, 4], tones: ['R', 'b3', 'b5'] },
+    augmented: { name: 'Augmented', intervals: [0, 4, 8], degrees: [0, 2, 4], tones: ['R', '3', '#5'] },
+    maj7: { name: 'Major 7th', intervals: [0, 4, 7, 11], degrees: [0, 2, 4, 6], tones: ['R', '3', '5', '7'] },
+    dom7: { name: 'Dominant 7th', intervals: [0, 4, 7, 10], degrees: [0, 2, 4, 6], tones: ['R', '3', '5', 'b7'] },
+    m7: { name: 'Minor 7th', intervals: [0, 3, 7, 10], degrees: [0, 2, 4, 6], tones: ['R', 'b3', '5', 'b7'] },
+    m7b5: { name: 'Minor 7th Flat 5', intervals: [0, 3, 6, 10], degrees: [0, 2, 4, 6], tones: ['R', 'b3', 'b5', 'b7'] },
+    dim7: { name: 'Diminished 7th', intervals: [0, 3, 6, 9], degrees: [0, 2, 4, 6], tones: ['R', 'b3', 'b5', 'bb7'] },
+    sus2: { name: 'Sus2', intervals: [0, 2, 7], degrees: [0, 1, 4], tones: ['R', '2', '5'] },
+    sus4: { name: 'Sus4', intervals: [0, 5, 7], degrees: [0, 3, 4], tones: ['R', '4', '5'] },
+    add9: { name: 'Add9', intervals: [0, 4, 7, 2], degrees: [0, 2, 4, 1], tones: ['R', '3', '5', '9'] },
+    major6: { name: 'Major 6th', intervals: [0, 4, 7, 9], degrees: [0, 2, 4, 5], tones: ['R', '3', '5', '6'] }
+};
+
+// Triad voicing drill: chord types that have inversions, inversion names by the chord tone
+// in the bass (0 = root, 1 = 3rd, 2 = 5th) and the names of those chord tones
+const VOICING_TRIAD_TYPES = ['major', 'minor', 'diminished', 'augmented'];
+const INVERSION_NAMES = ['Root position', '1st inversion', '2nd inversion'];
+const CHORD_TONE_NAMES = ['root', '3rd', '5th'];
+
+// Scale definitions (intervals above the root in semitones)
+// degrees: letter steps above the root letter, so scales are spelled by key like chords
+const SEVEN_NOTE_DEGREES = [0, 1, 2, 3, 4, 5, 6];
+const SCALE_TYPES = {
+    major: { name: 'Major (Ionian)', intervals: [0, 2, 4, 5, 7, 9, 11], degrees: SEVEN_NOTE_DEGREES },
+    naturalMinor: { name: 'Natural Minor (Aeolian)', intervals: [0, 2, 3, 5, 7, 8, 10], degrees: SEVEN_NOTE_DEGREES },
+    harmonicMinor: { name: 'Harmonic Minor', intervals: [0, 2, 3, 5, 7, 8, 11], degrees: SEVEN_NOTE_DEGREES },
+    melodicMinor: { name: 'Melodic Minor', intervals: [0, 2, 3, 5, 7, 9, 11], degrees: SEVEN_NOTE_DEGREES },
+    dorian: { name: 'Dorian', intervals: [0, 2, 3, 5, 7, 9, 10], degrees: SEVEN_NOTE_DEGREES },
+    phrygian: { name: 'Phrygian', intervals: [0, 1, 3, 5, 7, 8, 10], degrees: SEVEN_NOTE_DEGREES },
+    lydian: { name: 'Lydian', intervals: [0, 2, 4, 6, 7, 9, 11], degrees: SEVEN_NOTE_DEGREES },
+    mixolydian: { name: 'Mixolydian', intervals: [0, 2, 4, 5, 7, 9, 10], degrees: SEVEN_NOTE_DEGREES },
+    locrian: { name: 'Locrian', intervals: [0, 1, 3, 5, 6, 8, 10], degrees: SEVEN_NOTE_DEGREES },
+    majorPentatonic: { name: 'Major Pentatonic', intervals: [0, 2, 4, 7, 9], degrees: [0, 1, 2, 4, 5] },
+    minorPentatonic: { name: 'Minor Pentatonic', intervals: [0, 3, 5, 7, 10], degrees: [0, 2, 3, 4, 6] },
+    blues: { name: 'Blues', intervals: [0, 3, 5, 6, 7, 10], degrees: [0, 2, 3, 4, 4, 6] }
+};
+
+// Width of the fret window the scale and arpeggio modes ask for, in frets
+const PRACTICE_WINDOW_FRETS = 5;
+
+// CAGED chord shapes as open chord templates in standard tuning: fret per string from high E
+// to low E (null = string not played). Each shape is named after its open chord root, and
+// is moved up the neck to play other roots.
+const CAGED_SHAPES = {
+    major: {
+        C: [0, 1, 0, 2, 3, null],
+        A: [0, 2, 2, 2, 0, null],
+        G: [3, 0, 0, 0, 2, 3],
+        E: [0, 0, 1, 2, 2, 0],
+        D: [2, 3, 2, 0, null, null]
+    },
+    minor: {
+        C: [3, 1, 0, 1, 3, null],
+        A: [0, 1, 2, 2, 0, null],
+        G: [3, 3, 0, 0, 1, 3],
+        E: [0, 0, 0, 2, 2, 0],
+        D: [1, 3, 2, 0, null, null]
+    }
+};
+
+// Intervals up to an octave, by size in semitones
+// degree: letter steps between the two notes, so the answer is spelled from the reference
+const INTERVALS = {
+    m2: { name: 'Minor 2nd', semitones: 1, degree: 1 },
+    M2: { name: 'Major 2nd', semitones: 2, degree: 1 },
+    m3: { name: 'Minor 3rd', semitones: 3, degree: 2 },
+    M3: { name: 'Major 3rd', semitones: 4, degree: 2 },
+    P4: { name: 'Perfect 4th', semitones: 5, degree: 3 },
+    TT: { name: 'Tritone', semitones: 6, degree: 3 },
+    P5: { name: 'Perfect 5th', semitones: 7, degree: 4 },
+    m6: { name: 'Minor 6th', semitones: 8, degree: 5 },
+    M6: { name: 'Major 6th', semitones: 9, degree: 5 },
+    m7: { name: 'Minor 7th', semitones: 10, degree: 6 },
+    M7: { name: 'Major 7th', semitones: 11, degree: 6 },
+    P8: { name: 'Octave', semitones: 12, degree: 7 }
+};
+
+// Chord progressions by Roman numeral (uppercase = major, lowercase = minor, ° = diminished,
+// + = augmented, 7 / maj7 / ø7 / °7 = seventh chords, b / # = borrowed roots)
+const PROGRESSIONS = {
+    oneFourFive: { numerals: ['I', 'IV', 'V'] },
+    twoFiveOne: { numerals: ['ii', 'V', 'I'] },
+    fiftiesProgression: { numerals: ['I', 'vi', 'IV', 'V'] }
+};
+
+// Semitones above the key root of each scale degree of the major scale
+const MAJOR_SCALE_STEPS = [0, 2, 4, 5, 7, 9, 11];
+
+// Diatonic chords of major and (natural) minor keys, by scale degree
+const DIATONIC_CHORDS = {
+    major: { name: 'Major', scale: 'major', numerals: ['I', 'ii', 'iii', 'IV', 'V', 'vi', 'vii°'] },
+    minor: { name: 'Minor', scale: 'naturalMinor', numerals: ['i', 'ii°', 'III', 'iv', 'v', 'VI', 'VII'] }
+};
+
+// Chord qualities of diatonic triads, offered as answers in the diatonic harmony quiz
+const DIATONIC_QUALITIES = ['major', 'minor', 'diminished'];
+
+const DEGREE_ORDINALS = ['1st', '2nd', '3rd', '4th', '5th', '6th', '7th'];
+
+// Counting words for octave shape names ("two strings higher, three frets up the neck")
+const COUNT_WORDS = ['no', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve'];
+
+// How far (in frets) from the middle of the previous chord the next chord of a progression
+// may be placed
+const PROGRESSION_REACH_FRETS = 4;
+
+// Shorthand for an open string in the tuning tables below
+function openString(note, octave) {
+    return { note, octave };
+}
+
+// Fret counts offered in the neck settings
+const FRET_COUNT_OPTIONS = [19, 20, 21, 22, 24];
+
+// Scale lengths (nut to bridge saddle) offered in the neck settings
+const SCALE_LENGTHS = {
+    gibson: { name: '24.75" (Gibson)', inches: 24.75 },
+    fender: { name: '25.5" (Fender)', inches: 25.5 },
+    bass: { name: '34" (Bass)', inches: 34 }
+};
+
+// The neck of the 3D model (Gibson 335); other necks get calculated fret positions
+const MODEL_NECK = { frets: 22, scaleLength: 'gibson' };
+
+// Instrument profiles: string count, tuning presets (strings listed from high to low,
+// top to bottom in display), octaves offered in the tuning editor, default fret count
+// and default scale length
+const INSTRUMENT_PROFILES = {
+    guitar6: {
+        name: '6-String Guitar',
+        frets: 22,
+        scaleLength: 'gibson',
+        octaveRange: { min: 1, max: 5 },
+        tunings: {
+            standard: {
+                name: 'E Standard',
+                strings: [openString('E', 4), openString('B', 3), openString('G', 3), openString('D', 3), openString('A', 2), openString('E', 2)]
+            },
+            dropD: {
+                name: 'Drop D',
+                strings: [openString('E', 4), openString('B', 3), openString('G', 3), openString('D', 3), openString('A', 2), openString('D', 2)]
+            },
+            dStandard: {
+                name: 'D Standard',
+                strings: [openString('D', 4), openString('A', 3), openString('F', 3), openString('C', 3), openString('G', 2), openString('D', 2)]
+            },
+            dadgad: {
+                name: 'DADGAD',
+                strings: [openString('D', 4), openString('A', 3), openString('G', 3), openString('D', 3), openString('A', 2), openString('D', 2)]
+            },
+            openG: {
+                name: 'Open G',
+                strings: [openString('D', 4), openString('B', 3), openString('G', 3), openString('D', 3), openString('G', 2), openString('D', 2)]
             }
-            
-            // Log camera state 500ms after user stops moving
-            movementTimeout = setTimeout(() => {
-                // Camera movement stopped - save to cookies
-                saveSettingsToCookies();
-            }, 500);
-            
-            // Check if we're looking from behind (azimuth between 90 and 270 degrees)
-            // This is when the strings are facing away from the camera
-            const isLookingFromBehind = azimuth > Math.PI / 2 && azimuth < (3 * Math.PI) / 2;
-            
-            // Current polar angle (0 = top, PI/2 = horizontal, PI = bottom)
-            let polar = spherical.phi;
-            
-            // When looking from behind, limit how far down we can look
-            // to keep the strings visible instead of seeing the bottom
-            if (isLookingFromBehind) {
-                // Limit polar angle to ~60 degrees (Math.PI * 0.33) when looking from behind
-                // This keeps the camera high enough to see the strings
-                const maxPolarWhenBehind = Math.PI * 0.33; // ~60 degrees
-                if (polar > maxPolarWhenBehind) {
-                    polar = maxPolarWhenBehind;
-                    spherical.phi = polar;
-                    
-                    // Update camera position with adjusted angle
-                    const newDirection = new THREE.Vector3();
-                    newDirection.setFromSpherical(spherical);
-                    newDirection.multiplyScalar(distance);
-                    camera.position.copy(controls.target).add(newDirection);
-                    camera.lookAt(controls.target);
-                }
+        }
+    },
+    guitar7: {
+        name: '7-String Guitar',
+        frets: 24,
+        scaleLength: 'fender',
+        octaveRange: { min: 1, max: 5 },
+        tunings: {
+            standard: {
+                name: 'B Standard',
+                strings: [openString('E', 4), openString('B', 3), openString('G', 3), openString('D', 3), openString('A', 2), openString('E', 2), openString('B', 1)]
+            },
+            dropA: {
+                name: 'Drop A',
+                strings: [openString('E', 4), openString('B', 3), openString('G', 3), openString('D', 3), openString('A', 2), openString('E', 2), openString('A', 1)]
             }
-        });
+        }
+    },
+    guitar8: {
+        name: '8-String Guitar',
+        frets: 24,
+        scaleLength: 'fender',
+        octaveRange: { min: 0, max: 5 },
+        tunings: {
+            standard: {
+                name: 'F# Standard',
+                strings: [openString('E', 4), openString('B', 3), openString('G', 3), openString('D', 3), openString('A', 2), openString('E', 2), openString('B', 1), openString('F#', 1)]
+            },
+            dropE: {
+                name: 'Drop E',
+                strings: [openString('E', 4), openString('B', 3), openString('G', 3), openString('D', 3), openString('A', 2), openString('E', 2), openString('B', 1), openString('E', 1)]
+            }
+        }
+    },
+    bass4: {
+        name: '4-String Bass',
+        frets: 20,
+        scaleLength: 'bass',
+        octaveRange: { min: 0, max: 3 },
+        tunings: {
+            standard: {
+                name: 'E Standard',
+                strings: [openString('G', 2), openString('D', 2), openString('A', 1), openString('E', 1)]
+            },
+            dropD: {
+                name: 'Drop D',
+                strings: [openString('G', 2), openString('D', 2), openString('A', 1), openString('D', 1)]
+            },
+            dStandard: {
+                name: 'D Standard',
+                strings: [openString('F', 2), openString('C', 2), openString('G', 1), openString('D', 1)]
+            }
+        }
+    },
+    bass5: {
+        name: '5-String Bass',
+        frets: 24,
+        scaleLength: 'bass',
+        octaveRange: { min: 0, max: 3 },
+        tunings: {
+            standard: {
+                name: 'B Standard',
+                strings: [openString('G', 2), openString('D', 2), openString('A', 1), openString('E', 1), openString('B', 0)]
+            },
+            highC: {
+                name: 'High C',
+                strings: [openString('C', 3), openString('G', 2), openString('D', 2), openString('A', 1), openString('E', 1)]
+            }
+        }
+    }
+};
 
-        // Setup raycaster for click detection
-        raycaster = new THREE.Raycaster();
-        mouse = new THREE.Vector2();
+// Active string tuning (from high to low, top to bottom in display)
+// Rebuilt by applyInstrumentSettings() whenever the instrument or tuning settings change
+let stringTuning = buildStringTuning(INSTRUMENT_PROFILES.guitar6.tunings.standard.strings);
 
-        // Setup debug tooltip for mouse hover
-        setupDebugTooltip();
-        
-        // Function to reset camera to default position with animation
-        window.resetCamera = function() {
-            if (!camera || !controls) {
-                return;
-            }
-            
-            const startPosition = camera.position.clone();
-            const startTarget = controls.target.clone();
-            const endPosition = DEFAULT_CAMERA_POSITION.clone();
-            const endTarget = DEFAULT_CAMERA_TARGET.clone();
-            
-            const duration = 1000; // 1 second animation
-            const startTime = Date.now();
-            
-            function animate() {
-                const elapsed = Date.now() - startTime;
-                const progress = Math.min(elapsed / duration, 1);
-                
-                // Use easing function for smooth animation (ease-in-out)
-                const eased = progress < 0.5
-                    ? 2 * progress * progress
-                    : 1 - Math.pow(-2 * progress + 2, 2) / 2;
-                
-                // Interpolate camera position
-                camera.position.lerpVectors(startPosition, endPosition, eased);
-                
-                // Interpolate target
-                controls.target.lerpVectors(startTarget, endTarget, eased);
-                
-                // Update camera to look at target
-                camera.lookAt(controls.target);
-                controls.update();
-                
-                if (progress < 1) {
-                    requestAnimationFrame(animate);
-                } else {
-                    // Ensure we end exactly at the target
-                    camera.position.copy(endPosition);
-                    controls.target.copy(endTarget);
-                    camera.lookAt(controls.target);
-                    controls.update();
-                    // Save camera position after reset
-                    saveSettingsToCookies();
-                }
-            }
-            
-            animate();
-        };
-        
-        // Expose function to console for getting current camera parameters
-        window.getCameraParams = function() {
-            if (!camera || !controls) {
-                return null;
-            }
-            
-            const direction = new THREE.Vector3();
-            direction.subVectors(camera.position, controls.target);
-            const distance = direction.length();
-            
-            const spherical = new THREE.Spherical();
-            spherical.setFromVector3(direction);
-            
-            let azimuth = spherical.theta;
-            if (azimuth < 0) azimuth += Math.PI * 2;
-            
-            const params = {
-                cameraPosition: {
-                    x: camera.position.x,
-                    y: camera.position.y,
-                    z: camera.position.z
-                },
-                target: {
-                    x: controls.target.x,
-                    y: controls.target.y,
-                    z: controls.target.z
-                },
-                distance: distance,
-                spherical: {
-                    radius: spherical.radius,
-                    theta: spherical.theta,
-                    phi: spherical.phi
-                },
-                angles: {
-                    azimuth: azimuth,
-                    azimuthDegrees: azimuth * 180 / Math.PI,
-                    polar: spherical.phi,
-                    polarDegrees: spherical.phi * 180 / Math.PI
-                }
-            };
-            
-            return params;
-        };
-        
-
-        // Handle window resize
-        window.addEventListener('resize', onWindowResize);
+// Number of fret positions including the open string (0-22 for a 22-fret neck)
+// Rebuilt by applyInstrumentSettings() from the selected fret count
+let numFrets = INSTRUMENT_PROFILES.guitar6.frets + 1;
 
-        // Start animation loop
-        animate();
+/* ========================================
+   WEB AUDIO API
+   ======================================== */
+let audioContext = null;
 
-        return true;
-    } catch (error) {
-        return false;
+function getAudioContext() {
+    if (!audioContext) {
+        audioContext = new (window.AudioContext || window.webkitAudioContext)();
     }
+    return audioContext;
 }
 
-function onWindowResize() {
-    const container = document.querySelector('.fretboard-container');
-    if (container && camera && renderer) {
-        camera.aspect = container.clientWidth / container.clientHeight;
-        camera.updateProjectionMatrix();
-        renderer.setSize(container.clientWidth, container.clientHeight);
+function playGuitarTone(frequency) {
+    const ctx = getAudioContext();
+
+    // Create oscillator with sawtooth wave for rich harmonics
+    const oscillator = ctx.createOscillator();
+    oscillator.type = 'sawtooth';
+    oscillator.frequency.setValueAtTime(frequency, ctx.currentTime);
+
+    // Create lowpass filter
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(3000, ctx.currentTime);
+    filter.frequency.exponentialRampToValueAtTime(500, ctx.currentTime + 1.5);
+
+    // Create gain node for volume envelope
+    const gainNode = ctx.createGain();
+    gainNode.gain.setValueAtTime(0, ctx.currentTime);
+    gainNode.gain.linearRampToValueAtTime(0.4, ctx.currentTime + 0.02); // Quick attack
+    gainNode.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + 1.5); // Long decay
+
+    // Connect the nodes
+    oscillator.connect(filter);
+    filter.connect(gainNode);
+    gainNode.connect(ctx.destination);
+
+    // Start and stop
+    oscillator.start(ctx.currentTime);
+    oscillator.stop(ctx.currentTime + 1.5);
+}
+
+/* ========================================
+   NOTE SPELLING
+   ======================================== */
+/**
+ * Pitch class (0-11) of a note name in any spelling: 'C#', 'Db', 'E#', 'Bbb', 'F##'
+ */
+function getPitchClass(noteName) {
+    let pitchClass = LETTER_PITCH_CLASSES[noteName.charAt(0)];
+    for (const accidental of noteName.slice(1)) {
+        if (accidental === '#') pitchClass += 1;
+        else if (accidental === 'b') pitchClass -= 1;
     }
+    return ((pitchClass % 12) + 12) % 12;
 }
 
-// Track if we've logged the initial state
-let hasLoggedInitialState = false;
+/**
+ * Check if two note names are the same pitch class (enharmonic spellings match)
+ */
+function notesMatch(noteA, noteB) {
+    return !!noteA && !!noteB && getPitchClass(noteA) === getPitchClass(noteB);
+}
 
-function animate() {
-    requestAnimationFrame(animate);
-    if (controls) controls.update();
-    
-    // Log camera state once after first frame (when everything is initialized)
-    if (!hasLoggedInitialState && controls && camera) {
-        hasLoggedInitialState = true;
-        setTimeout(() => {
-            // Initial camera state logged - logging removed
-        }, 100);
+/**
+ * Spell a pitch class with a given letter, adding sharps or flats as needed
+ */
+function spellWithLetter(pitchClass, letter) {
+    let offset = ((pitchClass - LETTER_PITCH_CLASSES[letter]) % 12 + 12) % 12;
+    if (offset > 6) offset -= 12;
+    return letter + (offset > 0 ? '#'.repeat(offset) : 'b'.repeat(-offset));
+}
+
+/**
+ * Spell a single pitch class following the accidentals preference.
+ * 'both' picks sharp or flat at random, so drills show both spellings.
+ */
+function spellPitchClass(pitchClass, preference = state.accidentals) {
+    if (preference === 'flats') return FLAT_NOTES[pitchClass];
+    if (preference === 'both') {
+        return Math.random() < 0.5 ? NOTES[pitchClass] : FLAT_NOTES[pitchClass];
     }
-    
-    if (renderer && scene && camera) {
-        renderer.render(scene, camera);
+    return NOTES[pitchClass];
+}
+
+/**
+ * Name of a note for feedback messages: 'C#/Db' when both spellings are practised
+ */
+function formatNoteName(note) {
+    const pitchClass = getPitchClass(note);
+    if (state.accidentals === 'both' && NOTES[pitchClass] !== FLAT_NOTES[pitchClass]) {
+        return `${NOTES[pitchClass]}/${FLAT_NOTES[pitchClass]}`;
     }
+    return state.accidentals === 'flats' ? FLAT_NOTES[pitchClass] : NOTES[pitchClass];
 }
 
-function loadGuitarModel() {
-    return new Promise((resolve, reject) => {
-        const mtlLoader = new MTLLoader();
-        mtlLoader.setPath('Gibson 335/');
+/**
+ * Spell the notes of a chord from its root by letter steps (C E G#, Db F Ab, C Eb Gb Bbb)
+ */
+function spellChord(root, chordDef) {
+    const rootPitchClass = getPitchClass(root);
+    const rootLetterIndex = NOTE_LETTERS.indexOf(root.charAt(0));
+    return chordDef.intervals.map((interval, i) => {
+        const letter = NOTE_LETTERS[(rootLetterIndex + chordDef.degrees[i]) % 7];
+        return spellWithLetter((rootPitchClass + interval) % 12, letter);
+    });
+}
 
-        // Determine which model to load based on state
-        const modelType = state.modelQuality === 'high' ? 'High_Poly' : 'Low_Poly';
-        const mtlFile = `Gibson 335_${modelType}.mtl`;
-        const objFile = `Gibson 335_${modelType}.obj`;
+/**
+ * Choose how to spell a chord root so the chord reads correctly for its key:
+ * spellings that need double sharps or flats are avoided when the enharmonic root doesn't,
+ * then the accidentals preference decides ('both' takes the spelling with fewer accidentals)
+ */
+function chooseRootSpelling(pitchClass, chordDef) {
+    if (NOTES[pitchClass] === FLAT_NOTES[pitchClass]) {
+        return NOTES[pitchClass];
+    }
 
-        mtlLoader.load(mtlFile, (materials) => {
-            materials.preload();
+    const countAccidentals = notes => notes.join('').replace(/[A-G]/g, '').length;
+    const hasDoubleAccidental = notes => notes.some(n => /##|bb/.test(n));
 
-            const objLoader = new OBJLoader();
-            objLoader.setMaterials(materials);
-            objLoader.setPath('Gibson 335/');
+    let candidates = [NOTES[pitchClass], FLAT_NOTES[pitchClass]].map(root => ({
+        root,
+        notes: spellChord(root, chordDef)
+    }));
+    const clean = candidates.filter(c => !hasDoubleAccidental(c.notes));
+    if (clean.length > 0) {
+        candidates = clean;
+    }
+    if (candidates.length === 1) {
+        return candidates[0].root;
+    }
 
-            objLoader.load(
-                objFile,
-                (object) => {
-                    guitarModel = object;
+    if (state.accidentals === 'sharps') return candidates[0].root;
+    if (state.accidentals === 'flats') return candidates[1].root;
 
+    const sharpCount = countAccidentals(candidates[0].notes);
+    const flatCount = countAccidentals(candidates[1].notes);
+    if (sharpCount === flatCount) {
+        return candidates[Math.floor(Math.random() * 2)].root;
+    }
+    return sharpCount < flatCount ? candidates[0].root : candidates[1].root;
+}
 
-                    // Calculate neck region immediately
-                    const neckRegion = findNeckRegion();
-                    // Load custom texture
-                    const textureLoader = new THREE.TextureLoader();
-                    const texture = textureLoader.load('Gibson 335/Texturas/Tex_Caja_2.jpg');
-                    texture.colorSpace = THREE.SRGBColorSpace;
+/**
+ * Spelled notes of the current question, so a clicked note is named the same way as the target
+ */
+function getSpellingContext() {
+    if (state.currentScreen === 'triads' && state.targetTriad) {
+        return state.targetTriad.notes;
+    }
+    if (state.currentScreen === 'octaves' && state.targetOctaves) {
+        return [state.targetOctaves.pitch.note];
+    }
+    if (state.currentScreen === 'exactPitch' && state.targetPitch) {
+        return [state.targetPitch.note];
+    }
+    if (state.currentScreen === 'voicings' && state.targetVoicing) {
+        return state.targetVoicing.triad.notes;
+    }
+    if (state.currentScreen === 'scales' && state.targetScale) {
+        return state.targetScale.notes;
+    }
+    if (state.currentScreen === 'arpeggios' && state.targetArpeggio) {
+        return state.targetArpeggio.triad.notes;
+    }
+    if (state.currentScreen === 'caged' && state.targetCaged) {
+        return state.targetCaged.triad.notes;
+    }
+    if ((state.currentScreen === 'progressions' || state.currentScreen === 'diatonic') && state.targetTriad) {
+        return state.targetTriad.notes;
+    }
+    if (state.currentScreen === 'chordEar' && state.targetChordEar) {
+        return state.targetChordEar.triad.notes;
+    }
+    if (state.currentScreen === 'earTraining' && state.targetEar) {
+        const notes = [state.targetEar.pitch.note];
+        if (state.targetEar.reference) notes.push(state.targetEar.reference.pitch.note);
+        return notes;
+    }
+    if (state.currentScreen === 'intervals' && state.targetInterval) {
+        return [state.targetInterval.referenceNote, state.targetInterval.targetNote];
+    }
+    return state.targetNote ? [state.targetNote] : [];
+}
 
-                    // Scale and position the guitar
-                    guitarModel.scale.set(0.8, 0.8, 0.8);
-                    guitarModel.position.set(0, -0.5, 0);
-                    guitarModel.rotation.y = Math.PI / 2; // Rotate to horizontal
+/**
+ * Display name of a note in the current question's spelling, falling back to the preference
+ */
+function getDisplayNoteName(note) {
+    const contextNote = getSpellingContext().find(n => notesMatch(n, note));
+    return contextNote || formatNoteName(note);
+}
 
-                    // Enable shadows and apply texture
-                    guitarModel.traverse((child) => {
-                        if (child.isMesh) {
-                            child.castShadow = true;
-                            child.receiveShadow = true;
+/* ========================================
+   MUSIC THEORY FUNCTIONS
+   ======================================== */
+/**
+ * Frequency of a pitch in equal temperament (A4 = 440 Hz)
+ */
+function getPitchFrequency(note, octave) {
+    return getMidiFrequency(getMidiNumber(note, octave));
+}
 
-                            // Apply texture to material
-                            if (child.material) {
-                                if (Array.isArray(child.material)) {
-                                    child.material.forEach(mat => {
-                                        mat.map = texture;
-                                        mat.needsUpdate = true;
-                                    });
-                                } else {
-                                    child.material.map = texture;
-                                    child.material.needsUpdate = true;
-                                }
-                            }
-                        }
-                    });
+/**
+ * Frequency of a MIDI note number in equal temperament (A4 = 440 Hz)
+ */
+function getMidiFrequency(midiNumber) {
+    return 440 * Math.pow(2, (midiNumber - 69) / 12);
+}
 
-                    scene.add(guitarModel);
+/**
+ * MIDI note number of a pitch (C4 = 60), used to compare exact pitches
+ */
+function getMidiNumber(note, octave) {
+    return (octave + 1) * 12 + getPitchClass(note);
+}
 
-                    // Create fret zones after model is loaded
-                    createFretZones();
-                    
-                    // Load camera position from cookies after model is loaded
-                    loadCameraFromCookies();
-                    
-                    // Highlight root note position if in triads mode and option is enabled
-                    if (state.currentScreen === 'triads') {
-                        highlightRootNotePosition();
-                    }
+/**
+ * Build the string tuning table (note, octave and open string frequency) from a list of open notes
+ */
+function buildStringTuning(strings) {
+    return strings.map(({ note, octave }) => ({
+        note,
+        octave,
+        baseFreq: getPitchFrequency(note, octave)
+    }));
+}
 
-                    resolve(guitarModel);
-                },
-                (xhr) => {
-                    // Loading progress
-                },
-                (error) => {
-                    reject(error);
-                }
-            );
-        }, undefined, (error) => {
-            reject(error);
-        });
-    });
+/**
+ * Get the selected instrument profile
+ */
+function getInstrumentProfile() {
+    return INSTRUMENT_PROFILES[state.instrument] || INSTRUMENT_PROFILES.guitar6;
 }
 
-function findNeckRegion() {
-    if (!guitarModel) return null;
+/**
+ * Get the open notes of the selected tuning (a preset or the custom tuning)
+ */
+function getSelectedTuningStrings() {
+    const profile = getInstrumentProfile();
+    const standardStrings = profile.tunings.standard.strings;
+    if (state.tuningPreset === 'custom' && Array.isArray(state.customTuning) &&
+        state.customTuning.length === standardStrings.length) {
+        return state.customTuning;
+    }
+    const preset = profile.tunings[state.tuningPreset] || profile.tunings.standard;
+    return preset.strings;
+}
 
-    // Find Nut (Cejilla), Bridge (Puente), and Neck (Mastil) to calculate dimensions
-    let nutMesh = null;
-    let bridgeMesh = null;
-    let neckMesh = null;
+/**
+ * Rebuild the active string tuning and fret count from the instrument, tuning and neck settings
+ */
+function applyInstrumentSettings() {
+    stringTuning = buildStringTuning(getSelectedTuningStrings());
+    numFrets = state.fretCount + 1;
+    // Drop disabled frets that no longer exist on a shorter neck
+    state.disabledFrets = state.disabledFrets.filter(fret => fret < numFrets);
+}
 
-    guitarModel.traverse((child) => {
-        if (child.isMesh && child.name) {
-            const name = child.name.toLowerCase();
-            if (name.includes('cejilla')) {
-                nutMesh = child;
-            } else if (name.includes('puente')) {
-                bridgeMesh = child;
-            } else if (name.includes('mastil')) {
-                neckMesh = child;
+/**
+ * Lowest fret that can be a target or an answer: 0 when open strings are included
+ */
+function getFirstFret() {
+    return state.includeOpenStrings ? 0 : 1;
+}
+
+/**
+ * Selected scale length in inches
+ */
+function getScaleLengthInches() {
+    return (SCALE_LENGTHS[state.scaleLength] || SCALE_LENGTHS[MODEL_NECK.scaleLength]).inches;
+}
+
+/**
+ * Distance of a fret from the nut for a scale length: X_n = L × (1 - 1/r^n) where r = 2^(1/12)
+ */
+function getFretDistanceFromNut(fret, scaleLength) {
+    return scaleLength * (1 - Math.pow(2, -fret / 12));
+}
+
+/**
+ * Check whether the selected neck is the one the 3D model was built with
+ */
+function isModelNeck() {
+    return state.fretCount === MODEL_NECK.frets && state.scaleLength === MODEL_NECK.scaleLength;
+}
+
+function getNoteAt(stringIndex, fretIndex) {
+    const openString = stringTuning[stringIndex];
+    const openNoteIndex = NOTES.indexOf(openString.note);
+    const noteIndex = (openNoteIndex + fretIndex) % 12;
+    return NOTES[noteIndex];
+}
+
+function getFrequencyAt(stringIndex, fretIndex) {
+    const baseFreq = stringTuning[stringIndex].baseFreq;
+    return baseFreq * Math.pow(2, fretIndex / 12);
+}
+
+/**
+ * Exact pitch (MIDI note number) at a position, using the octave of the open string
+ */
+function getMidiAt(stringIndex, fretIndex) {
+    const openString = stringTuning[stringIndex];
+    return getMidiNumber(openString.note, openString.octave) + fretIndex;
+}
+
+/**
+ * Create a pitch target from a MIDI note number, spelled with the accidentals preference
+ */
+function createPitch(midiNumber) {
+    return {
+        midi: midiNumber,
+        note: spellPitchClass(midiNumber % 12),
+        octave: Math.floor(midiNumber / 12) - 1
+    };
+}
+
+/**
+ * Scientific pitch name of a pitch target, e.g. "C4"
+ */
+function formatPitch(pitch) {
+    return `${pitch.note}${pitch.octave}`;
+}
+
+/**
+ * Scientific pitch name of a MIDI note number for feedback messages, e.g. "C#3" or "C#3/Db3"
+ */
+function formatPitchName(midiNumber) {
+    const octave = Math.floor(midiNumber / 12) - 1;
+    return formatNoteName(NOTES[midiNumber % 12])
+        .split('/')
+        .map(name => `${name}${octave}`)
+        .join('/');
+}
+
+/**
+ * Get every position of an exact pitch (all unisons), skipping disabled frets
+ */
+function getAllPositionsOfPitch(midiNumber) {
+    return getAllPositions(NOTES[midiNumber % 12]).filter(
+        pos => getMidiAt(pos.string, pos.fret) === midiNumber
+    );
+}
+
+/**
+ * Pick a random pitch that can be played on an enabled fret (null if every fret is disabled)
+ */
+function getRandomPitch() {
+    const playable = new Set();
+    for (let stringIndex = 0; stringIndex < stringTuning.length; stringIndex++) {
+        for (let fretIndex = getFirstFret(); fretIndex < numFrets; fretIndex++) {
+            if (!isFretDisabled(fretIndex)) {
+                playable.add(getMidiAt(stringIndex, fretIndex));
             }
         }
-    });
+    }
 
-    // Calculate overall bounding box for fallbacks
-    const overallBox = new THREE.Box3().setFromObject(guitarModel);
-    const overallSize = overallBox.getSize(new THREE.Vector3());
-    const overallCenter = overallBox.getCenter(new THREE.Vector3());
-    const overallMin = overallBox.min;
+    const midiNumbers = [...playable];
+    if (midiNumbers.length === 0) return null;
+    return createPitch(midiNumbers[Math.floor(Math.random() * midiNumbers.length)]);
+}
 
-    let nutX, scaleLength, neckLength, neckWidth;
+/**
+ * Read a Roman numeral chord symbol ('IV', 'vi', 'vii°', 'bVII', 'V7', 'iiø7') as
+ * { degree, accidental, type } with type a key of TRIAD_TYPES, or null if it can't be read
+ */
+function parseRomanNumeral(symbol) {
+    const match = /^([b#]?)(VII|VI|IV|V|III|II|I|vii|vi|iv|v|iii|ii|i)(°7|o7|ø7|maj7|7|°|o|dim|\+|aug)?$/.exec(symbol);
+    if (!match) return null;
+
+    const [, accidental, numeral, suffix = ''] = match;
+    const isMajor = numeral === numeral.toUpperCase();
+    const suffixTypes = {
+        '': isMajor ? 'major' : 'minor',
+        '°': 'diminished', 'o': 'diminished', 'dim': 'diminished',
+        '+': 'augmented', 'aug': 'augmented',
+        '7': isMajor ? 'dom7' : 'm7',
+        'maj7': 'maj7',
+        '°7': 'dim7', 'o7': 'dim7',
+        'ø7': 'm7b5'
+    };
 
-    if (nutMesh && bridgeMesh) {
-        // Get exact positions from objects
-        nutMesh.updateMatrixWorld(true);
-        bridgeMesh.updateMatrixWorld(true);
+    return {
+        degree: ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'].indexOf(numeral.toUpperCase()),
+        accidental: accidental === 'b' ? -1 : accidental === '#' ? 1 : 0,
+        type: suffixTypes[suffix]
+    };
+}
 
-        const nutBox = new THREE.Box3().setFromObject(nutMesh);
-        const bridgeBox = new THREE.Box3().setFromObject(bridgeMesh);
+/**
+ * Read a progression typed as Roman numerals separated by spaces, dashes or commas.
+ * Returns the list of numerals, or null if any of them can't be read.
+ */
+function parseProgression(text) {
+    const numerals = text.split(/[\s,\-–]+/).filter(Boolean);
+    if (numerals.length === 0 || !numerals.every(parseRomanNumeral)) return null;
+    return numerals;
+}
 
-        // Nut is usually at the start of the scale (closest to headstock)
-        // We want the edge of the nut that touches the fretboard
-        nutX = nutBox.max.x;
+/**
+ * Spell the chord of a Roman numeral in a major key, e.g. 'vi' in G -> E Minor (E G B)
+ */
+function getProgressionChord(keyRoot, numeral) {
+    const { degree, accidental, type } = parseRomanNumeral(numeral);
+    const chordDef = TRIAD_TYPES[type];
+    const letter = NOTE_LETTERS[(NOTE_LETTERS.indexOf(keyRoot.charAt(0)) + degree) % 7];
+    const pitchClass = (getPitchClass(keyRoot) + MAJOR_SCALE_STEPS[degree] + accidental + 12) % 12;
+    const root = spellWithLetter(pitchClass, letter);
 
-        // Bridge saddle is where the string ends vibrating
-        const bridgeX = bridgeBox.getCenter(new THREE.Vector3()).x;
+    return {
+        root,
+        type,
+        typeName: chordDef.name,
+        notes: spellChord(root, chordDef),
+        tones: chordDef.tones
+    };
+}
 
-        // Calculate scale length
-        scaleLength = Math.abs(bridgeX - nutX);
+/**
+ * Diatonic chord on a scale degree (0-6) of a major or minor key, spelled from the key's scale
+ */
+function getDiatonicChord(keyRoot, keyType, degree) {
+    const table = DIATONIC_CHORDS[keyType];
+    const root = spellChord(keyRoot, SCALE_TYPES[table.scale])[degree];
+    const type = parseRomanNumeral(table.numerals[degree]).type;
+    const chordDef = TRIAD_TYPES[type];
 
-    } else {
-        // Fallback estimation
-        nutX = overallMin.x + overallSize.x * 0.15;
-        scaleLength = overallSize.x * 0.65;
-    }
+    return {
+        root,
+        type,
+        typeName: chordDef.name,
+        notes: spellChord(root, chordDef),
+        tones: chordDef.tones
+    };
+}
 
-    // Calculate neck length - try to find from neck mesh, otherwise estimate
-    if (neckMesh) {
-        neckMesh.updateMatrixWorld(true);
-        const neckBox = new THREE.Box3().setFromObject(neckMesh);
-        const neckSize = neckBox.getSize(new THREE.Vector3());
-        neckLength = neckSize.x; // Length along X axis
-        neckWidth = neckSize.z; // Width along Z axis
-    } else {
-        // Estimate: neck typically extends to about 12-14 frets, roughly 60-70% of scale length
-        neckLength = scaleLength * 0.65;
+/**
+ * Pick a random major or minor key and one of its scale degrees
+ */
+function getRandomDiatonicQuestion() {
+    const keyType = Math.random() < 0.5 ? 'major' : 'minor';
+    const scaleDef = SCALE_TYPES[DIATONIC_CHORDS[keyType].scale];
+    const key = chooseRootSpelling(Math.floor(Math.random() * NOTES.length), scaleDef);
+    const degree = Math.floor(Math.random() * 7);
+
+    return {
+        key,
+        keyType,
+        degree,
+        numeral: DIATONIC_CHORDS[keyType].numerals[degree],
+        triad: getDiatonicChord(key, keyType, degree),
+        stage: 'quality'
+    };
+}
+
+/**
+ * Every other enabled position with the same pitch class as a position: its unisons and
+ * its octaves up and down, as far as the neck reaches
+ */
+function getOctavePositions(reference) {
+    return getAllPositions(getNoteAt(reference.string, reference.fret))
+        .filter(pos => pos.string !== reference.string || pos.fret !== reference.fret);
+}
+
+/**
+ * Pick a reference position with at least one unison or octave to find (null if no
+ * enabled position has one)
+ */
+function getRandomOctaveQuestion() {
+    const references = getEnabledPositions().filter(pos => getOctavePositions(pos).length > 0);
+    if (references.length === 0) return null;
+
+    // Weak cells come up more often
+    const reference = pickWeighted(references, pos => getPracticeWeight('cells', getPracticeCellKey(pos)));
+    return {
+        reference,
+        pitch: createPitch(getMidiAt(reference.string, reference.fret)),
+        positions: getOctavePositions(reference)
+    };
+}
+
+/**
+ * Name the shape from one position to another, e.g. "Octave up: two strings lower, two frets up the neck"
+ */
+function describeOctaveShape(from, to) {
+    const semitones = getMidiAt(to.string, to.fret) - getMidiAt(from.string, from.fret);
+    const countWord = (count, unit) => `${COUNT_WORDS[count] || count} ${unit}${count > 1 ? 's' : ''}`;
+
+    const octaves = Math.abs(semitones) / 12;
+    let interval = 'Unison';
+    if (octaves > 0) {
+        const octavePart = octaves === 1 ? 'Octave' : countWord(octaves, 'octave').replace(/^\w/, letter => letter.toUpperCase());
+        interval = `${octavePart} ${semitones > 0 ? 'up' : 'down'}`;
     }
+    // String index 0 is the highest-pitched string
+    const stringSteps = to.string - from.string;
+    const stringPart = stringSteps === 0
+        ? 'same string'
+        : `${countWord(Math.abs(stringSteps), 'string')} ${stringSteps > 0 ? 'lower' : 'higher'}`;
+    const fretSteps = to.fret - from.fret;
+    const fretPart = fretSteps === 0
+        ? 'same fret'
+        : `${countWord(Math.abs(fretSteps), 'fret')} ${fretSteps > 0 ? 'up' : 'down'} the neck`;
+
+    return `${interval}: ${stringPart}, ${fretPart}`;
+}
 
-    // Calculate neck width if not found from mesh
-    if (!neckWidth) {
-        if (nutMesh) {
-            const nutBox = new THREE.Box3().setFromObject(nutMesh);
-            const nutSize = nutBox.getSize(new THREE.Vector3());
-            // Neck width is typically slightly wider than nut at the nut, tapers down
-            neckWidth = nutSize.z * 1.1; // Slightly wider than nut
-        } else {
-            // Fallback: estimate from overall size
-            neckWidth = overallSize.z * 0.15;
-        }
+/**
+ * Pick one of the enabled progressions in a random major key
+ */
+function getRandomProgression() {
+    const progressions = Object.keys(PROGRESSIONS)
+        .filter(key => state.progressionSettings[key])
+        .map(key => PROGRESSIONS[key].numerals);
+    const customNumerals = parseProgression(state.customProgression);
+    if (state.progressionSettings.custom && customNumerals) {
+        progressions.push(customNumerals);
     }
 
-    const neckStartX = nutX;
-    const neckCenterZ = overallCenter.z; // Centered in Z
-    const neckY = overallCenter.y - overallSize.y * 0.1; // Slightly below center (fretboard is on top of neck)
+    const numerals = progressions[Math.floor(Math.random() * progressions.length)];
+    const key = chooseRootSpelling(Math.floor(Math.random() * NOTES.length), SCALE_TYPES.major);
 
     return {
-        startX: neckStartX,
-        nutX: nutX, // Store nut position separately
-        length: neckLength,
-        centerZ: neckCenterZ,
-        width: neckWidth,
-        y: neckY,
-        overallBox: overallBox
+        key,
+        chords: numerals.map(numeral => ({ numeral, triad: getProgressionChord(key, numeral) })),
+        step: 0,
+        placed: []
     };
 }
 
 /**
- * Group fret candidates that are close together (same fret detected multiple times)
- * Uses a larger tolerance to account for fret thickness
+ * Pick a chord from the chord settings and stack its pitches from a root in the 3rd octave.
+ * Tones listed below the previous one (the 9th of add9) go up an octave.
  */
-function groupFretCandidates(candidates, tolerance = 0.015) {
-    if (candidates.length === 0) return [];
-    
-    // Sort by X position
-    candidates.sort((a, b) => a.x - b.x);
-    
-    const groups = [];
-    
-    for (const candidate of candidates) {
-        let addedToGroup = false;
-        
-        // Try to add to existing group
-        for (const group of groups) {
-            // Check if candidate is within tolerance of the group center
-            // This is more efficient and works better for grouping
-            const distance = Math.abs(candidate.x - group.x);
-            
-            if (distance < tolerance) {
-                // Add to this group
-                group.candidates.push(candidate);
-                // Update group center (weighted average by vertex count if available)
-                const totalWeight = group.candidates.reduce((sum, c) => sum + (c.vertexCount || 1), 0);
-                group.x = group.candidates.reduce((sum, c) => sum + c.x * (c.vertexCount || 1), 0) / totalWeight;
-                group.y = Math.max(...group.candidates.map(c => c.y));
-                group.z = group.candidates.reduce((sum, c) => sum + c.z, 0) / group.candidates.length;
-                addedToGroup = true;
-                break;
+function getRandomChordEarQuestion() {
+    const triad = getRandomTriad();
+    const rootMidi = getMidiNumber(triad.root, 3);
+    const intervals = TRIAD_TYPES[triad.type].intervals;
+
+    let previous = 0;
+    const midis = intervals.map(interval => {
+        while (interval < previous) interval += 12;
+        previous = interval;
+        return rootMidi + interval;
+    });
+
+    return { triad, midis, stage: 'quality' };
+}
+
+/**
+ * Enabled positions inside the ear training string/fret window, clamped to the current neck
+ */
+function getEarWindowPositions() {
+    const { strings, frets } = state.earSettings;
+    const firstString = Math.max(1, Math.min(strings.start, strings.end));
+    const lastString = Math.min(stringTuning.length, Math.max(strings.start, strings.end));
+    const firstFret = Math.max(getFirstFret(), Math.min(frets.start, frets.end));
+    const lastFret = Math.min(numFrets - 1, Math.max(frets.start, frets.end));
+
+    const positions = [];
+    for (let stringIndex = firstString - 1; stringIndex < lastString; stringIndex++) {
+        for (let fretIndex = firstFret; fretIndex <= lastFret; fretIndex++) {
+            if (!isFretDisabled(fretIndex)) {
+                positions.push({ string: stringIndex, fret: fretIndex });
             }
         }
-        
-        // Create new group if not added to existing
-        if (!addedToGroup) {
-            groups.push({
-                x: candidate.x,
-                y: candidate.y,
-                z: candidate.z,
-                candidates: [candidate]
-            });
-        }
     }
-    
-    // Convert groups to simple fret objects
-    return groups.map(group => ({
-        x: group.x,
-        y: group.y,
-        z: group.z,
-        candidateCount: group.candidates.length
-    }));
+    return positions;
 }
 
 /**
- * Extract fret positions from the fretboard geometry
- * Uses raycasting to find frets by detecting height changes on the fretboard
+ * Pick a hidden pitch from the ear training window, plus a reference position with
+ * a different pitch if the reference note option is on
  */
-function extractFretPositionsFromGeometry(neckRegion) {
-    if (!guitarModel) return null;
+function getRandomEarQuestion() {
+    const positions = getEarWindowPositions();
+    const position = positions[Math.floor(Math.random() * positions.length)];
+    const midi = getMidiAt(position.string, position.fret);
+
+    let reference = null;
+    if (state.earSettings.referenceFirst) {
+        const candidates = positions.filter(pos => getMidiAt(pos.string, pos.fret) !== midi);
+        if (candidates.length > 0) {
+            reference = candidates[Math.floor(Math.random() * candidates.length)];
+            reference.pitch = createPitch(getMidiAt(reference.string, reference.fret));
+        }
+    }
 
-    // Find the circulo object that contains all frets
-    // Specifically look for "Círculo.009_Círculo.060" (exact name)
-    let fretContainerObject = null;
-    guitarModel.traverse((child) => {
-        if (child.isMesh && child.name) {
-            // Try exact match first
-            if (child.name === 'Círculo.009_Círculo.060') {
-                fretContainerObject = child;
-            } else {
-                // Fallback: case-insensitive match for variations
-                const name = child.name.toLowerCase();
-                const normalizedTarget = 'círculo.009_círculo.060';
-                if (name === normalizedTarget || 
-                    (name.includes('circulo.009') && name.includes('circulo.060'))) {
-                    fretContainerObject = child;
-                }
+    return { pitch: createPitch(midi), position, reference };
+}
+
+/**
+ * Every position on an enabled fret
+ */
+function getEnabledPositions() {
+    const positions = [];
+    for (let stringIndex = 0; stringIndex < stringTuning.length; stringIndex++) {
+        for (let fretIndex = getFirstFret(); fretIndex < numFrets; fretIndex++) {
+            if (!isFretDisabled(fretIndex)) {
+                positions.push({ string: stringIndex, fret: fretIndex });
             }
         }
-    });
+    }
+    return positions;
+}
 
-    if (fretContainerObject) {
-        fretContainerObject.updateMatrixWorld(true);
-        
-        // Get bounding box of the fret container
-        const fretBox = new THREE.Box3().setFromObject(fretContainerObject);
-        const nutX = neckRegion.nutX || neckRegion.startX;
-        const neckEndX = neckRegion.startX + neckRegion.length;
-        
-        // Method 1: Analyze by color/material differences - frets might have different colors
-        const geometry = fretContainerObject.geometry;
-        const material = fretContainerObject.material;
-        
-        // Check if geometry has vertex colors
-        if (geometry && geometry.attributes.color) {
-            const colors = geometry.attributes.color;
-            const positions = geometry.attributes.position;
-            const worldMatrix = fretContainerObject.matrixWorld;
-            const vertex = new THREE.Vector3();
-            const color = new THREE.Color();
-            
-            // Group vertices by X position and check their colors
-            const xColorGroups = new Map();
-            
-            for (let i = 0; i < positions.count; i++) {
-                vertex.fromBufferAttribute(positions, i);
-                vertex.applyMatrix4(worldMatrix);
-                
-                if (vertex.x > nutX && vertex.x < neckEndX) {
-                    color.fromBufferAttribute(colors, i);
-                    const roundedX = Math.round(vertex.x * 2000) / 2000; // 0.0005 precision
-                    
-                    if (!xColorGroups.has(roundedX)) {
-                        xColorGroups.set(roundedX, {
-                            x: roundedX,
-                            colors: [],
-                            vertices: []
-                        });
-                    }
-                    
-                    xColorGroups.get(roundedX).colors.push({
-                        r: color.r,
-                        g: color.g,
-                        b: color.b
-                    });
-                    xColorGroups.get(roundedX).vertices.push(vertex);
-                }
+/**
+ * Pick a random position on an enabled fret
+ */
+function getRandomPosition() {
+    const positions = getEnabledPositions();
+
+    if (positions.length === 0) {
+        // Every fret is disabled - fall back to the first fret of the top string
+        return { string: 0, fret: 1 };
+    }
+    // Weak cells come up more often
+    return pickWeighted(positions, pos => getPracticeWeight('cells', getPracticeCellKey(pos)));
+}
+
+function getAllPositions(note) {
+    const positions = [];
+    for (let stringIndex = 0; stringIndex < stringTuning.length; stringIndex++) {
+        // Start from fret 1 unless open strings are included
+        for (let fretIndex = getFirstFret(); fretIndex < numFrets; fretIndex++) {
+            // Skip disabled frets
+            if (isFretDisabled(fretIndex)) {
+                continue;
             }
-            
-            // Calculate average brightness across all positions to find baseline
-            let totalBrightness = 0;
-            let totalCount = 0;
-            xColorGroups.forEach((group) => {
-                group.colors.forEach(c => {
-                    totalBrightness += (c.r + c.g + c.b) / 3;
-                    totalCount++;
-                });
+            if (notesMatch(getNoteAt(stringIndex, fretIndex), note)) {
+                positions.push({ string: stringIndex, fret: fretIndex });
+            }
+        }
+    }
+    return positions;
+}
+
+function getRandomNote() {
+    // Weak notes come up more often
+    return spellPitchClass(pickPracticePitchClass());
+}
+
+/**
+ * Indexes of the strings in the Single Note rotation that exist on the current instrument
+ */
+function getSingleNoteStringIndexes() {
+    return state.singleNoteStrings
+        .filter(stringNumber => stringNumber <= stringTuning.length)
+        .map(stringNumber => stringNumber - 1);
+}
+
+/**
+ * Pick the next Single Note target: a note, plus a string from the rotation when string
+ * targets are on (the note is taken from an enabled fret of that string)
+ */
+function setupSingleNoteQuestion() {
+    state.targetString = null;
+    state.singleNoteAnswered = false;
+    if (state.singleNoteStringTargets) {
+        const strings = getSingleNoteStringIndexes();
+        const stringIndex = strings[Math.floor(Math.random() * strings.length)];
+        const frets = [];
+        for (let fretIndex = getFirstFret(); fretIndex < numFrets; fretIndex++) {
+            if (!isFretDisabled(fretIndex)) frets.push(fretIndex);
+        }
+        if (stringIndex !== undefined && frets.length > 0) {
+            // Weak cells of the string come up more often
+            const fretIndex = pickWeighted(frets, fret => getPracticeWeight('cells', getPracticeCellKey({ string: stringIndex, fret })));
+            state.targetString = stringIndex;
+            state.targetNote = spellPitchClass(getMidiAt(stringIndex, fretIndex) % 12);
+            return;
+        }
+    }
+    state.targetNote = getRandomNote();
+}
+
+/**
+ * Name of a string for questions and feedback, e.g. "string 3 (G)"
+ */
+function formatStringName(stringIndex) {
+    return `string ${stringIndex + 1} (${stringTuning[stringIndex].note})`;
+}
+
+/**
+ * Positions that answer the Single Note question, on the target string if there is one
+ */
+function getSingleNoteSolutionPositions() {
+    return getAllPositions(state.targetNote).filter(
+        pos => state.targetString === null || pos.string === state.targetString
+    );
+}
+
+function isFretDisabled(fretIndex) {
+    if (state.disabledFrets.includes(fretIndex)) return true;
+    // Modes that practise inside a fret window treat every fret outside it as disabled
+    const gameMode = GAME_MODES[state.currentScreen];
+    return Boolean(gameMode && gameMode.usesFretWindow && state.fretWindow &&
+        (fretIndex < state.fretWindow.start || fretIndex > state.fretWindow.end));
+}
+
+/**
+ * Every window of `size` consecutive frets as { fretWindow, pitchClasses }: the window, and
+ * the pitch classes on its frets that the settings leave enabled
+ */
+function getFretWindows(size) {
+    const firstFret = getFirstFret();
+    const lastStart = Math.max(firstFret, numFrets - size);
+    const windows = [];
+    for (let start = firstFret; start <= lastStart; start++) {
+        const fretWindow = { start, end: Math.min(start + size - 1, numFrets - 1) };
+        const pitchClasses = new Set();
+        // Read the disabled frets directly: isFretDisabled also applies the current window
+        for (let fretIndex = start; fretIndex <= fretWindow.end; fretIndex++) {
+            if (state.disabledFrets.includes(fretIndex)) continue;
+            stringTuning.forEach((openString, stringIndex) => pitchClasses.add(getMidiAt(stringIndex, fretIndex) % 12));
+        }
+        windows.push({ fretWindow, pitchClasses });
+    }
+    return windows;
+}
+
+/**
+ * The chord types of a list that the chord settings enable (major if none is)
+ */
+function getEnabledTriadTypes(allowedTypes = Object.keys(TRIAD_TYPES)) {
+    const enabledTypes = allowedTypes.filter(type => state.triadSettings[type]);
+
+    if (enabledTypes.length === 0) {
+        // Fallback to major if nothing is enabled
+        enabledTypes.push('major');
+    }
+    return enabledTypes;
+}
+
+/**
+ * A chord of a type on a pitch class, with its root spelled to read correctly
+ */
+function createTriad(triadType, pitchClass) {
+    const triadDef = TRIAD_TYPES[triadType];
+    const rootNote = chooseRootSpelling(pitchClass, triadDef);
+
+    return {
+        root: rootNote,
+        type: triadType,
+        typeName: triadDef.name,
+        notes: spellChord(rootNote, triadDef),
+        tones: triadDef.tones
+    };
+}
+
+function getRandomTriad(allowedTypes = Object.keys(TRIAD_TYPES)) {
+    const enabledTypes = getEnabledTriadTypes(allowedTypes);
+    const triadType = enabledTypes[Math.floor(Math.random() * enabledTypes.length)];
+
+    // Roots on weak notes come up more often
+    return createTriad(triadType, pickPracticePitchClass());
+}
+
+/**
+ * Pick a triad, inversion and set of three adjacent strings that can be played
+ * with the current fret settings (null if disabled frets or a short neck leave none)
+ */
+function getRandomVoicing() {
+    const voicings = [];
+    getEnabledTriadTypes(VOICING_TRIAD_TYPES).forEach(triadType => {
+        NOTES.forEach((note, pitchClass) => {
+            const triad = createTriad(triadType, pitchClass);
+            INVERSION_NAMES.forEach((name, inversion) => {
+                for (let topString = 0; topString + 2 < stringTuning.length; topString++) {
+                    const voicing = {
+                        triad,
+                        inversion,
+                        strings: [topString, topString + 1, topString + 2] // High to low
+                    };
+                    if (getVoicingShapes(voicing).length > 0) voicings.push(voicing);
+                }
             });
-            const avgBrightness = totalBrightness / totalCount;
-            
-            // Find X positions where colors are significantly different (likely frets)
-            // Frets might be darker (no color/material) or have different colors
-            const fretCandidates = [];
-            xColorGroups.forEach((group, x) => {
-                if (group.colors.length > 3) {
-                    // Calculate average color and brightness for this X position
-                    const avgR = group.colors.reduce((sum, c) => sum + c.r, 0) / group.colors.length;
-                    const avgG = group.colors.reduce((sum, c) => sum + c.g, 0) / group.colors.length;
-                    const avgB = group.colors.reduce((sum, c) => sum + c.b, 0) / group.colors.length;
-                    const groupBrightness = (avgR + avgG + avgB) / 3;
-                    
-                    // Check brightness difference from average (frets might be darker/lighter)
-                    const brightnessDiff = Math.abs(groupBrightness - avgBrightness);
-                    
-                    // Check color variance within this group
-                    const variance = group.colors.reduce((sum, c) => {
-                        const cBrightness = (c.r + c.g + c.b) / 3;
-                        return sum + Math.abs(cBrightness - groupBrightness);
-                    }, 0) / group.colors.length;
-                    
-                    // Frets might be:
-                    // 1. Significantly darker (no color/material) - brightnessDiff > threshold
-                    // 2. Significantly lighter (different material) - brightnessDiff > threshold
-                    // 3. Have high color variance (mixed colors) - variance > threshold
-                    const isDark = groupBrightness < avgBrightness - 0.1;
-                    const isLight = groupBrightness > avgBrightness + 0.1;
-                    const hasHighVariance = variance > 0.08;
-                    
-                    if (brightnessDiff > 0.12 || (hasHighVariance && brightnessDiff > 0.05)) {
-                        const avgY = group.vertices.reduce((sum, v) => sum + v.y, 0) / group.vertices.length;
-                        const avgZ = group.vertices.reduce((sum, v) => sum + v.z, 0) / group.vertices.length;
-                        
-                        fretCandidates.push({
-                            x: x,
-                            y: avgY,
-                            z: avgZ,
-                            brightness: groupBrightness,
-                            brightnessDiff: brightnessDiff,
-                            colorVariance: variance,
-                            isDark: isDark,
-                            isLight: isLight,
-                            vertexCount: group.vertices.length
-                        });
-                    }
+        });
+    });
+    if (voicings.length === 0) return null;
+
+    // Roots on weak notes come up more often
+    return pickWeighted(voicings, voicing => getPracticeWeight('notes', getPracticeNoteKey(voicing.triad.root)));
+}
+
+/**
+ * Chord tone (0 = root, 1 = 3rd, 2 = 5th) a voicing puts on one of its strings. From the
+ * bass string up: root position R-3-5, 1st inversion 3-5-R, 2nd inversion 5-R-3.
+ */
+function getVoicingToneIndex(voicing, stringIndex) {
+    const bassString = voicing.strings[voicing.strings.length - 1];
+    return (voicing.inversion + bassString - stringIndex) % 3;
+}
+
+/**
+ * Check that positions (listed from the bass string up) rise in pitch and fit in one octave
+ */
+function isCloseVoicing(positions) {
+    const pitches = positions.map(pos => getMidiAt(pos.string, pos.fret));
+    return pitches.every((pitch, index) => index === 0 || pitch > pitches[index - 1]) &&
+        pitches[pitches.length - 1] - pitches[0] < 12;
+}
+
+/**
+ * Every playable shape of a voicing, each listed from the bass string up
+ */
+function getVoicingShapes(voicing) {
+    const [topString, middleString, bassString] = voicing.strings;
+    const positionsOn = stringIndex => getAllPositions(
+        voicing.triad.notes[getVoicingToneIndex(voicing, stringIndex)]
+    ).filter(pos => pos.string === stringIndex);
+
+    const shapes = [];
+    positionsOn(bassString).forEach(bass => {
+        positionsOn(middleString).forEach(middle => {
+            positionsOn(topString).forEach(top => {
+                if (isCloseVoicing([bass, middle, top])) {
+                    shapes.push([bass, middle, top]);
                 }
             });
-            
-            if (fretCandidates.length > 0) {
-                // Group nearby candidates using improved grouping function
-                // Use larger tolerance (1.5cm) to account for fret thickness
-                const groupedFrets = groupFretCandidates(fretCandidates, 0.015);
-                
-                groupedFrets.sort((a, b) => a.x - b.x);
-                const validFrets = groupedFrets.filter(f => f.x > nutX && f.x < neckEndX);
-                
-                // Return results from color detection
-                if (validFrets.length > 0) {
-                    return validFrets;
+        });
+    });
+    return shapes;
+}
+
+/**
+ * String set label, e.g. "strings 2-3-4" (string 1 is the highest)
+ */
+function formatStringSet(strings) {
+    return `strings ${strings.map(stringIndex => stringIndex + 1).join('-')}`;
+}
+
+/**
+ * A scale of a type on a pitch class, with its root spelled to read correctly
+ */
+function createScale(scaleType, pitchClass) {
+    const scaleDef = SCALE_TYPES[scaleType];
+    const rootNote = chooseRootSpelling(pitchClass, scaleDef);
+
+    return {
+        root: rootNote,
+        type: scaleType,
+        typeName: scaleDef.name,
+        notes: spellChord(rootNote, scaleDef)
+    };
+}
+
+/**
+ * Pick a scale and a fret window holding at least one of its notes (null if every fret
+ * is disabled)
+ */
+function getRandomScaleQuestion() {
+    const windows = getFretWindows(PRACTICE_WINDOW_FRETS).filter(({ pitchClasses }) => pitchClasses.size > 0);
+    if (windows.length === 0) return null;
+    const { fretWindow, pitchClasses } = windows[Math.floor(Math.random() * windows.length)];
+
+    const scales = [];
+    Object.keys(SCALE_TYPES).forEach(scaleType => {
+        NOTES.forEach((note, pitchClass) => {
+            const scale = createScale(scaleType, pitchClass);
+            if (scale.notes.some(n => pitchClasses.has(getPitchClass(n)))) scales.push(scale);
+        });
+    });
+    return { scale: scales[Math.floor(Math.random() * scales.length)], fretWindow };
+}
+
+/**
+ * Every position of a scale's notes (inside the fret window, which disables the other frets)
+ */
+function getScalePositions(scale) {
+    return scale.notes.flatMap(note => getAllPositions(note));
+}
+
+/**
+ * Pick a reference position and an interval above or below it from the interval settings,
+ * making sure the answer can be played on an enabled fret
+ */
+function getRandomIntervalQuestion() {
+    const intervals = Object.keys(INTERVALS).filter(key => state.intervalSettings[key]);
+    const directions = Object.keys(state.intervalDirections).filter(key => state.intervalDirections[key]);
+    if (intervals.length === 0) intervals.push('P5');
+    if (directions.length === 0) directions.push('above');
+
+    // Every enabled reference, interval and direction whose answer is on an enabled fret
+    const positions = getEnabledPositions();
+    const playable = new Set(positions.map(pos => getMidiAt(pos.string, pos.fret)));
+    const candidates = [];
+    positions.forEach(reference => {
+        intervals.forEach(interval => {
+            directions.forEach(direction => {
+                const sign = direction === 'above' ? 1 : -1;
+                const targetMidi = getMidiAt(reference.string, reference.fret) + INTERVALS[interval].semitones * sign;
+                if (playable.has(targetMidi)) {
+                    candidates.push({ reference, interval, direction, sign, targetMidi });
                 }
-            }
-        }
+            });
+        });
+    });
+    // No playable question with these intervals and frets
+    if (candidates.length === 0) return null;
+
+    const { reference, interval, direction, sign, targetMidi } = candidates[Math.floor(Math.random() * candidates.length)];
+
+    // Spell the answer by letter from the reference, e.g. a minor 3rd above C is Eb
+    const referenceNote = spellPitchClass(getMidiAt(reference.string, reference.fret) % 12);
+    const letterIndex = NOTE_LETTERS.indexOf(referenceNote[0]) + INTERVALS[interval].degree * sign;
+    const targetLetter = NOTE_LETTERS[((letterIndex % 7) + 7) % 7];
+
+    return {
+        reference,
+        referenceNote,
+        interval,
+        direction,
+        targetMidi,
+        targetNote: spellWithLetter(targetMidi % 12, targetLetter)
+    };
+}
+
+/**
+ * Pick a chord (from the chord settings) and a fret window holding every one of its tones
+ * (null if no chord fits in any window)
+ */
+function getRandomArpeggioQuestion() {
+    const windows = getFretWindows(PRACTICE_WINDOW_FRETS);
+    const questions = [];
+    getEnabledTriadTypes().forEach(triadType => {
+        NOTES.forEach((note, pitchClass) => {
+            const triad = createTriad(triadType, pitchClass);
+            windows.forEach(({ fretWindow, pitchClasses }) => {
+                if (triad.notes.every(n => pitchClasses.has(getPitchClass(n)))) questions.push({ triad, fretWindow });
+            });
+        });
+    });
+    if (questions.length === 0) return null;
+
+    // Roots on weak notes come up more often
+    return pickWeighted(questions, question => getPracticeWeight('notes', getPracticeNoteKey(question.triad.root)));
+}
+
+/**
+ * Every pitch (MIDI note number) of a chord playable in the fret window, from low to high.
+ * Unisons on different strings count once.
+ */
+function getArpeggioSequence(triad) {
+    const positions = triad.notes.flatMap(note => getAllPositions(note));
+    const pitches = new Set(positions.map(pos => getMidiAt(pos.string, pos.fret)));
+    return [...pitches].sort((a, b) => a - b);
+}
+
+/**
+ * Check that the active tuning is standard 6-string guitar tuning, which the CAGED shapes assume
+ */
+function isStandardGuitarTuning() {
+    const standardStrings = INSTRUMENT_PROFILES.guitar6.tunings.standard.strings;
+    return stringTuning.length === standardStrings.length &&
+        stringTuning.every((openString, stringIndex) =>
+            getPitchClass(openString.note) === getPitchClass(standardStrings[stringIndex].note)
+        );
+}
+
+/**
+ * Move a CAGED shape template to a root, an octave higher if it doesn't fit the enabled frets.
+ * Returns the shape's positions, or null if it can't be played.
+ */
+function getCagedShapePositions(quality, shape, rootNote) {
+    const template = CAGED_SHAPES[quality][shape];
+    const baseShift = (getPitchClass(rootNote) - getPitchClass(shape) + 12) % 12;
+
+    for (const shift of [baseShift, baseShift + 12]) {
+        const positions = template
+            .map((fret, stringIndex) => fret === null ? null : { string: stringIndex, fret: fret + shift })
+            .filter(Boolean);
+        const fits = positions.every(pos =>
+            pos.fret >= getFirstFret() && pos.fret < numFrets && !isFretDisabled(pos.fret)
+        );
+        if (fits) return positions;
+    }
+    return null;
+}
+
+/**
+ * Pick a major or minor chord (from the chord settings) and a CAGED shape that can be played
+ * (null if disabled frets or a short neck leave no room for any shape)
+ */
+function getRandomCagedQuestion() {
+    const shapes = Object.keys(CAGED_SHAPES.major);
+    const questions = [];
+    getEnabledTriadTypes(Object.keys(CAGED_SHAPES)).forEach(triadType => {
+        NOTES.forEach((note, pitchClass) => {
+            const triad = createTriad(triadType, pitchClass);
+            shapes.forEach(shape => {
+                const positions = getCagedShapePositions(triadType, shape, triad.root);
+                if (positions) questions.push({ triad, shape, positions });
+            });
+        });
+    });
+    if (questions.length === 0) return null;
+
+    // Roots on weak notes come up more often
+    return pickWeighted(questions, question => getPracticeWeight('notes', getPracticeNoteKey(question.triad.root)));
+}
+
+/**
+ * Describe the interval between two pitches, e.g. "a Major 3rd above"
+ */
+function describeInterval(fromMidi, toMidi) {
+    const distance = Math.abs(toMidi - fromMidi);
+    const direction = toMidi > fromMidi ? 'above' : 'below';
+    if (distance === 0) return 'the same pitch';
+    const interval = Object.values(INTERVALS).find(i => i.semitones === distance);
+    return interval ? `a ${interval.name} ${direction}` : `more than an octave ${direction}`;
+}
+
+function selectRandomRootNotePosition(rootNote) {
+    if (!state.showTriadRootNote || !rootNote) {
+        return null;
+    }
+    
+    const rootPositions = getAllPositions(rootNote);
+    if (rootPositions.length > 0) {
+        // Pick a random position
+        return rootPositions[Math.floor(Math.random() * rootPositions.length)];
+    }
+    return null;
+}
+
+function highlightRootNotePosition() {
+    highlightReferencePosition(state.showTriadRootNote ? state.triadRootNotePosition : null);
+}
+
+/**
+ * Highlight a reference position on the 3D hitboxes (light blue), clearing the previous one
+ */
+function highlightReferencePosition(position) {
+    highlightReferencePositions(position ? [position] : []);
+}
+
+/**
+ * Highlight several reference positions on the 3D hitboxes, clearing the previous ones
+ */
+function highlightReferencePositions(positions) {
+    // Clear previous root note highlight
+    if (fretZones && fretZones.length > 0) {
+        fretZones.forEach(zone => {
+            if (zone.userData.isRootNote) {
+                zone.userData.isRootNote = false;
+                zone.userData.originalOpacity = zone.userData.isDisabled ? 0.3 : (state.showDebug ? 0.6 : 0);
+                zone.material.color.setHex(zone.userData.originalColor);
+                // Only reset opacity if not showing feedback or hovered
+                if (!zone.userData.isFeedback && !zone.userData.isHovered) {
+                    zone.material.opacity = zone.userData.originalOpacity;
+                }
+            }
+        });
+    }
+    
+    // Highlight the reference positions
+    if (fretZones && fretZones.length > 0) {
+        positions.forEach(position => {
+            const rootZone = fretZones.find(z =>
+                z.userData.stringIndex === position.string &&
+                z.userData.fretIndex === position.fret
+            );
+            
+            if (rootZone) {
+                rootZone.userData.isRootNote = true;
+                rootZone.material.color.setHex(0x00aaff); // Light blue for root note
+                rootZone.material.opacity = 0.6;
+                rootZone.visible = true;
+                // Store that this is a root note so it stays visible
+                rootZone.userData.originalOpacity = 0.6; // Update original opacity so it stays visible
+            }
+        });
+    }
+}
+
+/* ========================================
+   UI RENDERING FUNCTIONS
+   ======================================== */
+function renderMenu() {
+    const app = document.getElementById('app');
+    app.innerHTML = `
+        <div class="menu-screen">
+            <h1 class="title">Guitar Fretboard Memorizer</h1>
+            <p class="subtitle">Master the neck, one note at a time.</p>
+            <button class="stats-btn" id="statisticsBtn">Statistics</button>
+            <div class="menu-content">
+                <div class="menu-modes">
+                    <div class="mode-cards">
+                        <div class="mode-card" id="singleNoteMode">
+                            <h2>Single Note</h2>
+                            <p>Find random notes on the fretboard and build your muscle memory.</p>
+                        </div>
+                        <div class="mode-card" id="nameNoteMode">
+                            <h2>Name the Note</h2>
+                            <p>Name a highlighted fret with the note pad or your keyboard.</p>
+                        </div>
+                        <div class="mode-card" id="fretColumnMode">
+                            <h2>Fret Column</h2>
+                            <p>Name the notes on every string at one fret, from the top string down.</p>
+                        </div>
+                        <div class="mode-card" id="findAllMode">
+                            <h2>Find All Instances</h2>
+                            <p>Locate every position of a specific note across the entire neck.</p>
+                        </div>
+                        <div class="mode-card" id="scalesMode">
+                            <h2>Scales &amp; Modes</h2>
+                            <p>Click every note of a scale inside a fret window.</p>
+                        </div>
+                        <div class="mode-card" id="triadsMode">
+                            <h2>Chord Triads</h2>
+                            <p>Click every note of a chord, from triads to sevenths and sus chords, to score a point.</p>
+                        </div>
+                        <div class="mode-card" id="progressionsMode">
+                            <h2>Chord Progressions</h2>
+                            <p>Place the chords of a progression like I-IV-V in a key, each one near the last.</p>
+                        </div>
+                        <div class="mode-card" id="diatonicMode">
+                            <h2>Diatonic Harmony</h2>
+                            <p>Work out the chord on a degree of a key, like the 6th of E major, then find it.</p>
+                        </div>
+                        <div class="mode-card" id="arpeggiosMode">
+                            <h2>Arpeggios</h2>
+                            <p>Play every note of a chord in a fret window, in order from the lowest note up.</p>
+                        </div>
+                        <div class="mode-card" id="cagedMode">
+                            <h2>CAGED Shapes</h2>
+                            <p>Play a major or minor chord in a named CAGED shape, like D major in the A-shape.</p>
+                        </div>
+                        <div class="mode-card" id="intervalsMode">
+                            <h2>Intervals</h2>
+                            <p>Find an interval above or below a highlighted note, on any string.</p>
+                        </div>
+                        <div class="mode-card" id="octavesMode">
+                            <h2>Octaves &amp; Unisons</h2>
+                            <p>Find every unison and octave of a highlighted note and learn the shapes.</p>
+                        </div>
+                        <div class="mode-card" id="exactPitchMode">
+                            <h2>Exact Pitch</h2>
+                            <p>Find a note at the right octave, like C4 or G3.</p>
+                        </div>
+                        <div class="mode-card" id="earTrainingMode">
+                            <h2>Ear Training</h2>
+                            <p>Listen to a hidden note and find that exact pitch on the fretboard.</p>
+                        </div>
+                        <div class="mode-card" id="chordEarMode">
+                            <h2>Chord Ear Training</h2>
+                            <p>Hear a chord, name its quality, then optionally find it on the neck.</p>
+                        </div>
+                        <div class="mode-card" id="voicingsMode">
+                            <h2>Triad Voicings</h2>
+                            <p>Play a triad in a given inversion on a set of three adjacent strings.</p>
+                        </div>
+                    </div>
+                </div>
+                <div class="menu-settings">
+                    <h2 class="settings-title">Settings</h2>
+                    <div class="view-toggle-container">
+                        <label class="view-toggle-label">
+                            <span class="view-toggle-text">View Mode:</span>
+                            <div class="view-toggle-switch">
+                                <input type="checkbox" id="viewModeToggle" ${state.viewMode === '3d' ? 'checked' : ''}>
+                                <span class="toggle-slider">
+                                    <span class="toggle-label-left">2D</span>
+                                    <span class="toggle-label-right">3D</span>
+                                </span>
+                            </div>
+                        </label>
+                    </div>
+                    <div class="view-toggle-container">
+                        <label class="view-toggle-label">
+                            <span class="view-toggle-text">3D Model Quality:</span>
+                            <div class="view-toggle-switch">
+                                <input type="checkbox" id="modelQualityToggle" ${state.modelQuality === 'high' ? 'checked' : ''}>
+                                <span class="toggle-slider">
+                                    <span class="toggle-label-left">Low</span>
+                                    <span class="toggle-label-right">High</span>
+                                </span>
+                            </div>
+                        </label>
+                    </div>
+                    <div class="view-toggle-container">
+                        <label class="view-toggle-label">
+                            <span class="view-toggle-text">Accidentals:</span>
+                            <select id="accidentalsSelect" class="settings-select">
+                                <option value="sharps" ${state.accidentals === 'sharps' ? 'selected' : ''}>Sharps (C#)</option>
+                                <option value="flats" ${state.accidentals === 'flats' ? 'selected' : ''}>Flats (Db)</option>
+                                <option value="both" ${state.accidentals === 'both' ? 'selected' : ''}>Both</option>
+                            </select>
+                        </label>
+                    </div>
+                    <div class="view-toggle-container">
+                        <label class="view-toggle-label">
+                            <span class="view-toggle-text">Instrument:</span>
+                            <select id="instrumentSelect" class="settings-select">
+                                ${Object.entries(INSTRUMENT_PROFILES).map(([key, profile]) => `
+                                    <option value="${key}" ${state.instrument === key ? 'selected' : ''}>${profile.name}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                    </div>
+                    <div class="tuning-container">
+                        <label class="view-toggle-label">
+                            <span class="view-toggle-text">Tuning:</span>
+                            <select id="tuningPresetSelect" class="settings-select">
+                                ${Object.entries(getInstrumentProfile().tunings).map(([key, preset]) => `
+                                    <option value="${key}" ${state.tuningPreset === key ? 'selected' : ''}>${preset.name}</option>
+                                `).join('')}
+                                <option value="custom" ${state.tuningPreset === 'custom' ? 'selected' : ''}>Custom</option>
+                            </select>
+                        </label>
+                        <div class="tuning-editor" id="tuningEditor">${renderTuningEditor()}</div>
+                    </div>
+                    <div class="view-toggle-container">
+                        <label class="view-toggle-label">
+                            <span class="view-toggle-text">Frets:</span>
+                            <select id="fretCountSelect" class="settings-select">
+                                ${FRET_COUNT_OPTIONS.map(count => `
+                                    <option value="${count}" ${state.fretCount === count ? 'selected' : ''}>${count}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                    </div>
+                    <div class="view-toggle-container">
+                        <label class="view-toggle-label">
+                            <span class="view-toggle-text">Scale Length:</span>
+                            <select id="scaleLengthSelect" class="settings-select">
+                                ${Object.entries(SCALE_LENGTHS).map(([key, scale]) => `
+                                    <option value="${key}" ${state.scaleLength === key ? 'selected' : ''}>${scale.name}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                    </div>
+                    <div class="view-toggle-container">
+                        <label class="view-toggle-label">
+                            <span class="view-toggle-text">Open Strings:</span>
+                            <div class="view-toggle-switch">
+                                <input type="checkbox" id="includeOpenStringsToggle" ${state.includeOpenStrings ? 'checked' : ''}>
+                                <span class="toggle-slider">
+                                    <span class="toggle-label-left">Off</span>
+                                    <span class="toggle-label-right">On</span>
+                                </span>
+                            </div>
+                        </label>
+                    </div>
+                    <div class="view-toggle-container">
+                        <label class="view-toggle-label">
+                            <span class="view-toggle-text">Session:</span>
+                            <select id="sessionFormatSelect" class="settings-select">
+                                ${Object.entries(SESSION_FORMATS).map(([key, format]) => `
+                                    <option value="${key}" ${state.sessionFormat === key ? 'selected' : ''}>${format.name}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                    </div>
+                    <div class="time-limit-container">
+                        <label class="time-limit-label">
+                            <div class="view-toggle-container" style="width: 100%; justify-content: flex-start;">
+                                <label class="view-toggle-label">
+                                    <span class="view-toggle-text">Time Limit:</span>
+                                    <div class="view-toggle-switch">
+                                        <input type="checkbox" id="enableTimeLimitToggle" ${state.enableTimeLimit ? 'checked' : ''}>
+                                        <span class="toggle-slider">
+                                            <span class="toggle-label-left">Off</span>
+                                            <span class="toggle-label-right">On</span>
+                                        </span>
+                                    </div>
+                                </label>
+                            </div>
+                            <div class="time-limit-control" id="timeLimitControl" style="display: ${state.enableTimeLimit ? 'flex' : 'none'};">
+                                <input type="range" id="timeLimitSlider" min="1" max="10" value="${state.timeLimit > 0 ? state.timeLimit : 1}" step="1">
+                                <span class="time-limit-value" id="timeLimitValue">${state.timeLimit > 0 ? `${state.timeLimit}s` : '1s'}</span>
+                            </div>
+                        </label>
+                    </div>
+                    <div class="disabled-frets-container">
+                        <label class="disabled-frets-label">
+                            <div class="view-toggle-container" style="width: 100%; justify-content: flex-start;">
+                                <label class="view-toggle-label">
+                                    <span class="view-toggle-text">Disable Frets:</span>
+                                    <div class="view-toggle-switch">
+                                        <input type="checkbox" id="enableDisabledFretsToggle" ${state.enableDisabledFrets ? 'checked' : ''}>
+                                        <span class="toggle-slider">
+                                            <span class="toggle-label-left">Off</span>
+                                            <span class="toggle-label-right">On</span>
+                                        </span>
+                                    </div>
+                                </label>
+                            </div>
+                            <div class="disabled-frets-controls" id="disabledFretsControls" style="display: ${state.enableDisabledFrets ? 'flex' : 'none'};">
+                                <div class="disabled-frets-range">
+                                    <label class="range-label">
+                                        <span>From:</span>
+                                        <input type="range" id="disabledFretStart" min="1" max="${numFrets - 1}" value="${state.disabledFrets.length > 0 ? Math.min(...state.disabledFrets) : 1}" step="1">
+                                        <span class="range-value" id="disabledFretStartValue">${state.disabledFrets.length > 0 ? Math.min(...state.disabledFrets) : 1}</span>
+                                    </label>
+                                    <label class="range-label">
+                                        <span>To:</span>
+                                        <input type="range" id="disabledFretEnd" min="1" max="${numFrets - 1}" value="${state.disabledFrets.length > 0 ? Math.max(...state.disabledFrets) : 1}" step="1">
+                                        <span class="range-value" id="disabledFretEndValue">${state.disabledFrets.length > 0 ? Math.max(...state.disabledFrets) : 1}</span>
+                                    </label>
+                                </div>
+                            </div>
+                        </label>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+
+    // Setup view mode toggle
+    const viewToggle = document.getElementById('viewModeToggle');
+    viewToggle.addEventListener('change', (e) => {
+        state.viewMode = e.target.checked ? '3d' : '2d';
+        saveSettingsToCookies();
+    });
+
+    // Setup model quality toggle
+    const modelQualityToggle = document.getElementById('modelQualityToggle');
+    modelQualityToggle.addEventListener('change', (e) => {
+        state.modelQuality = e.target.checked ? 'high' : 'low';
+        saveSettingsToCookies();
+    });
+
+    // Setup accidentals select
+    const accidentalsSelect = document.getElementById('accidentalsSelect');
+    accidentalsSelect.addEventListener('change', (e) => {
+        state.accidentals = e.target.value;
+        saveSettingsToCookies();
+    });
+
+    // Setup session format select
+    const sessionFormatSelect = document.getElementById('sessionFormatSelect');
+    sessionFormatSelect.addEventListener('change', (e) => {
+        state.sessionFormat = e.target.value;
+        saveSettingsToCookies();
+    });
+
+    // Setup instrument select - a new instrument starts from its standard tuning and neck
+    const instrumentSelect = document.getElementById('instrumentSelect');
+    instrumentSelect.addEventListener('change', (e) => {
+        state.instrument = e.target.value;
+        state.tuningPreset = 'standard';
+        state.customTuning = null;
+        state.fretCount = getInstrumentProfile().frets;
+        state.scaleLength = getInstrumentProfile().scaleLength;
+        applyInstrumentSettings();
+        saveSettingsToCookies();
+        // Re-render so the tuning editor and fret sliders match the new instrument
+        renderMenu();
+    });
+
+    // Setup fret count select
+    const fretCountSelect = document.getElementById('fretCountSelect');
+    fretCountSelect.addEventListener('change', (e) => {
+        state.fretCount = parseInt(e.target.value);
+        applyInstrumentSettings();
+        saveSettingsToCookies();
+        // Re-render so the disabled fret sliders match the new fret count
+        renderMenu();
+    });
+
+    // Setup scale length select
+    const scaleLengthSelect = document.getElementById('scaleLengthSelect');
+    scaleLengthSelect.addEventListener('change', (e) => {
+        state.scaleLength = e.target.value;
+        saveSettingsToCookies();
+    });
+
+    // Setup open strings toggle
+    const includeOpenStringsToggle = document.getElementById('includeOpenStringsToggle');
+    includeOpenStringsToggle.addEventListener('change', (e) => {
+        state.includeOpenStrings = e.target.checked;
+        saveSettingsToCookies();
+    });
+
+    // Setup tuning preset select and per-string editor
+    const tuningPresetSelect = document.getElementById('tuningPresetSelect');
+    tuningPresetSelect.addEventListener('change', (e) => {
+        if (e.target.value === 'custom' && !state.customTuning) {
+            // Start the custom tuning from whatever is currently selected
+            state.customTuning = getSelectedTuningStrings().map(s => ({ ...s }));
+        }
+        state.tuningPreset = e.target.value;
+        applyInstrumentSettings();
+        document.getElementById('tuningEditor').innerHTML = renderTuningEditor();
+        setupTuningEditor();
+        saveSettingsToCookies();
+    });
+    setupTuningEditor();
+
+    // Setup time limit toggle
+    const enableTimeLimitToggle = document.getElementById('enableTimeLimitToggle');
+    if (enableTimeLimitToggle) {
+        enableTimeLimitToggle.addEventListener('change', (e) => {
+            state.enableTimeLimit = e.target.checked;
+            
+            const timeLimitControl = document.getElementById('timeLimitControl');
+            if (timeLimitControl) {
+                timeLimitControl.style.display = state.enableTimeLimit ? 'flex' : 'none';
+            }
+            
+            if (!state.enableTimeLimit) {
+                // If toggle is off, disable time limit
+                state.timeLimit = 0;
+            } else {
+                // If toggle is on, set default time limit if it's 0
+                if (state.timeLimit === 0) {
+                    state.timeLimit = 1;
+                    const timeLimitSlider = document.getElementById('timeLimitSlider');
+                    const timeLimitValue = document.getElementById('timeLimitValue');
+                    if (timeLimitSlider) timeLimitSlider.value = 1;
+                    if (timeLimitValue) timeLimitValue.textContent = '1s';
+                }
+            }
+            saveSettingsToCookies();
+        });
+    }
+
+    // Setup time limit slider
+    const timeLimitSlider = document.getElementById('timeLimitSlider');
+    const timeLimitValue = document.getElementById('timeLimitValue');
+    if (timeLimitSlider && timeLimitValue) {
+        timeLimitSlider.addEventListener('input', (e) => {
+            if (!state.enableTimeLimit) return;
+            
+            const value = parseInt(e.target.value);
+            state.timeLimit = value;
+            timeLimitValue.textContent = `${value}s`;
+            saveSettingsToCookies();
+        });
+    }
+
+    // Setup disabled frets toggle
+    const enableDisabledFretsToggle = document.getElementById('enableDisabledFretsToggle');
+    if (enableDisabledFretsToggle) {
+        enableDisabledFretsToggle.addEventListener('change', (e) => {
+            state.enableDisabledFrets = e.target.checked;
+            
+            const disabledFretsControls = document.getElementById('disabledFretsControls');
+            if (disabledFretsControls) {
+                disabledFretsControls.style.display = state.enableDisabledFrets ? 'flex' : 'none';
+            }
+            
+            if (!state.enableDisabledFrets) {
+                // If toggle is off, enable all frets (clear disabled frets)
+                state.disabledFrets = [];
+            }
+            saveSettingsToCookies();
+        });
+    }
+
+    // Setup disabled frets controls
+    const disabledFretStart = document.getElementById('disabledFretStart');
+    const disabledFretStartValue = document.getElementById('disabledFretStartValue');
+    const disabledFretEnd = document.getElementById('disabledFretEnd');
+    const disabledFretEndValue = document.getElementById('disabledFretEndValue');
+
+    function updateDisabledFrets() {
+        if (!state.enableDisabledFrets) return;
+        
+        if (!disabledFretStart || !disabledFretEnd) return;
+        
+        const start = parseInt(disabledFretStart.value);
+        const end = parseInt(disabledFretEnd.value);
+        const minFret = Math.min(start, end);
+        const maxFret = Math.max(start, end);
+        
+        state.disabledFrets = [];
+        for (let i = minFret; i <= maxFret; i++) {
+            state.disabledFrets.push(i);
+        }
+        
+        if (disabledFretStartValue) disabledFretStartValue.textContent = start;
+        if (disabledFretEndValue) disabledFretEndValue.textContent = end;
+        saveSettingsToCookies();
+    }
+
+    if (disabledFretStart) {
+        disabledFretStart.addEventListener('input', updateDisabledFrets);
+    }
+    if (disabledFretEnd) {
+        disabledFretEnd.addEventListener('input', updateDisabledFrets);
+    }
+    
+    // Initialize disabled frets display
+    if (state.enableDisabledFrets) {
+        updateDisabledFrets();
+    }
+
+    document.getElementById('singleNoteMode').addEventListener('click', startSingleNoteGame);
+    document.getElementById('findAllMode').addEventListener('click', startFindAllGame);
+    document.getElementById('scalesMode').addEventListener('click', startScalesGame);
+    document.getElementById('triadsMode').addEventListener('click', startTriadsGame);
+    document.getElementById('progressionsMode').addEventListener('click', startProgressionsGame);
+    document.getElementById('diatonicMode').addEventListener('click', startDiatonicGame);
+    document.getElementById('arpeggiosMode').addEventListener('click', startArpeggiosGame);
+    document.getElementById('cagedMode').addEventListener('click', startCagedGame);
+    document.getElementById('intervalsMode').addEventListener('click', startIntervalsGame);
+    document.getElementById('nameNoteMode').addEventListener('click', startNameNoteGame);
+    document.getElementById('octavesMode').addEventListener('click', startOctavesGame);
+    document.getElementById('fretColumnMode').addEventListener('click', startFretColumnGame);
+    document.getElementById('earTrainingMode').addEventListener('click', startEarTrainingGame);
+    document.getElementById('chordEarMode').addEventListener('click', startChordEarGame);
+    document.getElementById('exactPitchMode').addEventListener('click', startExactPitchGame);
+    document.getElementById('voicingsMode').addEventListener('click', startVoicingsGame);
+    document.getElementById('statisticsBtn').addEventListener('click', () => {
+        state.currentScreen = 'statistics';
+        renderStatistics();
+    });
+}
+
+/**
+ * Render the per-string tuning editor (one note and octave select per string)
+ */
+function renderTuningEditor() {
+    const { octaveRange } = getInstrumentProfile();
+    const octaves = [];
+    for (let octave = octaveRange.min; octave <= octaveRange.max; octave++) {
+        octaves.push(octave);
+    }
+
+    return getSelectedTuningStrings().map((openString, stringIndex) => `
+        <div class="tuning-string">
+            <span class="tuning-string-label">String ${stringIndex + 1}</span>
+            <select class="settings-select" data-string="${stringIndex}" data-field="note">
+                ${NOTES.map(note => `<option value="${note}" ${openString.note === note ? 'selected' : ''}>${note}</option>`).join('')}
+            </select>
+            <select class="settings-select" data-string="${stringIndex}" data-field="octave">
+                ${octaves.map(octave => `<option value="${octave}" ${openString.octave === octave ? 'selected' : ''}>${octave}</option>`).join('')}
+            </select>
+        </div>
+    `).join('');
+}
+
+/**
+ * Editing a string switches the tuning to 'custom', starting from the tuning shown in the editor
+ */
+function setupTuningEditor() {
+    document.querySelectorAll('#tuningEditor select').forEach(select => {
+        select.addEventListener('change', (e) => {
+            const stringIndex = parseInt(e.target.dataset.string);
+            const field = e.target.dataset.field;
+
+            const customTuning = getSelectedTuningStrings().map(s => ({ ...s }));
+            customTuning[stringIndex][field] = field === 'octave' ? parseInt(e.target.value) : e.target.value;
+
+            state.customTuning = customTuning;
+            state.tuningPreset = 'custom';
+            applyInstrumentSettings();
+
+            const tuningPresetSelect = document.getElementById('tuningPresetSelect');
+            if (tuningPresetSelect) tuningPresetSelect.value = 'custom';
+            saveSettingsToCookies();
+        });
+    });
+}
+
+/* ========================================
+   THREE.JS SETUP AND MODEL LOADING
+   ======================================== */
+
+// Default camera settings
+const DEFAULT_CAMERA_POSITION = new THREE.Vector3(-2.123, 1.330, 1.006);
+const DEFAULT_CAMERA_TARGET = new THREE.Vector3(-1.522, -0.597, 0.039);
+
+function initThreeJS(container) {
+    try {
+        // Create scene
+        scene = new THREE.Scene();
+        scene.background = new THREE.Color(0x1a1a1a);
+
+        // Create camera
+        camera = new THREE.PerspectiveCamera(
+            45,
+            container.clientWidth / container.clientHeight,
+            0.1,
+            1000
+        );
+        // Set default camera position
+        camera.position.copy(DEFAULT_CAMERA_POSITION);
+        // Camera will look at controls.target which is set below
+        
+        // Debug: Log initial camera parameters
+        const initialDistance = camera.position.length();
+        
+        // Calculate spherical coordinates for reference
+        const initialSpherical = new THREE.Spherical();
+        initialSpherical.setFromVector3(camera.position);
+
+        // Create renderer
+        try {
+            renderer = new THREE.WebGLRenderer({ antialias: true });
+        } catch (e) {
+            // Try without antialias if that was the issue, though unlikely for this specific error
+            try {
+                renderer = new THREE.WebGLRenderer({ antialias: false });
+            } catch (e2) {
+                return false;
+            }
+        }
+
+        renderer.setSize(container.clientWidth, container.clientHeight);
+        renderer.setPixelRatio(window.devicePixelRatio);
+        renderer.shadowMap.enabled = true;
+        renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        container.appendChild(renderer.domElement);
+
+        // Add lighting
+        const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
+        scene.add(ambientLight);
+
+        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+        directionalLight.position.set(2, 4, 3);
+        directionalLight.castShadow = true;
+        directionalLight.shadow.mapSize.width = 2048;
+        directionalLight.shadow.mapSize.height = 2048;
+        scene.add(directionalLight);
+
+        const fillLight = new THREE.DirectionalLight(0x6699ff, 0.3);
+        fillLight.position.set(-2, 2, -3);
+        scene.add(fillLight);
+
+        // Setup OrbitControls
+        controls = new OrbitControls(camera, renderer.domElement);
+        controls.enableDamping = true;
+        controls.dampingFactor = 0.05;
+        controls.minDistance = 0.1; // Closer zoom for better fret visibility
+        controls.maxDistance = 10; // Further zoom out
+        controls.zoomSpeed = 1.2; // Faster zoom speed
+        // Allow more vertical rotation to see strings when guitar is rotated
+        controls.maxPolarAngle = Math.PI * 0.85; // ~153 degrees - allows looking down more
+        controls.minPolarAngle = Math.PI * 0.15; // ~27 degrees - prevents looking from below
+        controls.target.copy(DEFAULT_CAMERA_TARGET);
+        camera.lookAt(controls.target); // Make sure camera looks at target
+        // Set rotation based on state (default: false, so rotation disabled)
+        controls.enableRotate = state.rotationEnabled;
+        controls.update();
+        
+        // Get current spherical coordinates from controls
+        const controlsSpherical = new THREE.Spherical();
+        controlsSpherical.setFromVector3(
+            camera.position.clone().sub(controls.target)
+        );
+        
+        // Throttle logging to avoid console spam (log max once per second)
+        let lastLogTime = 0;
+        const logThrottle = 1000; // 1 second
+        let movementTimeout = null;
+        
+        // Adjust camera to keep strings visible when rotating the guitar
+        // When viewing from behind (snaren van je af), automatically adjust camera angle
+        controls.addEventListener('change', () => {
+            // Get current camera position relative to target
+            const direction = new THREE.Vector3();
+            direction.subVectors(camera.position, controls.target);
+            const distance = direction.length();
+            
+            // Get spherical coordinates
+            const spherical = new THREE.Spherical();
+            spherical.setFromVector3(direction);
+            
+            // Normalize azimuth to 0-2PI (0 = front, PI = back)
+            let azimuth = spherical.theta;
+            if (azimuth < 0) azimuth += Math.PI * 2;
+            
+            // Store current camera state for easy access
+            window._lastCameraState = {
+                position: { x: camera.position.x, y: camera.position.y, z: camera.position.z },
+                target: { x: controls.target.x, y: controls.target.y, z: controls.target.z },
+                distance: distance,
+                spherical: { radius: spherical.radius, theta: spherical.theta, phi: spherical.phi },
+                azimuth: azimuth,
+                azimuthDegrees: azimuth * 180 / Math.PI,
+                polar: spherical.phi,
+                polarDegrees: spherical.phi * 180 / Math.PI
+            };
+            
+            // Clear existing timeout
+            if (movementTimeout) {
+                clearTimeout(movementTimeout);
+            }
+            
+            // Log camera state 500ms after user stops moving
+            movementTimeout = setTimeout(() => {
+                // Camera movement stopped - save to cookies
+                saveSettingsToCookies();
+            }, 500);
+            
+            // Check if we're looking from behind (azimuth between 90 and 270 degrees)
+            // This is when the strings are facing away from the camera
+            const isLookingFromBehind = azimuth > Math.PI / 2 && azimuth < (3 * Math.PI) / 2;
+            
+            // Current polar angle (0 = top, PI/2 = horizontal, PI = bottom)
+            let polar = spherical.phi;
+            
+            // When looking from behind, limit how far down we can look
+            // to keep the strings visible instead of seeing the bottom
+            if (isLookingFromBehind) {
+                // Limit polar angle to ~60 degrees (Math.PI * 0.33) when looking from behind
+                // This keeps the camera high enough to see the strings
+                const maxPolarWhenBehind = Math.PI * 0.33; // ~60 degrees
+                if (polar > maxPolarWhenBehind) {
+                    polar = maxPolarWhenBehind;
+                    spherical.phi = polar;
+                    
+                    // Update camera position with adjusted angle
+                    const newDirection = new THREE.Vector3();
+                    newDirection.setFromSpherical(spherical);
+                    newDirection.multiplyScalar(distance);
+                    camera.position.copy(controls.target).add(newDirection);
+                    camera.lookAt(controls.target);
+                }
+            }
+        });
+
+        // Setup raycaster for click detection
+        raycaster = new THREE.Raycaster();
+        mouse = new THREE.Vector2();
+
+        // Setup debug tooltip for mouse hover
+        setupDebugTooltip();
+        
+        // Function to reset camera to default position with animation
+        window.resetCamera = function() {
+            if (!camera || !controls) {
+                return;
+            }
+            
+            const startPosition = camera.position.clone();
+            const startTarget = controls.target.clone();
+            const endPosition = DEFAULT_CAMERA_POSITION.clone();
+            const endTarget = DEFAULT_CAMERA_TARGET.clone();
+            
+            const duration = 1000; // 1 second animation
+            const startTime = Date.now();
+            
+            function animate() {
+                const elapsed = Date.now() - startTime;
+                const progress = Math.min(elapsed / duration, 1);
+                
+                // Use easing function for smooth animation (ease-in-out)
+                const eased = progress < 0.5
+                    ? 2 * progress * progress
+                    : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+                
+                // Interpolate camera position
+                camera.position.lerpVectors(startPosition, endPosition, eased);
+                
+                // Interpolate target
+                controls.target.lerpVectors(startTarget, endTarget, eased);
+                
+                // Update camera to look at target
+                camera.lookAt(controls.target);
+                controls.update();
+                
+                if (progress < 1) {
+                    requestAnimationFrame(animate);
+                } else {
+                    // Ensure we end exactly at the target
+                    camera.position.copy(endPosition);
+                    controls.target.copy(endTarget);
+                    camera.lookAt(controls.target);
+                    controls.update();
+                    // Save camera position after reset
+                    saveSettingsToCookies();
+                }
+            }
+            
+            animate();
+        };
+        
+        // Expose function to console for getting current camera parameters
+        window.getCameraParams = function() {
+            if (!camera || !controls) {
+                return null;
+            }
+            
+            const direction = new THREE.Vector3();
+            direction.subVectors(camera.position, controls.target);
+            const distance = direction.length();
+            
+            const spherical = new THREE.Spherical();
+            spherical.setFromVector3(direction);
+            
+            let azimuth = spherical.theta;
+            if (azimuth < 0) azimuth += Math.PI * 2;
+            
+            const params = {
+                cameraPosition: {
+                    x: camera.position.x,
+                    y: camera.position.y,
+                    z: camera.position.z
+                },
+                target: {
+                    x: controls.target.x,
+                    y: controls.target.y,
+                    z: controls.target.z
+                },
+                distance: distance,
+                spherical: {
+                    radius: spherical.radius,
+                    theta: spherical.theta,
+                    phi: spherical.phi
+                },
+                angles: {
+                    azimuth: azimuth,
+                    azimuthDegrees: azimuth * 180 / Math.PI,
+                    polar: spherical.phi,
+                    polarDegrees: spherical.phi * 180 / Math.PI
+                }
+            };
+            
+            return params;
+        };
+        
+
+        // Handle window resize
+        window.addEventListener('resize', onWindowResize);
+
+        // Start animation loop
+        animate();
+
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function onWindowResize() {
+    const container = document.querySelector('.fretboard-container');
+    if (container && camera && renderer) {
+        camera.aspect = container.clientWidth / container.clientHeight;
+        camera.updateProjectionMatrix();
+        renderer.setSize(container.clientWidth, container.clientHeight);
+    }
+}
+
+// Track if we've logged the initial state
+let hasLoggedInitialState = false;
+
+function animate() {
+    requestAnimationFrame(animate);
+    if (controls) controls.update();
+    
+    // Log camera state once after first frame (when everything is initialized)
+    if (!hasLoggedInitialState && controls && camera) {
+        hasLoggedInitialState = true;
+        setTimeout(() => {
+            // Initial camera state logged - logging removed
+        }, 100);
+    }
+    
+    if (renderer && scene && camera) {
+        renderer.render(scene, camera);
+    }
+}
+
+function loadGuitarModel() {
+    return new Promise((resolve, reject) => {
+        const mtlLoader = new MTLLoader();
+        mtlLoader.setPath('Gibson 335/');
+
+        // Determine which model to load based on state
+        const modelType = state.modelQuality === 'high' ? 'High_Poly' : 'Low_Poly';
+        const mtlFile = `Gibson 335_${modelType}.mtl`;
+        const objFile = `Gibson 335_${modelType}.obj`;
+
+        mtlLoader.load(mtlFile, (materials) => {
+            materials.preload();
+
+            const objLoader = new OBJLoader();
+            objLoader.setMaterials(materials);
+            objLoader.setPath('Gibson 335/');
+
+            objLoader.load(
+                objFile,
+                (object) => {
+                    guitarModel = object;
+
+
+                    // Calculate neck region immediately
+                    const neckRegion = findNeckRegion();
+                    // Load custom texture
+                    const textureLoader = new THREE.TextureLoader();
+                    const texture = textureLoader.load('Gibson 335/Texturas/Tex_Caja_2.jpg');
+                    texture.colorSpace = THREE.SRGBColorSpace;
+
+                    // Scale and position the guitar
+                    guitarModel.scale.set(0.8, 0.8, 0.8);
+                    guitarModel.position.set(0, -0.5, 0);
+                    guitarModel.rotation.y = Math.PI / 2; // Rotate to horizontal
+
+                    // Enable shadows and apply texture
+                    guitarModel.traverse((child) => {
+                        if (child.isMesh) {
+                            child.castShadow = true;
+                            child.receiveShadow = true;
+
+                            // Apply texture to material
+                            if (child.material) {
+                                if (Array.isArray(child.material)) {
+                                    child.material.forEach(mat => {
+                                        mat.map = texture;
+                                        mat.needsUpdate = true;
+                                    });
+                                } else {
+                                    child.material.map = texture;
+                                    child.material.needsUpdate = true;
+                                }
+                            }
+                        }
+                    });
+
+                    scene.add(guitarModel);
+
+                    // Create fret zones after model is loaded
+                    createFretZones();
+                    
+                    // Load camera position from cookies after model is loaded
+                    loadCameraFromCookies();
+                    
+                    // Highlight root note position if in triads mode and option is enabled
+                    if (state.currentScreen === 'triads') {
+                        highlightRootNotePosition();
+                    }
+
+                    resolve(guitarModel);
+                },
+                (xhr) => {
+                    // Loading progress
+                },
+                (error) => {
+                    reject(error);
+                }
+            );
+        }, undefined, (error) => {
+            reject(error);
+        });
+    });
+}
+
+function findNeckRegion() {
+    if (!guitarModel) return null;
+
+    // Find Nut (Cejilla), Bridge (Puente), and Neck (Mastil) to calculate dimensions
+    let nutMesh = null;
+    let bridgeMesh = null;
+    let neckMesh = null;
+
+    guitarModel.traverse((child) => {
+        if (child.isMesh && child.name) {
+            const name = child.name.toLowerCase();
+            if (name.includes('cejilla')) {
+                nutMesh = child;
+            } else if (name.includes('puente')) {
+                bridgeMesh = child;
+            } else if (name.includes('mastil')) {
+                neckMesh = child;
+            }
+        }
+    });
+
+    // Calculate overall bounding box for fallbacks
+    const overallBox = new THREE.Box3().setFromObject(guitarModel);
+    const overallSize = overallBox.getSize(new THREE.Vector3());
+    const overallCenter = overallBox.getCenter(new THREE.Vector3());
+    const overallMin = overallBox.min;
+
+    let nutX, scaleLength, neckLength, neckWidth;
+
+    if (nutMesh && bridgeMesh) {
+        // Get exact positions from objects
+        nutMesh.updateMatrixWorld(true);
+        bridgeMesh.updateMatrixWorld(true);
+
+        const nutBox = new THREE.Box3().setFromObject(nutMesh);
+        const bridgeBox = new THREE.Box3().setFromObject(bridgeMesh);
+
+        // Nut is usually at the start of the scale (closest to headstock)
+        // We want the edge of the nut that touches the fretboard
+        nutX = nutBox.max.x;
+
+        // Bridge saddle is where the string ends vibrating
+        const bridgeX = bridgeBox.getCenter(new THREE.Vector3()).x;
+
+        // Calculate scale length
+        scaleLength = Math.abs(bridgeX - nutX);
+
+    } else {
+        // Fallback estimation
+        nutX = overallMin.x + overallSize.x * 0.15;
+        scaleLength = overallSize.x * 0.65;
+    }
+
+    // Calculate neck length - try to find from neck mesh, otherwise estimate
+    if (neckMesh) {
+        neckMesh.updateMatrixWorld(true);
+        const neckBox = new THREE.Box3().setFromObject(neckMesh);
+        const neckSize = neckBox.getSize(new THREE.Vector3());
+        neckLength = neckSize.x; // Length along X axis
+        neckWidth = neckSize.z; // Width along Z axis
+    } else {
+        // Estimate: neck typically extends to about 12-14 frets, roughly 60-70% of scale length
+        neckLength = scaleLength * 0.65;
+    }
+
+    // Calculate neck width if not found from mesh
+    if (!neckWidth) {
+        if (nutMesh) {
+            const nutBox = new THREE.Box3().setFromObject(nutMesh);
+            const nutSize = nutBox.getSize(new THREE.Vector3());
+            // Neck width is typically slightly wider than nut at the nut, tapers down
+            neckWidth = nutSize.z * 1.1; // Slightly wider than nut
+        } else {
+            // Fallback: estimate from overall size
+            neckWidth = overallSize.z * 0.15;
+        }
+    }
+
+    const neckStartX = nutX;
+    const neckCenterZ = overallCenter.z; // Centered in Z
+    const neckY = overallCenter.y - overallSize.y * 0.1; // Slightly below center (fretboard is on top of neck)
+
+    return {
+        startX: neckStartX,
+        nutX: nutX, // Store nut position separately
+        length: neckLength,
+        centerZ: neckCenterZ,
+        width: neckWidth,
+        y: neckY,
+        scaleLength: scaleLength, // Scale length of the model in model units
+        overallBox: overallBox
+    };
+}
+
+/**
+ * Group fret candidates that are close together (same fret detected multiple times)
+ * Uses a larger tolerance to account for fret thickness
+ */
+function groupFretCandidates(candidates, tolerance = 0.015) {
+    if (candidates.length === 0) return [];
+    
+    // Sort by X position
+    candidates.sort((a, b) => a.x - b.x);
+    
+    const groups = [];
+    
+    for (const candidate of candidates) {
+        let addedToGroup = false;
+        
+        // Try to add to existing group
+        for (const group of groups) {
+            // Check if candidate is within tolerance of the group center
+            // This is more efficient and works better for grouping
+            const distance = Math.abs(candidate.x - group.x);
+            
+            if (distance < tolerance) {
+                // Add to this group
+                group.candidates.push(candidate);
+                // Update group center (weighted average by vertex count if available)
+                const totalWeight = group.candidates.reduce((sum, c) => sum + (c.vertexCount || 1), 0);
+                group.x = group.candidates.reduce((sum, c) => sum + c.x * (c.vertexCount || 1), 0) / totalWeight;
+                group.y = Math.max(...group.candidates.map(c => c.y));
+                group.z = group.candidates.reduce((sum, c) => sum + c.z, 0) / group.candidates.length;
+                addedToGroup = true;
+                break;
+            }
+        }
+        
+        // Create new group if not added to existing
+        if (!addedToGroup) {
+            groups.push({
+                x: candidate.x,
+                y: candidate.y,
+                z: candidate.z,
+                candidates: [candidate]
+            });
+        }
+    }
+    
+    // Convert groups to simple fret objects
+    return groups.map(group => ({
+        x: group.x,
+        y: group.y,
+        z: group.z,
+        candidateCount: group.candidates.length
+    }));
+}
+
+/**
+ * Extract fret positions from the fretboard geometry
+ * Uses raycasting to find frets by detecting height changes on the fretboard
+ */
+function extractFretPositionsFromGeometry(neckRegion) {
+    if (!guitarModel) return null;
+
+    // Find the circulo object that contains all frets
+    // Specifically look for "Círculo.009_Círculo.060" (exact name)
+    let fretContainerObject = null;
+    guitarModel.traverse((child) => {
+        if (child.isMesh && child.name) {
+            // Try exact match first
+            if (child.name === 'Círculo.009_Círculo.060') {
+                fretContainerObject = child;
+            } else {
+                // Fallback: case-insensitive match for variations
+                const name = child.name.toLowerCase();
+                const normalizedTarget = 'círculo.009_círculo.060';
+                if (name === normalizedTarget || 
+                    (name.includes('circulo.009') && name.includes('circulo.060'))) {
+                    fretContainerObject = child;
+                }
+            }
+        }
+    });
+
+    if (fretContainerObject) {
+        fretContainerObject.updateMatrixWorld(true);
+        
+        // Get bounding box of the fret container
+        const fretBox = new THREE.Box3().setFromObject(fretContainerObject);
+        const nutX = neckRegion.nutX || neckRegion.startX;
+        const neckEndX = neckRegion.startX + neckRegion.length;
+        
+        // Method 1: Analyze by color/material differences - frets might have different colors
+        const geometry = fretContainerObject.geometry;
+        const material = fretContainerObject.material;
+        
+        // Check if geometry has vertex colors
+        if (geometry && geometry.attributes.color) {
+            const colors = geometry.attributes.color;
+            const positions = geometry.attributes.position;
+            const worldMatrix = fretContainerObject.matrixWorld;
+            const vertex = new THREE.Vector3();
+            const color = new THREE.Color();
+            
+            // Group vertices by X position and check their colors
+            const xColorGroups = new Map();
+            
+            for (let i = 0; i < positions.count; i++) {
+                vertex.fromBufferAttribute(positions, i);
+                vertex.applyMatrix4(worldMatrix);
+                
+                if (vertex.x > nutX && vertex.x < neckEndX) {
+                    color.fromBufferAttribute(colors, i);
+                    const roundedX = Math.round(vertex.x * 2000) / 2000; // 0.0005 precision
+                    
+                    if (!xColorGroups.has(roundedX)) {
+                        xColorGroups.set(roundedX, {
+                            x: roundedX,
+                            colors: [],
+                            vertices: []
+                        });
+                    }
+                    
+                    xColorGroups.get(roundedX).colors.push({
+                        r: color.r,
+                        g: color.g,
+                        b: color.b
+                    });
+                    xColorGroups.get(roundedX).vertices.push(vertex);
+                }
+            }
+            
+            // Calculate average brightness across all positions to find baseline
+            let totalBrightness = 0;
+            let totalCount = 0;
+            xColorGroups.forEach((group) => {
+                group.colors.forEach(c => {
+                    totalBrightness += (c.r + c.g + c.b) / 3;
+                    totalCount++;
+                });
+            });
+            const avgBrightness = totalBrightness / totalCount;
+            
+            // Find X positions where colors are significantly different (likely frets)
+            // Frets might be darker (no color/material) or have different colors
+            const fretCandidates = [];
+            xColorGroups.forEach((group, x) => {
+                if (group.colors.length > 3) {
+                    // Calculate average color and brightness for this X position
+                    const avgR = group.colors.reduce((sum, c) => sum + c.r, 0) / group.colors.length;
+                    const avgG = group.colors.reduce((sum, c) => sum + c.g, 0) / group.colors.length;
+                    const avgB = group.colors.reduce((sum, c) => sum + c.b, 0) / group.colors.length;
+                    const groupBrightness = (avgR + avgG + avgB) / 3;
+                    
+                    // Check brightness difference from average (frets might be darker/lighter)
+                    const brightnessDiff = Math.abs(groupBrightness - avgBrightness);
+                    
+                    // Check color variance within this group
+                    const variance = group.colors.reduce((sum, c) => {
+                        const cBrightness = (c.r + c.g + c.b) / 3;
+                        return sum + Math.abs(cBrightness - groupBrightness);
+                    }, 0) / group.colors.length;
+                    
+                    // Frets might be:
+                    // 1. Significantly darker (no color/material) - brightnessDiff > threshold
+                    // 2. Significantly lighter (different material) - brightnessDiff > threshold
+                    // 3. Have high color variance (mixed colors) - variance > threshold
+                    const isDark = groupBrightness < avgBrightness - 0.1;
+                    const isLight = groupBrightness > avgBrightness + 0.1;
+                    const hasHighVariance = variance > 0.08;
+                    
+                    if (brightnessDiff > 0.12 || (hasHighVariance && brightnessDiff > 0.05)) {
+                        const avgY = group.vertices.reduce((sum, v) => sum + v.y, 0) / group.vertices.length;
+                        const avgZ = group.vertices.reduce((sum, v) => sum + v.z, 0) / group.vertices.length;
+                        
+                        fretCandidates.push({
+                            x: x,
+                            y: avgY,
+                            z: avgZ,
+                            brightness: groupBrightness,
+                            brightnessDiff: brightnessDiff,
+                            colorVariance: variance,
+                            isDark: isDark,
+                            isLight: isLight,
+                            vertexCount: group.vertices.length
+                        });
+                    }
+                }
+            });
+            
+            if (fretCandidates.length > 0) {
+                // Group nearby candidates using improved grouping function
+                // Use larger tolerance (1.5cm) to account for fret thickness
+                const groupedFrets = groupFretCandidates(fretCandidates, 0.015);
+                
+                groupedFrets.sort((a, b) => a.x - b.x);
+                const validFrets = groupedFrets.filter(f => f.x > nutX && f.x < neckEndX);
+                
+                // Return results from color detection
+                if (validFrets.length > 0) {
+                    return validFrets;
+                }
+            }
+        }
+        
+        // Color/material detection did not find frets, try geometry analysis
+        
+        // Method 2: Direct geometry analysis - analyze vertices and edges to find fret positions
+        if (geometry && geometry.attributes.position) {
+            const positions = geometry.attributes.position;
+            const worldMatrix = fretContainerObject.matrixWorld;
+            const vertex = new THREE.Vector3();
+            
+            // Collect all X positions from vertices with their Y and Z
+            const vertexData = [];
+            for (let i = 0; i < positions.count; i++) {
+                vertex.fromBufferAttribute(positions, i);
+                vertex.applyMatrix4(worldMatrix);
+                
+                // Only consider vertices in the neck region
+                if (vertex.x > nutX && vertex.x < neckEndX) {
+                    vertexData.push({
+                        x: vertex.x,
+                        y: vertex.y,
+                        z: vertex.z
+                    });
+                }
+            }
+            
+            // Try multiple rounding precisions to find frets
+            const precisions = [100, 200, 500, 1000, 2000]; // Different levels of precision
+            let bestFrets = [];
+            
+            for (let precision of precisions) {
+                // Group vertices by X position (frets are vertical, so many vertices share same X)
+                const xGroups = new Map();
+                
+                vertexData.forEach(v => {
+                    const roundedX = Math.round(v.x * precision) / precision;
+                    if (!xGroups.has(roundedX)) {
+                        xGroups.set(roundedX, []);
+                    }
+                    xGroups.get(roundedX).push(v);
+                });
+                
+                // Find X positions with many vertices (these are likely frets)
+                // Frets are vertical lines, so they have many vertices at the same X
+                const fretCandidates = [];
+                const minVertexCount = 3; // Lower threshold to catch more frets
+                
+                xGroups.forEach((vertices, x) => {
+                    if (vertices.length >= minVertexCount) {
+                        // Calculate average Y and Z for this X position
+                        const avgY = vertices.reduce((sum, v) => sum + v.y, 0) / vertices.length;
+                        const avgZ = vertices.reduce((sum, v) => sum + v.z, 0) / vertices.length;
+                        const maxY = Math.max(...vertices.map(v => v.y));
+                        
+                        fretCandidates.push({
+                            x: x,
+                            y: maxY, // Use max Y (top of fret)
+                            z: avgZ,
+                            vertexCount: vertices.length,
+                            avgY: avgY
+                        });
+                    }
+                });
+                
+                // Group nearby candidates using improved grouping function
+                // Use larger tolerance (1.5cm) to account for fret thickness
+                const groupedFrets = groupFretCandidates(fretCandidates, 0.015);
+                
+                // Sort final frets
+                groupedFrets.sort((a, b) => a.x - b.x);
+                
+                const validFrets = groupedFrets.map(f => ({
+                    x: f.x,
+                    y: f.y,
+                    z: f.z,
+                    vertexCount: f.candidateCount || 1
+                }));
+                
+                // Keep the result with the most frets
+                if (validFrets.length > bestFrets.length) {
+                    bestFrets = validFrets;
+                }
+            }
+            
+            // Return up to one position per fret of the selected instrument (numFrets - 1)
+            if (bestFrets.length >= numFrets - 1) {
+                return bestFrets.slice(0, numFrets - 1);
+            } else if (bestFrets.length >= 8) {
+                return bestFrets;
+            }
+        }
+        
+        // Method 3: Analyze faces/edges to find vertical edges (frets)
+        if (fretContainerObject.geometry && fretContainerObject.geometry.index) {
+            const geometry2 = fretContainerObject.geometry;
+            const positions = geometry2.attributes.position;
+            const indices = geometry2.index;
+            const worldMatrix = fretContainerObject.matrixWorld;
+            const vertex = new THREE.Vector3();
+            
+            // Collect all X positions from edges (where faces meet)
+            const edgeXPositions = new Set();
+            
+            // Analyze each face to find vertical edges
+            for (let i = 0; i < indices.count; i += 3) {
+                const i0 = indices.getX(i);
+                const i1 = indices.getX(i + 1);
+                const i2 = indices.getX(i + 2);
+                
+                const vertices = [
+                    vertex.fromBufferAttribute(positions, i0).applyMatrix4(worldMatrix),
+                    vertex.fromBufferAttribute(positions, i1).applyMatrix4(worldMatrix),
+                    vertex.fromBufferAttribute(positions, i2).applyMatrix4(worldMatrix)
+                ];
+                
+                // Check each edge of the triangle
+                for (let j = 0; j < 3; j++) {
+                    const v1 = vertices[j];
+                    const v2 = vertices[(j + 1) % 3];
+                    
+                    // If X is similar but Y or Z differs significantly, it's a vertical edge (fret)
+                    const xDiff = Math.abs(v1.x - v2.x);
+                    const yDiff = Math.abs(v1.y - v2.y);
+                    const zDiff = Math.abs(v1.z - v2.z);
+                    
+                    if (xDiff < 0.001 && (yDiff > 0.01 || zDiff > 0.01)) {
+                        // Vertical edge - this is likely part of a fret
+                        const avgX = (v1.x + v2.x) / 2;
+                        if (avgX > nutX && avgX < neckEndX) {
+                            edgeXPositions.add(Math.round(avgX * 1000) / 1000);
+                        }
+                    }
+                }
+            }
+            
+            // Convert to array and group using improved grouping
+            const edgeXArray = Array.from(edgeXPositions).sort((a, b) => a - b);
+            const edgeCandidates = edgeXArray.map(x => ({
+                x: x,
+                y: neckRegion.y,
+                z: neckRegion.centerZ,
+                vertexCount: 1
+            }));
+            
+            // Group nearby edges using improved grouping function
+            // Use larger tolerance (1.5cm) to account for fret thickness
+            const groupedFrets = groupFretCandidates(edgeCandidates, 0.015);
+            
+            // Filter to only include groups with multiple edges (more reliable)
+            const fretCandidates = groupedFrets
+                .filter(f => f.candidateCount >= 2)
+                .map(f => ({
+                    x: f.x,
+                    y: f.y,
+                    z: f.z
+                }))
+                .sort((a, b) => a.x - b.x);
+            
+            if (fretCandidates.length > bestFrets.length) {
+                bestFrets = fretCandidates;
+            }
+        }
+        
+        // Method 4: Use raycasting to find frets by detecting height changes
+        // Scan along the X-axis at multiple Z positions to find where frets are located
+        const raycaster = new THREE.Raycaster();
+        const sampleCount = 1000; // Very high resolution scan
+        const scanStartX = Math.max(nutX, fretBox.min.x);
+        const scanEndX = Math.min(neckEndX, fretBox.max.x);
+        const scanLength = scanEndX - scanStartX;
+        const stepSize = scanLength / sampleCount;
+        
+        // Scan at multiple Z positions to catch all frets
+        const zPositions = [
+            neckRegion.centerZ,
+            neckRegion.centerZ - neckRegion.width * 0.3,
+            neckRegion.centerZ + neckRegion.width * 0.3
+        ];
+        
+        const heightSamples = [];
+        const scanY = neckRegion.y + 0.5; // Start ray above the fretboard
+        
+        // Sample heights along the X-axis at multiple Z positions
+        for (let zPos of zPositions) {
+            for (let i = 0; i <= sampleCount; i++) {
+                const sampleX = scanStartX + (i * stepSize);
+                const rayOrigin = new THREE.Vector3(sampleX, scanY, zPos);
+                const rayDirection = new THREE.Vector3(0, -1, 0);
+                
+                raycaster.set(rayOrigin, rayDirection);
+                const intersects = raycaster.intersectObject(fretContainerObject, false);
+                
+                if (intersects.length > 0) {
+                    // Find the highest intersection (top of fret)
+                    const highestIntersect = intersects.reduce((prev, curr) => 
+                        curr.point.y > prev.point.y ? curr : prev
+                    );
+                    heightSamples.push({
+                        x: sampleX,
+                        y: highestIntersect.point.y,
+                        z: highestIntersect.point.z
+                    });
+                }
+            }
+        }
+        
+        // Group samples by X position to find average height at each X
+        const xGroups = new Map();
+        heightSamples.forEach(sample => {
+            const roundedX = Math.round(sample.x * 1000) / 1000; // Round to 0.001
+            if (!xGroups.has(roundedX)) {
+                xGroups.set(roundedX, []);
+            }
+            xGroups.get(roundedX).push(sample.y);
+        });
         
-        // Color/material detection did not find frets, try geometry analysis
+        // Create averaged height samples
+        const averagedSamples = [];
+        xGroups.forEach((yValues, x) => {
+            const avgY = yValues.reduce((sum, y) => sum + y, 0) / yValues.length;
+            const maxY = Math.max(...yValues);
+            averagedSamples.push({
+                x: x,
+                y: avgY,
+                maxY: maxY
+            });
+        });
         
-        // Method 2: Direct geometry analysis - analyze vertices and edges to find fret positions
-        if (geometry && geometry.attributes.position) {
-            const positions = geometry.attributes.position;
-            const worldMatrix = fretContainerObject.matrixWorld;
-            const vertex = new THREE.Vector3();
+        // Sort by X
+        averagedSamples.sort((a, b) => a.x - b.x);
+        
+        // Find frets by detecting local maxima in height
+        // Frets are vertical lines that are higher than the surrounding area
+        const fretCandidates = [];
+        const heightThreshold = 0.0005; // Lower threshold to catch more frets
+        
+        for (let i = 2; i < averagedSamples.length - 2; i++) {
+            const prev2Y = averagedSamples[i - 2]?.y || averagedSamples[i - 1]?.y || 0;
+            const prevY = averagedSamples[i - 1]?.y || 0;
+            const currY = averagedSamples[i].y;
+            const nextY = averagedSamples[i + 1]?.y || 0;
+            const next2Y = averagedSamples[i + 2]?.y || averagedSamples[i + 1]?.y || 0;
             
-            // Collect all X positions from vertices with their Y and Z
-            const vertexData = [];
-            for (let i = 0; i < positions.count; i++) {
-                vertex.fromBufferAttribute(positions, i);
-                vertex.applyMatrix4(worldMatrix);
-                
-                // Only consider vertices in the neck region
-                if (vertex.x > nutX && vertex.x < neckEndX) {
-                    vertexData.push({
-                        x: vertex.x,
-                        y: vertex.y,
-                        z: vertex.z
-                    });
+            // Look for local maxima (fret is higher than surrounding area)
+            // Check both immediate neighbors and slightly further ones
+            const isLocalMax = currY > prevY + heightThreshold && 
+                              currY > nextY + heightThreshold &&
+                              currY > prev2Y + heightThreshold * 0.5 &&
+                              currY > next2Y + heightThreshold * 0.5;
+            
+            if (isLocalMax) {
+                fretCandidates.push({
+                    x: averagedSamples[i].x,
+                    y: averagedSamples[i].maxY,
+                    z: neckRegion.centerZ
+                });
+            }
+        }
+        
+        // Group nearby candidates using improved grouping function
+        // Use larger tolerance (1.5cm) to account for fret thickness
+        const groupedFrets = groupFretCandidates(fretCandidates, 0.015);
+        
+        // Sort by X position and filter to valid range
+        groupedFrets.sort((a, b) => a.x - b.x);
+        const validFrets = groupedFrets.filter(f => f.x > nutX && f.x < neckEndX);
+        
+        // Return up to one position per fret of the selected instrument (numFrets - 1)
+        if (validFrets.length >= numFrets - 1) {
+            return validFrets.slice(0, numFrets - 1);
+        } else if (validFrets.length > 0) {
+            return validFrets;
+        }
+    }
+
+    // If we couldn't find the circulo mesh or extract frets, return null
+    return null;
+}
+
+/**
+ * Calculate fret positions using standard guitar fret spacing formula
+ * Used for necks other than the model's own (fret count or scale length)
+ */
+function findFretPositionsUsingCalculation(neckRegion) {
+    if (!neckRegion) return null;
+
+    const fretPositions = [];
+    const raycaster = new THREE.Raycaster();
+
+    // Get all meshes for raycasting
+    const meshes = [];
+    guitarModel.traverse((child) => {
+        if (child.isMesh && child.geometry) {
+            meshes.push(child);
+        }
+    });
+
+    // Calculate fret positions using logarithmic spacing
+    // Use the exact scale length if available, otherwise estimate
+    const modelScaleLength = neckRegion.scaleLength || (neckRegion.length * 0.9);
+    // Stretch the model's scale to the selected one (e.g. 34" bass on the 24.75" model)
+    const scaleLength = modelScaleLength * getScaleLengthInches() / SCALE_LENGTHS[MODEL_NECK.scaleLength].inches;
+    const nutX = neckRegion.nutX || neckRegion.startX;
+
+    // For each fret of the selected neck, calculate position from the nut
+    for (let fret = 1; fret < numFrets; fret++) {
+        const fretX = nutX + getFretDistanceFromNut(fret, scaleLength);
+
+        // Cast a ray from above the model down to find the fretboard surface
+        const rayOrigin = new THREE.Vector3(fretX, neckRegion.y + 0.5, neckRegion.centerZ);
+        const rayDirection = new THREE.Vector3(0, -1, 0);
+
+        raycaster.set(rayOrigin, rayDirection);
+        const intersects = raycaster.intersectObjects(meshes, false);
+
+        let bestY = neckRegion.y;
+        if (intersects.length > 0) {
+            bestY = intersects[0].point.y;
+        }
+
+        fretPositions.push({
+            x: fretX,
+            y: bestY,
+            z: neckRegion.centerZ
+        });
+    }
+
+
+    return fretPositions;
+}
+
+/**
+ * Extract string objects from the guitar model
+ * Looks for 'Cuerdas' objects which represent the physical strings
+ */
+function extractStringObjects() {
+    if (!guitarModel) return null;
+
+    const stringObjects = [];
+
+    guitarModel.traverse((child) => {
+        if (child.isMesh && child.name) {
+            // Look for string objects (Cuerdas in Spanish)
+            if (child.name.toLowerCase().includes('cuerda')) {
+                stringObjects.push(child);
+            }
+        }
+    });
+
+    return stringObjects;
+}
+
+/**
+ * Check that the model has one string mesh per string of the selected instrument
+ * (a 6-string model can't place hitboxes on the strings of a 7-string guitar or a bass)
+ */
+function modelStringsMatchInstrument(stringObjects) {
+    return !!stringObjects && stringObjects.length === stringTuning.length;
+}
+
+/**
+ * Get the Z position of a string at a specific X position (fret location)
+ * by analyzing its geometry
+ */
+function getStringPositionAtX(stringMesh, targetX) {
+    if (!stringMesh || !stringMesh.geometry) return null;
+
+    const geometry = stringMesh.geometry;
+    const positions = geometry.attributes.position;
+
+    if (!positions) return null;
+
+    // Get world matrix to transform local coordinates to world coordinates
+    stringMesh.updateMatrixWorld(true);
+    const worldMatrix = stringMesh.matrixWorld;
+
+    const vertex = new THREE.Vector3();
+    let closestVertex = null;
+    let closestDistance = Infinity;
+
+    // Find vertex closest to our target X position
+    for (let i = 0; i < positions.count; i++) {
+        vertex.fromBufferAttribute(positions, i);
+        vertex.applyMatrix4(worldMatrix);
+
+        const distance = Math.abs(vertex.x - targetX);
+        if (distance < closestDistance) {
+            closestDistance = distance;
+            closestVertex = vertex.clone();
+        }
+    }
+
+    return closestVertex;
+}
+
+/**
+ * Analyze string geometry to get positions at all fret locations
+ * Extracts positions BETWEEN frets (where hitboxes will be placed)
+ */
+function analyzeStringGeometry(stringObjects, fretPositions, neckRegion) {
+    if (!stringObjects || stringObjects.length === 0) return null;
+
+    // Sort strings by their Z position at the first fret
+    const firstFretX = fretPositions[0]?.x || -2.6;
+
+    const stringsWithPositions = stringObjects.map(stringMesh => {
+        const pos = getStringPositionAtX(stringMesh, firstFretX);
+        return {
+            mesh: stringMesh,
+            name: stringMesh.name,
+            zAtFirstFret: pos ? pos.z : 0
+        };
+    });
+
+    // Sort by Z position (from low to high, which corresponds to string 1 up to the lowest string)
+    stringsWithPositions.sort((a, b) => a.zAtFirstFret - b.zAtFirstFret);
+
+    // Extract positions BETWEEN frets (where hitboxes will be placed)
+    // fretIndex 0 = between nut and fret 1
+    // fretIndex 1 = between fret 1 and fret 2
+    // etc.
+    const stringPositionsByFret = [];
+    const nutX = neckRegion.nutX || neckRegion.startX;
+
+    for (let fretIndex = 0; fretIndex < fretPositions.length; fretIndex++) {
+        // Calculate the X position where the hitbox will be (between this fret and the next)
+        // Use the same calculation as in createFretZones to ensure consistency
+        let targetX;
+
+        if (fretIndex === 0) {
+            // First fret: between nut and fret 1
+            const fretStartX = nutX;
+            const fretEndX = fretPositions[0].x;
+            const margin = (fretEndX - fretStartX) * 0.05; // 5% margin on each side (reduced for wider hitboxes)
+            const boxWidth = (fretEndX - fretStartX) - (2 * margin);
+            targetX = fretStartX + margin + boxWidth / 2; // Center in the space between
+        } else {
+            // All other frets: between previous fret and current fret
+            const fretStartX = fretPositions[fretIndex - 1].x;
+            const fretEndX = fretPositions[fretIndex].x;
+            const margin = (fretEndX - fretStartX) * 0.05; // 5% margin on each side (reduced for wider hitboxes)
+            const boxWidth = (fretEndX - fretStartX) - (2 * margin);
+            targetX = fretStartX + margin + boxWidth / 2; // Center in the space between
+        }
+
+        const stringPositions = [];
+
+        for (let stringIndex = 0; stringIndex < Math.min(stringTuning.length, stringsWithPositions.length); stringIndex++) {
+            const stringData = stringsWithPositions[stringIndex];
+            const pos = getStringPositionAtX(stringData.mesh, targetX);
+
+            if (pos) {
+                stringPositions.push({
+                    y: pos.y,
+                    z: pos.z
+                });
+            }
+        }
+
+        stringPositionsByFret.push(stringPositions);
+    }
+
+    return stringPositionsByFret;
+}
+
+function analyzeGuitarModel() {
+    if (!guitarModel) return null;
+
+    // First, find the neck region
+    const neckRegion = findNeckRegion();
+    if (!neckRegion) return null;
+
+    // The model's own frets only fit its own neck - other fret counts and scale lengths
+    // are calculated from the selected scale length
+    let fretPositions = isModelNeck()
+        ? extractFretPositionsFromGeometry(neckRegion)
+        : findFretPositionsUsingCalculation(neckRegion);
+
+    if (!fretPositions || fretPositions.length === 0) {
+        return null;
+    }
+
+    // We'll calculate string positions later using raycasting at each fret
+    // For now, return a placeholder that will be populated during hitbox creation
+    return {
+        fretPositions: fretPositions,
+        neckBox: neckRegion.overallBox,
+        neckCenter: new THREE.Vector3(neckRegion.startX + neckRegion.length / 2, neckRegion.y, neckRegion.centerZ),
+        neckSize: new THREE.Vector3(neckRegion.length, 0.1, neckRegion.width),
+        neckAxis: 'x',
+        stringAxis: 'z',
+        neckRegion: neckRegion // Include full neck region
+    };
+}
+
+function createFretZones() {
+    // Clear existing zones
+    fretZones.forEach(zone => scene.remove(zone));
+    fretZones = [];
+    
+    // Different colors for each fret row to visualize overlaps
+    // All strings on the same fret get the same color
+    const fretColors = [
+        0xff0000, // Red - Fret 1
+        0x00ff00, // Green - Fret 2
+        0x0000ff, // Blue - Fret 3
+        0xffff00, // Yellow - Fret 4
+        0xff00ff, // Magenta - Fret 5
+        0x00ffff, // Cyan - Fret 6
+        0xff8800, // Orange - Fret 7
+        0x8800ff, // Purple - Fret 8
+        0x00ff88, // Teal - Fret 9
+        0xff0088, // Pink - Fret 10
+        0x88ff00, // Lime - Fret 11
+        0x0088ff, // Light Blue - Fret 12
+        0xff4444, // Light Red - Fret 13
+        0x44ff44, // Light Green - Fret 14
+        0x4444ff, // Light Blue - Fret 15
+        0xffff44, // Light Yellow - Fret 16
+        0xff44ff, // Light Magenta - Fret 17
+        0x44ffff, // Light Cyan - Fret 18
+        0xffaa00, // Amber - Fret 19
+        0xaa00ff, // Violet - Fret 20
+        0x00aaff, // Sky Blue - Fret 21
+        0xaaff00, // Chartreuse - Fret 22
+        0xff00aa, // Rose - Fret 23
+        0x00ffaa  // Spring Green - Fret 24
+    ];
+
+    // Analyze the model to get fret positions
+    const analysis = analyzeGuitarModel();
+
+    if (!analysis) {
+        // Fallback to old hardcoded positions
+        const stringSpacing = 0.05;
+        const fretSpacing = 0.20;
+        const neckStartZ = -2.8;
+        const neckStartY = -0.49;
+        const slope = 0.014;
+
+        for (let stringIndex = 0; stringIndex < stringTuning.length; stringIndex++) {
+            // Fret 0 is the space just before fret 1, next to the nut
+            for (let fretIndex = getFirstFret(); fretIndex < numFrets; fretIndex++) {
+                // Calculate position first to determine exact box width
+                const fretX = neckStartZ + (fretIndex * fretSpacing);
+                let centerX = fretX;
+                let boxWidth = fretSpacing; // Default to fret spacing
+
+                if (fretIndex < numFrets - 1) {
+                    // Center exactly between current and next fret
+                    const nextFretX = neckStartZ + ((fretIndex + 1) * fretSpacing);
+                    centerX = (fretX + nextFretX) / 2;
+                    boxWidth = nextFretX - fretX; // Exact distance between frets
+                } else if (fretIndex > 1) {
+                    // Last fret - center between previous and current
+                    const prevFretX = neckStartZ + ((fretIndex - 1) * fretSpacing);
+                    centerX = (fretX + prevFretX) / 2;
+                    boxWidth = fretX - prevFretX; // Exact distance between frets
                 }
+
+                // Create box geometry for fret hitbox
+                // Width: exact distance between frets
+                // Height: small height above fretboard
+                const boxHeight = 0.08;
+                // Depth: wider for easier clicking (Z-direction, across strings)
+                const boxDepth = Math.min(stringSpacing * 0.6, 0.04); // Max 60% of string spacing or 0.04 (wider for easier clicking)
+
+                const isDisabled = isFretDisabled(fretIndex);
+                
+                const geometry = new THREE.BoxGeometry(boxWidth, boxHeight, boxDepth);
+                const material = new THREE.MeshBasicMaterial({
+                    color: isDisabled ? 0x666666 : (fretColors[fretIndex] || 0xff0000),
+                    transparent: true,
+                    opacity: isDisabled ? 0.4 : 0.6 // Higher opacity to better see overlaps between frets
+                });
+
+                const zone = new THREE.Mesh(geometry, material);
+                zone.position.x = centerX;
+                zone.position.y = neckStartY + (fretIndex * slope);
+                // Position exactly on the string
+                zone.position.z = (stringIndex - (stringTuning.length - 1) / 2) * stringSpacing;
+                zone.visible = isDisabled ? true : state.showDebug; // Disabled frets always visible
+                zone.material.opacity = isDisabled ? 0.3 : (state.showDebug ? 0.6 : 0);
+
+                zone.userData = {
+                    stringIndex,
+                    fretIndex,
+                    note: getNoteAt(stringIndex, fretIndex),
+                    fretColor: fretColors[fretIndex] || 0xff0000, // Color when enabled
+                    isDisabled: isDisabled
+                };
+
+                scene.add(zone);
+                fretZones.push(zone);
+            }
+        }
+        return;
+    }
+
+    // Use analyzed positions
+    const { fretPositions, neckRegion } = analysis;
+
+
+    // Extract string objects from the model
+    const stringObjects = extractStringObjects();
+
+    if (!modelStringsMatchInstrument(stringObjects)) {
+        // Fall back to estimation if we don't have string geometry for every string of the instrument
+        useFallbackHitboxes(fretPositions, neckRegion);
+        return;
+    }
+
+    // Analyze string geometry to get positions at all frets
+    const stringPositionsByFret = analyzeStringGeometry(stringObjects, fretPositions, neckRegion);
+
+    if (!stringPositionsByFret || stringPositionsByFret.length === 0) {
+        useFallbackHitboxes(fretPositions, neckRegion);
+        return;
+    }
+
+
+    // Get all meshes for raycasting to find exact fretboard surface
+    const meshes = [];
+    guitarModel.traverse((child) => {
+        if (child.isMesh && child.geometry) {
+            meshes.push(child);
+        }
+    });
+    const raycaster = new THREE.Raycaster();
+
+    // Create hitboxes using the extracted geometry
+    // We need to calculate the EXACT SAME X position that was used in analyzeStringGeometry
+    // fretIndex 0 = between nut and fret 1  
+    // fretIndex 1 = between fret 1 and fret 2
+    // etc.
+    // Create hitboxes for all detected frets (up to 22 frets = 22 hitbox positions)
+    for (let fretIndex = 0; fretIndex < stringPositionsByFret.length && fretIndex < numFrets - 1; fretIndex++) {
+        const nutX = neckRegion.nutX || neckRegion.startX;
+
+        // Calculate the EXACT SAME X position that was used in analyzeStringGeometry
+        // Hitboxes should be BETWEEN frets, not over them
+        let targetX, fretStartX, fretEndX, boxWidth;
+
+        if (fretIndex === 0) {
+            // First fret: between nut and fret 1
+            fretStartX = nutX;
+            fretEndX = fretPositions[0].x;
+            
+            // Validate: fretEndX should be greater than fretStartX
+            if (fretEndX <= fretStartX) {
+                continue;
             }
             
-            // Try multiple rounding precisions to find frets
-            const precisions = [100, 200, 500, 1000, 2000]; // Different levels of precision
-            let bestFrets = [];
+            // Make box slightly smaller to avoid overlapping with nut and fret
+            const margin = (fretEndX - fretStartX) * 0.05; // 5% margin on each side (reduced for wider hitboxes)
+            boxWidth = (fretEndX - fretStartX) - (2 * margin);
+            targetX = fretStartX + margin + boxWidth / 2; // Center in the space between
+        } else {
+            // All other frets: between previous fret and current fret
+            if (fretIndex - 1 >= fretPositions.length || fretIndex >= fretPositions.length) {
+                continue;
+            }
             
-            for (let precision of precisions) {
-                // Group vertices by X position (frets are vertical, so many vertices share same X)
-                const xGroups = new Map();
-                
-                vertexData.forEach(v => {
-                    const roundedX = Math.round(v.x * precision) / precision;
-                    if (!xGroups.has(roundedX)) {
-                        xGroups.set(roundedX, []);
-                    }
-                    xGroups.get(roundedX).push(v);
-                });
-                
-                // Find X positions with many vertices (these are likely frets)
-                // Frets are vertical lines, so they have many vertices at the same X
-                const fretCandidates = [];
-                const minVertexCount = 3; // Lower threshold to catch more frets
-                
-                xGroups.forEach((vertices, x) => {
-                    if (vertices.length >= minVertexCount) {
-                        // Calculate average Y and Z for this X position
-                        const avgY = vertices.reduce((sum, v) => sum + v.y, 0) / vertices.length;
-                        const avgZ = vertices.reduce((sum, v) => sum + v.z, 0) / vertices.length;
-                        const maxY = Math.max(...vertices.map(v => v.y));
-                        
-                        fretCandidates.push({
-                            x: x,
-                            y: maxY, // Use max Y (top of fret)
-                            z: avgZ,
-                            vertexCount: vertices.length,
-                            avgY: avgY
-                        });
-                    }
-                });
-                
-                // Group nearby candidates using improved grouping function
-                // Use larger tolerance (1.5cm) to account for fret thickness
-                const groupedFrets = groupFretCandidates(fretCandidates, 0.015);
-                
-                // Sort final frets
-                groupedFrets.sort((a, b) => a.x - b.x);
-                
-                const validFrets = groupedFrets.map(f => ({
-                    x: f.x,
-                    y: f.y,
-                    z: f.z,
-                    vertexCount: f.candidateCount || 1
-                }));
-                
-                // Keep the result with the most frets
-                if (validFrets.length > bestFrets.length) {
-                    bestFrets = validFrets;
-                }
+            fretStartX = fretPositions[fretIndex - 1].x;
+            fretEndX = fretPositions[fretIndex].x;
+            
+            // Validate: fretEndX should be greater than fretStartX
+            if (fretEndX <= fretStartX) {
+                continue;
+            }
+            
+            // Make box slightly smaller to avoid overlapping with frets
+            const margin = (fretEndX - fretStartX) * 0.05; // 5% margin on each side (reduced for wider hitboxes)
+            boxWidth = (fretEndX - fretStartX) - (2 * margin);
+            targetX = fretStartX + margin + boxWidth / 2; // Center in the space between
+        }
+
+
+        // Get string positions at this fret from the extracted geometry
+        const stringPositions = stringPositionsByFret[fretIndex];
+
+        if (!stringPositions || stringPositions.length < stringTuning.length) {
+            continue;
+        }
+
+        // Create hitboxes for each string at this fret
+        for (let stringIndex = 0; stringIndex < stringTuning.length; stringIndex++) {
+            const stringPos = stringPositions[stringIndex];
+
+            if (!stringPos) {
+                continue;
             }
-            
-            // Return up to 22 frets (NUM_FRETS - 1 = 22 for 22 frets)
-            if (bestFrets.length >= NUM_FRETS - 1) {
-                return bestFrets.slice(0, NUM_FRETS - 1);
-            } else if (bestFrets.length >= 8) {
-                return bestFrets;
+
+            // Use the EXACT target X position (center between frets)
+            const posX = targetX;
+            const posY = stringPos.y + 0.01; // Slightly above string
+            const posZ = stringPos.z;
+
+            // Calculate box depth (Z-direction, across strings) - make wider for easier clicking
+            let boxDepth = 0.035; // Increased default depth
+            if (stringIndex < stringTuning.length - 1 && stringPositions[stringIndex + 1]) {
+                const nextStringZ = stringPositions[stringIndex + 1].z;
+                boxDepth = Math.min(Math.abs(nextStringZ - posZ) * 0.6, 0.04); // Increased multiplier and max
+            } else if (stringIndex > 0 && stringPositions[stringIndex - 1]) {
+                const prevStringZ = stringPositions[stringIndex - 1].z;
+                boxDepth = Math.min(Math.abs(posZ - prevStringZ) * 0.6, 0.04); // Increased multiplier and max
             }
+            boxDepth = Math.max(0.02, boxDepth); // Increased minimum
+
+            const boxHeight = 0.04;
+
+            const actualFretIndex = fretIndex + 1;
+            const isDisabled = isFretDisabled(actualFretIndex);
+
+            const geometry = new THREE.BoxGeometry(boxWidth, boxHeight, boxDepth);
+            const material = new THREE.MeshBasicMaterial({
+                color: isDisabled ? 0x666666 : (fretColors[fretIndex] || 0xff0000),
+                transparent: true,
+                opacity: isDisabled ? 0.4 : 0.6, // Higher opacity to better see overlaps between frets
+                side: THREE.DoubleSide
+            });
+
+            const zone = new THREE.Mesh(geometry, material);
+            zone.position.set(posX, posY, posZ);
+            // Hitboxes are invisible by default, only visible on hover or feedback
+            // Disabled frets are always slightly visible
+            zone.visible = true;
+            zone.material.opacity = isDisabled ? 0.3 : (state.showDebug ? 0.6 : 0); // Disabled frets slightly visible
+
+            zone.userData = {
+                stringIndex,
+                fretIndex: actualFretIndex,
+                note: getNoteAt(stringIndex, actualFretIndex),
+                originalColor: isDisabled ? 0x666666 : material.color.getHex(),
+                fretColor: fretColors[fretIndex] || 0xff0000, // Color when enabled
+                originalOpacity: isDisabled ? 0.3 : (state.showDebug ? 0.6 : 0), // Store original opacity
+                isHovered: false,
+                isFeedback: false, // Track if showing feedback (correct/wrong)
+                isDisabled: isDisabled
+            };
+
+            scene.add(zone);
+            fretZones.push(zone);
         }
-        
-        // Method 3: Analyze faces/edges to find vertical edges (frets)
-        if (fretContainerObject.geometry && fretContainerObject.geometry.index) {
-            const geometry2 = fretContainerObject.geometry;
-            const positions = geometry2.attributes.position;
-            const indices = geometry2.index;
-            const worldMatrix = fretContainerObject.matrixWorld;
-            const vertex = new THREE.Vector3();
-            
-            // Collect all X positions from edges (where faces meet)
-            const edgeXPositions = new Set();
-            
-            // Analyze each face to find vertical edges
-            for (let i = 0; i < indices.count; i += 3) {
-                const i0 = indices.getX(i);
-                const i1 = indices.getX(i + 1);
-                const i2 = indices.getX(i + 2);
-                
-                const vertices = [
-                    vertex.fromBufferAttribute(positions, i0).applyMatrix4(worldMatrix),
-                    vertex.fromBufferAttribute(positions, i1).applyMatrix4(worldMatrix),
-                    vertex.fromBufferAttribute(positions, i2).applyMatrix4(worldMatrix)
-                ];
-                
-                // Check each edge of the triangle
-                for (let j = 0; j < 3; j++) {
-                    const v1 = vertices[j];
-                    const v2 = vertices[(j + 1) % 3];
-                    
-                    // If X is similar but Y or Z differs significantly, it's a vertical edge (fret)
-                    const xDiff = Math.abs(v1.x - v2.x);
-                    const yDiff = Math.abs(v1.y - v2.y);
-                    const zDiff = Math.abs(v1.z - v2.z);
-                    
-                    if (xDiff < 0.001 && (yDiff > 0.01 || zDiff > 0.01)) {
-                        // Vertical edge - this is likely part of a fret
-                        const avgX = (v1.x + v2.x) / 2;
-                        if (avgX > nutX && avgX < neckEndX) {
-                            edgeXPositions.add(Math.round(avgX * 1000) / 1000);
-                        }
-                    }
-                }
+    }
+
+    // Open strings at the nut, on the strings as they leave the first fret space
+    const nutX = neckRegion.nutX || neckRegion.startX;
+    createOpenStringZones(nutX, fretPositions[0].x, stringPositionsByFret[0]);
+    
+    // Setup mouse over effects for hitboxes
+    setupHitboxHoverEffects();
+    
+    // Create fret markers (dots) on the fretboard
+    createFretMarkers();
+}
+
+/**
+ * Create open string (fret 0) hitboxes on the headstock side of the nut, if open strings are included
+ * stringPoints: { y, z } of each string at the nut, from high to low
+ */
+function createOpenStringZones(nutX, firstFretX, stringPoints) {
+    if (!state.includeOpenStrings || !stringPoints || firstFretX <= nutX) return;
+
+    // Narrower than the first fret space so the zone sits over the nut rather than the headstock
+    const firstFretWidth = firstFretX - nutX;
+    const boxWidth = firstFretWidth * 0.6;
+    const posX = nutX - boxWidth / 2;
+
+    for (let stringIndex = 0; stringIndex < stringTuning.length; stringIndex++) {
+        const stringPoint = stringPoints[stringIndex];
+        if (!stringPoint) continue;
+
+        // Calculate box depth (Z-direction, across strings) the same way as the fretted hitboxes
+        let boxDepth = 0.025;
+        const neighbour = stringPoints[stringIndex + 1] || stringPoints[stringIndex - 1];
+        if (neighbour) {
+            boxDepth = Math.min(Math.abs(neighbour.z - stringPoint.z) * 0.6, 0.04);
+        }
+        boxDepth = Math.max(0.02, boxDepth);
+
+        // Open strings can only be disabled by a practice window that starts above the nut
+        const isDisabled = isFretDisabled(0);
+        const geometry = new THREE.BoxGeometry(boxWidth, 0.04, boxDepth);
+        const material = new THREE.MeshBasicMaterial({
+            color: isDisabled ? 0x666666 : 0xffffff, // White - open strings
+            transparent: true,
+            opacity: 0.6,
+            side: THREE.DoubleSide
+        });
+
+        const zone = new THREE.Mesh(geometry, material);
+        zone.position.set(posX, stringPoint.y + 0.01, stringPoint.z);
+        zone.visible = true;
+        zone.material.opacity = isDisabled ? 0.3 : (state.showDebug ? 0.6 : 0);
+
+        zone.userData = {
+            stringIndex,
+            fretIndex: 0,
+            note: getNoteAt(stringIndex, 0),
+            originalColor: material.color.getHex(),
+            fretColor: 0xffffff, // Color when enabled
+            originalOpacity: isDisabled ? 0.3 : (state.showDebug ? 0.6 : 0),
+            isHovered: false,
+            isFeedback: false, // Track if showing feedback (correct/wrong)
+            isDisabled: isDisabled
+        };
+
+        scene.add(zone);
+        fretZones.push(zone);
+    }
+}
+
+// Fallback function for when string geometry is not available
+function useFallbackHitboxes(fretPositions, neckRegion) {
+    // Different colors for each fret row to visualize overlaps
+    // All strings on the same fret get the same color
+    const fretColors = [
+        0xff0000, // Red - Fret 1
+        0x00ff00, // Green - Fret 2
+        0x0000ff, // Blue - Fret 3
+        0xffff00, // Yellow - Fret 4
+        0xff00ff, // Magenta - Fret 5
+        0x00ffff, // Cyan - Fret 6
+        0xff8800, // Orange - Fret 7
+        0x8800ff, // Purple - Fret 8
+        0x00ff88, // Teal - Fret 9
+        0xff0088, // Pink - Fret 10
+        0x88ff00, // Lime - Fret 11
+        0x0088ff, // Light Blue - Fret 12
+        0xff4444, // Light Red - Fret 13
+        0x44ff44, // Light Green - Fret 14
+        0x4444ff, // Light Blue - Fret 15
+        0xffff44, // Light Yellow - Fret 16
+        0xff44ff, // Light Magenta - Fret 17
+        0x44ffff, // Light Cyan - Fret 18
+        0xffaa00, // Amber - Fret 19
+        0xaa00ff, // Violet - Fret 20
+        0x00aaff, // Sky Blue - Fret 21
+        0xaaff00, // Chartreuse - Fret 22
+        0xff00aa, // Rose - Fret 23
+        0x00ffaa  // Spring Green - Fret 24
+    ];
+    
+    const overallBox = new THREE.Box3().setFromObject(guitarModel);
+    const zMin = overallBox.min.z;
+    const zMax = overallBox.max.z;
+    const zCenter = (zMin + zMax) / 2;
+    const zRange = zMax - zMin;
+
+    const estimatedNeckWidth = zRange * 0.38;
+    const margin = estimatedNeckWidth * 0.10;
+    const usableWidth = estimatedNeckWidth - (2 * margin);
+    const startZ = zCenter - estimatedNeckWidth / 2 + margin;
+    const stringSpacing = usableWidth / (stringTuning.length - 1);
+    const avgY = neckRegion.y;
+
+    // Calculate taper
+    const nutZMin = startZ;
+    const nutZMax = startZ + usableWidth;
+    const nutWidth = nutZMax - nutZMin;
+    const nutZCenter = (nutZMin + nutZMax) / 2;
+    const taperRatio = 0.88;
+    const bodyWidth = nutWidth * taperRatio;
+    const bodyZMin = nutZCenter - bodyWidth / 2;
+    const bodyZMax = nutZCenter + bodyWidth / 2;
+
+    const neckStartX = neckRegion.startX;
+    const neckEndX = neckRegion.startX + neckRegion.length;
+    const neckLength = neckEndX - neckStartX;
+    const nutX = neckRegion.nutX || neckRegion.startX;
+
+    // fretIndex 0 = between nut and fret 1, fretIndex 1 = between fret 1 and fret 2, etc.
+    for (let fretIndex = 0; fretIndex < fretPositions.length && fretIndex < numFrets - 1; fretIndex++) {
+        let posX, fretStartX, fretEndX, boxWidth;
+
+        if (fretIndex > 0) {
+            fretStartX = fretPositions[fretIndex - 1].x;
+            fretEndX = fretPositions[fretIndex].x;
+            // Make box slightly smaller to avoid overlapping with frets
+            const margin = (fretEndX - fretStartX) * 0.05; // 5% margin on each side (reduced for wider hitboxes)
+            boxWidth = (fretEndX - fretStartX) - (2 * margin);
+            posX = fretStartX + margin + boxWidth / 2; // Center in the space between
+        } else {
+            fretStartX = nutX;
+            fretEndX = fretPositions[0].x;
+            // Make box slightly smaller to avoid overlapping with nut and fret
+            const margin = (fretEndX - fretStartX) * 0.05; // 5% margin on each side (reduced for wider hitboxes)
+            boxWidth = (fretEndX - fretStartX) - (2 * margin);
+            posX = fretStartX + margin + boxWidth / 2; // Center in the space between
+        }
+
+        const progress = Math.max(0, Math.min(1, (posX - neckStartX) / neckLength));
+        const currentZMin = nutZMin + (bodyZMin - nutZMin) * progress;
+        const currentZMax = nutZMax + (bodyZMax - nutZMax) * progress;
+        const currentWidth = currentZMax - currentZMin;
+        const currentStringSpacing = currentWidth / (stringTuning.length - 1);
+
+        for (let stringIndex = 0; stringIndex < stringTuning.length; stringIndex++) {
+            const stringZ = currentZMin + (stringIndex * currentStringSpacing);
+            const posY = avgY + 0.01;
+            const posZ = stringZ;
+
+            // Calculate box depth (Z-direction, across strings) - make wider for easier clicking
+            let boxDepth = 0.025; // Increased default depth
+            if (stringIndex < stringTuning.length - 1) {
+                const nextStringZ = currentZMin + ((stringIndex + 1) * currentStringSpacing);
+                boxDepth = Math.min(Math.abs(nextStringZ - stringZ) * 0.6, 0.04); // Increased multiplier and max
+            } else if (stringIndex > 0) {
+                const prevStringZ = currentZMin + ((stringIndex - 1) * currentStringSpacing);
+                boxDepth = Math.min(Math.abs(stringZ - prevStringZ) * 0.6, 0.04); // Increased multiplier and max
             }
+            boxDepth = Math.max(0.02, boxDepth); // Increased minimum
+
+            const boxHeight = 0.04;
+
+            const actualFretIndex = fretIndex + 1;
+            const isDisabled = isFretDisabled(actualFretIndex);
+
+            const geometry = new THREE.BoxGeometry(boxWidth, boxHeight, boxDepth);
+            const material = new THREE.MeshBasicMaterial({
+                color: isDisabled ? 0x666666 : (fretColors[fretIndex] || 0xff0000),
+                transparent: true,
+                opacity: isDisabled ? 0.4 : 0.6, // Higher opacity to better see overlaps between frets
+                side: THREE.DoubleSide
+            });
+
+            const zone = new THREE.Mesh(geometry, material);
+            zone.position.set(posX, posY, posZ);
+            // Hitboxes are invisible by default, only visible on hover or feedback
+            // Disabled frets are always slightly visible
+            zone.visible = true;
+            zone.material.opacity = isDisabled ? 0.3 : (state.showDebug ? 0.6 : 0); // Disabled frets slightly visible
+
+            zone.userData = {
+                stringIndex,
+                fretIndex: actualFretIndex,
+                note: getNoteAt(stringIndex, actualFretIndex),
+                originalColor: isDisabled ? 0x666666 : material.color.getHex(),
+                fretColor: fretColors[fretIndex] || 0xff0000, // Color when enabled
+                originalOpacity: isDisabled ? 0.3 : (state.showDebug ? 0.6 : 0), // Store original opacity
+                isHovered: false,
+                isFeedback: false, // Track if showing feedback (correct/wrong)
+                isDisabled: isDisabled
+            };
+
+            scene.add(zone);
+            fretZones.push(zone);
+        }
+    }
+
+    // Open strings at the nut, spaced like the strings at the nut
+    const nutStringSpacing = nutWidth / (stringTuning.length - 1);
+    const nutStringPoints = stringTuning.map((_, stringIndex) => ({
+        y: avgY,
+        z: nutZMin + (stringIndex * nutStringSpacing)
+    }));
+    createOpenStringZones(nutX, fretPositions[0].x, nutStringPoints);
+    
+    // Setup mouse over effects for hitboxes
+    setupHitboxHoverEffects();
+    
+    // Create fret markers (dots) on the fretboard
+    createFretMarkers();
+}
+
+function createFretMarkers() {
+    // Clear existing markers
+    fretMarkers.forEach(marker => scene.remove(marker));
+    fretMarkers = [];
+    
+    // Fret numbers that should have markers (standard guitar fret markers)
+    const markerFrets = [3, 5, 7, 9, 12, 15, 17, 19, 21, 24];
+    
+    // Analyze the model to get fret positions
+    const analysis = analyzeGuitarModel();
+    
+    if (!analysis) {
+        // Fallback to old hardcoded positions
+        const stringSpacing = 0.05;
+        const fretSpacing = 0.20;
+        const neckStartZ = -2.8;
+        const neckStartY = -0.49;
+        const slope = 0.014;
+        const neckCenterZ = 0; // Center of strings
+        
+        for (const fretIndex of markerFrets) {
+            if (fretIndex >= numFrets) continue;
             
-            // Convert to array and group using improved grouping
-            const edgeXArray = Array.from(edgeXPositions).sort((a, b) => a - b);
-            const edgeCandidates = edgeXArray.map(x => ({
-                x: x,
-                y: neckRegion.y,
-                z: neckRegion.centerZ,
-                vertexCount: 1
-            }));
+            // Calculate position in the center of the fret space (between frets)
+            const fretX = neckStartZ + (fretIndex * fretSpacing);
+            let centerX = fretX;
             
-            // Group nearby edges using improved grouping function
-            // Use larger tolerance (1.5cm) to account for fret thickness
-            const groupedFrets = groupFretCandidates(edgeCandidates, 0.015);
+            if (fretIndex < numFrets - 1) {
+                const nextFretX = neckStartZ + ((fretIndex + 1) * fretSpacing);
+                centerX = (fretX + nextFretX) / 2;
+            } else if (fretIndex > 1) {
+                const prevFretX = neckStartZ + ((fretIndex - 1) * fretSpacing);
+                centerX = (fretX + prevFretX) / 2;
+            }
             
-            // Filter to only include groups with multiple edges (more reliable)
-            const fretCandidates = groupedFrets
-                .filter(f => f.candidateCount >= 2)
-                .map(f => ({
-                    x: f.x,
-                    y: f.y,
-                    z: f.z
-                }))
-                .sort((a, b) => a.x - b.x);
+            const centerY = neckStartY + (fretIndex * slope) - 0.0075; // Half sunk into fretboard (radius is 0.015, so -0.0075 is half)
+            const centerZ = neckCenterZ;
             
-            if (fretCandidates.length > bestFrets.length) {
-                bestFrets = fretCandidates;
+            if (fretIndex % 12 === 0) {
+                // Double dots for 12th and 24th fret (top and bottom)
+                const dotSpacing = stringSpacing * 2.5; // Space between dots
+                createMarkerDot(centerX, centerY, centerZ - dotSpacing / 2);
+                createMarkerDot(centerX, centerY, centerZ + dotSpacing / 2);
+            } else {
+                // Single dot centered
+                createMarkerDot(centerX, centerY, centerZ);
             }
         }
-        
-        // Method 4: Use raycasting to find frets by detecting height changes
-        // Scan along the X-axis at multiple Z positions to find where frets are located
-        const raycaster = new THREE.Raycaster();
-        const sampleCount = 1000; // Very high resolution scan
-        const scanStartX = Math.max(nutX, fretBox.min.x);
-        const scanEndX = Math.min(neckEndX, fretBox.max.x);
-        const scanLength = scanEndX - scanStartX;
-        const stepSize = scanLength / sampleCount;
-        
-        // Scan at multiple Z positions to catch all frets
-        const zPositions = [
-            neckRegion.centerZ,
-            neckRegion.centerZ - neckRegion.width * 0.3,
-            neckRegion.centerZ + neckRegion.width * 0.3
-        ];
-        
-        const heightSamples = [];
-        const scanY = neckRegion.y + 0.5; // Start ray above the fretboard
-        
-        // Sample heights along the X-axis at multiple Z positions
-        for (let zPos of zPositions) {
-            for (let i = 0; i <= sampleCount; i++) {
-                const sampleX = scanStartX + (i * stepSize);
-                const rayOrigin = new THREE.Vector3(sampleX, scanY, zPos);
-                const rayDirection = new THREE.Vector3(0, -1, 0);
-                
-                raycaster.set(rayOrigin, rayDirection);
-                const intersects = raycaster.intersectObject(fretContainerObject, false);
-                
-                if (intersects.length > 0) {
-                    // Find the highest intersection (top of fret)
-                    const highestIntersect = intersects.reduce((prev, curr) => 
-                        curr.point.y > prev.point.y ? curr : prev
-                    );
-                    heightSamples.push({
-                        x: sampleX,
-                        y: highestIntersect.point.y,
-                        z: highestIntersect.point.z
-                    });
-                }
+        return;
+    }
+    
+    // Use analyzed positions
+    const { fretPositions, neckRegion } = analysis;
+    
+    if (!fretPositions || fretPositions.length === 0) {
+        return;
+    }
+    
+    // Get string positions to calculate center Z
+    const stringObjects = extractStringObjects();
+    let centerZ = neckRegion.centerZ;
+    
+    if (modelStringsMatchInstrument(stringObjects)) {
+        // Calculate center Z from string positions
+        const stringPositionsByFret = analyzeStringGeometry(stringObjects, fretPositions, neckRegion);
+        if (stringPositionsByFret && stringPositionsByFret.length > 0) {
+            const firstFretPositions = stringPositionsByFret[0];
+            if (firstFretPositions && firstFretPositions.length >= stringTuning.length) {
+                const firstStringZ = firstFretPositions[0].z;
+                const lastStringZ = firstFretPositions[stringTuning.length - 1].z;
+                centerZ = (firstStringZ + lastStringZ) / 2;
             }
         }
+    }
+    
+    // Create markers for each marked fret
+    for (const fretIndex of markerFrets) {
+        if (fretIndex >= numFrets) continue;
         
-        // Group samples by X position to find average height at each X
-        const xGroups = new Map();
-        heightSamples.forEach(sample => {
-            const roundedX = Math.round(sample.x * 1000) / 1000; // Round to 0.001
-            if (!xGroups.has(roundedX)) {
-                xGroups.set(roundedX, []);
-            }
-            xGroups.get(roundedX).push(sample.y);
-        });
-        
-        // Create averaged height samples
-        const averagedSamples = [];
-        xGroups.forEach((yValues, x) => {
-            const avgY = yValues.reduce((sum, y) => sum + y, 0) / yValues.length;
-            const maxY = Math.max(...yValues);
-            averagedSamples.push({
-                x: x,
-                y: avgY,
-                maxY: maxY
-            });
-        });
+        // Find the fret position index (fretIndex 1 = position 0, fretIndex 2 = position 1, etc.)
+        const fretPosIndex = fretIndex - 1;
         
-        // Sort by X
-        averagedSamples.sort((a, b) => a.x - b.x);
+        if (fretPosIndex < 0 || fretPosIndex >= fretPositions.length) {
+            continue;
+        }
         
-        // Find frets by detecting local maxima in height
-        // Frets are vertical lines that are higher than the surrounding area
-        const fretCandidates = [];
-        const heightThreshold = 0.0005; // Lower threshold to catch more frets
+        // Calculate position in the center of the fret space (between frets)
+        let centerX, centerY;
         
-        for (let i = 2; i < averagedSamples.length - 2; i++) {
-            const prev2Y = averagedSamples[i - 2]?.y || averagedSamples[i - 1]?.y || 0;
-            const prevY = averagedSamples[i - 1]?.y || 0;
-            const currY = averagedSamples[i].y;
-            const nextY = averagedSamples[i + 1]?.y || 0;
-            const next2Y = averagedSamples[i + 2]?.y || averagedSamples[i + 1]?.y || 0;
-            
-            // Look for local maxima (fret is higher than surrounding area)
-            // Check both immediate neighbors and slightly further ones
-            const isLocalMax = currY > prevY + heightThreshold && 
-                              currY > nextY + heightThreshold &&
-                              currY > prev2Y + heightThreshold * 0.5 &&
-                              currY > next2Y + heightThreshold * 0.5;
-            
-            if (isLocalMax) {
-                fretCandidates.push({
-                    x: averagedSamples[i].x,
-                    y: averagedSamples[i].maxY,
-                    z: neckRegion.centerZ
-                });
-            }
+        if (fretIndex === 1) {
+            // First fret: between nut and fret 1
+            const nutX = neckRegion.nutX || neckRegion.startX;
+            const fret1X = fretPositions[0].x;
+            centerX = (nutX + fret1X) / 2;
+        } else if (fretPosIndex < fretPositions.length) {
+            // Between previous fret and current fret
+            const prevFretX = fretPositions[fretPosIndex - 1].x;
+            const currentFretX = fretPositions[fretPosIndex].x;
+            centerX = (prevFretX + currentFretX) / 2;
+        } else {
+            continue;
         }
         
-        // Group nearby candidates using improved grouping function
-        // Use larger tolerance (1.5cm) to account for fret thickness
-        const groupedFrets = groupFretCandidates(fretCandidates, 0.015);
-        
-        // Sort by X position and filter to valid range
-        groupedFrets.sort((a, b) => a.x - b.x);
-        const validFrets = groupedFrets.filter(f => f.x > nutX && f.x < neckEndX);
+        // Get Y position from fret position or estimate
+        centerY = fretPositions[fretPosIndex].y - 0.0045; // Half sunk into fretboard (radius is 0.015, so -0.0075 is half)
         
-        // Return up to 22 frets (NUM_FRETS - 1 = 22 for 22 frets)
-        if (validFrets.length >= NUM_FRETS - 1) {
-            return validFrets.slice(0, NUM_FRETS - 1);
-        } else if (validFrets.length > 0) {
-            return validFrets;
-        }
-    }
-
-    // If we couldn't find the circulo mesh or extract frets, return null
-    return null;
-}
-
-/**
- * Calculate fret positions using standard guitar fret spacing formula
- * Used as fallback when geometry extraction doesn't work
- */
-function findFretPositionsUsingCalculation(neckRegion) {
-    if (!neckRegion) return null;
-
-    const fretPositions = [];
-    const raycaster = new THREE.Raycaster();
-
-    // Get all meshes for raycasting
-    const meshes = [];
-    guitarModel.traverse((child) => {
-        if (child.isMesh && child.geometry) {
-            meshes.push(child);
-        }
-    });
-
-    // Calculate fret positions using logarithmic spacing
-    // Use the exact scale length if available, otherwise estimate
-    const scaleLength = neckRegion.scaleLength || (neckRegion.length * 0.9);
-    const nutX = neckRegion.nutX || neckRegion.startX;
-
-    // For each fret (1-12), calculate position from the nut
-    for (let fret = 1; fret < NUM_FRETS; fret++) {
-        // Logarithmic fret spacing formula: distance = scaleLength * (1 - 2^(-fret/12))
-        const distanceFromNut = scaleLength * (1 - Math.pow(2, -fret / 12));
-        const fretX = nutX + distanceFromNut;
-
-        // Cast a ray from above the model down to find the fretboard surface
-        const rayOrigin = new THREE.Vector3(fretX, neckRegion.y + 0.5, neckRegion.centerZ);
-        const rayDirection = new THREE.Vector3(0, -1, 0);
-
-        raycaster.set(rayOrigin, rayDirection);
-        const intersects = raycaster.intersectObjects(meshes, false);
-
-        let bestY = neckRegion.y;
-        if (intersects.length > 0) {
-            bestY = intersects[0].point.y;
-        }
-
-        fretPositions.push({
-            x: fretX,
-            y: bestY,
-            z: neckRegion.centerZ
-        });
+        if (fretIndex % 12 === 0) {
+            // Double dots for 12th and 24th fret (top and bottom)
+            const dotSpacing = neckRegion.width * 0.3; // Space between dots
+            createMarkerDot(centerX, centerY, centerZ - dotSpacing / 2);
+            createMarkerDot(centerX, centerY, centerZ + dotSpacing / 2);
+        } else {
+            // Single dot centered
+            createMarkerDot(centerX, centerY, centerZ);
+        }
     }
-
-
-    return fretPositions;
 }
 
-/**
- * Extract string objects from the guitar model
- * Looks for 'Cuerdas' objects which represent the physical strings
- */
-function extractStringObjects() {
-    if (!guitarModel) return null;
-
-    const stringObjects = [];
-
-    guitarModel.traverse((child) => {
-        if (child.isMesh && child.name) {
-            // Look for string objects (Cuerdas in Spanish)
-            if (child.name.toLowerCase().includes('cuerda')) {
-                stringObjects.push(child);
-            }
-        }
+function createMarkerDot(x, y, z) {
+    // Create a small white sphere for the fret marker
+    const geometry = new THREE.SphereGeometry(0.015, 16, 16); // Small sphere, 0.015 radius
+    const material = new THREE.MeshStandardMaterial({
+        color: 0xffffff,
+        emissive: 0x222222, // Slight glow
+        metalness: 0.3,
+        roughness: 0.7
     });
-
-    return stringObjects;
+    
+    const marker = new THREE.Mesh(geometry, material);
+    marker.position.set(x, y, z);
+    marker.castShadow = true;
+    marker.receiveShadow = true;
+    
+    scene.add(marker);
+    fretMarkers.push(marker);
 }
 
 /**
- * Get the Z position of a string at a specific X position (fret location)
- * by analyzing its geometry
+ * Toggle debug mode (show/hide hitboxes and tooltip)
  */
-function getStringPositionAtX(stringMesh, targetX) {
-    if (!stringMesh || !stringMesh.geometry) return null;
-
-    const geometry = stringMesh.geometry;
-    const positions = geometry.attributes.position;
-
-    if (!positions) return null;
-
-    // Get world matrix to transform local coordinates to world coordinates
-    stringMesh.updateMatrixWorld(true);
-    const worldMatrix = stringMesh.matrixWorld;
-
-    const vertex = new THREE.Vector3();
-    let closestVertex = null;
-    let closestDistance = Infinity;
-
-    // Find vertex closest to our target X position
-    for (let i = 0; i < positions.count; i++) {
-        vertex.fromBufferAttribute(positions, i);
-        vertex.applyMatrix4(worldMatrix);
-
-        const distance = Math.abs(vertex.x - targetX);
-        if (distance < closestDistance) {
-            closestDistance = distance;
-            closestVertex = vertex.clone();
+function toggleDebugMode(enabled) {
+    state.showDebug = enabled;
+    saveSettingsToCookies();
+    
+    // Update hitbox visibility and opacity
+    if (fretZones && fretZones.length > 0) {
+        fretZones.forEach(zone => {
+            zone.visible = true; // Always visible now
+            // Update opacity based on debug mode and feedback state
+            if (!zone.userData.isFeedback && !zone.userData.isHovered) {
+                if (zone.userData.isDisabled) {
+                    // Disabled frets are always slightly visible
+                    zone.material.opacity = 0.3;
+                    zone.userData.originalOpacity = 0.3;
+                } else if (zone.userData.isRootNote) {
+                    // Keep root note visible regardless of debug mode
+                    zone.material.opacity = 0.6;
+                    zone.userData.originalOpacity = 0.6;
+                } else {
+                    zone.material.opacity = enabled ? 0.6 : 0;
+                    zone.userData.originalOpacity = enabled ? 0.6 : 0;
+                }
+            }
+        });
+    }
+    
+    // Show/hide tooltip
+    const tooltip = document.getElementById('debug-tooltip');
+    if (tooltip) {
+        if (!enabled) {
+            tooltip.style.display = 'none';
         }
     }
-
-    return closestVertex;
 }
 
-/**
- * Analyze string geometry to get positions at all fret locations
- * Extracts positions BETWEEN frets (where hitboxes will be placed)
- */
-function analyzeStringGeometry(stringObjects, fretPositions, neckRegion) {
-    if (!stringObjects || stringObjects.length === 0) return null;
-
-    // Sort strings by their Z position at the first fret
-    const firstFretX = fretPositions[0]?.x || -2.6;
-
-    const stringsWithPositions = stringObjects.map(stringMesh => {
-        const pos = getStringPositionAtX(stringMesh, firstFretX);
-        return {
-            mesh: stringMesh,
-            name: stringMesh.name,
-            zAtFirstFret: pos ? pos.z : 0
-        };
-    });
-
-    // Sort by Z position (from low to high, which corresponds to string 1-6)
-    stringsWithPositions.sort((a, b) => a.zAtFirstFret - b.zAtFirstFret);
-
-    // Extract positions BETWEEN frets (where hitboxes will be placed)
-    // fretIndex 0 = between nut and fret 1
-    // fretIndex 1 = between fret 1 and fret 2
-    // etc.
-    const stringPositionsByFret = [];
-    const nutX = neckRegion.nutX || neckRegion.startX;
-
-    for (let fretIndex = 0; fretIndex < fretPositions.length; fretIndex++) {
-        // Calculate the X position where the hitbox will be (between this fret and the next)
-        // Use the same calculation as in createFretZones to ensure consistency
-        let targetX;
-
-        if (fretIndex === 0) {
-            // First fret: between nut and fret 1
-            const fretStartX = nutX;
-            const fretEndX = fretPositions[0].x;
-            const margin = (fretEndX - fretStartX) * 0.05; // 5% margin on each side (reduced for wider hitboxes)
-            const boxWidth = (fretEndX - fretStartX) - (2 * margin);
-            targetX = fretStartX + margin + boxWidth / 2; // Center in the space between
-        } else {
-            // All other frets: between previous fret and current fret
-            const fretStartX = fretPositions[fretIndex - 1].x;
-            const fretEndX = fretPositions[fretIndex].x;
-            const margin = (fretEndX - fretStartX) * 0.05; // 5% margin on each side (reduced for wider hitboxes)
-            const boxWidth = (fretEndX - fretStartX) - (2 * margin);
-            targetX = fretStartX + margin + boxWidth / 2; // Center in the space between
-        }
-
-        const stringPositions = [];
-
-        for (let stringIndex = 0; stringIndex < Math.min(6, stringsWithPositions.length); stringIndex++) {
-            const stringData = stringsWithPositions[stringIndex];
-            const pos = getStringPositionAtX(stringData.mesh, targetX);
-
-            if (pos) {
-                stringPositions.push({
-                    y: pos.y,
-                    z: pos.z
-                });
-            }
-        }
-
-        stringPositionsByFret.push(stringPositions);
+function toggleRotation(enabled) {
+    state.rotationEnabled = enabled;
+    saveSettingsToCookies();
+    
+    // Enable/disable rotation in OrbitControls
+    if (controls) {
+        controls.enableRotate = enabled;
     }
-
-    return stringPositionsByFret;
+    
+    // Show/hide help text
+    updateRotationHelpText();
 }
 
-function analyzeGuitarModel() {
-    if (!guitarModel) return null;
-
-    // First, find the neck region
-    const neckRegion = findNeckRegion();
-    if (!neckRegion) return null;
-
-    // Find fret positions from geometry only (no calculation fallback)
-    let fretPositions = extractFretPositionsFromGeometry(neckRegion);
-
-    if (!fretPositions || fretPositions.length === 0) {
-        return null;
+function updateRotationHelpText() {
+    const helpText = document.getElementById('rotationHelpText');
+    if (helpText) {
+        if (state.rotationEnabled) {
+            helpText.style.display = 'block';
+        } else {
+            helpText.style.display = 'none';
+        }
     }
-
-    // We'll calculate string positions later using raycasting at each fret
-    // For now, return a placeholder that will be populated during hitbox creation
-    return {
-        fretPositions: fretPositions,
-        neckBox: neckRegion.overallBox,
-        neckCenter: new THREE.Vector3(neckRegion.startX + neckRegion.length / 2, neckRegion.y, neckRegion.centerZ),
-        neckSize: new THREE.Vector3(neckRegion.length, 0.1, neckRegion.width),
-        neckAxis: 'x',
-        stringAxis: 'z',
-        neckRegion: neckRegion // Include full neck region
-    };
 }
 
-function createFretZones() {
-    // Clear existing zones
-    fretZones.forEach(zone => scene.remove(zone));
-    fretZones = [];
-    
-    // Different colors for each fret row to visualize overlaps
-    // All strings on the same fret get the same color
-    const fretColors = [
-        0xff0000, // Red - Fret 1
-        0x00ff00, // Green - Fret 2
-        0x0000ff, // Blue - Fret 3
-        0xffff00, // Yellow - Fret 4
-        0xff00ff, // Magenta - Fret 5
-        0x00ffff, // Cyan - Fret 6
-        0xff8800, // Orange - Fret 7
-        0x8800ff, // Purple - Fret 8
-        0x00ff88, // Teal - Fret 9
-        0xff0088, // Pink - Fret 10
-        0x88ff00, // Lime - Fret 11
-        0x0088ff, // Light Blue - Fret 12
-        0xff4444, // Light Red - Fret 13
-        0x44ff44, // Light Green - Fret 14
-        0x4444ff, // Light Blue - Fret 15
-        0xffff44, // Light Yellow - Fret 16
-        0xff44ff, // Light Magenta - Fret 17
-        0x44ffff, // Light Cyan - Fret 18
-        0xffaa00, // Amber - Fret 19
-        0xaa00ff, // Violet - Fret 20
-        0x00aaff, // Sky Blue - Fret 21
-        0xaaff00, // Chartreuse - Fret 22
-        0xff00aa, // Rose - Fret 23
-        0x00ffaa  // Spring Green - Fret 24
-    ];
+/**
+ * Setup debug tooltip to show object names on mouse hover
+ */
+function setupDebugTooltip() {
+    // Create tooltip element if it doesn't exist
+    let tooltip = document.getElementById('debug-tooltip');
+    if (!tooltip) {
+        tooltip = document.createElement('div');
+        tooltip.id = 'debug-tooltip';
+        tooltip.style.cssText = `
+            position: fixed;
+            pointer-events: none;
+            background: rgba(0, 0, 0, 0.9);
+            color: white;
+            padding: 8px 12px;
+            border-radius: 4px;
+            font-family: monospace;
+            font-size: 11px;
+            z-index: 10000;
+            display: none;
+            max-width: 400px;
+            word-wrap: break-word;
+            white-space: pre-line;
+            line-height: 1.4;
+            border: 1px solid rgba(255, 255, 255, 0.2);
+        `;
+        document.body.appendChild(tooltip);
+    }
 
-    // Analyze the model to get fret positions
-    const analysis = analyzeGuitarModel();
+    // Add mousemove listener to renderer canvas
+    // Don't clone/replace canvas as it breaks the 3D rendering
+    const canvas = renderer.domElement;
+    
+    // Add mousemove listener (will be added multiple times if called multiple times, but that's okay)
+    canvas.addEventListener('mousemove', (event) => {
+        if (state.showDebug) {
+            onMouseMove(event, tooltip);
+        } else {
+            tooltip.style.display = 'none';
+        }
+    });
 
-    if (!analysis) {
-        // Fallback to old hardcoded positions
-        const stringSpacing = 0.05;
-        const fretSpacing = 0.20;
-        const neckStartZ = -2.8;
-        const neckStartY = -0.49;
-        const slope = 0.014;
+    // Hide tooltip when mouse leaves canvas
+    canvas.addEventListener('mouseleave', () => {
+        tooltip.style.display = 'none';
+    });
+}
 
-        for (let stringIndex = 0; stringIndex < STRING_TUNING.length; stringIndex++) {
-            for (let fretIndex = 1; fretIndex < NUM_FRETS; fretIndex++) {
-                // Calculate position first to determine exact box width
-                const fretX = neckStartZ + (fretIndex * fretSpacing);
-                let centerX = fretX;
-                let boxWidth = fretSpacing; // Default to fret spacing
+/**
+ * Setup mouse over effects for hitboxes
+ */
+let hoveredHitbox = null;
 
-                if (fretIndex < NUM_FRETS - 1) {
-                    // Center exactly between current and next fret
-                    const nextFretX = neckStartZ + ((fretIndex + 1) * fretSpacing);
-                    centerX = (fretX + nextFretX) / 2;
-                    boxWidth = nextFretX - fretX; // Exact distance between frets
-                } else if (fretIndex > 1) {
-                    // Last fret - center between previous and current
-                    const prevFretX = neckStartZ + ((fretIndex - 1) * fretSpacing);
-                    centerX = (fretX + prevFretX) / 2;
-                    boxWidth = fretX - prevFretX; // Exact distance between frets
-                }
+let hoverEffectsSetup = false;
 
-                // Create box geometry for fret hitbox
-                // Width: exact distance between frets
-                // Height: small height above fretboard
-                const boxHeight = 0.08;
-                // Depth: wider for easier clicking (Z-direction, across strings)
-                const boxDepth = Math.min(stringSpacing * 0.6, 0.04); // Max 60% of string spacing or 0.04 (wider for easier clicking)
+function setupHitboxHoverEffects() {
+    // Hover effects disabled - only feedback on click (red/green) is shown
+    // This function is kept for compatibility but does nothing
+    return;
+}
 
-                const isDisabled = isFretDisabled(fretIndex);
-                
-                const geometry = new THREE.BoxGeometry(boxWidth, boxHeight, boxDepth);
-                const material = new THREE.MeshBasicMaterial({
-                    color: isDisabled ? 0x666666 : (fretColors[fretIndex] || 0xff0000),
-                    transparent: true,
-                    opacity: isDisabled ? 0.4 : 0.6 // Higher opacity to better see overlaps between frets
-                });
+/**
+ * Handle mouse move for debug tooltip
+ */
+function onMouseMove(event, tooltip) {
+    if (!renderer || !camera || !scene || !state.showDebug) return;
 
-                const zone = new THREE.Mesh(geometry, material);
-                zone.position.x = centerX;
-                zone.position.y = neckStartY + (fretIndex * slope);
-                // Position exactly on the string
-                zone.position.z = (stringIndex - 2.5) * stringSpacing;
-                zone.visible = isDisabled ? true : state.showDebug; // Disabled frets always visible
-                zone.material.opacity = isDisabled ? 0.3 : (state.showDebug ? 0.6 : 0);
+    // Calculate mouse position in normalized device coordinates
+    const rect = renderer.domElement.getBoundingClientRect();
+    mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
 
-                zone.userData = {
-                    stringIndex,
-                    fretIndex,
-                    note: getNoteAt(stringIndex, fretIndex),
-                    isDisabled: isDisabled
-                };
+    // Update raycaster
+    raycaster.setFromCamera(mouse, camera);
 
-                scene.add(zone);
-                fretZones.push(zone);
-            }
+    // Get all objects in the scene (including guitar model and hitboxes)
+    const allObjects = [];
+    scene.traverse((child) => {
+        if (child.isMesh) {
+            allObjects.push(child);
         }
-        return;
-    }
+    });
 
-    // Use analyzed positions
-    const { fretPositions, neckRegion } = analysis;
+    // Check for intersections
+    const intersects = raycaster.intersectObjects(allObjects, true);
 
+    if (intersects.length > 0) {
+        const intersectedObject = intersects[0].object;
+        
+        // Update world matrix to get accurate position
+        intersectedObject.updateMatrixWorld(true);
+        
+        // Get object name
+        let objectName = intersectedObject.name || 'Unnamed';
+        
+        // Get position
+        const position = new THREE.Vector3();
+        intersectedObject.getWorldPosition(position);
+        
+        // Get bounding box for dimensions
+        const box = new THREE.Box3().setFromObject(intersectedObject);
+        const size = box.getSize(new THREE.Vector3());
+        const center = box.getCenter(new THREE.Vector3());
+        
+        // Build tooltip content
+        let tooltipContent = objectName;
+        
+        // If it's a hitbox, show additional info
+        if (intersectedObject.userData && intersectedObject.userData.stringIndex !== undefined) {
+            const { stringIndex, fretIndex, note } = intersectedObject.userData;
+            tooltipContent = `Hitbox: String ${stringIndex + 1}, Fret ${fretIndex}, Note: ${note}\n`;
+        }
+        
+        // Add position and dimensions
+        tooltipContent += `\nPosition: X=${position.x.toFixed(3)}, Y=${position.y.toFixed(3)}, Z=${position.z.toFixed(3)}`;
+        tooltipContent += `\nCenter: X=${center.x.toFixed(3)}, Y=${center.y.toFixed(3)}, Z=${center.z.toFixed(3)}`;
+        tooltipContent += `\nSize: W=${size.x.toFixed(3)}, H=${size.y.toFixed(3)}, D=${size.z.toFixed(3)}`;
+        tooltipContent += `\nBounds: Min(${box.min.x.toFixed(3)}, ${box.min.y.toFixed(3)}, ${box.min.z.toFixed(3)})`;
+        tooltipContent += `\nMax(${box.max.x.toFixed(3)}, ${box.max.y.toFixed(3)}, ${box.max.z.toFixed(3)})`;
+        
+        // Show tooltip
+        tooltip.textContent = tooltipContent;
+        tooltip.style.display = 'block';
+        tooltip.style.left = (event.clientX + 10) + 'px';
+        tooltip.style.top = (event.clientY + 10) + 'px';
+    } else {
+        // Hide tooltip if no intersection
+        tooltip.style.display = 'none';
+    }
+}
 
-    // Extract string objects from the model
-    const stringObjects = extractStringObjects();
+function setupFretClickHandler() {
+    renderer.domElement.addEventListener('click', onFretClick);
+}
 
-    if (!stringObjects || stringObjects.length < 6) {
-        // Fall back to estimation if we don't have string geometry
-        useFallbackHitboxes(fretPositions, neckRegion);
-        return;
-    }
+function onFretClick(event) {
+    // Calculate mouse position in normalized device coordinates
+    const rect = renderer.domElement.getBoundingClientRect();
+    mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
 
-    // Analyze string geometry to get positions at all frets
-    const stringPositionsByFret = analyzeStringGeometry(stringObjects, fretPositions, neckRegion);
+    // Update raycaster
+    raycaster.setFromCamera(mouse, camera);
 
-    if (!stringPositionsByFret || stringPositionsByFret.length === 0) {
-        useFallbackHitboxes(fretPositions, neckRegion);
-        return;
-    }
+    // Check for intersections with fret zones
+    const intersects = raycaster.intersectObjects(fretZones);
 
+    if (intersects.length > 0) {
+        const clickedZone = intersects[0].object;
+        const { stringIndex, fretIndex, note } = clickedZone.userData;
 
-    // Get all meshes for raycasting to find exact fretboard surface
-    const meshes = [];
-    guitarModel.traverse((child) => {
-        if (child.isMesh && child.geometry) {
-            meshes.push(child);
+        // Check if fret is disabled
+        if (isFretDisabled(fretIndex)) {
+            showFeedback('error', `Fret ${fretIndex} is disabled!`);
+            return;
         }
-    });
-    const raycaster = new THREE.Raycaster();
 
-    // Create hitboxes using the extracted geometry
-    // We need to calculate the EXACT SAME X position that was used in analyzeStringGeometry
-    // fretIndex 0 = between nut and fret 1  
-    // fretIndex 1 = between fret 1 and fret 2
-    // etc.
-    // Create hitboxes for all detected frets (up to 22 frets = 22 hitbox positions)
-    for (let fretIndex = 0; fretIndex < stringPositionsByFret.length && fretIndex < NUM_FRETS - 1; fretIndex++) {
-        const nutX = neckRegion.nutX || neckRegion.startX;
+        // Call the appropriate handler based on game mode
+        const gameMode = GAME_MODES[state.currentScreen];
+        if (gameMode) {
+            gameMode.onZoneClick(stringIndex, fretIndex, note);
+        }
+    }
+}
 
-        // Calculate the EXACT SAME X position that was used in analyzeStringGeometry
-        // Hitboxes should be BETWEEN frets, not over them
-        let targetX, fretStartX, fretEndX, boxWidth;
+function cleanupThreeJS() {
+    // Remove event listeners
+    if (renderer && renderer.domElement) {
+        renderer.domElement.removeEventListener('click', onFretClick);
+    }
+    window.removeEventListener('resize', onWindowResize);
 
-        if (fretIndex === 0) {
-            // First fret: between nut and fret 1
-            fretStartX = nutX;
-            fretEndX = fretPositions[0].x;
-            
-            // Validate: fretEndX should be greater than fretStartX
-            if (fretEndX <= fretStartX) {
-                continue;
-            }
-            
-            // Make box slightly smaller to avoid overlapping with nut and fret
-            const margin = (fretEndX - fretStartX) * 0.05; // 5% margin on each side (reduced for wider hitboxes)
-            boxWidth = (fretEndX - fretStartX) - (2 * margin);
-            targetX = fretStartX + margin + boxWidth / 2; // Center in the space between
-        } else {
-            // All other frets: between previous fret and current fret
-            if (fretIndex - 1 >= fretPositions.length || fretIndex >= fretPositions.length) {
-                continue;
-            }
-            
-            fretStartX = fretPositions[fretIndex - 1].x;
-            fretEndX = fretPositions[fretIndex].x;
-            
-            // Validate: fretEndX should be greater than fretStartX
-            if (fretEndX <= fretStartX) {
-                continue;
-            }
-            
-            // Make box slightly smaller to avoid overlapping with frets
-            const margin = (fretEndX - fretStartX) * 0.05; // 5% margin on each side (reduced for wider hitboxes)
-            boxWidth = (fretEndX - fretStartX) - (2 * margin);
-            targetX = fretStartX + margin + boxWidth / 2; // Center in the space between
+    // Dispose of Three.js objects
+    if (renderer) {
+        renderer.dispose();
+        if (renderer.domElement && renderer.domElement.parentNode) {
+            renderer.domElement.parentNode.removeChild(renderer.domElement);
         }
+    }
 
+    if (scene) {
+        scene.traverse((object) => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) {
+                if (Array.isArray(object.material)) {
+                    object.material.forEach(mat => mat.dispose());
+                } else {
+                    object.material.dispose();
+                }
+            }
+        });
+    }
 
-        // Get string positions at this fret from the extracted geometry
-        const stringPositions = stringPositionsByFret[fretIndex];
+    // Clear references
+    scene = null;
+    camera = null;
+    renderer = null;
+    controls = null;
+    guitarModel = null;
+    fretZones = [];
+    fretMarkers = [];
+}
 
-        if (!stringPositions || stringPositions.length < STRING_TUNING.length) {
-            continue;
-        }
 
-        // Create hitboxes for each string at this fret
-        for (let stringIndex = 0; stringIndex < STRING_TUNING.length; stringIndex++) {
-            const stringPos = stringPositions[stringIndex];
+function fallbackToCSS(container, gameMode) {
+    cleanupThreeJS(); // Ensure clean state
+    container.classList.add('use-css-fallback');
 
-            if (!stringPos) {
-                continue;
-            }
+    // Determine highlighted positions based on game mode
+    const highlighted = GAME_MODES[gameMode].getHighlightedPositions();
 
-            // Use the EXACT target X position (center between frets)
-            const posX = targetX;
-            const posY = stringPos.y + 0.01; // Slightly above string
-            const posZ = stringPos.z;
+    container.innerHTML = renderFretboard(highlighted, getQuestionPositions(gameMode));
+    attachFretListeners(container, gameMode);
 
-            // Calculate box depth (Z-direction, across strings) - make wider for easier clicking
-            let boxDepth = 0.035; // Increased default depth
-            if (stringIndex < STRING_TUNING.length - 1 && stringPositions[stringIndex + 1]) {
-                const nextStringZ = stringPositions[stringIndex + 1].z;
-                boxDepth = Math.min(Math.abs(nextStringZ - posZ) * 0.6, 0.04); // Increased multiplier and max
-            } else if (stringIndex > 0 && stringPositions[stringIndex - 1]) {
-                const prevStringZ = stringPositions[stringIndex - 1].z;
-                boxDepth = Math.min(Math.abs(posZ - prevStringZ) * 0.6, 0.04); // Increased multiplier and max
-            }
-            boxDepth = Math.max(0.02, boxDepth); // Increased minimum
+    updateCSSFretboardRotation();
+    initCSSRotationControls();
+}
 
-            const boxHeight = 0.04;
+/**
+ * Attach the game mode's 2D click handler to every fret of a rendered fretboard
+ */
+function attachFretListeners(container, gameMode) {
+    container.querySelectorAll('.fret').forEach(fret => {
+        fret.addEventListener('click', GAME_MODES[gameMode].onFretElementClick);
+    });
+}
 
-            const actualFretIndex = fretIndex + 1;
-            const isDisabled = isFretDisabled(actualFretIndex);
+/**
+ * Positions a mode marks on the 2D fretboard without naming their note (the question itself)
+ */
+function getQuestionPositions(gameMode) {
+    const getPositions = GAME_MODES[gameMode].getQuestionPositions;
+    return getPositions ? getPositions() : [];
+}
 
-            const geometry = new THREE.BoxGeometry(boxWidth, boxHeight, boxDepth);
-            const material = new THREE.MeshBasicMaterial({
-                color: isDisabled ? 0x666666 : (fretColors[fretIndex] || 0xff0000),
-                transparent: true,
-                opacity: isDisabled ? 0.4 : 0.6, // Higher opacity to better see overlaps between frets
-                side: THREE.DoubleSide
-            });
+/**
+ * Re-render the 2D fretboard with the current progress, or the solution while it's shown
+ */
+function refreshFretboard2D() {
+    const container = document.querySelector('.fretboard-container');
+    if (!container || state.viewMode !== '2d') return;
 
-            const zone = new THREE.Mesh(geometry, material);
-            zone.position.set(posX, posY, posZ);
-            // Hitboxes are invisible by default, only visible on hover or feedback
-            // Disabled frets are always slightly visible
-            zone.visible = true;
-            zone.material.opacity = isDisabled ? 0.3 : (state.showDebug ? 0.6 : 0); // Disabled frets slightly visible
+    const gameMode = GAME_MODES[state.currentScreen];
+    const highlighted = state.showSolution
+        ? gameMode.getSolutionPositions()
+        : gameMode.getHighlightedPositions();
 
-            zone.userData = {
-                stringIndex,
-                fretIndex: actualFretIndex,
-                note: getNoteAt(stringIndex, actualFretIndex),
-                originalColor: isDisabled ? 0x666666 : material.color.getHex(),
-                originalOpacity: isDisabled ? 0.3 : (state.showDebug ? 0.6 : 0), // Store original opacity
-                isHovered: false,
-                isFeedback: false, // Track if showing feedback (correct/wrong)
-                isDisabled: isDisabled
-            };
+    container.innerHTML = renderFretboard(highlighted, getQuestionPositions(state.currentScreen));
+    attachFretListeners(container, state.currentScreen);
+    updateCSSFretboardRotation();
+}
 
-            scene.add(zone);
-            fretZones.push(zone);
-        }
+/* ========================================
+   OLD HTML RENDERING (kept for reference, can be removed later)
+   ======================================== */
+/**
+ * Calculate fret spacing percentages based on logarithmic formula
+ * Formula from fret spacing mathematics: X_n = L × (1 - 1/r^n) where r = 2^(1/12)
+ * Returns array of percentages for each fret space (between frets)
+ */
+function calculateFretSpacingPercentages() {
+    const scaleLength = getScaleLengthInches();
+    const percentages = [];
+    
+    // Calculate position of nut (fret 0)
+    let prevPosition = 0; // Position of nut relative to scale length (0%)
+    
+    // For each fret from 1 to numFrets-1, calculate the width of the space before it
+    for (let fret = 1; fret < numFrets; fret++) {
+        // Position of this fret from the nut: X_n = L × (1 - 1/r^n)
+        const currentPosition = getFretDistanceFromNut(fret, scaleLength);
+        
+        // Width of the space between previous fret and this fret
+        const spaceWidth = currentPosition - prevPosition;
+        percentages.push(spaceWidth);
+        
+        prevPosition = currentPosition;
     }
+    
+    // Normalize percentages to sum to 1 (100%)
+    const total = percentages.reduce((sum, p) => sum + p, 0);
+    return percentages.map(p => (p / total) * 100);
+}
 
+/**
+ * Calculate cumulative positions for each fret (for absolute positioning of dots)
+ * Returns array of left positions (0-100%) for each fret space
+ */
+function calculateFretCumulativePositions() {
+    const scaleLength = getScaleLengthInches();
+    const positions = [];
     
-    // Setup mouse over effects for hitboxes
-    setupHitboxHoverEffects();
+    // Calculate cumulative position for each fret space
+    let cumulativePosition = 0;
     
-    // Create fret markers (dots) on the fretboard
-    createFretMarkers();
+    for (let fret = 1; fret < numFrets; fret++) {
+        // Position of this fret from the nut: X_n = L × (1 - 1/r^n)
+        const currentPosition = getFretDistanceFromNut(fret, scaleLength);
+        
+        // Store the left edge position of this fret space (before normalization)
+        positions.push(cumulativePosition);
+        
+        // Move to next position
+        cumulativePosition = currentPosition;
+    }
+    
+    // Normalize to 0-100% range based on the total width
+    // The last position should account for the remaining space
+    const totalWidth = cumulativePosition;
+    if (totalWidth > 0) {
+        return positions.map(p => (p / totalWidth) * 100);
+    }
+    return positions;
 }
 
-// Fallback function for when string geometry is not available
-function useFallbackHitboxes(fretPositions, neckRegion) {
-    // Different colors for each fret row to visualize overlaps
-    // All strings on the same fret get the same color
-    const fretColors = [
-        0xff0000, // Red - Fret 1
-        0x00ff00, // Green - Fret 2
-        0x0000ff, // Blue - Fret 3
-        0xffff00, // Yellow - Fret 4
-        0xff00ff, // Magenta - Fret 5
-        0x00ffff, // Cyan - Fret 6
-        0xff8800, // Orange - Fret 7
-        0x8800ff, // Purple - Fret 8
-        0x00ff88, // Teal - Fret 9
-        0xff0088, // Pink - Fret 10
-        0x88ff00, // Lime - Fret 11
-        0x0088ff, // Light Blue - Fret 12
-        0xff4444, // Light Red - Fret 13
-        0x44ff44, // Light Green - Fret 14
-        0x4444ff, // Light Blue - Fret 15
-        0xffff44, // Light Yellow - Fret 16
-        0xff44ff, // Light Magenta - Fret 17
-        0x44ffff, // Light Cyan - Fret 18
-        0xffaa00, // Amber - Fret 19
-        0xaa00ff, // Violet - Fret 20
-        0x00aaff, // Sky Blue - Fret 21
-        0xaaff00, // Chartreuse - Fret 22
-        0xff00aa, // Rose - Fret 23
-        0x00ffaa  // Spring Green - Fret 24
-    ];
+/**
+ * Maximum width of the 2D fretboard in pixels, so necks are drawn to scale
+ * (the longest neck, a 34" scale with 24 frets, fills the 1400px maximum)
+ */
+function getFretboardMaxWidth() {
+    const pixelsPerInch = 1400 / getFretDistanceFromNut(24, SCALE_LENGTHS.bass.inches);
+    return Math.round(getFretDistanceFromNut(numFrets - 1, getScaleLengthInches()) * pixelsPerInch);
+}
+
+function renderFretboard(highlightedPositions = [], questionPositions = []) {
+    // Calculate correct fret spacing percentages
+    const fretPercentages = calculateFretSpacingPercentages();
+    const heatmap = state.showHeatmap ? getHeatmapData() : null;
+
+    // Heatmap colour and tooltip of a fret, when the heatmap is on and the cell has answers
+    const heatAttributes = (stringIndex, fretIndex) => {
+        const cell = heatmap && heatmap[getPracticeCellKey({ string: stringIndex, fret: fretIndex })];
+        if (!cell) return '';
+        const [red, green, blue] = getHeatRGB(cell);
+        return `data-heat="true" title="${formatHeatmapCell(cell)}" style="--heat-color: rgba(${red}, ${green}, ${blue}, 0.45)"`;
+    };
     
-    const overallBox = new THREE.Box3().setFromObject(guitarModel);
-    const zMin = overallBox.min.z;
-    const zMax = overallBox.max.z;
-    const zCenter = (zMin + zMax) / 2;
-    const zRange = zMax - zMin;
+    let fretboardHTML = `<div class="fretboard ${state.includeOpenStrings ? 'with-open-strings' : ''}" style="max-width: ${getFretboardMaxWidth()}px">`;
 
-    const estimatedNeckWidth = zRange * 0.38;
-    const margin = estimatedNeckWidth * 0.10;
-    const usableWidth = estimatedNeckWidth - (2 * margin);
-    const startZ = zCenter - estimatedNeckWidth / 2 + margin;
-    const stringSpacing = usableWidth / (STRING_TUNING.length - 1);
-    const avgY = neckRegion.y;
+    fretboardHTML += '<div class="strings-container">';
+    
+    // Add fret marker dots - positioned absolutely within strings-container
+    // Markers go in the middle of specific fret spaces (between frets)
+    fretboardHTML += '<div class="fret-markers">';
+    const markerFrets = [3, 5, 7, 9, 12, 15, 17, 19, 21, 24];
 
-    // Calculate taper
-    const nutZMin = startZ;
-    const nutZMax = startZ + usableWidth;
-    const nutWidth = nutZMax - nutZMin;
-    const nutZCenter = (nutZMin + nutZMax) / 2;
-    const taperRatio = 0.88;
-    const bodyWidth = nutWidth * taperRatio;
-    const bodyZMin = nutZCenter - bodyWidth / 2;
-    const bodyZMax = nutZCenter + bodyWidth / 2;
+    // Calculate cumulative positions for absolute positioning
+    // Position dots in the center of each fret space
+    let cumulativePos = 0;
+    for (let i = 1; i < numFrets; i++) {
+        const spaceWidth = fretPercentages[i - 1];
+        // Center position of this fret space (between previous fret and current fret)
+        const centerPos = cumulativePos + (spaceWidth / 2);
+        
+        if (markerFrets.includes(i)) {
+            if (i % 12 === 0) {
+                // Double dots for 12th and 24th fret
+                fretboardHTML += `<div class="fret-marker-dot" style="left: ${centerPos}%; top: 25%; transform: translate(-50%, -50%)"></div>`;
+                fretboardHTML += `<div class="fret-marker-dot" style="left: ${centerPos}%; top: 75%; transform: translate(-50%, -50%)"></div>`;
+            } else {
+                // Single dot centered vertically
+                fretboardHTML += `<div class="fret-marker-dot" style="left: ${centerPos}%"></div>`;
+            }
+        }
+        
+        cumulativePos += spaceWidth;
+    }
+    fretboardHTML += '</div>';
+
+    // Render each string
+    for (let stringIndex = 0; stringIndex < stringTuning.length; stringIndex++) {
+        fretboardHTML += `
+            <div class="string-row">
+                <div class="string-line"></div>
+                <div class="frets">
+        `;
+
+        // Render each fret (starting from 1)
+        for (let fretIndex = 1; fretIndex < numFrets; fretIndex++) {
+            const note = getNoteAt(stringIndex, fretIndex);
+            const isHighlighted = highlightedPositions.some(
+                pos => pos.string === stringIndex && pos.fret === fretIndex
+            );
+            const isQuestion = !isHighlighted && questionPositions.some(
+                pos => pos.string === stringIndex && pos.fret === fretIndex
+            );
+            const isDisabled = isFretDisabled(fretIndex);
+            const percentage = fretPercentages[fretIndex - 1];
+
+            fretboardHTML += `
+                <div class="fret ${isHighlighted ? 'highlighted' : ''} ${isQuestion ? 'question' : ''} ${isDisabled ? 'disabled' : ''}" 
+                     data-string="${stringIndex}" 
+                     data-fret="${fretIndex}"
+                     style="flex-basis: ${percentage}%">
+                    <div class="fret-heat" ${heatAttributes(stringIndex, fretIndex)}></div>
+                    ${isHighlighted ? `<div class="note-marker found">${getDisplayNoteName(note)}</div>` : ''}
+                    ${isQuestion ? '<div class="note-marker question">?</div>' : ''}
+                </div>
+            `;
+        }
+
+        // Open string column, drawn left of the nut
+        if (state.includeOpenStrings) {
+            const isHighlighted = highlightedPositions.some(
+                pos => pos.string === stringIndex && pos.fret === 0
+            );
+            const isQuestion = !isHighlighted && questionPositions.some(
+                pos => pos.string === stringIndex && pos.fret === 0
+            );
+            fretboardHTML += `
+                <div class="fret open-string ${isHighlighted ? 'highlighted' : ''} ${isQuestion ? 'question' : ''} ${isFretDisabled(0) ? 'disabled' : ''}" 
+                     data-string="${stringIndex}" 
+                     data-fret="0">
+                    <div class="fret-heat" ${heatAttributes(stringIndex, 0)}></div>
+                    ${isHighlighted ? `<div class="note-marker found">${getDisplayNoteName(getNoteAt(stringIndex, 0))}</div>` : ''}
+                    ${isQuestion ? '<div class="note-marker question">?</div>' : ''}
+                </div>
+            `;
+        }
+
+        fretboardHTML += '</div></div>';
+    }
+
+    fretboardHTML += '</div>'; // Close strings-container
 
-    const neckStartX = neckRegion.startX;
-    const neckEndX = neckRegion.startX + neckRegion.length;
-    const neckLength = neckEndX - neckStartX;
-    const nutX = neckRegion.nutX || neckRegion.startX;
+    // Add fret numbers
+    fretboardHTML += '<div class="fret-numbers">';
+    if (state.includeOpenStrings) {
+        fretboardHTML += '<div class="fret-number open-string">0</div>';
+    }
+    for (let i = 1; i < numFrets; i++) {
+        const percentage = fretPercentages[i - 1];
+        fretboardHTML += `<div class="fret-number" style="flex-basis: ${percentage}%">${i}</div>`;
+    }
+    fretboardHTML += '</div>';
 
-    for (let fretIndex = 0; fretIndex < fretPositions.length && fretIndex < NUM_FRETS - 1; fretIndex++) {
-        let posX, fretStartX, fretEndX, boxWidth;
+    fretboardHTML += '</div>'; // Close fretboard
 
-        if (fretIndex < fretPositions.length - 1) {
-            fretStartX = fretPositions[fretIndex].x;
-            fretEndX = fretPositions[fretIndex + 1].x;
-            // Make box slightly smaller to avoid overlapping with frets
-            const margin = (fretEndX - fretStartX) * 0.05; // 5% margin on each side (reduced for wider hitboxes)
-            boxWidth = (fretEndX - fretStartX) - (2 * margin);
-            posX = fretStartX + margin + boxWidth / 2; // Center in the space between
-        } else if (fretIndex > 0) {
-            fretStartX = fretPositions[fretIndex - 1].x;
-            fretEndX = fretPositions[fretIndex].x;
-            // Make box slightly smaller to avoid overlapping with frets
-            const margin = (fretEndX - fretStartX) * 0.05; // 5% margin on each side (reduced for wider hitboxes)
-            boxWidth = (fretEndX - fretStartX) - (2 * margin);
-            posX = fretStartX + margin + boxWidth / 2; // Center in the space between
-        } else {
-            fretStartX = nutX;
-            fretEndX = fretPositions[0].x;
-            // Make box slightly smaller to avoid overlapping with nut and fret
-            const margin = (fretEndX - fretStartX) * 0.05; // 5% margin on each side (reduced for wider hitboxes)
-            boxWidth = (fretEndX - fretStartX) - (2 * margin);
-            posX = fretStartX + margin + boxWidth / 2; // Center in the space between
-        }
+    return fretboardHTML;
+}
 
-        const progress = Math.max(0, Math.min(1, (posX - neckStartX) / neckLength));
-        const currentZMin = nutZMin + (bodyZMin - nutZMin) * progress;
-        const currentZMax = nutZMax + (bodyZMax - nutZMax) * progress;
-        const currentWidth = currentZMax - currentZMin;
-        const currentStringSpacing = currentWidth / (STRING_TUNING.length - 1);
+function showSolution() {
+    state.showSolution = !state.showSolution;
+    renderSolution();
+}
 
-        for (let stringIndex = 0; stringIndex < STRING_TUNING.length; stringIndex++) {
-            const stringZ = currentZMin + (stringIndex * currentStringSpacing);
-            const posY = avgY + 0.01;
-            const posZ = stringZ;
+/**
+ * Draw or clear the solution to match state.showSolution, without toggling it
+ */
+function renderSolution() {
+    if (state.viewMode === '2d') {
+        // For 2D view, re-render the fretboard with solution highlighted
+        refreshFretboard2D();
+    } else {
+        // For 3D view, highlight zones
+        if (fretZones && fretZones.length > 0) {
+            const solutionPositions = state.showSolution
+                ? GAME_MODES[state.currentScreen].getSolutionPositions()
+                : [];
+            
+            fretZones.forEach(zone => {
+                const stringIndex = zone.userData.stringIndex;
+                const fretIndex = zone.userData.fretIndex;
+                const isInSolution = solutionPositions.some(
+                    pos => pos.string === stringIndex && pos.fret === fretIndex
+                );
+                
+                if (state.showSolution && isInSolution) {
+                    // Highlight solution positions
+                    zone.material.opacity = 0.8;
+                    zone.material.color.setHex(0xffff00); // Yellow for solution
+                } else {
+                    // Reset to normal state
+                    if (zone.userData.isFeedback) {
+                        // Keep feedback color if showing feedback
+                        return;
+                    }
+                    if (zone.userData.isRootNote) {
+                        // Keep root note highlight
+                        return;
+                    }
+                    if (zone.userData.isDisabled) {
+                        zone.material.opacity = 0.3;
+                    } else {
+                        zone.material.opacity = state.showDebug ? 0.6 : 0;
+                    }
+                    zone.material.color.setHex(zone.userData.originalColor);
+                }
+            });
+        }
+    }
+    
+    // Bring the heatmap back after the solution is hidden
+    if (state.showHeatmap && !state.showSolution) {
+        applyHeatmapToZones();
+    }
 
-            // Calculate box depth (Z-direction, across strings) - make wider for easier clicking
-            let boxDepth = 0.025; // Increased default depth
-            if (stringIndex < STRING_TUNING.length - 1) {
-                const nextStringZ = currentZMin + ((stringIndex + 1) * currentStringSpacing);
-                boxDepth = Math.min(Math.abs(nextStringZ - stringZ) * 0.6, 0.04); // Increased multiplier and max
-            } else if (stringIndex > 0) {
-                const prevStringZ = currentZMin + ((stringIndex - 1) * currentStringSpacing);
-                boxDepth = Math.min(Math.abs(stringZ - prevStringZ) * 0.6, 0.04); // Increased multiplier and max
-            }
-            boxDepth = Math.max(0.02, boxDepth); // Increased minimum
+    // Update button text
+    const solutionBtn = document.getElementById('solutionBtn');
+    if (solutionBtn) {
+        solutionBtn.textContent = state.showSolution ? 'Hide Solution' : 'Solution';
+    }
+}
 
-            const boxHeight = 0.04;
+function updateSolutionDisplay() {
+    // Update solution display if it's currently showing
+    if (state.showSolution) {
+        renderSolution(); // Redraw with the new question's data
+    }
+}
 
-            const actualFretIndex = fretIndex + 1;
-            const isDisabled = isFretDisabled(actualFretIndex);
+function showFeedback(type, message) {
+    // Remove existing feedback
+    const existingFeedback = document.querySelector('.feedback');
+    if (existingFeedback) {
+        existingFeedback.remove();
+    }
 
-            const geometry = new THREE.BoxGeometry(boxWidth, boxHeight, boxDepth);
-            const material = new THREE.MeshBasicMaterial({
-                color: isDisabled ? 0x666666 : (fretColors[fretIndex] || 0xff0000),
-                transparent: true,
-                opacity: isDisabled ? 0.4 : 0.6, // Higher opacity to better see overlaps between frets
-                side: THREE.DoubleSide
-            });
+    const feedback = document.createElement('div');
+    feedback.className = `feedback ${type}`;
+    feedback.textContent = message;
+    document.body.appendChild(feedback);
 
-            const zone = new THREE.Mesh(geometry, material);
-            zone.position.set(posX, posY, posZ);
-            // Hitboxes are invisible by default, only visible on hover or feedback
-            // Disabled frets are always slightly visible
-            zone.visible = true;
-            zone.material.opacity = isDisabled ? 0.3 : (state.showDebug ? 0.6 : 0); // Disabled frets slightly visible
+    setTimeout(() => {
+        feedback.remove();
+    }, 2000);
+}
 
-            zone.userData = {
-                stringIndex,
-                fretIndex: actualFretIndex,
-                note: getNoteAt(stringIndex, actualFretIndex),
-                originalColor: isDisabled ? 0x666666 : material.color.getHex(),
-                originalOpacity: isDisabled ? 0.3 : (state.showDebug ? 0.6 : 0), // Store original opacity
-                isHovered: false,
-                isFeedback: false, // Track if showing feedback (correct/wrong)
-                isDisabled: isDisabled
-            };
+function updateScoreDisplay() {
+    const scoreElement = document.querySelector('.score');
+    if (scoreElement) {
+        scoreElement.textContent = `Score: ${state.score}`;
+    }
+}
 
-            scene.add(zone);
-            fretZones.push(zone);
-        }
+function updateErrorsDisplay() {
+    const errorsElement = document.querySelector('.errors');
+    if (errorsElement) {
+        errorsElement.textContent = `Errors: ${state.errors}`;
     }
+}
 
-    
-    // Setup mouse over effects for hitboxes
-    setupHitboxHoverEffects();
-    
-    // Create fret markers (dots) on the fretboard
-    createFretMarkers();
+function clearTimer() {
+    if (gameTimer) {
+        clearInterval(gameTimer);
+        gameTimer = null;
+    }
+    // Reset timer to original time limit if enabled, otherwise set to 0
+    if (state.enableTimeLimit && state.timeLimit > 0) {
+        state.timeRemaining = state.timeLimit;
+    } else {
+        state.timeRemaining = 0;
+    }
+    updateTimerDisplay();
 }
 
-function createFretMarkers() {
-    // Clear existing markers
-    fretMarkers.forEach(marker => scene.remove(marker));
-    fretMarkers = [];
+function startTimer() {
+    clearTimer();
     
-    // Fret numbers that should have markers (standard guitar fret markers)
-    const markerFrets = [3, 5, 7, 9, 12, 15, 17, 19, 21];
+    if (!state.enableTimeLimit || state.timeLimit === 0) {
+        // Time limit disabled or set to 0, hide timer
+        const timerElement = document.querySelector('.timer-display');
+        if (timerElement) {
+            timerElement.style.display = 'none';
+            timerElement.textContent = 'Time: None'; // Set correct content even when hidden
+        }
+        return;
+    }
     
-    // Analyze the model to get fret positions
-    const analysis = analyzeGuitarModel();
+    // Show timer
+    const timerElement = document.querySelector('.timer-display');
+    if (timerElement) {
+        timerElement.style.display = 'block';
+    }
     
-    if (!analysis) {
-        // Fallback to old hardcoded positions
-        const stringSpacing = 0.05;
-        const fretSpacing = 0.20;
-        const neckStartZ = -2.8;
-        const neckStartY = -0.49;
-        const slope = 0.014;
-        const neckCenterZ = 0; // Center of strings
+    state.timeRemaining = state.timeLimit;
+    updateTimerDisplay();
+    
+    gameTimer = setInterval(() => {
+        state.timeRemaining -= 1;
+        updateTimerDisplay();
         
-        for (const fretIndex of markerFrets) {
-            if (fretIndex >= NUM_FRETS) continue;
-            
-            // Calculate position in the center of the fret space (between frets)
-            const fretX = neckStartZ + (fretIndex * fretSpacing);
-            let centerX = fretX;
-            
-            if (fretIndex < NUM_FRETS - 1) {
-                const nextFretX = neckStartZ + ((fretIndex + 1) * fretSpacing);
-                centerX = (fretX + nextFretX) / 2;
-            } else if (fretIndex > 1) {
-                const prevFretX = neckStartZ + ((fretIndex - 1) * fretSpacing);
-                centerX = (fretX + prevFretX) / 2;
-            }
-            
-            const centerY = neckStartY + (fretIndex * slope) - 0.0075; // Half sunk into fretboard (radius is 0.015, so -0.0075 is half)
-            const centerZ = neckCenterZ;
-            
-            if (fretIndex === 12) {
-                // Double dots for 12th fret (top and bottom)
-                const dotSpacing = stringSpacing * 2.5; // Space between dots
-                createMarkerDot(centerX, centerY, centerZ - dotSpacing / 2);
-                createMarkerDot(centerX, centerY, centerZ + dotSpacing / 2);
+        if (state.timeRemaining <= 0) {
+            clearTimer();
+            handleTimeOut();
+        }
+    }, 1000);
+}
+
+function startTimerOnFirstClick() {
+    // Start timer only if it hasn't been started yet
+    if (!state.timerStarted && state.enableTimeLimit && state.timeLimit > 0) {
+        state.timerStarted = true;
+        startTimer();
+    }
+}
+
+function updateTimerDisplay() {
+    const timerElement = document.querySelector('.timer-display');
+    if (timerElement) {
+        if (state.timeLimit === 0) {
+            timerElement.style.display = 'none';
+        } else {
+            timerElement.textContent = `Time: ${state.timeRemaining}s`;
+            // Add warning class when time is running low
+            if (state.timeRemaining <= 3) {
+                timerElement.classList.add('timer-warning');
             } else {
-                // Single dot centered
-                createMarkerDot(centerX, centerY, centerZ);
+                timerElement.classList.remove('timer-warning');
             }
         }
-        return;
     }
+}
+
+function handleTimeOut() {
+    showFeedback('error', "Time's up! Try again.");
+    addError();
+    completeQuestion();
     
-    // Use analyzed positions
-    const { fretPositions, neckRegion } = analysis;
-    
-    if (!fretPositions || fretPositions.length === 0) {
-        return;
+    // A timed-out note or chord counts as a miss for the practice scheduler
+    if (state.currentScreen === 'singleNote' || state.currentScreen === 'findAll') {
+        recordPracticeAnswer(state.targetNote, null, false);
+    } else if (state.currentScreen === 'triads' && state.targetTriad) {
+        recordPracticeAnswer(state.targetTriad.root, null, false);
     }
     
-    // Get string positions to calculate center Z
-    const stringObjects = extractStringObjects();
-    let centerZ = neckRegion.centerZ;
+    // Reset timer started flag for next question
+    state.timerStarted = false;
+    // After timeout, timer should auto-start (not first question anymore)
+    state.isFirstQuestion = false;
     
-    if (stringObjects && stringObjects.length >= 6) {
-        // Calculate center Z from string positions
-        const stringPositionsByFret = analyzeStringGeometry(stringObjects, fretPositions, neckRegion);
-        if (stringPositionsByFret && stringPositionsByFret.length > 0) {
-            const firstFretPositions = stringPositionsByFret[0];
-            if (firstFretPositions && firstFretPositions.length >= 6) {
-                const firstStringZ = firstFretPositions[0].z;
-                const lastStringZ = firstFretPositions[5].z;
-                centerZ = (firstStringZ + lastStringZ) / 2;
+    // Move to next task based on current game mode
+    if (state.currentScreen === 'singleNote') {
+        const wasShowingSolution = state.showSolution;
+        setTimeout(() => {
+            // Skip if the player left the game in the meantime
+            if (state.currentScreen !== 'singleNote') return;
+            setupSingleNoteQuestion();
+            updateSingleNoteDisplay();
+            startQuestionClock();
+            // Update solution display if it was showing
+            if (wasShowingSolution) {
+                state.showSolution = true;
+                updateSolutionDisplay();
+            }
+            // Auto-start timer (not first question after timeout)
+            if (state.enableTimeLimit && state.timeLimit > 0) {
+                startTimer();
+            }
+        }, 1500);
+    } else if (state.currentScreen === 'findAll') {
+        const wasShowingSolution = state.showSolution;
+        setTimeout(() => {
+            // Skip if the player left the game in the meantime
+            if (state.currentScreen !== 'findAll') return;
+            state.targetNote = getRandomNote();
+            state.allPositions = getAllPositions(state.targetNote);
+            state.foundPositions = [];
+            
+            // Reset all zones
+            fretZones.forEach(z => {
+                z.userData.isFeedback = false;
+                z.material.color.setHex(z.userData.originalColor);
+                z.material.opacity = z.userData.originalOpacity;
+            });
+            
+            document.querySelector('.target-note').textContent = state.targetNote;
+            document.querySelector('.progress-info').textContent = `Found: 0 / ${state.allPositions.length}`;
+            startQuestionClock();
+            // Update solution display if it was showing
+            if (wasShowingSolution) {
+                state.showSolution = true;
+                updateSolutionDisplay();
+            }
+            // Auto-start timer (not first question after timeout)
+            if (state.enableTimeLimit && state.timeLimit > 0) {
+                startTimer();
+            }
+        }, 1500);
+    } else if (state.currentScreen === 'triads') {
+        const wasShowingSolution = state.showSolution;
+        setTimeout(() => {
+            // Skip if the player left the game in the meantime
+            if (state.currentScreen !== 'triads') return;
+            state.targetTriad = getRandomTriad();
+            state.clickedTriadNotes = [];
+            state.clickedTriadPositions = [];
+            
+            // Set new root note position if option is enabled
+            state.triadRootNotePosition = selectRandomRootNotePosition(state.targetTriad?.root);
+            
+            // If root note is shown, automatically mark it as found
+            if (state.showTriadRootNote && state.triadRootNotePosition && state.targetTriad) {
+                state.clickedTriadNotes.push(state.targetTriad.root);
+                state.clickedTriadPositions.push(state.triadRootNotePosition);
+            }
+            
+            // Reset all zones first
+            fretZones.forEach(z => {
+                z.material.opacity = 0;
+                z.userData.isRootNote = false;
+            });
+            
+            // Then highlight root note position (this will override the reset for the root note)
+            highlightRootNotePosition();
+            
+            renderTriadsGameUpdate();
+            startQuestionClock();
+            // Update solution display if it was showing
+            if (wasShowingSolution) {
+                state.showSolution = true;
+                updateSolutionDisplay();
+            }
+            // Auto-start timer (not first question after timeout)
+            if (state.enableTimeLimit && state.timeLimit > 0) {
+                startTimer();
             }
+        }, 1500);
+    } else if (GAME_MODES[state.currentScreen] && GAME_MODES[state.currentScreen].nextQuestion) {
+        scheduleNextQuestion(GAME_MODES[state.currentScreen].nextQuestion, 1500);
+    }
+}
+
+/**
+ * Move on to the next question after a delay: stops the timer, sets up the question,
+ * restores the solution display and restarts the timer (the first question waits for a click)
+ */
+function scheduleNextQuestion(setupNextQuestion, delay) {
+    clearTimer();
+    state.timerStarted = false;
+    state.isFirstQuestion = false; // After first question, timer will auto-start
+    const wasShowingSolution = state.showSolution;
+    state.showSolution = false; // Reset solution display
+    const gameMode = state.currentScreen;
+
+    setTimeout(() => {
+        // Skip if the player left the game in the meantime
+        if (state.currentScreen !== gameMode) return;
+        setupNextQuestion();
+        startQuestionClock();
+        // Update solution display if it was showing
+        if (wasShowingSolution) {
+            state.showSolution = true;
+            updateSolutionDisplay();
+        }
+        if (state.enableTimeLimit && state.timeLimit > 0) {
+            startTimer();
         }
+    }, delay);
+}
+
+/**
+ * Render the shared game screen: header, score and timer, 3D view controls and the fretboard.
+ * headerHTML is the mode's own target display (note, chord, progress, ...)
+ */
+function renderGameScreen(gameMode, headerHTML) {
+    // A new game (not a re-render of the running one) starts a session with the heatmap hidden
+    if (!currentSession) {
+        startSession(gameMode);
+        startSessionFormat();
+        startScoring();
+        startQuestionClock();
+        state.showHeatmap = false;
     }
+
+    const app = document.getElementById('app');
+    app.innerHTML = `
+        <div class="game-screen">
+            <button class="exit-btn" id="exitBtn">← Exit</button>
+            <button class="solution-btn" id="solutionBtn">Solution</button>
+            <button class="heatmap-btn" id="heatmapBtn">${state.showHeatmap ? 'Hide Heatmap' : 'Heatmap'}</button>
+            <div class="game-header">
+                ${headerHTML}
+                <div class="score-container">
+                    <div class="timer-display" style="display: ${state.enableTimeLimit && state.timeLimit > 0 ? 'block' : 'none'}">Time: ${state.enableTimeLimit && state.timeLimit > 0 ? state.timeRemaining + 's' : 'None'}</div>
+                    ${state.sessionFormat !== 'endless' ? `<div class="session-progress">${getSessionProgressText()}</div>` : ''}
+                    <div class="score">Score: ${state.score}</div>
+                    <div class="streak">${getStreakText()}</div>
+                    <div class="errors">Errors: ${state.errors}</div>
+                </div>
+            </div>
+            ${state.viewMode === '3d' ? `
+                <div class="debug-toggle-container">
+                    <div class="debug-toggle-controls">
+                        <label class="debug-toggle-label">
+                            <span class="debug-toggle-text">Rotation:</span>
+                            <div class="view-toggle-switch">
+                                <input type="checkbox" id="rotationToggle" ${state.rotationEnabled ? 'checked' : ''}>
+                                <span class="toggle-slider">
+                                    <span class="toggle-label-left">Off</span>
+                                    <span class="toggle-label-right">On</span>
+                                </span>
+                            </div>
+                        </label>
+                        <label class="debug-toggle-label">
+                            <span class="debug-toggle-text">Debug Info:</span>
+                            <div class="view-toggle-switch">
+                                <input type="checkbox" id="debugToggle" ${state.showDebug ? 'checked' : ''}>
+                                <span class="toggle-slider">
+                                    <span class="toggle-label-left">Off</span>
+                                    <span class="toggle-label-right">On</span>
+                                </span>
+                            </div>
+                        </label>
+                        <button class="reset-camera-btn" id="resetCameraBtn" title="Reset camera to default position">↻ Reset</button>
+                    </div>
+                    <div class="controls-help-text" id="rotationHelpText" style="display: ${state.rotationEnabled ? 'block' : 'none'};">
+                        Drag to rotate. Hold Shift and drag to pan.
+                    </div>
+                </div>
+            ` : ''}
+            <div class="fretboard-container" id="threeContainer"></div>
+        </div>
+    `;
+
+    document.getElementById('exitBtn').addEventListener('click', () => {
+        clearTimer();
+        clearSessionTimer();
+        endSession();
+        state.currentScreen = 'menu';
+        state.showSolution = false;
+        cleanupThreeJS();
+        renderMenu();
+    });
     
-    // Create markers for each marked fret
-    for (const fretIndex of markerFrets) {
-        if (fretIndex >= NUM_FRETS) continue;
-        
-        // Find the fret position index (fretIndex 1 = position 0, fretIndex 2 = position 1, etc.)
-        const fretPosIndex = fretIndex - 1;
-        
-        if (fretPosIndex < 0 || fretPosIndex >= fretPositions.length) {
-            continue;
+    // Setup solution button
+    const solutionBtn = document.getElementById('solutionBtn');
+    if (solutionBtn) {
+        solutionBtn.addEventListener('click', () => {
+            showSolution();
+            if (state.showSolution) {
+                penalizeSolution();
+            }
+        });
+    }
+
+    document.getElementById('heatmapBtn').addEventListener('click', toggleHeatmap);
+
+    // Setup rotation toggle, debug toggle and reset button (only for 3D view)
+    if (state.viewMode === '3d') {
+        const rotationToggle = document.getElementById('rotationToggle');
+        if (rotationToggle) {
+            rotationToggle.addEventListener('change', (e) => {
+                toggleRotation(e.target.checked);
+            });
         }
         
-        // Calculate position in the center of the fret space (between frets)
-        let centerX, centerY;
-        
-        if (fretIndex === 1) {
-            // First fret: between nut and fret 1
-            const nutX = neckRegion.nutX || neckRegion.startX;
-            const fret1X = fretPositions[0].x;
-            centerX = (nutX + fret1X) / 2;
-        } else if (fretPosIndex < fretPositions.length) {
-            // Between previous fret and current fret
-            const prevFretX = fretPositions[fretPosIndex - 1].x;
-            const currentFretX = fretPositions[fretPosIndex].x;
-            centerX = (prevFretX + currentFretX) / 2;
-        } else {
-            continue;
+        const debugToggle = document.getElementById('debugToggle');
+        if (debugToggle) {
+            debugToggle.addEventListener('change', (e) => {
+                toggleDebugMode(e.target.checked);
+            });
         }
         
-        // Get Y position from fret position or estimate
-        centerY = fretPositions[fretPosIndex].y - 0.0045; // Half sunk into fretboard (radius is 0.015, so -0.0075 is half)
-        
-        if (fretIndex === 12) {
-            // Double dots for 12th fret (top and bottom)
-            const dotSpacing = neckRegion.width * 0.3; // Space between dots
-            createMarkerDot(centerX, centerY, centerZ - dotSpacing / 2);
-            createMarkerDot(centerX, centerY, centerZ + dotSpacing / 2);
+        const resetCameraBtn = document.getElementById('resetCameraBtn');
+        if (resetCameraBtn) {
+            resetCameraBtn.addEventListener('click', () => {
+                if (window.resetCamera) {
+                    window.resetCamera();
+                }
+            });
+        }
+    }
+
+    // Initialize based on view mode
+    const container = document.getElementById('threeContainer');
+    if (state.viewMode === '2d') {
+        // Use 2D view directly
+        fallbackToCSS(container, gameMode);
+    } else {
+        // Try 3D view
+        if (initThreeJS(container)) {
+            loadGuitarModel().then(() => {
+                setupFretClickHandler();
+                if (GAME_MODES[gameMode].afterModelLoad) {
+                    GAME_MODES[gameMode].afterModelLoad();
+                }
+            }).catch(error => {
+                showFeedback('error', 'Failed to load 3D model. Using 2D view.');
+                fallbackToCSS(container, gameMode);
+            });
         } else {
-            // Single dot centered
-            createMarkerDot(centerX, centerY, centerZ);
+            fallbackToCSS(container, gameMode);
+        }
+    }
+    
+    // Initialize timer display correctly
+    const timerElement = document.querySelector('.timer-display');
+    if (timerElement && state.timeLimit === 0) {
+        timerElement.textContent = 'Time: None';
+    }
+    
+    // Reset timer started flag - timer will start on first click
+    state.timerStarted = false;
+    
+    // Show timer but don't start it yet
+    if (state.enableTimeLimit && state.timeLimit > 0) {
+        if (timerElement) {
+            timerElement.style.display = 'block';
+            timerElement.textContent = `Time: ${state.timeLimit}s`;
         }
     }
 }
 
-function createMarkerDot(x, y, z) {
-    // Create a small white sphere for the fret marker
-    const geometry = new THREE.SphereGeometry(0.015, 16, 16); // Small sphere, 0.015 radius
-    const material = new THREE.MeshStandardMaterial({
-        color: 0xffffff,
-        emissive: 0x222222, // Slight glow
-        metalness: 0.3,
-        roughness: 0.7
-    });
-    
-    const marker = new THREE.Mesh(geometry, material);
-    marker.position.set(x, y, z);
-    marker.castShadow = true;
-    marker.receiveShadow = true;
-    
-    scene.add(marker);
-    fretMarkers.push(marker);
+function formatSingleNoteString() {
+    return state.targetString === null ? '' : `on ${formatStringName(state.targetString)}`;
 }
 
-/**
- * Toggle debug mode (show/hide hitboxes and tooltip)
- */
-function toggleDebugMode(enabled) {
-    state.showDebug = enabled;
-    saveSettingsToCookies();
-    
-    // Update hitbox visibility and opacity
-    if (fretZones && fretZones.length > 0) {
-        fretZones.forEach(zone => {
-            zone.visible = true; // Always visible now
-            // Update opacity based on debug mode and feedback state
-            if (!zone.userData.isFeedback && !zone.userData.isHovered) {
-                if (zone.userData.isDisabled) {
-                    // Disabled frets are always slightly visible
-                    zone.material.opacity = 0.3;
-                    zone.userData.originalOpacity = 0.3;
-                } else if (zone.userData.isRootNote) {
-                    // Keep root note visible regardless of debug mode
-                    zone.material.opacity = 0.6;
-                    zone.userData.originalOpacity = 0.6;
-                } else {
-                    zone.material.opacity = enabled ? 0.6 : 0;
-                    zone.userData.originalOpacity = enabled ? 0.6 : 0;
-                }
+function renderSingleNoteGame() {
+    renderGameScreen('singleNote', `
+        <div>
+            <div class="target-note">${state.targetNote}</div>
+            <div class="progress-info target-string">${formatSingleNoteString()}</div>
+        </div>
+    `);
+}
+
+function updateSingleNoteDisplay() {
+    document.querySelector('.target-note').textContent = state.targetNote;
+    document.querySelector('.target-string').textContent = formatSingleNoteString();
+}
+
+function renderFindAllGame() {
+    const found = state.foundPositions.length;
+    const total = state.allPositions.length;
+
+    renderGameScreen('findAll', `
+        <div>
+            <div class="target-note">${state.targetNote}</div>
+            <div class="progress-info">Found: ${found} / ${total}</div>
+        </div>
+    `);
+}
+
+/* ========================================
+   GAME MODE REGISTRY
+   ======================================== */
+// Hooks the shared game screen uses for each mode:
+// - name: the mode's title, used in the session history and statistics
+// - start(): starts a new game with the current settings (Retry on the results screen)
+// - onZoneClick(stringIndex, fretIndex, note): handles a click on a 3D hitbox
+// - onFretElementClick(event): handles a click on a 2D fret
+// - getHighlightedPositions(): positions marked on the 2D fretboard during play
+// - getSolutionPositions(): positions shown by the Solution button
+// - afterModelLoad(): optional, runs once the 3D hitboxes exist
+// - nextQuestion(): optional, sets up a new question (used after a timeout)
+// - usesFretWindow: optional, frets outside state.fretWindow count as disabled
+// - getQuestionPositions(): optional, positions marked "?" on the 2D fretboard
+// - onNoteAnswer(note): optional, handles a note from the note pad or keyboard
+// - onTriadComplete(): optional, replaces the next triad after all chord notes are found
+// - settingsKeys: optional, state keys of the mode's settings saved with each session
+const GAME_MODES = {
+    singleNote: {
+        name: 'Single Note',
+        start: startSingleNoteGameFromSettings,
+        settingsKeys: ['singleNoteStringTargets', 'singleNoteStrings'],
+        onZoneClick: handleSingleNoteClick,
+        onFretElementClick: handleSingleNoteDOMClick,
+        getHighlightedPositions: () => [],
+        getSolutionPositions: getSingleNoteSolutionPositions
+    },
+    findAll: {
+        name: 'Find All Instances',
+        start: startFindAllGame,
+        onZoneClick: handleFindAllClick,
+        onFretElementClick: handleFindAllDOMClick,
+        getHighlightedPositions: () => state.foundPositions,
+        getSolutionPositions: () => state.allPositions
+    },
+    triads: {
+        name: 'Chord Triads',
+        start: startTriadsGameFromSettings,
+        settingsKeys: ['triadSettings', 'showTriadRootNote'],
+        onZoneClick: handleTriadClick,
+        onFretElementClick: handleTriadDOMClick,
+        getHighlightedPositions: () => {
+            const highlighted = [...state.clickedTriadPositions];
+            // Add root note position if option is enabled
+            if (state.showTriadRootNote && state.triadRootNotePosition) {
+                highlighted.push(state.triadRootNotePosition);
             }
-        });
-    }
-    
-    // Show/hide tooltip
-    const tooltip = document.getElementById('debug-tooltip');
-    if (tooltip) {
-        if (!enabled) {
-            tooltip.style.display = 'none';
-        }
+            return highlighted;
+        },
+        getSolutionPositions: () => {
+            // Show all positions of all notes in the triad
+            const positions = [];
+            if (state.targetTriad) {
+                state.targetTriad.notes.forEach(note => {
+                    positions.push(...getAllPositions(note));
+                });
+            }
+            return positions;
+        },
+        afterModelLoad: highlightRootNotePosition
+    },
+    octaves: {
+        name: 'Octaves & Unisons',
+        start: startOctavesGame,
+        onZoneClick: handleOctaveClick,
+        onFretElementClick: handleFretElementClick,
+        getHighlightedPositions: () => [state.targetOctaves.reference, ...state.foundPositions],
+        getSolutionPositions: () => state.targetOctaves.positions,
+        afterModelLoad: () => highlightReferencePosition(state.targetOctaves.reference),
+        nextQuestion: nextOctaveQuestion
+    },
+    exactPitch: {
+        name: 'Exact Pitch',
+        start: startExactPitchGame,
+        onZoneClick: handleExactPitchClick,
+        onFretElementClick: handleFretElementClick,
+        getHighlightedPositions: () => [],
+        getSolutionPositions: () => getAllPositionsOfPitch(state.targetPitch.midi),
+        nextQuestion: nextExactPitchQuestion
+    },
+    voicings: {
+        name: 'Triad Voicings',
+        start: startVoicingsGame,
+        onZoneClick: handleVoicingClick,
+        onFretElementClick: handleFretElementClick,
+        getHighlightedPositions: () => state.voicingPositions,
+        getSolutionPositions: () => getVoicingShapes(state.targetVoicing).flat(),
+        nextQuestion: nextVoicingQuestion
+    },
+    scales: {
+        name: 'Scales & Modes',
+        start: startScalesGame,
+        onZoneClick: handleScaleClick,
+        onFretElementClick: handleFretElementClick,
+        getHighlightedPositions: () => state.foundPositions,
+        getSolutionPositions: () => state.allPositions,
+        nextQuestion: nextScaleQuestion,
+        usesFretWindow: true
+    },
+    progressions: {
+        name: 'Chord Progressions',
+        start: startProgressionsGameFromSettings,
+        settingsKeys: ['progressionSettings', 'customProgression'],
+        onZoneClick: handleProgressionClick,
+        onFretElementClick: handleFretElementClick,
+        getHighlightedPositions: () => [...getPreviousProgressionPositions(), ...state.clickedTriadPositions],
+        getSolutionPositions: () => state.targetTriad.notes
+            .flatMap(note => getAllPositions(note))
+            .filter(pos => isWithinProgressionReach(pos.fret)),
+        afterModelLoad: () => highlightReferencePositions(getPreviousProgressionPositions()),
+        onTriadComplete: completeProgressionChord,
+        nextQuestion: nextProgressionQuestion
+    },
+    diatonic: {
+        name: 'Diatonic Harmony',
+        start: startDiatonicGame,
+        onZoneClick: handleDiatonicClick,
+        onFretElementClick: handleFretElementClick,
+        getHighlightedPositions: () => state.clickedTriadPositions,
+        getSolutionPositions: () => state.targetTriad.notes.flatMap(note => getAllPositions(note)),
+        onTriadComplete: completeDiatonicChord,
+        nextQuestion: nextDiatonicQuestion
+    },
+    arpeggios: {
+        name: 'Arpeggios',
+        start: startArpeggiosGame,
+        onZoneClick: handleArpeggioClick,
+        onFretElementClick: handleFretElementClick,
+        getHighlightedPositions: () => state.foundPositions,
+        getSolutionPositions: () => state.allPositions,
+        nextQuestion: nextArpeggioQuestion,
+        usesFretWindow: true
+    },
+    caged: {
+        name: 'CAGED Shapes',
+        start: startCagedGame,
+        onZoneClick: handleCagedClick,
+        onFretElementClick: handleFretElementClick,
+        getHighlightedPositions: () => state.foundPositions,
+        getSolutionPositions: () => state.allPositions,
+        nextQuestion: nextCagedQuestion
+    },
+    chordEar: {
+        name: 'Chord Ear Training',
+        start: startChordEarGameFromSettings,
+        settingsKeys: ['triadSettings', 'chordEarBroken', 'chordEarFindVoicing'],
+        onZoneClick: handleChordEarClick,
+        onFretElementClick: handleFretElementClick,
+        getHighlightedPositions: () => state.foundPositions,
+        getSolutionPositions: () => state.targetChordEar.triad.notes.flatMap(note => getAllPositions(note)),
+        nextQuestion: nextChordEarQuestion
+    },
+    earTraining: {
+        name: 'Ear Training',
+        start: startEarTrainingGameFromSettings,
+        settingsKeys: ['earSettings'],
+        onZoneClick: handleEarTrainingClick,
+        onFretElementClick: handleFretElementClick,
+        getHighlightedPositions: () => state.targetEar.reference ? [state.targetEar.reference] : [],
+        getSolutionPositions: () => getAllPositionsOfPitch(state.targetEar.pitch.midi),
+        afterModelLoad: () => highlightReferencePosition(state.targetEar.reference),
+        nextQuestion: nextEarTrainingQuestion
+    },
+    nameNote: {
+        name: 'Name the Note',
+        start: startNameNoteGame,
+        onZoneClick: handleNameNoteZoneClick,
+        onFretElementClick: handleFretElementClick,
+        onNoteAnswer: handleNameNoteAnswer,
+        getHighlightedPositions: () => [],
+        getQuestionPositions: () => [state.namePosition],
+        getSolutionPositions: () => [state.namePosition],
+        afterModelLoad: () => highlightReferencePosition(state.namePosition),
+        nextQuestion: nextNameNoteQuestion
+    },
+    fretColumn: {
+        name: 'Fret Column',
+        start: startFretColumnGame,
+        onZoneClick: handleNameNoteZoneClick,
+        onFretElementClick: handleFretElementClick,
+        onNoteAnswer: handleFretColumnAnswer,
+        getHighlightedPositions: () => getFretColumnPositions().slice(0, state.targetColumn.step),
+        getQuestionPositions: () => getFretColumnPositions().slice(state.targetColumn.step),
+        getSolutionPositions: getFretColumnPositions,
+        afterModelLoad: highlightFretColumn,
+        nextQuestion: nextFretColumnQuestion
+    },
+    intervals: {
+        name: 'Intervals',
+        start: startIntervalsGameFromSettings,
+        settingsKeys: ['intervalSettings', 'intervalDirections'],
+        onZoneClick: handleIntervalClick,
+        onFretElementClick: handleFretElementClick,
+        getHighlightedPositions: () => [state.targetInterval.reference],
+        getSolutionPositions: () => getAllPositionsOfPitch(state.targetInterval.targetMidi),
+        afterModelLoad: () => highlightReferencePosition(state.targetInterval.reference),
+        nextQuestion: nextIntervalQuestion
     }
+};
+
+/* ========================================
+   GAME LOGIC FUNCTIONS
+   ======================================== */
+function startSingleNoteGame() {
+    state.currentScreen = 'singleNoteSettings';
+    renderSingleNoteSettings();
 }
 
-function toggleRotation(enabled) {
-    state.rotationEnabled = enabled;
-    saveSettingsToCookies();
-    
-    // Enable/disable rotation in OrbitControls
-    if (controls) {
-        controls.enableRotate = enabled;
-    }
-    
-    // Show/hide help text
-    updateRotationHelpText();
+function startSingleNoteGameFromSettings() {
+    state.currentScreen = 'singleNote';
+    setupSingleNoteQuestion();
+    state.score = 0;
+    state.errors = 0;
+    state.isFirstQuestion = true; // Reset to first question for new game
+    state.showSolution = false; // Reset solution display
+    renderSingleNoteGame();
 }
 
-function updateRotationHelpText() {
-    const helpText = document.getElementById('rotationHelpText');
-    if (helpText) {
-        if (state.rotationEnabled) {
-            helpText.style.display = 'block';
-        } else {
-            helpText.style.display = 'none';
+function renderSingleNoteSettings() {
+    const app = document.getElementById('app');
+
+    app.innerHTML = `
+        <div class="menu-screen">
+            <button class="exit-btn" id="exitBtn">← Back</button>
+            <h1 class="title">Single Note Settings</h1>
+            <p class="subtitle">Find notes on any string, or on a named string from the rotation</p>
+            <div class="settings-container triads-settings">
+                ${stringTuning.map((openString, stringIndex) => `
+                    <div class="setting-item">
+                        <label class="setting-label">
+                            <input type="checkbox" id="string-${stringIndex + 1}" ${state.singleNoteStrings.includes(stringIndex + 1) ? 'checked' : ''}>
+                            <span class="checkbox-custom"></span>
+                            <span class="setting-name">String ${stringIndex + 1} (${openString.note})</span>
+                        </label>
+                    </div>
+                `).join('')}
+                <div class="view-toggle-container">
+                    <label class="view-toggle-label">
+                        <span class="view-toggle-text">Name a String:</span>
+                        <div class="view-toggle-switch">
+                            <input type="checkbox" id="stringTargetsToggle" ${state.singleNoteStringTargets ? 'checked' : ''}>
+                            <span class="toggle-slider">
+                                <span class="toggle-label-left">Off</span>
+                                <span class="toggle-label-right">On</span>
+                            </span>
+                        </div>
+                    </label>
+                </div>
+            </div>
+            <button class="start-game-btn" id="startGameBtn">Start Game</button>
+        </div>
+    `;
+
+    document.getElementById('exitBtn').addEventListener('click', () => {
+        state.currentScreen = 'menu';
+        renderMenu();
+    });
+
+    // Add change listeners to checkboxes (strings beyond this instrument's keep their setting)
+    stringTuning.forEach((openString, stringIndex) => {
+        const stringNumber = stringIndex + 1;
+        document.getElementById(`string-${stringNumber}`).addEventListener('change', (e) => {
+            state.singleNoteStrings = state.singleNoteStrings.filter(n => n !== stringNumber);
+            if (e.target.checked) {
+                state.singleNoteStrings.push(stringNumber);
+                state.singleNoteStrings.sort((a, b) => a - b);
+            }
+            saveSettingsToCookies();
+        });
+    });
+
+    document.getElementById('stringTargetsToggle').addEventListener('change', (e) => {
+        state.singleNoteStringTargets = e.target.checked;
+        saveSettingsToCookies();
+    });
+
+    document.getElementById('startGameBtn').addEventListener('click', () => {
+        // Check that at least one string is in the rotation
+        if (state.singleNoteStringTargets && getSingleNoteStringIndexes().length === 0) {
+            showFeedback('error', 'Please select at least one string!');
+            return;
         }
-    }
+        startSingleNoteGameFromSettings();
+    });
 }
 
-/**
- * Setup debug tooltip to show object names on mouse hover
- */
-function setupDebugTooltip() {
-    // Create tooltip element if it doesn't exist
-    let tooltip = document.getElementById('debug-tooltip');
-    if (!tooltip) {
-        tooltip = document.createElement('div');
-        tooltip.id = 'debug-tooltip';
-        tooltip.style.cssText = `
-            position: fixed;
-            pointer-events: none;
-            background: rgba(0, 0, 0, 0.9);
-            color: white;
-            padding: 8px 12px;
-            border-radius: 4px;
-            font-family: monospace;
-            font-size: 11px;
-            z-index: 10000;
-            display: none;
-            max-width: 400px;
-            word-wrap: break-word;
-            white-space: pre-line;
-            line-height: 1.4;
-            border: 1px solid rgba(255, 255, 255, 0.2);
-        `;
-        document.body.appendChild(tooltip);
+function startFindAllGame() {
+    state.currentScreen = 'findAll';
+    state.targetNote = getRandomNote();
+    state.allPositions = getAllPositions(state.targetNote);
+    state.foundPositions = [];
+    state.score = 0;
+    state.errors = 0;
+    state.isFirstQuestion = true; // Reset to first question for new game
+    state.showSolution = false; // Reset solution display
+    renderFindAllGame();
+}
+
+function startOctavesGame() {
+    if (getEnabledPositions().length === 0) {
+        showFeedback('error', 'Every fret is disabled!');
+        return;
+    }
+    if (!getRandomOctaveQuestion()) {
+        showFeedback('error', 'No enabled fret has a unison or octave on another enabled fret!');
+        return;
     }
+    state.currentScreen = 'octaves';
+    setupOctaveQuestion();
+    state.score = 0;
+    state.errors = 0;
+    state.isFirstQuestion = true; // Reset to first question for new game
+    state.showSolution = false; // Reset solution display
+    renderOctavesGame();
+}
 
-    // Add mousemove listener to renderer canvas
-    // Don't clone/replace canvas as it breaks the 3D rendering
-    const canvas = renderer.domElement;
-    
-    // Add mousemove listener (will be added multiple times if called multiple times, but that's okay)
-    canvas.addEventListener('mousemove', (event) => {
-        if (state.showDebug) {
-            onMouseMove(event, tooltip);
-        } else {
-            tooltip.style.display = 'none';
-        }
-    });
+function setupOctaveQuestion() {
+    state.targetOctaves = getRandomOctaveQuestion();
+    state.foundPositions = [];
+}
 
-    // Hide tooltip when mouse leaves canvas
-    canvas.addEventListener('mouseleave', () => {
-        tooltip.style.display = 'none';
-    });
+function formatOctaveProgress() {
+    return `Unisons & octaves: ${state.foundPositions.length} / ${state.targetOctaves.positions.length}`;
 }
 
-/**
- * Setup mouse over effects for hitboxes
- */
-let hoveredHitbox = null;
+function renderOctavesGame() {
+    renderGameScreen('octaves', `
+        <div>
+            <div class="target-note">${formatPitch(state.targetOctaves.pitch)}</div>
+            <div class="progress-info octave-progress">${formatOctaveProgress()}</div>
+        </div>
+    `);
+}
 
-let hoverEffectsSetup = false;
+function nextOctaveQuestion() {
+    setupOctaveQuestion();
+    document.querySelector('.target-note').textContent = formatPitch(state.targetOctaves.pitch);
+    document.querySelector('.octave-progress').textContent = formatOctaveProgress();
+    clearPositionFeedback();
+    highlightReferencePosition(state.targetOctaves.reference);
+    refreshFretboard2D();
+}
 
-function setupHitboxHoverEffects() {
-    // Hover effects disabled - only feedback on click (red/green) is shown
-    // This function is kept for compatibility but does nothing
-    return;
+function startExactPitchGame() {
+    const pitch = getRandomPitch();
+    if (!pitch) {
+        showFeedback('error', 'Every fret is disabled!');
+        return;
+    }
+    state.currentScreen = 'exactPitch';
+    state.targetPitch = pitch;
+    state.score = 0;
+    state.errors = 0;
+    state.isFirstQuestion = true; // Reset to first question for new game
+    state.showSolution = false; // Reset solution display
+    renderExactPitchGame();
+}
+
+function renderExactPitchGame() {
+    renderGameScreen('exactPitch', `
+        <div>
+            <div class="target-note">${formatPitch(state.targetPitch)}</div>
+            <div class="progress-info">Find this exact pitch</div>
+        </div>
+    `);
+}
+
+function nextExactPitchQuestion() {
+    state.targetPitch = getRandomPitch();
+    document.querySelector('.target-note').textContent = formatPitch(state.targetPitch);
+    clearPositionFeedback();
+    refreshFretboard2D();
+}
+
+function startScalesGame() {
+    if (!getRandomScaleQuestion()) {
+        showFeedback('error', 'Every fret is disabled!');
+        return;
+    }
+    state.currentScreen = 'scales';
+    setupScaleQuestion();
+    state.score = 0;
+    state.errors = 0;
+    state.isFirstQuestion = true; // Reset to first question for new game
+    state.showSolution = false; // Reset solution display
+    renderScalesGame();
 }
 
 /**
- * Handle mouse move for debug tooltip
+ * Pick a scale and a fret window with at least one scale note to find (startScalesGame
+ * checks that there is one)
  */
-function onMouseMove(event, tooltip) {
-    if (!renderer || !camera || !scene || !state.showDebug) return;
+function setupScaleQuestion() {
+    const { scale, fretWindow } = getRandomScaleQuestion();
+    state.targetScale = scale;
+    state.fretWindow = fretWindow;
+    state.allPositions = getScalePositions(state.targetScale);
+    state.foundPositions = [];
+}
 
-    // Calculate mouse position in normalized device coordinates
-    const rect = renderer.domElement.getBoundingClientRect();
-    mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+function formatFretWindow(fretWindow) {
+    return `Frets ${fretWindow.start}-${fretWindow.end}`;
+}
 
-    // Update raycaster
-    raycaster.setFromCamera(mouse, camera);
+function renderScalesGame() {
+    const scale = state.targetScale;
 
-    // Get all objects in the scene (including guitar model and hitboxes)
-    const allObjects = [];
-    scene.traverse((child) => {
-        if (child.isMesh) {
-            allObjects.push(child);
-        }
-    });
+    renderGameScreen('scales', `
+        <div>
+            <div class="triad-title">${scale.root} ${scale.typeName}</div>
+            <div class="progress-info scale-window">${formatFretWindow(state.fretWindow)}</div>
+            <div class="progress-info scale-progress">Found: 0 / ${state.allPositions.length}</div>
+        </div>
+    `);
+}
 
-    // Check for intersections
-    const intersects = raycaster.intersectObjects(allObjects, true);
+function nextScaleQuestion() {
+    setupScaleQuestion();
+    const scale = state.targetScale;
+    document.querySelector('.triad-title').textContent = `${scale.root} ${scale.typeName}`;
+    document.querySelector('.scale-window').textContent = formatFretWindow(state.fretWindow);
+    document.querySelector('.scale-progress').textContent = `Found: 0 / ${state.allPositions.length}`;
+    clearPositionFeedback();
+    updateDisabledZones();
+    refreshFretboard2D();
+}
 
-    if (intersects.length > 0) {
-        const intersectedObject = intersects[0].object;
-        
-        // Update world matrix to get accurate position
-        intersectedObject.updateMatrixWorld(true);
-        
-        // Get object name
-        let objectName = intersectedObject.name || 'Unnamed';
-        
-        // Get position
-        const position = new THREE.Vector3();
-        intersectedObject.getWorldPosition(position);
-        
-        // Get bounding box for dimensions
-        const box = new THREE.Box3().setFromObject(intersectedObject);
-        const size = box.getSize(new THREE.Vector3());
-        const center = box.getCenter(new THREE.Vector3());
-        
-        // Build tooltip content
-        let tooltipContent = objectName;
-        
-        // If it's a hitbox, show additional info
-        if (intersectedObject.userData && intersectedObject.userData.stringIndex !== undefined) {
-            const { stringIndex, fretIndex, note } = intersectedObject.userData;
-            tooltipContent = `Hitbox: String ${stringIndex + 1}, Fret ${fretIndex}, Note: ${note}\n`;
-        }
-        
-        // Add position and dimensions
-        tooltipContent += `\nPosition: X=${position.x.toFixed(3)}, Y=${position.y.toFixed(3)}, Z=${position.z.toFixed(3)}`;
-        tooltipContent += `\nCenter: X=${center.x.toFixed(3)}, Y=${center.y.toFixed(3)}, Z=${center.z.toFixed(3)}`;
-        tooltipContent += `\nSize: W=${size.x.toFixed(3)}, H=${size.y.toFixed(3)}, D=${size.z.toFixed(3)}`;
-        tooltipContent += `\nBounds: Min(${box.min.x.toFixed(3)}, ${box.min.y.toFixed(3)}, ${box.min.z.toFixed(3)})`;
-        tooltipContent += `\nMax(${box.max.x.toFixed(3)}, ${box.max.y.toFixed(3)}, ${box.max.z.toFixed(3)})`;
-        
-        // Show tooltip
-        tooltip.textContent = tooltipContent;
-        tooltip.style.display = 'block';
-        tooltip.style.left = (event.clientX + 10) + 'px';
-        tooltip.style.top = (event.clientY + 10) + 'px';
-    } else {
-        // Hide tooltip if no intersection
-        tooltip.style.display = 'none';
-    }
+function startProgressionsGame() {
+    state.currentScreen = 'progressionsSettings';
+    renderProgressionsSettings();
 }
 
-function setupFretClickHandler() {
-    renderer.domElement.addEventListener('click', onFretClick);
+function startProgressionsGameFromSettings() {
+    state.currentScreen = 'progressions';
+    setupProgressionQuestion();
+    state.score = 0;
+    state.errors = 0;
+    state.isFirstQuestion = true; // Reset to first question for new game
+    state.showSolution = false; // Reset solution display
+    renderProgressionsGame();
 }
 
-function onFretClick(event) {
-    // Calculate mouse position in normalized device coordinates
-    const rect = renderer.domElement.getBoundingClientRect();
-    mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+function setupProgressionQuestion() {
+    state.targetProgression = getRandomProgression();
+    setupProgressionChord();
+}
 
-    // Update raycaster
-    raycaster.setFromCamera(mouse, camera);
+/**
+ * Make the current chord of the progression the triad to find
+ */
+function setupProgressionChord() {
+    const progression = state.targetProgression;
+    state.targetTriad = progression.chords[progression.step].triad;
+    state.clickedTriadNotes = [];
+    state.clickedTriadPositions = [];
+    state.triadRootNotePosition = null;
+}
 
-    // Check for intersections with fret zones
-    const intersects = raycaster.intersectObjects(fretZones);
+/**
+ * Display name of a progression, e.g. "I–vi–IV–V"
+ */
+function formatProgression(numerals) {
+    return numerals.join('–');
+}
 
-    if (intersects.length > 0) {
-        const clickedZone = intersects[0].object;
-        const { stringIndex, fretIndex, note } = clickedZone.userData;
+function renderProgressionsSettings() {
+    const app = document.getElementById('app');
 
-        // Check if fret is disabled
-        if (isFretDisabled(fretIndex)) {
-            showFeedback('error', `Fret ${fretIndex} is disabled!`);
+    app.innerHTML = `
+        <div class="menu-screen">
+            <button class="exit-btn" id="exitBtn">← Back</button>
+            <h1 class="title">Chord Progression Settings</h1>
+            <p class="subtitle">Choose which progressions to practice</p>
+            <div class="settings-container triads-settings">
+                ${Object.entries(PROGRESSIONS).map(([key, progression]) => `
+                    <div class="setting-item">
+                        <label class="setting-label">
+                            <input type="checkbox" id="progression-${key}" ${state.progressionSettings[key] ? 'checked' : ''}>
+                            <span class="checkbox-custom"></span>
+                            <span class="setting-name">${formatProgression(progression.numerals)}</span>
+                        </label>
+                    </div>
+                `).join('')}
+                <div class="setting-item">
+                    <label class="setting-label">
+                        <input type="checkbox" id="progression-custom" ${state.progressionSettings.custom ? 'checked' : ''}>
+                        <span class="checkbox-custom"></span>
+                        <span class="setting-name">Custom</span>
+                    </label>
+                </div>
+                <div class="custom-progression">
+                    <input type="text" id="customProgressionInput" class="settings-select" value="${state.customProgression.replace(/"/g, '&quot;')}" placeholder="e.g. I V vi IV">
+                </div>
+            </div>
+            <button class="start-game-btn" id="startGameBtn">Start Game</button>
+        </div>
+    `;
+
+    document.getElementById('exitBtn').addEventListener('click', () => {
+        state.currentScreen = 'menu';
+        renderMenu();
+    });
+
+    // Add change listeners to checkboxes
+    [...Object.keys(PROGRESSIONS), 'custom'].forEach(key => {
+        document.getElementById(`progression-${key}`).addEventListener('change', (e) => {
+            state.progressionSettings[key] = e.target.checked;
+            saveSettingsToCookies();
+        });
+    });
+
+    document.getElementById('customProgressionInput').addEventListener('input', (e) => {
+        state.customProgression = e.target.value;
+        saveSettingsToCookies();
+    });
+
+    document.getElementById('startGameBtn').addEventListener('click', () => {
+        // Check that a progression is enabled and the custom one can be read
+        if (!Object.keys(state.progressionSettings).some(key => state.progressionSettings[key])) {
+            showFeedback('error', 'Please select at least one progression!');
             return;
         }
-
-        // Call the appropriate handler based on game mode
-        if (state.currentScreen === 'singleNote') {
-            handleSingleNoteClick(stringIndex, fretIndex, note);
-        } else if (state.currentScreen === 'findAll') {
-            handleFindAllClick(stringIndex, fretIndex, note);
-        } else if (state.currentScreen === 'triads') {
-            handleTriadClick(stringIndex, fretIndex, note);
+        if (state.progressionSettings.custom && !parseProgression(state.customProgression)) {
+            showFeedback('error', 'Write the custom progression as Roman numerals, like I V vi IV.');
+            return;
         }
-    }
+        startProgressionsGameFromSettings();
+    });
 }
 
-function cleanupThreeJS() {
-    // Remove event listeners
-    if (renderer && renderer.domElement) {
-        renderer.domElement.removeEventListener('click', onFretClick);
-    }
-    window.removeEventListener('resize', onWindowResize);
+/**
+ * One chip per chord of the progression: numeral and chord name, placed chords in green
+ */
+function renderProgressionChips(progression) {
+    return progression.chords.map((chord, index) => `
+        <span class="triad-note ${index < progression.step ? 'clicked' : ''} ${index === progression.step ? 'current' : ''}">
+            ${chord.numeral}<span class="triad-note-tone">${chord.triad.root} ${chord.triad.typeName}</span>
+        </span>
+    `).join('');
+}
 
-    // Dispose of Three.js objects
-    if (renderer) {
-        renderer.dispose();
-        if (renderer.domElement && renderer.domElement.parentNode) {
-            renderer.domElement.parentNode.removeChild(renderer.domElement);
-        }
-    }
+function renderProgressionsGame() {
+    const progression = state.targetProgression;
+    const triad = state.targetTriad;
 
-    if (scene) {
-        scene.traverse((object) => {
-            if (object.geometry) object.geometry.dispose();
-            if (object.material) {
-                if (Array.isArray(object.material)) {
-                    object.material.forEach(mat => mat.dispose());
-                } else {
-                    object.material.dispose();
-                }
-            }
-        });
-    }
+    renderGameScreen('progressions', `
+        <div>
+            <div class="progress-info progression-key">Key of ${progression.key} Major</div>
+            <div class="progression-chords">${renderProgressionChips(progression)}</div>
+            <div class="triad-title">${triad.root} ${triad.typeName}</div>
+            <div class="triad-notes">${renderTriadNoteChips(triad)}</div>
+        </div>
+    `);
+}
 
-    // Clear references
-    scene = null;
-    camera = null;
-    renderer = null;
-    controls = null;
-    guitarModel = null;
-    fretZones = [];
-    fretMarkers = [];
+function renderProgressionsGameUpdate() {
+    const progression = state.targetProgression;
+    document.querySelector('.progression-key').textContent = `Key of ${progression.key} Major`;
+    document.querySelector('.progression-chords').innerHTML = renderProgressionChips(progression);
+    renderTriadsGameUpdate();
+}
+
+/**
+ * Positions of the previously placed chord, which the next chord has to stay near
+ */
+function getPreviousProgressionPositions() {
+    const placed = state.targetProgression.placed;
+    return placed.length > 0 ? placed[placed.length - 1] : [];
 }
 
+/**
+ * Fret range around the middle of the previous chord, or null for the first chord
+ */
+function getProgressionReach() {
+    const previous = getPreviousProgressionPositions();
+    if (previous.length === 0) return null;
 
-function fallbackToCSS(container, gameMode) {
-    cleanupThreeJS(); // Ensure clean state
-    container.classList.add('use-css-fallback');
+    const middle = Math.round(previous.reduce((sum, pos) => sum + pos.fret, 0) / previous.length);
+    return {
+        start: Math.max(getFirstFret(), middle - PROGRESSION_REACH_FRETS),
+        end: Math.min(numFrets - 1, middle + PROGRESSION_REACH_FRETS)
+    };
+}
 
-    // Determine highlighted positions based on game mode
-    let highlighted = [];
-    if (gameMode === 'findAll') {
-        highlighted = state.foundPositions;
-    } else if (gameMode === 'triads') {
-        highlighted = [...state.clickedTriadPositions];
-        // Add root note position if option is enabled
-        if (state.showTriadRootNote && state.triadRootNotePosition) {
-            highlighted.push(state.triadRootNotePosition);
+function isWithinProgressionReach(fretIndex) {
+    const reach = getProgressionReach();
+    return !reach || (fretIndex >= reach.start && fretIndex <= reach.end);
+}
+
+/**
+ * Called by handleTriadClick (as the mode's onTriadComplete) when every note of the current chord is found:
+ * move on to the next chord, or to a new progression after the last one
+ */
+function completeProgressionChord() {
+    const progression = state.targetProgression;
+    progression.placed.push([...state.clickedTriadPositions]);
+    progression.step += 1;
+
+    if (progression.step < progression.chords.length) {
+        const next = progression.chords[progression.step];
+        showFeedback('success', `Good! Next up: ${next.numeral} (${next.triad.root} ${next.triad.typeName}).`);
+        setupProgressionChord();
+        clearPositionFeedback();
+        highlightReferencePositions(getPreviousProgressionPositions());
+        renderProgressionsGameUpdate();
+        // Each chord gets the full time limit
+        if (state.enableTimeLimit && state.timeLimit > 0) {
+            startTimer();
         }
+    } else {
+        showFeedback('success', `Perfect! You played ${formatProgression(progression.chords.map(chord => chord.numeral))} in ${progression.key}.`);
+        document.querySelector('.progression-chords').innerHTML = renderProgressionChips(progression);
+        scoreQuestion();
+        scheduleNextQuestion(nextProgressionQuestion, 2500);
     }
+}
 
-    container.innerHTML = renderFretboard(highlighted);
+function nextProgressionQuestion() {
+    setupProgressionQuestion();
+    clearPositionFeedback();
+    highlightReferencePositions([]);
+    renderProgressionsGameUpdate();
+    refreshFretboard2D();
+}
 
-    // Add listeners
-    container.querySelectorAll('.fret').forEach(fret => {
-        if (gameMode === 'singleNote') {
-            fret.addEventListener('click', handleSingleNoteDOMClick);
-        } else if (gameMode === 'findAll') {
-            fret.addEventListener('click', handleFindAllDOMClick);
-        } else if (gameMode === 'triads') {
-            fret.addEventListener('click', handleTriadDOMClick);
-        }
-    });
+function startDiatonicGame() {
+    state.currentScreen = 'diatonic';
+    setupDiatonicQuestion();
+    state.score = 0;
+    state.errors = 0;
+    state.isFirstQuestion = true; // Reset to first question for new game
+    state.showSolution = false; // Reset solution display
+    renderDiatonicGame();
+}
 
-    updateCSSFretboardRotation();
-    initCSSRotationControls();
+function setupDiatonicQuestion() {
+    state.targetDiatonic = getRandomDiatonicQuestion();
+    state.targetTriad = state.targetDiatonic.triad;
+    state.clickedTriadNotes = [];
+    state.clickedTriadPositions = [];
+    state.triadRootNotePosition = null;
 }
 
-/* ========================================
-   OLD HTML RENDERING (kept for reference, can be removed later)
-   ======================================== */
 /**
- * Calculate fret spacing percentages based on logarithmic formula
- * Formula from fret spacing mathematics: X_n = L × (1 - 1/r^n) where r = 2^(1/12)
- * Returns array of percentages for each fret space (between frets)
+ * Question text, e.g. "6th degree of E Major"
  */
-function calculateFretSpacingPercentages() {
-    const r = Math.pow(2, 1/12); // 12th root of 2 (approximately 1.059463)
-    const percentages = [];
-    
-    // Calculate position of nut (fret 0)
-    let prevPosition = 0; // Position of nut relative to scale length (0%)
-    
-    // For each fret from 1 to NUM_FRETS-1, calculate the width of the space before it
-    for (let fret = 1; fret < NUM_FRETS; fret++) {
-        // Position of this fret: X_n = 1 - 1/r^n (normalized to 0-1)
-        const currentPosition = 1 - (1 / Math.pow(r, fret));
-        
-        // Width of the space between previous fret and this fret
-        const spaceWidth = currentPosition - prevPosition;
-        percentages.push(spaceWidth);
-        
-        prevPosition = currentPosition;
-    }
-    
-    // Normalize percentages to sum to 1 (100%)
-    const total = percentages.reduce((sum, p) => sum + p, 0);
-    return percentages.map(p => (p / total) * 100);
+function formatDiatonicQuestion(question) {
+    return `${DEGREE_ORDINALS[question.degree]} degree of ${question.key} ${DIATONIC_CHORDS[question.keyType].name}`;
 }
 
-/**
- * Calculate cumulative positions for each fret (for absolute positioning of dots)
- * Returns array of left positions (0-100%) for each fret space
- */
-function calculateFretCumulativePositions() {
-    const r = Math.pow(2, 1/12); // 12th root of 2 (approximately 1.059463)
-    const positions = [];
-    
-    // Calculate cumulative position for each fret space
-    let cumulativePosition = 0;
-    
-    for (let fret = 1; fret < NUM_FRETS; fret++) {
-        // Position of this fret: X_n = 1 - 1/r^n (normalized to 0-1)
-        const currentPosition = 1 - (1 / Math.pow(r, fret));
-        
-        // Store the left edge position of this fret space (before normalization)
-        positions.push(cumulativePosition);
-        
-        // Move to next position
-        cumulativePosition = currentPosition;
-    }
-    
-    // Normalize to 0-100% range based on the total width
-    // The last position should account for the remaining space
-    const totalWidth = cumulativePosition;
-    if (totalWidth > 0) {
-        return positions.map(p => (p / totalWidth) * 100);
-    }
-    return positions;
+function renderDiatonicGame() {
+    renderGameScreen('diatonic', `
+        <div>
+            <div class="target-note interval-question diatonic-question">${formatDiatonicQuestion(state.targetDiatonic)}</div>
+            <div class="progress-info diatonic-prompt">What is the chord quality?</div>
+            <div class="note-pad diatonic-quality-pad">
+                ${DIATONIC_QUALITIES.map(type => `
+                    <button class="note-pad-key" data-chord-type="${type}">${TRIAD_TYPES[type].name}</button>
+                `).join('')}
+            </div>
+            <div class="triad-title"></div>
+            <div class="triad-notes"></div>
+        </div>
+    `);
+
+    document.querySelectorAll('.diatonic-quality-pad .note-pad-key').forEach(key => {
+        key.addEventListener('click', () => handleDiatonicQualityAnswer(key.dataset.chordType));
+    });
 }
 
-function renderFretboard(highlightedPositions = []) {
-    // Calculate correct fret spacing percentages
-    const fretPercentages = calculateFretSpacingPercentages();
-    
-    let fretboardHTML = '<div class="fretboard">';
+function nextDiatonicQuestion() {
+    setupDiatonicQuestion();
+    document.querySelector('.diatonic-question').textContent = formatDiatonicQuestion(state.targetDiatonic);
+    document.querySelector('.diatonic-prompt').textContent = 'What is the chord quality?';
+    document.querySelector('.triad-title').textContent = '';
+    document.querySelector('.triad-notes').innerHTML = '';
+    document.querySelectorAll('.diatonic-quality-pad .note-pad-key').forEach(key => {
+        key.classList.remove('correct', 'wrong');
+    });
+    clearPositionFeedback();
+    refreshFretboard2D();
+}
 
-    fretboardHTML += '<div class="strings-container">';
-    
-    // Add fret marker dots - positioned absolutely within strings-container
-    // Markers go in the middle of specific fret spaces (between frets)
-    fretboardHTML += '<div class="fret-markers">';
-    const markerFrets = [3, 5, 7, 9, 12, 15, 17, 19, 21];
+/**
+ * Called by handleTriadClick once the whole diatonic triad is found
+ */
+function completeDiatonicChord() {
+    const question = state.targetDiatonic;
+    question.stage = 'done';
+    showFeedback('success', `Perfect! ${question.numeral} in ${question.key} ${DIATONIC_CHORDS[question.keyType].name} is ${question.triad.root} ${question.triad.typeName}.`);
+    scoreQuestion();
+    renderTriadsGameUpdate();
+    scheduleNextQuestion(nextDiatonicQuestion, 2500);
+}
 
-    // Calculate cumulative positions for absolute positioning
-    // Position dots in the center of each fret space
-    let cumulativePos = 0;
-    for (let i = 1; i < NUM_FRETS; i++) {
-        const spaceWidth = fretPercentages[i - 1];
-        // Center position of this fret space (between previous fret and current fret)
-        const centerPos = cumulativePos + (spaceWidth / 2);
-        
-        if (markerFrets.includes(i)) {
-            if (i === 12) {
-                // Double dots for 12th fret
-                fretboardHTML += `<div class="fret-marker-dot" style="left: ${centerPos}%; top: 25%; transform: translate(-50%, -50%)"></div>`;
-                fretboardHTML += `<div class="fret-marker-dot" style="left: ${centerPos}%; top: 75%; transform: translate(-50%, -50%)"></div>`;
-            } else {
-                // Single dot centered vertically
-                fretboardHTML += `<div class="fret-marker-dot" style="left: ${centerPos}%"></div>`;
-            }
-        }
-        
-        cumulativePos += spaceWidth;
+function startArpeggiosGame() {
+    if (!getRandomArpeggioQuestion()) {
+        showFeedback('error', 'No chord fits in a window of the enabled frets!');
+        return;
     }
-    fretboardHTML += '</div>';
+    state.currentScreen = 'arpeggios';
+    setupArpeggioQuestion();
+    state.score = 0;
+    state.errors = 0;
+    state.isFirstQuestion = true; // Reset to first question for new game
+    state.showSolution = false; // Reset solution display
+    renderArpeggiosGame();
+}
 
-    // Render each string
-    for (let stringIndex = 0; stringIndex < STRING_TUNING.length; stringIndex++) {
-        fretboardHTML += `
-            <div class="string-row">
-                <div class="string-line"></div>
-                <div class="frets">
-        `;
+/**
+ * Set up the next arpeggio (startArpeggiosGame checks that a chord fits)
+ */
+function setupArpeggioQuestion() {
+    const { triad, fretWindow } = getRandomArpeggioQuestion();
+    state.fretWindow = fretWindow;
+    state.targetArpeggio = { triad, sequence: getArpeggioSequence(triad) };
+    state.arpeggioStep = 0;
+    state.allPositions = state.targetArpeggio.triad.notes.flatMap(note => getAllPositions(note));
+    state.foundPositions = [];
+}
 
-        // Render each fret (starting from 1)
-        for (let fretIndex = 1; fretIndex < NUM_FRETS; fretIndex++) {
-            const note = getNoteAt(stringIndex, fretIndex);
-            const isHighlighted = highlightedPositions.some(
-                pos => pos.string === stringIndex && pos.fret === fretIndex
-            );
-            const isDisabled = isFretDisabled(fretIndex);
-            const percentage = fretPercentages[fretIndex - 1];
+function formatArpeggioProgress() {
+    return `Notes: ${state.arpeggioStep} / ${state.targetArpeggio.sequence.length}`;
+}
 
-            fretboardHTML += `
-                <div class="fret ${isHighlighted ? 'highlighted' : ''} ${isDisabled ? 'disabled' : ''}" 
-                     data-string="${stringIndex}" 
-                     data-fret="${fretIndex}"
-                     style="flex-basis: ${percentage}%">
-                    ${isHighlighted ? `<div class="note-marker found">${note}</div>` : ''}
-                </div>
-            `;
-        }
+function renderArpeggiosGame() {
+    const triad = state.targetArpeggio.triad;
 
-        fretboardHTML += '</div></div>';
-    }
+    renderGameScreen('arpeggios', `
+        <div>
+            <div class="triad-title">${triad.root} ${triad.typeName} Arpeggio</div>
+            <div class="triad-notes">${renderTriadNoteChips(triad, [])}</div>
+            <div class="progress-info arpeggio-window">${formatFretWindow(state.fretWindow)}, lowest note first</div>
+            <div class="progress-info arpeggio-progress">${formatArpeggioProgress()}</div>
+        </div>
+    `);
+}
 
-    fretboardHTML += '</div>'; // Close strings-container
+function nextArpeggioQuestion() {
+    setupArpeggioQuestion();
+    const triad = state.targetArpeggio.triad;
+    document.querySelector('.triad-title').textContent = `${triad.root} ${triad.typeName} Arpeggio`;
+    document.querySelector('.triad-notes').innerHTML = renderTriadNoteChips(triad, []);
+    document.querySelector('.arpeggio-window').textContent = `${formatFretWindow(state.fretWindow)}, lowest note first`;
+    document.querySelector('.arpeggio-progress').textContent = formatArpeggioProgress();
+    clearPositionFeedback();
+    updateDisabledZones();
+    refreshFretboard2D();
+}
 
-    // Add fret numbers
-    fretboardHTML += '<div class="fret-numbers">';
-    for (let i = 1; i < NUM_FRETS; i++) {
-        const percentage = fretPercentages[i - 1];
-        fretboardHTML += `<div class="fret-number" style="flex-basis: ${percentage}%">${i}</div>`;
+function startCagedGame() {
+    if (!isStandardGuitarTuning()) {
+        showFeedback('error', 'CAGED shapes need a 6-string guitar in standard tuning.');
+        return;
     }
-    fretboardHTML += '</div>';
+    if (!getRandomCagedQuestion()) {
+        showFeedback('error', 'No CAGED shape fits on the enabled frets!');
+        return;
+    }
+    state.currentScreen = 'caged';
+    setupCagedQuestion();
+    state.score = 0;
+    state.errors = 0;
+    state.isFirstQuestion = true; // Reset to first question for new game
+    state.showSolution = false; // Reset solution display
+    renderCagedGame();
+}
 
-    fretboardHTML += '</div>'; // Close fretboard
+/**
+ * Pick the next CAGED question (startCagedGame checks that one fits the enabled frets)
+ */
+function setupCagedQuestion() {
+    state.targetCaged = getRandomCagedQuestion();
+    state.allPositions = state.targetCaged.positions;
+    state.foundPositions = [];
+}
 
-    return fretboardHTML;
+/**
+ * Title of a CAGED question, e.g. "D Major, A-shape"
+ */
+function formatCagedQuestion(question) {
+    return `${question.triad.root} ${question.triad.typeName}, ${question.shape}-shape`;
 }
 
-function showSolution() {
-    state.showSolution = !state.showSolution;
-    
-    if (state.viewMode === '2d') {
-        // For 2D view, re-render the fretboard with solution highlighted
-        const container = document.querySelector('.fretboard-container');
-        if (container) {
-            let highlighted = [];
-            
-            if (state.currentScreen === 'singleNote') {
-                if (state.showSolution) {
-                    highlighted = getAllPositions(state.targetNote);
-                }
-            } else if (state.currentScreen === 'findAll') {
-                if (state.showSolution) {
-                    highlighted = state.allPositions;
-                } else {
-                    highlighted = state.foundPositions;
-                }
-            } else if (state.currentScreen === 'triads') {
-                if (state.showSolution) {
-                    // Show all positions of all three notes in the triad
-                    const triad = state.targetTriad;
-                    if (triad) {
-                        triad.notes.forEach(note => {
-                            highlighted.push(...getAllPositions(note));
-                        });
-                    }
-                } else {
-                    highlighted = [...state.clickedTriadPositions];
-                    if (state.showTriadRootNote && state.triadRootNotePosition) {
-                        highlighted.push(state.triadRootNotePosition);
-                    }
-                }
-            }
-            
-            container.innerHTML = renderFretboard(highlighted);
-            
-            // Re-attach event listeners
-            const gameMode = state.currentScreen;
-            container.querySelectorAll('.fret').forEach(fret => {
-                if (gameMode === 'singleNote') {
-                    fret.addEventListener('click', handleSingleNoteDOMClick);
-                } else if (gameMode === 'findAll') {
-                    fret.addEventListener('click', handleFindAllDOMClick);
-                } else if (gameMode === 'triads') {
-                    fret.addEventListener('click', handleTriadDOMClick);
-                }
-            });
-        }
-    } else {
-        // For 3D view, highlight zones
-        if (fretZones && fretZones.length > 0) {
-            let solutionPositions = [];
-            
-            if (state.currentScreen === 'singleNote') {
-                if (state.showSolution) {
-                    solutionPositions = getAllPositions(state.targetNote);
-                }
-            } else if (state.currentScreen === 'findAll') {
-                if (state.showSolution) {
-                    solutionPositions = state.allPositions;
-                }
-            } else if (state.currentScreen === 'triads') {
-                if (state.showSolution) {
-                    const triad = state.targetTriad;
-                    if (triad) {
-                        triad.notes.forEach(note => {
-                            solutionPositions.push(...getAllPositions(note));
-                        });
-                    }
-                }
-            }
-            
-            fretZones.forEach(zone => {
-                const stringIndex = zone.userData.stringIndex;
-                const fretIndex = zone.userData.fretIndex;
-                const isInSolution = solutionPositions.some(
-                    pos => pos.string === stringIndex && pos.fret === fretIndex
-                );
-                
-                if (state.showSolution && isInSolution) {
-                    // Highlight solution positions
-                    zone.material.opacity = 0.8;
-                    zone.material.color.setHex(0xffff00); // Yellow for solution
-                } else {
-                    // Reset to normal state
-                    if (zone.userData.isFeedback) {
-                        // Keep feedback color if showing feedback
-                        return;
-                    }
-                    if (zone.userData.isRootNote) {
-                        // Keep root note highlight
-                        return;
-                    }
-                    if (zone.userData.isDisabled) {
-                        zone.material.opacity = 0.3;
-                    } else {
-                        zone.material.opacity = state.showDebug ? 0.6 : 0;
-                    }
-                    zone.material.color.setHex(zone.userData.originalColor);
-                }
-            });
-        }
-    }
-    
-    // Update button text
-    const solutionBtn = document.getElementById('solutionBtn');
-    if (solutionBtn) {
-        solutionBtn.textContent = state.showSolution ? 'Hide Solution' : 'Solution';
-    }
+/**
+ * Chord tones found so far in the CAGED shape
+ */
+function getFoundCagedNotes() {
+    const triad = state.targetCaged.triad;
+    return state.foundPositions.map(pos =>
+        triad.notes.find(n => notesMatch(n, getNoteAt(pos.string, pos.fret)))
+    );
 }
 
-function updateSolutionDisplay() {
-    // Update solution display if it's currently showing
-    if (state.showSolution) {
-        showSolution(); // Toggle off
-        state.showSolution = true; // Set back to true
-        showSolution(); // Toggle on with new data
-    }
+function renderCagedGame() {
+    renderGameScreen('caged', `
+        <div>
+            <div class="triad-title">${formatCagedQuestion(state.targetCaged)}</div>
+            <div class="triad-notes">${renderTriadNoteChips(state.targetCaged.triad, getFoundCagedNotes())}</div>
+            <div class="progress-info caged-progress">Found: 0 / ${state.allPositions.length}</div>
+        </div>
+    `);
 }
 
-function showFeedback(type, message) {
-    // Remove existing feedback
-    const existingFeedback = document.querySelector('.feedback');
-    if (existingFeedback) {
-        existingFeedback.remove();
-    }
+function renderCagedGameUpdate() {
+    document.querySelector('.triad-title').textContent = formatCagedQuestion(state.targetCaged);
+    document.querySelector('.triad-notes').innerHTML = renderTriadNoteChips(state.targetCaged.triad, getFoundCagedNotes());
+    document.querySelector('.caged-progress').textContent = `Found: ${state.foundPositions.length} / ${state.allPositions.length}`;
+}
 
-    const feedback = document.createElement('div');
-    feedback.className = `feedback ${type}`;
-    feedback.textContent = message;
-    document.body.appendChild(feedback);
+function nextCagedQuestion() {
+    setupCagedQuestion();
+    renderCagedGameUpdate();
+    clearPositionFeedback();
+    refreshFretboard2D();
+}
 
-    setTimeout(() => {
-        feedback.remove();
-    }, 2000);
+function startChordEarGame() {
+    state.currentScreen = 'chordEarSettings';
+    renderTriadsSettings('Chord Ear Training Settings', CHORD_EAR_SETTINGS_TOGGLES, startChordEarGameFromSettings);
 }
 
-function updateScoreDisplay() {
-    const scoreElement = document.querySelector('.score');
-    if (scoreElement) {
-        scoreElement.textContent = `Score: ${state.score}`;
-    }
+function startChordEarGameFromSettings() {
+    state.currentScreen = 'chordEar';
+    setupChordEarQuestion();
+    state.score = 0;
+    state.errors = 0;
+    state.isFirstQuestion = true; // Reset to first question for new game
+    state.showSolution = false; // Reset solution display
+    renderChordEarGame();
+    playChordEarQuestion();
 }
 
-function updateErrorsDisplay() {
-    const errorsElement = document.querySelector('.errors');
-    if (errorsElement) {
-        errorsElement.textContent = `Errors: ${state.errors}`;
-    }
+function setupChordEarQuestion() {
+    state.targetChordEar = getRandomChordEarQuestion();
+    state.clickedTriadNotes = [];
+    state.foundPositions = [];
 }
 
-function clearTimer() {
-    if (gameTimer) {
-        clearInterval(gameTimer);
-        gameTimer = null;
-    }
-    // Reset timer to original time limit if enabled, otherwise set to 0
-    if (state.enableTimeLimit && state.timeLimit > 0) {
-        state.timeRemaining = state.timeLimit;
-    } else {
-        state.timeRemaining = 0;
-    }
-    updateTimerDisplay();
+/**
+ * Answer pad for the chord ear training: one key per enabled chord type
+ */
+function renderChordQualityPad() {
+    return Object.entries(TRIAD_TYPES)
+        .filter(([type]) => state.triadSettings[type])
+        .map(([type, chordDef]) => `
+            <button class="note-pad-key" data-chord-type="${type}">${chordDef.name}</button>
+        `).join('');
 }
 
-function startTimer() {
-    clearTimer();
-    
-    if (!state.enableTimeLimit || state.timeLimit === 0) {
-        // Time limit disabled or set to 0, hide timer
-        const timerElement = document.querySelector('.timer-display');
-        if (timerElement) {
-            timerElement.style.display = 'none';
-            timerElement.textContent = 'Time: None'; // Set correct content even when hidden
-        }
-        return;
-    }
-    
-    // Show timer
-    const timerElement = document.querySelector('.timer-display');
-    if (timerElement) {
-        timerElement.style.display = 'block';
-    }
-    
-    state.timeRemaining = state.timeLimit;
-    updateTimerDisplay();
-    
-    gameTimer = setInterval(() => {
-        state.timeRemaining -= 1;
-        updateTimerDisplay();
-        
-        if (state.timeRemaining <= 0) {
-            clearTimer();
-            handleTimeOut();
-        }
-    }, 1000);
+function renderChordEarGame() {
+    renderGameScreen('chordEar', `
+        <div>
+            <div class="triad-title">?</div>
+            <div class="progress-info chord-ear-prompt">Which chord quality is this?</div>
+            <div class="triad-notes"></div>
+            <div class="note-pad chord-quality-pad">${renderChordQualityPad()}</div>
+            <button class="replay-btn" id="replayBtn">▶ Replay</button>
+        </div>
+    `);
+
+    document.querySelectorAll('.chord-quality-pad .note-pad-key').forEach(key => {
+        key.addEventListener('click', () => handleChordQualityAnswer(key.dataset.chordType));
+    });
+    document.getElementById('replayBtn').addEventListener('click', playChordEarQuestion);
+}
+
+/**
+ * Play the current chord, all at once or one note at a time from the bass up
+ */
+function playChordEarQuestion() {
+    const question = state.targetChordEar;
+    question.midis.forEach((midi, index) => {
+        const delay = state.chordEarBroken ? index * 500 : 0;
+        setTimeout(() => {
+            // Skip if the question changed or the player left in the meantime
+            if (state.targetChordEar !== question || state.currentScreen !== 'chordEar') return;
+            playGuitarTone(getMidiFrequency(midi));
+        }, delay);
+    });
+}
+
+/**
+ * Move the chord ear training header to the 'voicing' stage: name the chord and show its notes
+ */
+function showChordEarVoicingStage() {
+    const triad = state.targetChordEar.triad;
+    state.targetChordEar.stage = 'voicing';
+    document.querySelector('.triad-title').textContent = `${triad.root} ${triad.typeName}`;
+    document.querySelector('.chord-ear-prompt').textContent = 'Now find it on the neck';
+    document.querySelector('.triad-notes').innerHTML = renderTriadNoteChips(triad);
 }
 
-function startTimerOnFirstClick() {
-    // Start timer only if it hasn't been started yet
-    if (!state.timerStarted && state.enableTimeLimit && state.timeLimit > 0) {
-        state.timerStarted = true;
-        startTimer();
-    }
+function nextChordEarQuestion() {
+    setupChordEarQuestion();
+    document.querySelector('.triad-title').textContent = '?';
+    document.querySelector('.chord-ear-prompt').textContent = 'Which chord quality is this?';
+    document.querySelector('.triad-notes').innerHTML = '';
+    document.querySelectorAll('.chord-quality-pad .note-pad-key').forEach(key => {
+        key.classList.remove('correct', 'wrong');
+    });
+    clearPositionFeedback();
+    refreshFretboard2D();
+    playChordEarQuestion();
 }
 
-function updateTimerDisplay() {
-    const timerElement = document.querySelector('.timer-display');
-    if (timerElement) {
-        if (state.timeLimit === 0) {
-            timerElement.style.display = 'none';
-        } else {
-            timerElement.textContent = `Time: ${state.timeRemaining}s`;
-            // Add warning class when time is running low
-            if (state.timeRemaining <= 3) {
-                timerElement.classList.add('timer-warning');
-            } else {
-                timerElement.classList.remove('timer-warning');
-            }
-        }
-    }
+function startEarTrainingGame() {
+    state.currentScreen = 'earTrainingSettings';
+    renderEarTrainingSettings();
 }
 
-function handleTimeOut() {
-    showFeedback('error', "Time's up! Try again.");
-    state.errors += 1;
-    updateErrorsDisplay();
-    
-    // Reset timer started flag for next question
-    state.timerStarted = false;
-    // After timeout, timer should auto-start (not first question anymore)
-    state.isFirstQuestion = false;
-    
-    // Move to next task based on current game mode
-    if (state.currentScreen === 'singleNote') {
-        const wasShowingSolution = state.showSolution;
-        setTimeout(() => {
-            state.targetNote = getRandomNote();
-            document.querySelector('.target-note').textContent = state.targetNote;
-            // Update solution display if it was showing
-            if (wasShowingSolution) {
-                state.showSolution = true;
-                updateSolutionDisplay();
-            }
-            // Auto-start timer (not first question after timeout)
-            if (state.enableTimeLimit && state.timeLimit > 0) {
-                startTimer();
-            }
-        }, 1500);
-    } else if (state.currentScreen === 'findAll') {
-        const wasShowingSolution = state.showSolution;
-        setTimeout(() => {
-            state.targetNote = getRandomNote();
-            state.allPositions = getAllPositions(state.targetNote);
-            state.foundPositions = [];
-            
-            // Reset all zones
-            fretZones.forEach(z => {
-                z.userData.isFeedback = false;
-                z.material.color.setHex(z.userData.originalColor);
-                z.material.opacity = z.userData.originalOpacity;
-            });
-            
-            document.querySelector('.target-note').textContent = state.targetNote;
-            document.querySelector('.progress-info').textContent = `Found: 0 / ${state.allPositions.length}`;
-            // Update solution display if it was showing
-            if (wasShowingSolution) {
-                state.showSolution = true;
-                updateSolutionDisplay();
-            }
-            // Auto-start timer (not first question after timeout)
-            if (state.enableTimeLimit && state.timeLimit > 0) {
-                startTimer();
-            }
-        }, 1500);
-    } else if (state.currentScreen === 'triads') {
-        const wasShowingSolution = state.showSolution;
-        setTimeout(() => {
-            state.targetTriad = getRandomTriad();
-            state.clickedTriadNotes = [];
-            state.clickedTriadPositions = [];
-            
-            // Set new root note position if option is enabled
-            state.triadRootNotePosition = selectRandomRootNotePosition(state.targetTriad?.root);
-            
-            // If root note is shown, automatically mark it as found
-            if (state.showTriadRootNote && state.triadRootNotePosition && state.targetTriad) {
-                state.clickedTriadNotes.push(state.targetTriad.root);
-                state.clickedTriadPositions.push(state.triadRootNotePosition);
-            }
-            
-            // Reset all zones first
-            fretZones.forEach(z => {
-                z.material.opacity = 0;
-                z.userData.isRootNote = false;
-            });
-            
-            // Then highlight root note position (this will override the reset for the root note)
-            highlightRootNotePosition();
-            
-            renderTriadsGameUpdate();
-            // Update solution display if it was showing
-            if (wasShowingSolution) {
-                state.showSolution = true;
-                updateSolutionDisplay();
-            }
-            // Auto-start timer (not first question after timeout)
-            if (state.enableTimeLimit && state.timeLimit > 0) {
-                startTimer();
-            }
-        }, 1500);
-    }
+function startEarTrainingGameFromSettings() {
+    state.currentScreen = 'earTraining';
+    state.targetEar = getRandomEarQuestion();
+    state.score = 0;
+    state.errors = 0;
+    state.isFirstQuestion = true; // Reset to first question for new game
+    state.showSolution = false; // Reset solution display
+    renderEarTrainingGame();
+    playEarQuestion();
 }
 
-function renderSingleNoteGame() {
+function renderEarTrainingSettings() {
     const app = document.getElementById('app');
+    const { strings, frets } = state.earSettings;
+    const stringCount = stringTuning.length;
+    const lastFret = numFrets - 1;
+
+    // Range sliders for the string and fret window: [id, label, value, min, max]
+    const ranges = [
+        ['earStringStart', 'Highest String', Math.min(strings.start, stringCount), 1, stringCount],
+        ['earStringEnd', 'Lowest String', Math.min(strings.end, stringCount), 1, stringCount],
+        ['earFretStart', 'From Fret', Math.min(frets.start, lastFret), getFirstFret(), lastFret],
+        ['earFretEnd', 'To Fret', Math.min(frets.end, lastFret), getFirstFret(), lastFret]
+    ];
+
     app.innerHTML = `
-        <div class="game-screen">
-            <button class="exit-btn" id="exitBtn">← Exit</button>
-            <button class="solution-btn" id="solutionBtn">Solution</button>
-            <div class="game-header">
-                <div class="target-note">${state.targetNote}</div>
-                <div class="score-container">
-                    <div class="timer-display" style="display: ${state.enableTimeLimit && state.timeLimit > 0 ? 'block' : 'none'}">Time: ${state.enableTimeLimit && state.timeLimit > 0 ? state.timeRemaining + 's' : 'None'}</div>
-                    <div class="score">Score: ${state.score}</div>
-                    <div class="errors">Errors: ${state.errors}</div>
-                </div>
-            </div>
-            ${state.viewMode === '3d' ? `
-                <div class="debug-toggle-container">
-                    <div class="debug-toggle-controls">
-                        <label class="debug-toggle-label">
-                            <span class="debug-toggle-text">Rotation:</span>
-                            <div class="view-toggle-switch">
-                                <input type="checkbox" id="rotationToggle" ${state.rotationEnabled ? 'checked' : ''}>
-                                <span class="toggle-slider">
-                                    <span class="toggle-label-left">Off</span>
-                                    <span class="toggle-label-right">On</span>
-                                </span>
-                            </div>
-                        </label>
-                        <label class="debug-toggle-label">
-                            <span class="debug-toggle-text">Debug Info:</span>
-                            <div class="view-toggle-switch">
-                                <input type="checkbox" id="debugToggle" ${state.showDebug ? 'checked' : ''}>
-                                <span class="toggle-slider">
-                                    <span class="toggle-label-left">Off</span>
-                                    <span class="toggle-label-right">On</span>
-                                </span>
-                            </div>
+        <div class="menu-screen">
+            <button class="exit-btn" id="exitBtn">← Back</button>
+            <h1 class="title">Ear Training Settings</h1>
+            <p class="subtitle">Choose where the hidden notes are played from</p>
+            <div class="settings-container triads-settings">
+                <div class="disabled-frets-range ear-window">
+                    ${ranges.map(([id, label, value, min, max]) => `
+                        <label class="range-label">
+                            <span>${label}:</span>
+                            <input type="range" id="${id}" min="${min}" max="${max}" value="${value}" step="1">
+                            <span class="range-value" id="${id}Value">${value}</span>
                         </label>
-                        <button class="reset-camera-btn" id="resetCameraBtn" title="Reset camera to default position">↻ Reset</button>
-                    </div>
-                    <div class="controls-help-text" id="rotationHelpText" style="display: ${state.rotationEnabled ? 'block' : 'none'};">
-                        Drag to rotate. Hold Shift and drag to pan.
-                    </div>
+                    `).join('')}
                 </div>
-            ` : ''}
-            <div class="fretboard-container" id="threeContainer"></div>
+                <div class="view-toggle-container">
+                    <label class="view-toggle-label">
+                        <span class="view-toggle-text">Reference Note First:</span>
+                        <div class="view-toggle-switch">
+                            <input type="checkbox" id="referenceFirstToggle" ${state.earSettings.referenceFirst ? 'checked' : ''}>
+                            <span class="toggle-slider">
+                                <span class="toggle-label-left">Off</span>
+                                <span class="toggle-label-right">On</span>
+                            </span>
+                        </div>
+                    </label>
+                </div>
+            </div>
+            <button class="start-game-btn" id="startGameBtn">Start Game</button>
         </div>
     `;
 
     document.getElementById('exitBtn').addEventListener('click', () => {
-        clearTimer();
         state.currentScreen = 'menu';
-        state.showSolution = false;
-        cleanupThreeJS();
         renderMenu();
     });
-    
-    // Setup solution button
-    const solutionBtn = document.getElementById('solutionBtn');
-    if (solutionBtn) {
-        solutionBtn.addEventListener('click', () => {
-            showSolution();
+
+    // Sliders write straight into the string/fret window
+    const windowKeys = {
+        earStringStart: ['strings', 'start'],
+        earStringEnd: ['strings', 'end'],
+        earFretStart: ['frets', 'start'],
+        earFretEnd: ['frets', 'end']
+    };
+    Object.entries(windowKeys).forEach(([id, [range, bound]]) => {
+        document.getElementById(id).addEventListener('input', (e) => {
+            state.earSettings[range][bound] = parseInt(e.target.value);
+            document.getElementById(`${id}Value`).textContent = e.target.value;
+            saveSettingsToCookies();
         });
-    }
+    });
 
-    // Setup rotation toggle, debug toggle and reset button (only for 3D view)
-    if (state.viewMode === '3d') {
-        const rotationToggle = document.getElementById('rotationToggle');
-        if (rotationToggle) {
-            rotationToggle.addEventListener('change', (e) => {
-                toggleRotation(e.target.checked);
-            });
-        }
-        
-        const debugToggle = document.getElementById('debugToggle');
-        if (debugToggle) {
-            debugToggle.addEventListener('change', (e) => {
-                toggleDebugMode(e.target.checked);
-            });
-        }
-        
-        const resetCameraBtn = document.getElementById('resetCameraBtn');
-        if (resetCameraBtn) {
-            resetCameraBtn.addEventListener('click', () => {
-                if (window.resetCamera) {
-                    window.resetCamera();
-                }
-            });
+    document.getElementById('referenceFirstToggle').addEventListener('change', (e) => {
+        state.earSettings.referenceFirst = e.target.checked;
+        saveSettingsToCookies();
+    });
+
+    document.getElementById('startGameBtn').addEventListener('click', () => {
+        // Check that the window has at least one enabled fret
+        if (getEarWindowPositions().length === 0) {
+            showFeedback('error', 'Every fret in this window is disabled!');
+            return;
         }
+        startEarTrainingGameFromSettings();
+    });
+}
+
+function formatEarReference(question) {
+    return question.reference
+        ? `Reference: ${formatPitch(question.reference.pitch)} (highlighted)`
+        : 'Find the exact pitch you hear';
+}
+
+function renderEarTrainingGame() {
+    renderGameScreen('earTraining', `
+        <div>
+            <div class="target-note">?</div>
+            <div class="progress-info ear-reference">${formatEarReference(state.targetEar)}</div>
+            <button class="replay-btn" id="replayBtn">▶ Replay</button>
+        </div>
+    `);
+
+    document.getElementById('replayBtn').addEventListener('click', playEarQuestion);
+}
+
+/**
+ * Play the current ear training question: the reference note (if any), then the hidden pitch
+ */
+function playEarQuestion() {
+    const question = state.targetEar;
+    const playTarget = () => {
+        // Skip if the question changed or the player left in the meantime
+        if (state.targetEar !== question || state.currentScreen !== 'earTraining') return;
+        playGuitarTone(getFrequencyAt(question.position.string, question.position.fret));
+    };
+
+    if (question.reference) {
+        playGuitarTone(getFrequencyAt(question.reference.string, question.reference.fret));
+        setTimeout(playTarget, 1200);
+    } else {
+        playTarget();
+    }
+}
+
+function nextEarTrainingQuestion() {
+    state.targetEar = getRandomEarQuestion();
+    document.querySelector('.target-note').textContent = '?';
+    document.querySelector('.ear-reference').textContent = formatEarReference(state.targetEar);
+    clearPositionFeedback();
+    highlightReferencePosition(state.targetEar.reference);
+    refreshFretboard2D();
+    playEarQuestion();
+}
+
+function startNameNoteGame() {
+    if (getEnabledPositions().length === 0) {
+        showFeedback('error', 'Every fret is disabled!');
+        return;
     }
+    state.currentScreen = 'nameNote';
+    setupNameNoteQuestion();
+    state.score = 0;
+    state.errors = 0;
+    state.isFirstQuestion = true; // Reset to first question for new game
+    state.showSolution = false; // Reset solution display
+    renderNameNoteGame();
+}
+
+function setupNameNoteQuestion() {
+    const position = getRandomPosition();
+    state.namePosition = {
+        ...position,
+        note: getNoteAt(position.string, position.fret),
+        answered: false
+    };
+}
+
+/**
+ * On-screen note pad: one key per pitch class, labelled following the accidentals preference
+ */
+function renderNotePad() {
+    return NOTES.map((note, pitchClass) => `
+        <button class="note-pad-key" data-pitch-class="${pitchClass}">${formatNoteName(note)}</button>
+    `).join('');
+}
+
+function renderNameNoteGame() {
+    renderGameScreen('nameNote', `
+        <div>
+            <div class="target-note">?</div>
+            <div class="progress-info">Name the highlighted note</div>
+            <div class="note-pad">${renderNotePad()}</div>
+            <div class="note-pad-help">Keyboard: A-G, hold Shift for sharp or Alt for flat</div>
+        </div>
+    `);
+
+    attachNotePadListeners();
+}
+
+/**
+ * Send note pad clicks to the current mode's note answer handler
+ */
+function attachNotePadListeners() {
+    document.querySelectorAll('.note-pad-key[data-pitch-class]').forEach(key => {
+        key.addEventListener('click', () => {
+            GAME_MODES[state.currentScreen].onNoteAnswer(parseInt(key.dataset.pitchClass));
+        });
+    });
+}
 
-    // Initialize based on view mode
-    const container = document.getElementById('threeContainer');
-    if (state.viewMode === '2d') {
-        // Use 2D view directly
-        fallbackToCSS(container, 'singleNote');
-    } else {
-        // Try 3D view
-        if (initThreeJS(container)) {
-            loadGuitarModel().then(() => {
-                setupFretClickHandler();
-            }).catch(error => {
-                showFeedback('error', 'Failed to load 3D model. Using 2D view.');
-                fallbackToCSS(container, 'singleNote');
-            });
-        } else {
-            fallbackToCSS(container, 'singleNote');
-        }
+function nextNameNoteQuestion() {
+    setupNameNoteQuestion();
+    document.querySelector('.target-note').textContent = '?';
+    document.querySelectorAll('.note-pad-key').forEach(key => {
+        key.classList.remove('correct', 'wrong');
+    });
+    clearPositionFeedback();
+    highlightReferencePosition(state.namePosition);
+    refreshFretboard2D();
+}
+
+function startFretColumnGame() {
+    if (getEnabledPositions().length === 0) {
+        showFeedback('error', 'Every fret is disabled!');
+        return;
     }
-    
-    // Initialize timer display correctly
-    const timerElement = document.querySelector('.timer-display');
-    if (timerElement && state.timeLimit === 0) {
-        timerElement.textContent = 'Time: None';
+    state.currentScreen = 'fretColumn';
+    setupFretColumnQuestion();
+    state.score = 0;
+    state.errors = 0;
+    state.isFirstQuestion = true; // Reset to first question for new game
+    state.showSolution = false; // Reset solution display
+    renderFretColumnGame();
+}
+
+/**
+ * Pick an enabled fret to name the notes of, starting from the top string (the game only
+ * starts when there is one)
+ */
+function setupFretColumnQuestion() {
+    const frets = [];
+    for (let fretIndex = getFirstFret(); fretIndex < numFrets; fretIndex++) {
+        if (!isFretDisabled(fretIndex)) frets.push(fretIndex);
     }
-    
-    // Reset timer started flag - timer will start on first click
-    state.timerStarted = false;
-    
-    // Show timer but don't start it yet
-    if (state.enableTimeLimit && state.timeLimit > 0) {
-        if (timerElement) {
-            timerElement.style.display = 'block';
-            timerElement.textContent = `Time: ${state.timeLimit}s`;
-        }
+    state.targetColumn = {
+        fret: frets[Math.floor(Math.random() * frets.length)],
+        step: 0,
+        answerTimes: []
+    };
+}
+
+/**
+ * Every position of the fret under test, from the top string down
+ */
+function getFretColumnPositions() {
+    return stringTuning.map((openString, stringIndex) => ({ string: stringIndex, fret: state.targetColumn.fret }));
+}
+
+/**
+ * Highlight the strings of the column that are still to be named on the 3D hitboxes
+ */
+function highlightFretColumn() {
+    highlightReferencePositions(getFretColumnPositions().slice(state.targetColumn.step));
+}
+
+function formatFretColumnPrompt() {
+    const column = state.targetColumn;
+    if (column.step >= stringTuning.length) {
+        return `Fret ${column.fret} done`;
     }
+    return `Fret ${column.fret}, string ${column.step + 1} of ${stringTuning.length}`;
 }
 
-function renderFindAllGame() {
+/**
+ * Last and average answer time of the current column, e.g. "Last: 1.4s - Average: 2.1s"
+ */
+function formatFretColumnTimes() {
+    const times = state.targetColumn.answerTimes;
+    if (times.length === 0) return 'Name each note as fast as you can';
+    const average = times.reduce((sum, time) => sum + time, 0) / times.length;
+    return `Last: ${times[times.length - 1].toFixed(1)}s - Average: ${average.toFixed(1)}s`;
+}
+
+function renderFretColumnGame() {
+    renderGameScreen('fretColumn', `
+        <div>
+            <div class="target-note fret-column-prompt">${formatFretColumnPrompt()}</div>
+            <div class="progress-info fret-column-times">${formatFretColumnTimes()}</div>
+            <div class="note-pad">${renderNotePad()}</div>
+            <div class="note-pad-help">Keyboard: A-G, hold Shift for sharp or Alt for flat</div>
+        </div>
+    `);
+
+    attachNotePadListeners();
+}
+
+function updateFretColumnDisplay() {
+    document.querySelector('.fret-column-prompt').textContent = formatFretColumnPrompt();
+    document.querySelector('.fret-column-times').textContent = formatFretColumnTimes();
+}
+
+function nextFretColumnQuestion() {
+    setupFretColumnQuestion();
+    updateFretColumnDisplay();
+    clearPositionFeedback();
+    highlightFretColumn();
+    refreshFretboard2D();
+}
+
+function startIntervalsGame() {
+    state.currentScreen = 'intervalsSettings';
+    renderIntervalsSettings();
+}
+
+function startIntervalsGameFromSettings() {
+    state.currentScreen = 'intervals';
+    state.targetInterval = getRandomIntervalQuestion();
+    state.score = 0;
+    state.errors = 0;
+    state.isFirstQuestion = true; // Reset to first question for new game
+    state.showSolution = false; // Reset solution display
+    renderIntervalsGame();
+}
+
+function renderIntervalsSettings() {
     const app = document.getElementById('app');
-    const found = state.foundPositions.length;
-    const total = state.allPositions.length;
 
     app.innerHTML = `
-        <div class="game-screen">
-            <button class="exit-btn" id="exitBtn">← Exit</button>
-            <button class="solution-btn" id="solutionBtn">Solution</button>
-            <div class="game-header">
-                <div>
-                    <div class="target-note">${state.targetNote}</div>
-                    <div class="progress-info">Found: ${found} / ${total}</div>
-                </div>
-                <div class="score-container">
-                    <div class="timer-display" style="display: ${state.enableTimeLimit && state.timeLimit > 0 ? 'block' : 'none'}">Time: ${state.enableTimeLimit && state.timeLimit > 0 ? state.timeRemaining + 's' : 'None'}</div>
-                    <div class="score">Score: ${state.score}</div>
-                    <div class="errors">Errors: ${state.errors}</div>
-                </div>
-            </div>
-            ${state.viewMode === '3d' ? `
-                <div class="debug-toggle-container">
-                    <div class="debug-toggle-controls">
-                        <label class="debug-toggle-label">
-                            <span class="debug-toggle-text">Rotation:</span>
-                            <div class="view-toggle-switch">
-                                <input type="checkbox" id="rotationToggle" ${state.rotationEnabled ? 'checked' : ''}>
-                                <span class="toggle-slider">
-                                    <span class="toggle-label-left">Off</span>
-                                    <span class="toggle-label-right">On</span>
-                                </span>
-                            </div>
-                        </label>
-                        <label class="debug-toggle-label">
-                            <span class="debug-toggle-text">Debug Info:</span>
-                            <div class="view-toggle-switch">
-                                <input type="checkbox" id="debugToggle" ${state.showDebug ? 'checked' : ''}>
-                                <span class="toggle-slider">
-                                    <span class="toggle-label-left">Off</span>
-                                    <span class="toggle-label-right">On</span>
-                                </span>
-                            </div>
+        <div class="menu-screen">
+            <button class="exit-btn" id="exitBtn">← Back</button>
+            <h1 class="title">Interval Settings</h1>
+            <p class="subtitle">Choose which intervals and directions to practice</p>
+            <div class="settings-container triads-settings">
+                ${Object.entries(INTERVALS).map(([key, interval]) => `
+                    <div class="setting-item">
+                        <label class="setting-label">
+                            <input type="checkbox" id="interval-${key}" ${state.intervalSettings[key] ? 'checked' : ''}>
+                            <span class="checkbox-custom"></span>
+                            <span class="setting-name">${interval.name}</span>
                         </label>
-                        <button class="reset-camera-btn" id="resetCameraBtn" title="Reset camera to default position">↻ Reset</button>
                     </div>
-                    <div class="controls-help-text" id="rotationHelpText" style="display: ${state.rotationEnabled ? 'block' : 'none'};">
-                        Drag to rotate. Hold Shift and drag to pan.
+                `).join('')}
+                ${['above', 'below'].map(direction => `
+                    <div class="setting-item">
+                        <label class="setting-label">
+                            <input type="checkbox" id="direction-${direction}" ${state.intervalDirections[direction] ? 'checked' : ''}>
+                            <span class="checkbox-custom"></span>
+                            <span class="setting-name">${direction === 'above' ? 'Above' : 'Below'}</span>
+                        </label>
                     </div>
-                </div>
-            ` : ''}
-            <div class="fretboard-container" id="threeContainer"></div>
+                `).join('')}
+            </div>
+            <button class="start-game-btn" id="startGameBtn">Start Game</button>
         </div>
     `;
 
     document.getElementById('exitBtn').addEventListener('click', () => {
-        clearTimer();
         state.currentScreen = 'menu';
-        state.showSolution = false;
-        cleanupThreeJS();
         renderMenu();
     });
-    
-    // Setup solution button
-    const solutionBtn = document.getElementById('solutionBtn');
-    if (solutionBtn) {
-        solutionBtn.addEventListener('click', () => {
-            showSolution();
+
+    // Add change listeners to checkboxes
+    Object.keys(INTERVALS).forEach(key => {
+        document.getElementById(`interval-${key}`).addEventListener('change', (e) => {
+            state.intervalSettings[key] = e.target.checked;
+            saveSettingsToCookies();
         });
-    }
+    });
+    ['above', 'below'].forEach(direction => {
+        document.getElementById(`direction-${direction}`).addEventListener('change', (e) => {
+            state.intervalDirections[direction] = e.target.checked;
+            saveSettingsToCookies();
+        });
+    });
 
-    // Setup rotation toggle, debug toggle and reset button (only for 3D view)
-    if (state.viewMode === '3d') {
-        const rotationToggle = document.getElementById('rotationToggle');
-        if (rotationToggle) {
-            rotationToggle.addEventListener('change', (e) => {
-                toggleRotation(e.target.checked);
-            });
+    document.getElementById('startGameBtn').addEventListener('click', () => {
+        // Check that at least one interval and one direction are enabled
+        if (!Object.keys(INTERVALS).some(key => state.intervalSettings[key])) {
+            showFeedback('error', 'Please select at least one interval!');
+            return;
         }
-        
-        const debugToggle = document.getElementById('debugToggle');
-        if (debugToggle) {
-            debugToggle.addEventListener('change', (e) => {
-                toggleDebugMode(e.target.checked);
-            });
+        if (!state.intervalDirections.above && !state.intervalDirections.below) {
+            showFeedback('error', 'Please select at least one direction!');
+            return;
         }
-        
-        const resetCameraBtn = document.getElementById('resetCameraBtn');
-        if (resetCameraBtn) {
-            resetCameraBtn.addEventListener('click', () => {
-                if (window.resetCamera) {
-                    window.resetCamera();
-                }
-            });
+        // Check that some interval fits between two enabled frets
+        if (!getRandomIntervalQuestion()) {
+            showFeedback('error', 'No interval fits on the enabled frets!');
+            return;
         }
-    }
+        startIntervalsGameFromSettings();
+    });
+}
 
-    // Initialize based on view mode
-    const container = document.getElementById('threeContainer');
-    if (state.viewMode === '2d') {
-        // Use 2D view directly
-        fallbackToCSS(container, 'findAll');
-    } else {
-        // Try 3D view
-        if (initThreeJS(container)) {
-            loadGuitarModel().then(() => {
-                setupFretClickHandler();
-            }).catch(error => {
-                showFeedback('error', 'Failed to load 3D model. Using 2D view.');
-                fallbackToCSS(container, 'findAll');
-            });
-        } else {
-            fallbackToCSS(container, 'findAll');
-        }
-    }
-    
-    // Initialize timer display correctly
-    const timerElement = document.querySelector('.timer-display');
-    if (timerElement && state.timeLimit === 0) {
-        timerElement.textContent = 'Time: None';
-    }
-    
-    // Reset timer started flag - timer will start on first click
-    state.timerStarted = false;
-    
-    // Show timer but don't start it yet
-    if (state.enableTimeLimit && state.timeLimit > 0) {
-        if (timerElement) {
-            timerElement.style.display = 'block';
-            timerElement.textContent = `Time: ${state.timeLimit}s`;
-        }
-    }
+/**
+ * Question text for the intervals mode, e.g. "Minor 6th above C"
+ */
+function formatIntervalQuestion(question) {
+    return `${INTERVALS[question.interval].name} ${question.direction} ${question.referenceNote}`;
 }
 
-/* ========================================
-   GAME LOGIC FUNCTIONS
-   ======================================== */
-function startSingleNoteGame() {
-    state.currentScreen = 'singleNote';
-    state.targetNote = getRandomNote();
-    state.score = 0;
-    state.errors = 0;
-    state.isFirstQuestion = true; // Reset to first question for new game
-    state.showSolution = false; // Reset solution display
-    renderSingleNoteGame();
+function renderIntervalsGame() {
+    renderGameScreen('intervals', `
+        <div>
+            <div class="target-note interval-question">${formatIntervalQuestion(state.targetInterval)}</div>
+            <div class="progress-info">From the highlighted note, on any string</div>
+        </div>
+    `);
 }
 
-function startFindAllGame() {
-    state.currentScreen = 'findAll';
-    state.targetNote = getRandomNote();
-    state.allPositions = getAllPositions(state.targetNote);
-    state.foundPositions = [];
+function nextIntervalQuestion() {
+    state.targetInterval = getRandomIntervalQuestion();
+    document.querySelector('.interval-question').textContent = formatIntervalQuestion(state.targetInterval);
+    clearPositionFeedback();
+    highlightReferencePosition(state.targetInterval.reference);
+    refreshFretboard2D();
+}
+
+function startVoicingsGame() {
+    const voicing = getRandomVoicing();
+    if (!voicing) {
+        showFeedback('error', 'No triad voicing fits on the enabled frets!');
+        return;
+    }
+    state.currentScreen = 'voicings';
+    state.targetVoicing = voicing;
+    state.voicingPositions = [];
     state.score = 0;
     state.errors = 0;
     state.isFirstQuestion = true; // Reset to first question for new game
     state.showSolution = false; // Reset solution display
-    renderFindAllGame();
+    renderVoicingsGame();
+}
+
+function renderVoicingsGame() {
+    const voicing = state.targetVoicing;
+
+    renderGameScreen('voicings', `
+        <div>
+            <div class="triad-title">${voicing.triad.root} ${voicing.triad.typeName}</div>
+            <div class="progress-info voicing-info">${INVERSION_NAMES[voicing.inversion]}, ${formatStringSet(voicing.strings)}</div>
+            <div class="triad-notes">${renderTriadNoteChips(voicing.triad, getPlacedVoicingNotes())}</div>
+        </div>
+    `);
+}
+
+function renderVoicingsGameUpdate() {
+    const voicing = state.targetVoicing;
+
+    document.querySelector('.triad-title').textContent = `${voicing.triad.root} ${voicing.triad.typeName}`;
+    document.querySelector('.voicing-info').textContent = `${INVERSION_NAMES[voicing.inversion]}, ${formatStringSet(voicing.strings)}`;
+    document.querySelector('.triad-notes').innerHTML = renderTriadNoteChips(voicing.triad, getPlacedVoicingNotes());
+}
+
+/**
+ * Chord tones placed so far in the voicing drill
+ */
+function getPlacedVoicingNotes() {
+    const voicing = state.targetVoicing;
+    return state.voicingPositions.map(pos => voicing.triad.notes[getVoicingToneIndex(voicing, pos.string)]);
+}
+
+function nextVoicingQuestion() {
+    state.targetVoicing = getRandomVoicing();
+    state.voicingPositions = [];
+    renderVoicingsGameUpdate();
+    clearPositionFeedback();
+    refreshFretboard2D();
 }
 
 /* ========================================
    THREE.JS CLICK HANDLERS
    ======================================== */
 function handleSingleNoteClick(stringIndex, fretIndex, note) {
+    if (state.singleNoteAnswered) return;
+
     // Start timer on first click
     startTimerOnFirstClick();
     
@@ -3366,7 +7237,12 @@ function handleSingleNoteClick(stringIndex, fretIndex, note) {
     // Play sound
     playGuitarTone(frequency);
 
-    if (note === state.targetNote) {
+    const isCorrect = isSingleNoteAnswer(stringIndex, note);
+    recordPracticeAnswer(state.targetNote, { string: stringIndex, fret: fretIndex }, isCorrect);
+    logAnswer(stringIndex, fretIndex, isCorrect);
+
+    if (isCorrect) {
+        state.singleNoteAnswered = true;
         // Correct answer - highlight the zone temporarily
         const zone = fretZones.find(z =>
             z.userData.stringIndex === stringIndex &&
@@ -3386,10 +7262,7 @@ function handleSingleNoteClick(stringIndex, fretIndex, note) {
         }
 
         showFeedback('success', 'Correct! Great job!');
-        state.score += 1;
-
-        // Update score display
-        updateScoreDisplay();
+        scoreQuestion();
 
         // Clear timer and auto-advance to next note
         clearTimer();
@@ -3398,8 +7271,11 @@ function handleSingleNoteClick(stringIndex, fretIndex, note) {
         const wasShowingSolution = state.showSolution;
         state.showSolution = false; // Reset solution display
         setTimeout(() => {
-            state.targetNote = getRandomNote();
-            document.querySelector('.target-note').textContent = state.targetNote;
+            // Skip if the player left the game in the meantime
+            if (state.currentScreen !== 'singleNote') return;
+            setupSingleNoteQuestion();
+            updateSingleNoteDisplay();
+            startQuestionClock();
             // Update solution display if it was showing
             if (wasShowingSolution) {
                 state.showSolution = true;
@@ -3436,9 +7312,24 @@ function handleSingleNoteClick(stringIndex, fretIndex, note) {
                 zone.userData.originalOpacity = zone.material.opacity;
             }, 1000);
         }
-        state.errors += 1;
-        updateErrorsDisplay();
-        showFeedback('error', `Incorrect. That was ${note}. Try again!`);
+        addError();
+        showSingleNoteError(note);
+    }
+}
+
+/**
+ * Single Note: the right note, on the target string when the question names one
+ */
+function isSingleNoteAnswer(stringIndex, note) {
+    const onTargetString = state.targetString === null || stringIndex === state.targetString;
+    return onTargetString && notesMatch(note, state.targetNote);
+}
+
+function showSingleNoteError(note) {
+    if (notesMatch(note, state.targetNote)) {
+        showFeedback('error', `Right note, wrong string. Find ${state.targetNote} on ${formatStringName(state.targetString)}.`);
+    } else {
+        showFeedback('error', `Incorrect. That was ${formatNoteName(note)}. Try again!`);
     }
 }
 
@@ -3458,9 +7349,11 @@ function handleFindAllClick(stringIndex, fretIndex, note) {
     const frequency = getFrequencyAt(stringIndex, fretIndex);
     playGuitarTone(frequency);
 
-    if (note === state.targetNote) {
+    if (notesMatch(note, state.targetNote)) {
         // Correct position
         state.foundPositions.push({ string: stringIndex, fret: fretIndex });
+        recordPracticeAnswer(state.targetNote, { string: stringIndex, fret: fretIndex }, true);
+        logAnswer(stringIndex, fretIndex, true);
 
         // Highlight the zone permanently (green for correct)
         const zone = fretZones.find(z =>
@@ -3481,8 +7374,7 @@ function handleFindAllClick(stringIndex, fretIndex, note) {
         } else {
             // All found!
             showFeedback('success', `Awesome! You found all ${state.targetNote}'s!`);
-            state.score += 10;
-            updateScoreDisplay();
+            scoreQuestion();
 
             // Clear timer and auto-advance to next note
             clearTimer();
@@ -3491,6 +7383,8 @@ function handleFindAllClick(stringIndex, fretIndex, note) {
             const wasShowingSolution = state.showSolution;
             state.showSolution = false; // Reset solution display
             setTimeout(() => {
+                // Skip if the player left the game in the meantime
+                if (state.currentScreen !== 'findAll') return;
                 state.targetNote = getRandomNote();
                 state.allPositions = getAllPositions(state.targetNote);
                 state.foundPositions = [];
@@ -3504,6 +7398,7 @@ function handleFindAllClick(stringIndex, fretIndex, note) {
 
                 document.querySelector('.target-note').textContent = state.targetNote;
                 document.querySelector('.progress-info').textContent = `Found: 0 / ${state.allPositions.length}`;
+                startQuestionClock();
                 // Update solution display if it was showing
                 if (wasShowingSolution) {
                     state.showSolution = true;
@@ -3541,9 +7436,10 @@ function handleFindAllClick(stringIndex, fretIndex, note) {
                 zone.userData.originalOpacity = zone.material.opacity;
             }, 1000);
         }
-        state.errors += 1;
-        updateErrorsDisplay();
-        showFeedback('error', `Oops, that's a ${note}. Keep looking for ${state.targetNote}.`);
+        recordPracticeAnswer(state.targetNote, { string: stringIndex, fret: fretIndex }, false);
+        logAnswer(stringIndex, fretIndex, false);
+        addError();
+        showFeedback('error', `Oops, that's a ${formatNoteName(note)}. Keep looking for ${state.targetNote}.`);
     }
 }
 
@@ -3555,12 +7451,15 @@ function handleTriadClick(stringIndex, fretIndex, note) {
     playGuitarTone(frequency);
 
     const triad = state.targetTriad;
+    // The triad's own spelling of the clicked note (undefined if it's not a chord tone)
+    const triadNote = triad.notes.find(n => notesMatch(n, note));
 
         // Check if this note is part of the triad
-        if (triad.notes.includes(note)) {
+        if (triadNote) {
             // Check if we already clicked this note
-            if (!state.clickedTriadNotes.includes(note)) {
-                state.clickedTriadNotes.push(note);
+            if (!state.clickedTriadNotes.includes(triadNote)) {
+                state.clickedTriadNotes.push(triadNote);
+                logAnswer(stringIndex, fretIndex, true);
                 state.clickedTriadPositions.push({ string: stringIndex, fret: fretIndex });
 
                 // Highlight the zone (green for correct)
@@ -3583,11 +7482,17 @@ function handleTriadClick(stringIndex, fretIndex, note) {
                 }
 
             // Check if all notes are clicked
-            if (state.clickedTriadNotes.length === 3) {
+            if (state.clickedTriadNotes.length === triad.notes.length) {
+                recordPracticeAnswer(triad.root, null, true, getQuestionMs());
+            }
+            const onTriadComplete = GAME_MODES[state.currentScreen].onTriadComplete;
+            if (state.clickedTriadNotes.length === triad.notes.length && onTriadComplete) {
+                // Modes built on the triad check decide what comes next
+                onTriadComplete();
+            } else if (state.clickedTriadNotes.length === triad.notes.length) {
                 // All notes found!
                 showFeedback('success', 'Perfect! All notes found!');
-                state.score += 1;
-                updateScoreDisplay();
+                scoreQuestion();
 
                 // Clear timer and auto-advance to next triad
                 clearTimer();
@@ -3596,6 +7501,8 @@ function handleTriadClick(stringIndex, fretIndex, note) {
                 const wasShowingSolution = state.showSolution;
                 state.showSolution = false; // Reset solution display
                 setTimeout(() => {
+                    // Skip if the player left the game in the meantime
+                    if (state.currentScreen !== 'triads') return;
                     state.targetTriad = getRandomTriad();
                     state.clickedTriadNotes = [];
                     state.clickedTriadPositions = [];
@@ -3620,6 +7527,7 @@ function handleTriadClick(stringIndex, fretIndex, note) {
 
                     // Update UI (we need to re-render the triad display)
                     renderTriadsGameUpdate();
+                    startQuestionClock();
                     // Update solution display if it was showing
                     if (wasShowingSolution) {
                         state.showSolution = true;
@@ -3638,13 +7546,13 @@ function handleTriadClick(stringIndex, fretIndex, note) {
                     }
                 }, 2000);
             } else {
-                const remaining = 3 - state.clickedTriadNotes.length;
+                const remaining = triad.notes.length - state.clickedTriadNotes.length;
                 showFeedback('success', `Good! ${remaining} more note${remaining > 1 ? 's' : ''} to go.`);
                 renderTriadsGameUpdate();
             }
         } else {
             // Note already clicked
-            showFeedback('error', `You already found ${note}.`);
+            showFeedback('error', `You already found ${triadNote}.`);
         }
     } else {
         // Wrong note - show red feedback
@@ -3665,21 +7573,27 @@ function handleTriadClick(stringIndex, fretIndex, note) {
                 zone.userData.originalOpacity = zone.material.opacity;
             }, 1000);
         }
-        state.errors += 1;
-        updateErrorsDisplay();
-        showFeedback('error', `That's ${note}, not part of the ${triad.root} ${triad.typeName} triad.`);
-    }
-}
-
-
-
-
+        recordPracticeAnswer(triad.root, null, false);
+        logAnswer(stringIndex, fretIndex, false);
+        addError();
+        showFeedback('error', `That's ${formatNoteName(note)}, not part of the ${triad.root} ${triad.typeName} chord.`);
+    }
+}
 
 function startTriadsGame() {
     state.currentScreen = 'triadsSettings';
     renderTriadsSettings();
 }
 
+// On/off options under the chord types: [toggle id, label, key of the boolean in state]
+const TRIAD_SETTINGS_TOGGLES = [
+    ['showRootNoteToggle', 'Show Root Note', 'showTriadRootNote']
+];
+const CHORD_EAR_SETTINGS_TOGGLES = [
+    ['brokenChordToggle', 'Broken Chords', 'chordEarBroken'],
+    ['findVoicingToggle', 'Find It on the Neck', 'chordEarFindVoicing']
+];
+
 function startTriadsGameFromSettings() {
     state.currentScreen = 'triads';
     state.targetTriad = getRandomTriad();
@@ -3702,271 +7616,821 @@ function startTriadsGameFromSettings() {
     renderTriadsGame();
 }
 
-function renderTriadsSettings() {
+/**
+ * Chord type settings screen, shared by the modes that practise TRIAD_TYPES chords
+ */
+function renderTriadsSettings(title = 'Chord Triads Settings', toggles = TRIAD_SETTINGS_TOGGLES, onStart = startTriadsGameFromSettings) {
     const app = document.getElementById('app');
     const settings = state.triadSettings;
 
     app.innerHTML = `
         <div class="menu-screen">
             <button class="exit-btn" id="exitBtn">← Back</button>
-            <h1 class="title">Chord Triads Settings</h1>
+            <h1 class="title">${title}</h1>
             <p class="subtitle">Choose which chord types to practice</p>
             <div class="settings-container triads-settings">
-                <div class="setting-item">
-                    <label class="setting-label">
-                        <input type="checkbox" id="setting-major" ${settings.major ? 'checked' : ''}>
-                        <span class="checkbox-custom"></span>
-                        <span class="setting-name">Major</span>
-                    </label>
-                </div>
-                <div class="setting-item">
-                    <label class="setting-label">
-                        <input type="checkbox" id="setting-minor" ${settings.minor ? 'checked' : ''}>
-                        <span class="checkbox-custom"></span>
-                        <span class="setting-name">Minor</span>
-                    </label>
-                </div>
-                <div class="setting-item">
-                    <label class="setting-label">
-                        <input type="checkbox" id="setting-diminished" ${settings.diminished ? 'checked' : ''}>
-                        <span class="checkbox-custom"></span>
-                        <span class="setting-name">Diminished</span>
-                    </label>
-                </div>
-                <div class="setting-item">
-                    <label class="setting-label">
-                        <input type="checkbox" id="setting-augmented" ${settings.augmented ? 'checked' : ''}>
-                        <span class="checkbox-custom"></span>
-                        <span class="setting-name">Augmented</span>
-                    </label>
-                </div>
-                <div class="view-toggle-container">
-                    <label class="view-toggle-label">
-                        <span class="view-toggle-text">Show Root Note:</span>
-                        <div class="view-toggle-switch">
-                            <input type="checkbox" id="showRootNoteToggle" ${state.showTriadRootNote ? 'checked' : ''}>
-                            <span class="toggle-slider">
-                                <span class="toggle-label-left">Off</span>
-                                <span class="toggle-label-right">On</span>
-                            </span>
-                        </div>
-                    </label>
-                </div>
+                ${Object.entries(TRIAD_TYPES).map(([type, chordDef]) => `
+                    <div class="setting-item">
+                        <label class="setting-label">
+                            <input type="checkbox" id="setting-${type}" ${settings[type] ? 'checked' : ''}>
+                            <span class="checkbox-custom"></span>
+                            <span class="setting-name">${chordDef.name}</span>
+                        </label>
+                    </div>
+                `).join('')}
+                ${toggles.map(([id, label, key]) => `
+                    <div class="view-toggle-container">
+                        <label class="view-toggle-label">
+                            <span class="view-toggle-text">${label}:</span>
+                            <div class="view-toggle-switch">
+                                <input type="checkbox" id="${id}" ${state[key] ? 'checked' : ''}>
+                                <span class="toggle-slider">
+                                    <span class="toggle-label-left">Off</span>
+                                    <span class="toggle-label-right">On</span>
+                                </span>
+                            </div>
+                        </label>
+                    </div>
+                `).join('')}
             </div>
             <button class="start-game-btn" id="startGameBtn">Start Game</button>
         </div>
     `;
 
-    document.getElementById('exitBtn').addEventListener('click', () => {
-        state.currentScreen = 'menu';
-        renderMenu();
-    });
+    document.getElementById('exitBtn').addEventListener('click', () => {
+        state.currentScreen = 'menu';
+        renderMenu();
+    });
+
+    // Add change listeners to checkboxes
+    Object.keys(TRIAD_TYPES).forEach(type => {
+        const checkbox = document.getElementById(`setting-${type}`);
+        checkbox.addEventListener('change', (e) => {
+            state.triadSettings[type] = e.target.checked;
+            saveSettingsToCookies();
+        });
+    });
+
+    // Add change listeners for the mode's toggles
+    toggles.forEach(([id, label, key]) => {
+        document.getElementById(id).addEventListener('change', (e) => {
+            state[key] = e.target.checked;
+            saveSettingsToCookies();
+        });
+    });
+
+    document.getElementById('startGameBtn').addEventListener('click', () => {
+        // Check if at least one type is enabled
+        const hasEnabled = Object.keys(TRIAD_TYPES).some(type => state.triadSettings[type]);
+        if (!hasEnabled) {
+            showFeedback('error', 'Please select at least one chord type!');
+            return;
+        }
+        onStart();
+    });
+}
+
+/**
+ * Progress chips for the target chord: one per chord tone, with its label (R, 3, b7, ...)
+ */
+function renderTriadNoteChips(triad, foundNotes = state.clickedTriadNotes) {
+    return triad.notes.map((note, index) => {
+        const isClicked = foundNotes.includes(note);
+        return `
+            <span class="triad-note ${isClicked ? 'clicked' : ''}">
+                ${note}<span class="triad-note-tone">${triad.tones[index]}</span>
+            </span>
+        `;
+    }).join('');
+}
+
+function renderTriadsGame() {
+    const triad = state.targetTriad;
+
+    renderGameScreen('triads', `
+        <div>
+            <div class="triad-title">${triad.root} ${triad.typeName}</div>
+            <div class="triad-notes">${renderTriadNoteChips(triad)}</div>
+        </div>
+    `);
+}
+
+function renderTriadsGameUpdate() {
+    const triad = state.targetTriad;
+
+    // Update the notes display
+    const notesContainer = document.querySelector('.triad-notes');
+    if (notesContainer) {
+        notesContainer.innerHTML = renderTriadNoteChips(triad);
+    }
+
+    // Update title if changed (new round)
+    const titleEl = document.querySelector('.triad-title');
+    if (titleEl) {
+        titleEl.textContent = `${triad.root} ${triad.typeName}`;
+    }
+}
+
+/**
+ * Exact pitch mode: only the target pitch at the right octave counts (any of its unisons)
+ */
+function handleExactPitchClick(stringIndex, fretIndex, note) {
+    const target = state.targetPitch;
+    if (target.answered) return;
+
+    // Start timer on first click
+    startTimerOnFirstClick();
+
+    playGuitarTone(getFrequencyAt(stringIndex, fretIndex));
+
+    const clickedMidi = getMidiAt(stringIndex, fretIndex);
+
+    if (clickedMidi === target.midi) {
+        target.answered = true;
+        logAnswer(stringIndex, fretIndex, true);
+        showPositionFeedback(stringIndex, fretIndex, true);
+        showFeedback('success', `Correct! That's ${formatPitch(target)}.`);
+        scoreQuestion();
+        scheduleNextQuestion(nextExactPitchQuestion, 1500);
+    } else {
+        logAnswer(stringIndex, fretIndex, false);
+        showPositionFeedback(stringIndex, fretIndex, false);
+        addError();
+        if (notesMatch(note, target.note)) {
+            showFeedback('error', `Right note, wrong octave. That was ${formatPitchName(clickedMidi)}.`);
+        } else {
+            showFeedback('error', `Incorrect. That was ${formatPitchName(clickedMidi)}. Try again!`);
+        }
+    }
+}
+
+/**
+ * Chord ear training: check the chord quality picked on the answer pad
+ */
+function handleChordQualityAnswer(type) {
+    const question = state.targetChordEar;
+    if (!question || question.stage !== 'quality') return;
+
+    // Start timer on first answer
+    startTimerOnFirstClick();
+
+    const key = document.querySelector(`.chord-quality-pad .note-pad-key[data-chord-type="${type}"]`);
+
+    if (type === question.triad.type) {
+        key.classList.add('correct');
+        countCorrectAnswer();
+        showChordEarVoicingStage();
+        if (state.chordEarFindVoicing) {
+            showFeedback('success', `Correct! It's ${question.triad.typeName}. Now find it on the neck.`);
+        } else {
+            question.stage = 'done';
+            showFeedback('success', `Correct! It's ${question.triad.typeName}.`);
+            scoreQuestion();
+            scheduleNextQuestion(nextChordEarQuestion, 2000);
+        }
+    } else {
+        key.classList.add('wrong');
+        setTimeout(() => key.classList.remove('wrong'), 1000);
+        addError();
+        showFeedback('error', `Not ${TRIAD_TYPES[type].name}. Listen again!`);
+    }
+}
+
+/**
+ * Chord ear training: once the quality is named, every chord tone must be found on the neck
+ */
+function handleChordEarClick(stringIndex, fretIndex, note) {
+    const question = state.targetChordEar;
+    playGuitarTone(getFrequencyAt(stringIndex, fretIndex));
+
+    if (question.stage === 'quality') {
+        showFeedback('error', 'Name the chord quality first.');
+        return;
+    }
+    if (question.stage !== 'voicing') return;
+
+    // Start timer on first click
+    startTimerOnFirstClick();
+
+    const triad = question.triad;
+    const chordNote = triad.notes.find(n => notesMatch(n, note));
+    if (!chordNote) {
+        logAnswer(stringIndex, fretIndex, false);
+        showPositionFeedback(stringIndex, fretIndex, false);
+        addError();
+        showFeedback('error', `That's ${formatNoteName(note)}, not part of the ${triad.root} ${triad.typeName} chord.`);
+        return;
+    }
+
+    if (state.clickedTriadNotes.includes(chordNote)) {
+        showFeedback('error', `You already found ${chordNote}.`);
+        return;
+    }
+
+    state.clickedTriadNotes.push(chordNote);
+    state.foundPositions.push({ string: stringIndex, fret: fretIndex });
+    logAnswer(stringIndex, fretIndex, true);
+    showPositionFeedback(stringIndex, fretIndex, true);
+    document.querySelector('.triad-notes').innerHTML = renderTriadNoteChips(triad);
+
+    const remaining = triad.notes.length - state.clickedTriadNotes.length;
+    if (remaining > 0) {
+        showFeedback('success', `Good! ${remaining} more to go.`);
+    } else {
+        question.stage = 'done';
+        showFeedback('success', `Perfect! You found the ${triad.root} ${triad.typeName} chord.`);
+        scoreQuestion();
+        scheduleNextQuestion(nextChordEarQuestion, 2000);
+    }
+}
+
+/**
+ * Ear training mode: the clicked position must be the exact pitch that was played
+ */
+function handleEarTrainingClick(stringIndex, fretIndex, note) {
+    const question = state.targetEar;
+    if (question.answered) return;
+
+    // Start timer on first click
+    startTimerOnFirstClick();
+
+    playGuitarTone(getFrequencyAt(stringIndex, fretIndex));
+
+    const target = question.pitch;
+    const clickedMidi = getMidiAt(stringIndex, fretIndex);
+
+    if (clickedMidi === target.midi) {
+        question.answered = true;
+        document.querySelector('.target-note').textContent = formatPitch(target);
+        logAnswer(stringIndex, fretIndex, true);
+        showPositionFeedback(stringIndex, fretIndex, true);
+        showFeedback('success', `Correct! That's ${formatPitch(target)}.`);
+        scoreQuestion();
+        scheduleNextQuestion(nextEarTrainingQuestion, 1500);
+    } else {
+        logAnswer(stringIndex, fretIndex, false);
+        showPositionFeedback(stringIndex, fretIndex, false);
+        addError();
+        if (notesMatch(note, target.note)) {
+            showFeedback('error', `Right note, wrong octave. That was ${formatPitchName(clickedMidi)}.`);
+        } else {
+            const direction = clickedMidi < target.midi ? 'higher' : 'lower';
+            showFeedback('error', `Incorrect. That was ${formatPitchName(clickedMidi)} - the note is ${direction}.`);
+        }
+    }
+}
+
+/**
+ * Octave mode: every unison and octave (up or down, as far as the neck reaches) of the highlighted pitch must be
+ * clicked; each find names the shape from the highlighted position
+ */
+function handleOctaveClick(stringIndex, fretIndex, note) {
+    const question = state.targetOctaves;
+    const isPosition = pos => pos.string === stringIndex && pos.fret === fretIndex;
+
+    // Ignore the highlighted note and notes already found
+    if (isPosition(question.reference) || state.foundPositions.some(isPosition)) {
+        return;
+    }
+
+    // Start timer on first click
+    startTimerOnFirstClick();
+
+    playGuitarTone(getFrequencyAt(stringIndex, fretIndex));
+
+    const clicked = { string: stringIndex, fret: fretIndex };
+    if (question.positions.some(isPosition)) {
+        state.foundPositions.push(clicked);
+        logAnswer(stringIndex, fretIndex, true);
+        showPositionFeedback(stringIndex, fretIndex, true);
+        document.querySelector('.octave-progress').textContent = formatOctaveProgress();
+
+        const shape = describeOctaveShape(question.reference, clicked);
+        if (state.foundPositions.length < question.positions.length) {
+            showFeedback('success', `${shape}.`);
+        } else {
+            showFeedback('success', `${shape}. All unisons and octaves found!`);
+            scoreQuestion();
+            scheduleNextQuestion(nextOctaveQuestion, 2000);
+        }
+    } else {
+        logAnswer(stringIndex, fretIndex, false);
+        showPositionFeedback(stringIndex, fretIndex, false);
+        addError();
+        showFeedback('error', `Incorrect. That was ${formatPitchName(getMidiAt(stringIndex, fretIndex))}. Try again!`);
+    }
+}
+
+/**
+ * Name the Note mode: check a pitch class picked on the note pad or the keyboard
+ */
+function handleNameNoteAnswer(pitchClass) {
+    const position = state.namePosition;
+    if (!position || position.answered) return;
+
+    // Start timer on first answer
+    startTimerOnFirstClick();
+
+    const key = document.querySelector(`.note-pad-key[data-pitch-class="${pitchClass}"]`);
+
+    const isCorrect = getPitchClass(position.note) === pitchClass;
+    recordPracticeAnswer(position.note, position, isCorrect);
+
+    if (isCorrect) {
+        position.answered = true;
+        playGuitarTone(getFrequencyAt(position.string, position.fret));
+        if (key) key.classList.add('correct');
+        document.querySelector('.target-note').textContent = formatNoteName(position.note);
+        logAnswer(position.string, position.fret, true);
+        showPositionFeedback(position.string, position.fret, true);
+        showFeedback('success', 'Correct! Great job!');
+        scoreQuestion();
+        scheduleNextQuestion(nextNameNoteQuestion, 1500);
+    } else {
+        if (key) {
+            key.classList.add('wrong');
+            setTimeout(() => key.classList.remove('wrong'), 1000);
+        }
+        logAnswer(position.string, position.fret, false);
+        addError();
+        showFeedback('error', `Incorrect. It's not ${formatNoteName(NOTES[pitchClass])}. Try again!`);
+    }
+}
+
+/**
+ * Fret Column mode: check the note named for the current string, then move one string down
+ */
+function handleFretColumnAnswer(pitchClass) {
+    const column = state.targetColumn;
+    if (!column || column.step >= stringTuning.length) return;
+
+    // Start timer on first answer
+    startTimerOnFirstClick();
+
+    const stringIndex = column.step;
+    const note = getNoteAt(stringIndex, column.fret);
+
+    const isCorrect = getPitchClass(note) === pitchClass;
+    recordPracticeAnswer(note, { string: stringIndex, fret: column.fret }, isCorrect);
+
+    if (isCorrect) {
+        column.answerTimes.push(getAnswerMs() / 1000);
+        column.step += 1;
+        playGuitarTone(getFrequencyAt(stringIndex, column.fret));
+        highlightFretColumn();
+        logAnswer(stringIndex, column.fret, true);
+        showPositionFeedback(stringIndex, column.fret, true);
+        updateFretColumnDisplay();
+
+        if (column.step < stringTuning.length) {
+            showFeedback('success', `Correct! ${formatNoteName(note)} on string ${stringIndex + 1}.`);
+        } else {
+            showFeedback('success', `Column done! ${formatFretColumnTimes()}`);
+            scoreQuestion();
+            scheduleNextQuestion(nextFretColumnQuestion, 2000);
+        }
+    } else {
+        logAnswer(stringIndex, column.fret, false);
+        addError();
+        showFeedback('error', `Incorrect. String ${stringIndex + 1} at fret ${column.fret} is not ${formatNoteName(NOTES[pitchClass])}.`);
+    }
+}
+
+/**
+ * Keyboard answers for modes with a note pad. A-G name the natural note, Shift raises it
+ * by a semitone and Alt lowers it (the physical key is read, so Alt+letter works on macOS)
+ */
+function handleNoteKeyDown(event) {
+    const gameMode = GAME_MODES[state.currentScreen];
+    if (!gameMode || !gameMode.onNoteAnswer || state.sessionFinished || event.ctrlKey || event.metaKey || event.repeat) return;
+
+    const match = /^Key([A-G])$/.exec(event.code);
+    if (!match) return;
+
+    event.preventDefault();
+    let pitchClass = LETTER_PITCH_CLASSES[match[1]];
+    if (event.shiftKey) pitchClass += 1;
+    else if (event.altKey) pitchClass -= 1;
+    gameMode.onNoteAnswer((pitchClass + 12) % 12);
+}
+
+/**
+ * Name the Note and Fret Column modes: the answer comes from the note pad,
+ * so a fret click only plays its sound
+ */
+function handleNameNoteZoneClick(stringIndex, fretIndex, note) {
+    playGuitarTone(getFrequencyAt(stringIndex, fretIndex));
+    showFeedback('error', 'Name the highlighted notes with the note pad or your keyboard.');
+}
+
+/**
+ * Diatonic harmony quiz: check the chord quality, then reveal the chord to locate
+ */
+function handleDiatonicQualityAnswer(type) {
+    const question = state.targetDiatonic;
+    if (!question || question.stage !== 'quality') return;
+
+    // Start timer on first answer
+    startTimerOnFirstClick();
+
+    const key = document.querySelector(`.diatonic-quality-pad .note-pad-key[data-chord-type="${type}"]`);
+
+    if (type === question.triad.type) {
+        question.stage = 'locate';
+        key.classList.add('correct');
+        countCorrectAnswer();
+        document.querySelector('.diatonic-prompt').textContent = `${question.numeral} - now find the chord`;
+        renderTriadsGameUpdate();
+        showFeedback('success', `Correct! ${question.numeral} is ${question.triad.root} ${question.triad.typeName}.`);
+    } else {
+        key.classList.add('wrong');
+        setTimeout(() => key.classList.remove('wrong'), 1000);
+        addError();
+        showFeedback('error', `Not ${TRIAD_TYPES[type].name}. Count the scale steps from the key note.`);
+    }
+}
+
+/**
+ * Diatonic harmony quiz: once the quality is named, the triad check of handleTriadClick applies
+ */
+function handleDiatonicClick(stringIndex, fretIndex, note) {
+    const stage = state.targetDiatonic.stage;
+    if (stage === 'quality') {
+        playGuitarTone(getFrequencyAt(stringIndex, fretIndex));
+        showFeedback('error', 'Name the chord quality first.');
+        return;
+    }
+    if (stage !== 'locate') return;
+
+    handleTriadClick(stringIndex, fretIndex, note);
+    refreshFretboard2D();
+}
+
+/**
+ * Progression mode: chord tones must be placed near the previous chord, then the
+ * triad check of handleTriadClick applies
+ */
+function handleProgressionClick(stringIndex, fretIndex, note) {
+    if (state.targetProgression.step >= state.targetProgression.chords.length) return;
+
+    if (!isWithinProgressionReach(fretIndex)) {
+        startTimerOnFirstClick();
+        playGuitarTone(getFrequencyAt(stringIndex, fretIndex));
+        logAnswer(stringIndex, fretIndex, false);
+        showPositionFeedback(stringIndex, fretIndex, false);
+        addError();
+        const reach = getProgressionReach();
+        showFeedback('error', `Too far from the previous chord - stay between frets ${reach.start} and ${reach.end}.`);
+        return;
+    }
+
+    handleTriadClick(stringIndex, fretIndex, note);
+    refreshFretboard2D();
+}
+
+/**
+ * Arpeggio mode: the chord's pitches in the window must be played one by one from low to high.
+ * A chord tone in the wrong order or octave counts as an error.
+ */
+function handleArpeggioClick(stringIndex, fretIndex, note) {
+    // Start timer on first click
+    startTimerOnFirstClick();
+
+    // Ignore repeated clicks on a note already played
+    const alreadyFound = state.foundPositions.some(
+        pos => pos.string === stringIndex && pos.fret === fretIndex
+    );
+    if (alreadyFound) {
+        return;
+    }
+
+    playGuitarTone(getFrequencyAt(stringIndex, fretIndex));
+
+    const arpeggio = state.targetArpeggio;
+    const triad = arpeggio.triad;
+    const clickedMidi = getMidiAt(stringIndex, fretIndex);
+    const expectedMidi = arpeggio.sequence[state.arpeggioStep];
+
+    if (clickedMidi === expectedMidi) {
+        state.arpeggioStep += 1;
+        state.foundPositions.push({ string: stringIndex, fret: fretIndex });
+        logAnswer(stringIndex, fretIndex, true);
+        showPositionFeedback(stringIndex, fretIndex, true);
+        document.querySelector('.arpeggio-progress').textContent = formatArpeggioProgress();
+
+        const remaining = arpeggio.sequence.length - state.arpeggioStep;
+        if (remaining > 0) {
+            showFeedback('success', `Good! ${remaining} more to go.`);
+        } else {
+            showFeedback('success', `Perfect! You played the ${triad.root} ${triad.typeName} arpeggio.`);
+            scoreQuestion();
+            scheduleNextQuestion(nextArpeggioQuestion, 2000);
+        }
+        return;
+    }
+
+    logAnswer(stringIndex, fretIndex, false);
+    showPositionFeedback(stringIndex, fretIndex, false);
+    addError();
 
-    // Add change listeners to checkboxes
-    Object.keys(settings).forEach(type => {
-        const checkbox = document.getElementById(`setting-${type}`);
-        checkbox.addEventListener('change', (e) => {
-            state.triadSettings[type] = e.target.checked;
-            saveSettingsToCookies();
-        });
-    });
+    if (!triad.notes.some(n => notesMatch(n, note))) {
+        showFeedback('error', `That's ${formatNoteName(note)}, not part of the ${triad.root} ${triad.typeName} chord.`);
+    } else if (notesMatch(note, NOTES[expectedMidi % 12])) {
+        showFeedback('error', `Right note, wrong octave. That was ${formatPitchName(clickedMidi)}.`);
+    } else if (clickedMidi > expectedMidi) {
+        showFeedback('error', 'Out of order - there is a lower chord tone to play first.');
+    } else {
+        showFeedback('error', `You already played ${formatPitchName(clickedMidi)} - keep going up.`);
+    }
+}
 
-    // Add change listener for show root note toggle
-    const showRootNoteToggle = document.getElementById('showRootNoteToggle');
-    if (showRootNoteToggle) {
-        showRootNoteToggle.addEventListener('change', (e) => {
-            state.showTriadRootNote = e.target.checked;
-            saveSettingsToCookies();
-        });
+/**
+ * CAGED mode: every position of the shape template (moved to the root) must be clicked.
+ * Chord tones outside the shape are marked wrong like any other note.
+ */
+function handleCagedClick(stringIndex, fretIndex, note) {
+    // Start timer on first click
+    startTimerOnFirstClick();
+
+    // Check if already found
+    const alreadyFound = state.foundPositions.some(
+        pos => pos.string === stringIndex && pos.fret === fretIndex
+    );
+    if (alreadyFound) {
+        return; // Already clicked this position
     }
 
-    document.getElementById('startGameBtn').addEventListener('click', () => {
-        // Check if at least one type is enabled
-        const hasEnabled = Object.values(state.triadSettings).some(val => val);
-        if (!hasEnabled) {
-            showFeedback('error', 'Please select at least one chord type!');
-            return;
+    playGuitarTone(getFrequencyAt(stringIndex, fretIndex));
+
+    const question = state.targetCaged;
+    const triad = question.triad;
+    const inShape = state.allPositions.some(
+        pos => pos.string === stringIndex && pos.fret === fretIndex
+    );
+
+    if (!inShape) {
+        // Wrong position - show red feedback
+        logAnswer(stringIndex, fretIndex, false);
+        showPositionFeedback(stringIndex, fretIndex, false);
+        addError();
+        if (triad.notes.some(n => notesMatch(n, note))) {
+            showFeedback('error', `${formatNoteName(note)} is in the chord, but not at this spot in the ${question.shape}-shape.`);
+        } else {
+            showFeedback('error', `That's ${formatNoteName(note)}, not part of the ${triad.root} ${triad.typeName} chord.`);
         }
-        startTriadsGameFromSettings();
-    });
+        return;
+    }
+
+    state.foundPositions.push({ string: stringIndex, fret: fretIndex });
+    logAnswer(stringIndex, fretIndex, true);
+    showPositionFeedback(stringIndex, fretIndex, true);
+    renderCagedGameUpdate();
+
+    const remaining = state.allPositions.length - state.foundPositions.length;
+    if (remaining > 0) {
+        showFeedback('success', `Good! ${remaining} more note${remaining > 1 ? 's' : ''} to go.`);
+    } else {
+        showFeedback('success', `Perfect! That's ${formatCagedQuestion(question)}.`);
+        scoreQuestion();
+        scheduleNextQuestion(nextCagedQuestion, 2000);
+    }
 }
 
-function renderTriadsGame() {
-    const app = document.getElementById('app');
-    const triad = state.targetTriad;
+/**
+ * Intervals mode: any position of the exact pitch the interval lands on counts,
+ * on the reference string or any other
+ */
+function handleIntervalClick(stringIndex, fretIndex, note) {
+    const question = state.targetInterval;
+    if (question.answered) return;
 
-    // Determine which notes have been clicked
-    const noteProgress = triad.notes.map(note => {
-        const isClicked = state.clickedTriadNotes.includes(note);
-        return { note, isClicked };
-    });
+    // Start timer on first click
+    startTimerOnFirstClick();
 
-    app.innerHTML = `
-        <div class="game-screen">
-            <button class="exit-btn" id="exitBtn">← Exit</button>
-            <button class="solution-btn" id="solutionBtn">Solution</button>
-            <div class="game-header">
-                <div>
-                    <div class="triad-title">${triad.root} ${triad.typeName}</div>
-                    <div class="triad-notes">
-                        ${noteProgress.map(({ note, isClicked }) => `
-                            <span class="triad-note ${isClicked ? 'clicked' : ''}">${note}</span>
-                        `).join('')}
-                    </div>
-                </div>
-                <div class="score-container">
-                    <div class="timer-display" style="display: ${state.enableTimeLimit && state.timeLimit > 0 ? 'block' : 'none'}">Time: ${state.enableTimeLimit && state.timeLimit > 0 ? state.timeRemaining + 's' : 'None'}</div>
-                    <div class="score">Score: ${state.score}</div>
-                    <div class="errors">Errors: ${state.errors}</div>
-                </div>
-            </div>
-            ${state.viewMode === '3d' ? `
-                <div class="debug-toggle-container">
-                    <div class="debug-toggle-controls">
-                        <label class="debug-toggle-label">
-                            <span class="debug-toggle-text">Rotation:</span>
-                            <div class="view-toggle-switch">
-                                <input type="checkbox" id="rotationToggle" ${state.rotationEnabled ? 'checked' : ''}>
-                                <span class="toggle-slider">
-                                    <span class="toggle-label-left">Off</span>
-                                    <span class="toggle-label-right">On</span>
-                                </span>
-                            </div>
-                        </label>
-                        <label class="debug-toggle-label">
-                            <span class="debug-toggle-text">Debug Info:</span>
-                            <div class="view-toggle-switch">
-                                <input type="checkbox" id="debugToggle" ${state.showDebug ? 'checked' : ''}>
-                                <span class="toggle-slider">
-                                    <span class="toggle-label-left">Off</span>
-                                    <span class="toggle-label-right">On</span>
-                                </span>
-                            </div>
-                        </label>
-                        <button class="reset-camera-btn" id="resetCameraBtn" title="Reset camera to default position">↻ Reset</button>
-                    </div>
-                    <div class="controls-help-text" id="rotationHelpText" style="display: ${state.rotationEnabled ? 'block' : 'none'};">
-                        Drag to rotate. Hold Shift and drag to pan.
-                    </div>
-                </div>
-            ` : ''}
-            <div class="fretboard-container" id="threeContainer"></div>
-        </div>
-    `;
+    playGuitarTone(getFrequencyAt(stringIndex, fretIndex));
 
-    document.getElementById('exitBtn').addEventListener('click', () => {
-        clearTimer();
-        state.currentScreen = 'menu';
-        state.showSolution = false;
-        cleanupThreeJS();
-        renderMenu();
-    });
-    
-    // Setup solution button
-    const solutionBtn = document.getElementById('solutionBtn');
-    if (solutionBtn) {
-        solutionBtn.addEventListener('click', () => {
-            showSolution();
-        });
+    const referenceMidi = getMidiAt(question.reference.string, question.reference.fret);
+    const clickedMidi = getMidiAt(stringIndex, fretIndex);
+
+    if (clickedMidi === question.targetMidi) {
+        question.answered = true;
+        logAnswer(stringIndex, fretIndex, true);
+        showPositionFeedback(stringIndex, fretIndex, true);
+        showFeedback('success', `Correct! ${question.targetNote} is ${describeInterval(referenceMidi, clickedMidi)} ${question.referenceNote}.`);
+        scoreQuestion();
+        scheduleNextQuestion(nextIntervalQuestion, 1500);
+    } else if (stringIndex === question.reference.string && fretIndex === question.reference.fret) {
+        showFeedback('error', 'That\'s the highlighted note. Find the interval from it!');
+    } else {
+        logAnswer(stringIndex, fretIndex, false);
+        showPositionFeedback(stringIndex, fretIndex, false);
+        addError();
+        showFeedback('error', `That's ${formatNoteName(note)}, ${describeInterval(referenceMidi, clickedMidi)}. Try again!`);
     }
+}
 
-    // Setup rotation toggle, debug toggle and reset button (only for 3D view)
-    if (state.viewMode === '3d') {
-        const rotationToggle = document.getElementById('rotationToggle');
-        if (rotationToggle) {
-            rotationToggle.addEventListener('change', (e) => {
-                toggleRotation(e.target.checked);
-            });
-        }
-        
-        const debugToggle = document.getElementById('debugToggle');
-        if (debugToggle) {
-            debugToggle.addEventListener('change', (e) => {
-                toggleDebugMode(e.target.checked);
-            });
-        }
-        
-        const resetCameraBtn = document.getElementById('resetCameraBtn');
-        if (resetCameraBtn) {
-            resetCameraBtn.addEventListener('click', () => {
-                if (window.resetCamera) {
-                    window.resetCamera();
-                }
-            });
-        }
+/**
+ * Scale mode: like Find All, but for every note of a scale inside the fret window
+ */
+function handleScaleClick(stringIndex, fretIndex, note) {
+    // Start timer on first click
+    startTimerOnFirstClick();
+
+    // Check if already found
+    const alreadyFound = state.foundPositions.some(
+        pos => pos.string === stringIndex && pos.fret === fretIndex
+    );
+    if (alreadyFound) {
+        return; // Already clicked this position
     }
 
-    // Initialize based on view mode
-    const container = document.getElementById('threeContainer');
-    if (state.viewMode === '2d') {
-        // Use 2D view directly
-        fallbackToCSS(container, 'triads');
+    playGuitarTone(getFrequencyAt(stringIndex, fretIndex));
+
+    const scale = state.targetScale;
+    if (!scale.notes.some(n => notesMatch(n, note))) {
+        logAnswer(stringIndex, fretIndex, false);
+        showPositionFeedback(stringIndex, fretIndex, false);
+        addError();
+        showFeedback('error', `That's ${formatNoteName(note)}, not in ${scale.root} ${scale.typeName}.`);
+        return;
+    }
+
+    state.foundPositions.push({ string: stringIndex, fret: fretIndex });
+    logAnswer(stringIndex, fretIndex, true);
+    showPositionFeedback(stringIndex, fretIndex, true);
+
+    const remaining = state.allPositions.length - state.foundPositions.length;
+    document.querySelector('.scale-progress').textContent = `Found: ${state.foundPositions.length} / ${state.allPositions.length}`;
+
+    if (remaining > 0) {
+        showFeedback('success', `Good! ${remaining} more to go.`);
     } else {
-        // Try 3D view
-        if (initThreeJS(container)) {
-            loadGuitarModel().then(() => {
-                setupFretClickHandler();
-                // Highlight root note position after setup
-                highlightRootNotePosition();
-            }).catch(error => {
-                showFeedback('error', 'Failed to load 3D model. Using 2D view.');
-                fallbackToCSS(container, 'triads');
-            });
-        } else {
-            fallbackToCSS(container, 'triads');
-        }
+        showFeedback('success', `Awesome! You found all of ${scale.root} ${scale.typeName} in this window!`);
+        scoreQuestion();
+        scheduleNextQuestion(nextScaleQuestion, 2000);
     }
-    
-    // Initialize timer display correctly
-    const timerElement = document.querySelector('.timer-display');
-    if (timerElement && state.timeLimit === 0) {
-        timerElement.textContent = 'Time: None';
+}
+
+/**
+ * Triad voicings mode: each string of the set needs its own chord tone for the inversion,
+ * and together the notes must form a close voicing (rising in pitch within an octave)
+ */
+function handleVoicingClick(stringIndex, fretIndex, note) {
+    // Start timer on first click
+    startTimerOnFirstClick();
+
+    playGuitarTone(getFrequencyAt(stringIndex, fretIndex));
+
+    const voicing = state.targetVoicing;
+    const triad = voicing.triad;
+
+    if (state.voicingPositions.some(pos => pos.string === stringIndex)) {
+        showFeedback('error', `You already placed a note on string ${stringIndex + 1}.`);
+        return;
     }
-    
-    // Reset timer started flag - timer will start on first click
-    state.timerStarted = false;
-    
-    // Show timer but don't start it yet
-    if (state.enableTimeLimit && state.timeLimit > 0) {
-        if (timerElement) {
-            timerElement.style.display = 'block';
-            timerElement.textContent = `Time: ${state.timeLimit}s`;
-        }
+
+    const triadNote = triad.notes.find(n => notesMatch(n, note));
+    const expectedToneIndex = getVoicingToneIndex(voicing, stringIndex);
+    const isBassString = stringIndex === voicing.strings[voicing.strings.length - 1];
+    let errorMessage = null;
+
+    if (!voicing.strings.includes(stringIndex)) {
+        errorMessage = `String ${stringIndex + 1} isn't one of ${formatStringSet(voicing.strings)}.`;
+    } else if (!triadNote) {
+        errorMessage = `That's ${formatNoteName(note)}, not part of the ${triad.root} ${triad.typeName} chord.`;
+    } else if (triadNote !== triad.notes[expectedToneIndex]) {
+        errorMessage = isBassString
+            ? `In ${INVERSION_NAMES[voicing.inversion].toLowerCase()} the bass note is the ${CHORD_TONE_NAMES[voicing.inversion]}.`
+            : `${triadNote} is in the chord, but it doesn't go on string ${stringIndex + 1} in this inversion.`;
     }
-}
 
-function renderTriadsGameUpdate() {
-    const triad = state.targetTriad;
+    if (errorMessage) {
+        logAnswer(stringIndex, fretIndex, false);
+        showPositionFeedback(stringIndex, fretIndex, false);
+        addError();
+        showFeedback('error', errorMessage);
+        return;
+    }
 
-    // Determine which notes have been clicked
-    const noteProgress = triad.notes.map(note => {
-        const isClicked = state.clickedTriadNotes.includes(note);
-        return { note, isClicked };
-    });
+    state.voicingPositions.push({ string: stringIndex, fret: fretIndex });
+    logAnswer(stringIndex, fretIndex, true);
+    showPositionFeedback(stringIndex, fretIndex, true);
+    renderVoicingsGameUpdate();
 
-    // Update the notes display
-    const notesContainer = document.querySelector('.triad-notes');
-    if (notesContainer) {
-        notesContainer.innerHTML = noteProgress.map(({ note, isClicked }) => `
-            <span class="triad-note ${isClicked ? 'clicked' : ''}">${note}</span>
-        `).join('');
+    const remaining = voicing.strings.length - state.voicingPositions.length;
+    if (remaining > 0) {
+        showFeedback('success', `Good! ${remaining} more string${remaining > 1 ? 's' : ''} to go.`);
+        return;
     }
 
-    // Update title if changed (new round)
-    const titleEl = document.querySelector('.triad-title');
-    if (titleEl) {
-        titleEl.textContent = `${triad.root} ${triad.typeName}`;
+    // All strings placed - check the notes make one shape, listed from the bass string up
+    const shape = [...state.voicingPositions].sort((a, b) => b.string - a.string);
+    if (isCloseVoicing(shape)) {
+        showFeedback('success', `Perfect! ${triad.root} ${triad.typeName}, ${INVERSION_NAMES[voicing.inversion].toLowerCase()}.`);
+        scoreQuestion();
+        scheduleNextQuestion(nextVoicingQuestion, 1500);
+    } else {
+        addError();
+        showFeedback('error', 'Right notes, but not one shape: each string should be higher than the one below, within an octave. Try again!');
+        state.voicingPositions = [];
+        clearPositionFeedback();
+        refreshFretboard2D();
+        renderVoicingsGameUpdate();
     }
 }
 
+/**
+ * Show correct (green) or wrong (red) feedback on a clicked position in either view.
+ * Correct answers stay marked until clearPositionFeedback(), wrong ones fade after a second.
+ */
+function showPositionFeedback(stringIndex, fretIndex, isCorrect) {
+    const zone = fretZones.find(z =>
+        z.userData.stringIndex === stringIndex &&
+        z.userData.fretIndex === fretIndex
+    );
+    if (zone) {
+        zone.userData.isFeedback = true;
+        zone.material.opacity = 0.7;
+        zone.material.color.setHex(isCorrect ? 0x00ff00 : 0xff0000); // Green for correct, red for wrong
+        if (!isCorrect) {
+            setTimeout(() => resetZone(zone), 1000);
+        }
+    }
+
+    const fret = document.querySelector(`.fret[data-string="${stringIndex}"][data-fret="${fretIndex}"]`);
+    if (fret) {
+        if (isCorrect) {
+            fret.classList.add('highlighted');
+            fret.innerHTML = `<div class="note-marker found">${getDisplayNoteName(getNoteAt(stringIndex, fretIndex))}</div>`;
+        } else {
+            fret.classList.add('wrong');
+            setTimeout(() => fret.classList.remove('wrong'), 1000);
+        }
+    }
+}
 
+/**
+ * Clear the correct answers marked by showPositionFeedback() before a new question
+ */
+function clearPositionFeedback() {
+    fretZones.forEach(zone => {
+        if (zone.userData.isFeedback) {
+            resetZone(zone);
+        }
+    });
+}
 
+/**
+ * Re-apply disabled frets to the 3D hitboxes, e.g. after a fret window mode moves its window
+ */
+function updateDisabledZones() {
+    fretZones.forEach(zone => {
+        const isDisabled = isFretDisabled(zone.userData.fretIndex);
+        if (zone.userData.isDisabled === isDisabled) return;
+
+        zone.userData.isDisabled = isDisabled;
+        zone.userData.originalColor = isDisabled ? 0x666666 : zone.userData.fretColor;
+        zone.userData.originalOpacity = isDisabled ? 0.3 : (state.showDebug ? 0.6 : 0);
+        zone.material.color.setHex(zone.userData.originalColor);
+        zone.material.opacity = zone.userData.originalOpacity;
+    });
+}
 
+function resetZone(zone) {
+    zone.userData.isFeedback = false;
+    zone.material.color.setHex(zone.userData.originalColor);
+    if (zone.userData.heatColor) {
+        zone.material.opacity = HEATMAP_OPACITY;
+        return;
+    }
+    // Reset to invisible (0) unless debug mode is on
+    zone.material.opacity = zone.userData.isDisabled ? 0.3 : (state.showDebug ? 0.6 : 0);
+}
 
 /* ========================================
    FALLBACK DOM EVENT HANDLERS
    ======================================== */
+/**
+ * Shared 2D click handler: reads the position from the fret element and passes it
+ * to the mode's hitbox handler, so newer modes handle both views in one place
+ */
+function handleFretElementClick(event) {
+    const fret = event.currentTarget;
+    const stringIndex = parseInt(fret.dataset.string);
+    const fretIndex = parseInt(fret.dataset.fret);
+
+    // Check if fret is disabled
+    if (isFretDisabled(fretIndex)) {
+        showFeedback('error', `Fret ${fretIndex} is disabled!`);
+        return;
+    }
+
+    GAME_MODES[state.currentScreen].onZoneClick(stringIndex, fretIndex, getNoteAt(stringIndex, fretIndex));
+}
+
 function handleSingleNoteDOMClick(event) {
+    if (state.singleNoteAnswered) return;
+
     // Start timer on first click
     startTimerOnFirstClick();
     
@@ -3985,12 +8449,16 @@ function handleSingleNoteDOMClick(event) {
 
     playGuitarTone(frequency);
 
-    if (clickedNote === state.targetNote) {
+    const isCorrect = isSingleNoteAnswer(stringIndex, clickedNote);
+    recordPracticeAnswer(state.targetNote, { string: stringIndex, fret: fretIndex }, isCorrect);
+    logAnswer(stringIndex, fretIndex, isCorrect);
+
+    if (isCorrect) {
+        state.singleNoteAnswered = true;
         fret.classList.add('highlighted');
-        fret.innerHTML = `<div class="note-marker found">${clickedNote}</div>`;
+        fret.innerHTML = `<div class="note-marker found">${getDisplayNoteName(clickedNote)}</div>`;
         showFeedback('success', 'Correct! Great job!');
-        state.score += 1;
-        updateScoreDisplay();
+        scoreQuestion();
 
         // Clear timer and reset for next question
         clearTimer();
@@ -3999,8 +8467,11 @@ function handleSingleNoteDOMClick(event) {
 
         const wasShowingSolution = state.showSolution;
         setTimeout(() => {
-            state.targetNote = getRandomNote();
+            // Skip if the player left the game in the meantime
+            if (state.currentScreen !== 'singleNote') return;
+            setupSingleNoteQuestion();
             renderSingleNoteGame();
+            startQuestionClock();
             // Update solution display if it was showing
             if (wasShowingSolution) {
                 state.showSolution = true;
@@ -4012,9 +8483,8 @@ function handleSingleNoteDOMClick(event) {
             }
         }, 1500);
     } else {
-        state.errors += 1;
-        updateErrorsDisplay();
-        showFeedback('error', `Incorrect. That was ${clickedNote}. Try again!`);
+        addError();
+        showSingleNoteError(clickedNote);
     }
 }
 
@@ -4042,8 +8512,10 @@ function handleFindAllDOMClick(event) {
     const frequency = getFrequencyAt(stringIndex, fretIndex);
     playGuitarTone(frequency);
 
-    if (clickedNote === state.targetNote) {
+    if (notesMatch(clickedNote, state.targetNote)) {
         state.foundPositions.push({ string: stringIndex, fret: fretIndex });
+        recordPracticeAnswer(state.targetNote, { string: stringIndex, fret: fretIndex }, true);
+        logAnswer(stringIndex, fretIndex, true);
         const remaining = state.allPositions.length - state.foundPositions.length;
 
         if (remaining > 0) {
@@ -4052,7 +8524,7 @@ function handleFindAllDOMClick(event) {
         } else {
             renderFindAllGame();
             showFeedback('success', `Awesome! You found all ${state.targetNote}'s!`);
-            state.score += 10;
+            scoreQuestion();
             
             // Clear timer and reset for next question
             clearTimer();
@@ -4061,10 +8533,13 @@ function handleFindAllDOMClick(event) {
             
             const wasShowingSolution = state.showSolution;
             setTimeout(() => {
+                // Skip if the player left the game in the meantime
+                if (state.currentScreen !== 'findAll') return;
                 state.targetNote = getRandomNote();
                 state.allPositions = getAllPositions(state.targetNote);
                 state.foundPositions = [];
                 renderFindAllGame();
+                startQuestionClock();
                 // Update solution display if it was showing
                 if (wasShowingSolution) {
                     state.showSolution = true;
@@ -4077,9 +8552,10 @@ function handleFindAllDOMClick(event) {
             }, 2000);
         }
     } else {
-        state.errors += 1;
-        updateErrorsDisplay();
-        showFeedback('error', `Oops, that's a ${clickedNote}. Keep looking for ${state.targetNote}.`);
+        recordPracticeAnswer(state.targetNote, { string: stringIndex, fret: fretIndex }, false);
+        logAnswer(stringIndex, fretIndex, false);
+        addError();
+        showFeedback('error', `Oops, that's a ${formatNoteName(clickedNote)}. Keep looking for ${state.targetNote}.`);
     }
 }
 
@@ -4103,10 +8579,13 @@ function handleTriadDOMClick(event) {
     playGuitarTone(frequency);
 
     const triad = state.targetTriad;
-    if (triad.notes.includes(clickedNote)) {
+    // The triad's own spelling of the clicked note (undefined if it's not a chord tone)
+    const triadNote = triad.notes.find(n => notesMatch(n, clickedNote));
+    if (triadNote) {
         // Check if we already clicked this note (including if it's the root note that's shown)
-        if (!state.clickedTriadNotes.includes(clickedNote)) {
-            state.clickedTriadNotes.push(clickedNote);
+        if (!state.clickedTriadNotes.includes(triadNote)) {
+            state.clickedTriadNotes.push(triadNote);
+            logAnswer(stringIndex, fretIndex, true);
             state.clickedTriadPositions.push({ string: stringIndex, fret: fretIndex });
             
             // If this was the root note position, clear it
@@ -4116,10 +8595,11 @@ function handleTriadDOMClick(event) {
                 state.triadRootNotePosition = null;
             }
             
-            if (state.clickedTriadNotes.length === 3) {
+            if (state.clickedTriadNotes.length === triad.notes.length) {
+                recordPracticeAnswer(triad.root, null, true, getQuestionMs());
                 state.clickedTriadPositions.push({ string: stringIndex, fret: fretIndex });
                 showFeedback('success', 'Perfect! All notes found!');
-                state.score += 1;
+                scoreQuestion();
                 
                 // Clear timer and reset for next question
                 clearTimer();
@@ -4129,6 +8609,8 @@ function handleTriadDOMClick(event) {
                 const wasShowingSolution = state.showSolution;
                 renderTriadsGame();
                 setTimeout(() => {
+                    // Skip if the player left the game in the meantime
+                    if (state.currentScreen !== 'triads') return;
                     state.targetTriad = getRandomTriad();
                     state.clickedTriadNotes = [];
                     state.clickedTriadPositions = [];
@@ -4153,6 +8635,7 @@ function handleTriadDOMClick(event) {
                     }
                     
                     renderTriadsGame();
+                    startQuestionClock();
                     // Update solution display if it was showing
                     if (wasShowingSolution) {
                         state.showSolution = true;
@@ -4165,17 +8648,18 @@ function handleTriadDOMClick(event) {
                 }, 2000);
             } else {
                 state.clickedTriadPositions.push({ string: stringIndex, fret: fretIndex });
-                const remaining = 3 - state.clickedTriadNotes.length;
+                const remaining = triad.notes.length - state.clickedTriadNotes.length;
                 showFeedback('success', `Good! ${remaining} more note${remaining > 1 ? 's' : ''} to go.`);
                 renderTriadsGame();
             }
         } else {
-            showFeedback('error', `You already found ${clickedNote}.`);
+            showFeedback('error', `You already found ${triadNote}.`);
         }
     } else {
-        state.errors += 1;
-        updateErrorsDisplay();
-        showFeedback('error', `That's ${clickedNote}, not part of the ${triad.root} ${triad.typeName} triad.`);
+        recordPracticeAnswer(triad.root, null, false);
+        logAnswer(stringIndex, fretIndex, false);
+        addError();
+        showFeedback('error', `That's ${formatNoteName(clickedNote)}, not part of the ${triad.root} ${triad.typeName} chord.`);
     }
 }
 
@@ -4204,6 +8688,12 @@ function initCSSRotationControls() {
 document.addEventListener('DOMContentLoaded', () => {
     // Load settings from cookies first
     loadSettingsFromCookies();
+    loadPracticeMemory();
+    loadAnswerLog();
+    loadSessionHistory();
+    // Keep the running game in the history when the page is closed
+    window.addEventListener('pagehide', endSession);
     renderMenu();
+    document.addEventListener('keydown', handleNoteKeyDown);
 });
 